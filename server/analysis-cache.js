@@ -0,0 +1,174 @@
+const crypto = require('crypto')
+const fs = require('fs').promises
+const path = require('path')
+
+/**
+ * Analysis Cache
+ * Content-addressed store of slide analyses on disk: one JSON file per entry, named by the
+ * SHA-256 of everything the analysis depends on, so an unchanged slide is not sent to the model
+ * again. An entry's modification time is its last use: entries unused for longer than the TTL
+ * expire, and the least recently used ones are removed when the cache outgrows its size limit.
+ * Configured with:
+ *   ANALYSIS_CACHE           'false' turns the cache off
+ *   ANALYSIS_CACHE_DIR       directory of the entries; .cache/analyses in the project by default
+ *   ANALYSIS_CACHE_TTL       how long an unused entry is kept, in seconds
+ *   ANALYSIS_CACHE_MAX_SIZE  size limit in megabytes
+ */
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../.cache/analyses')
+
+// 30 days
+const DEFAULT_TTL = 30 * 24 * 3600 * 1000
+
+const DEFAULT_MAX_SIZE = 100 * 1024 * 1024
+
+const ENTRY_EXTENSION = '.json'
+
+class AnalysisCache {
+  /**
+   * @param {Object} [options] - Cache options; the environment's by default
+   * @param {boolean} [options.enabled] - Whether entries are read and written
+   * @param {string} [options.directory] - Directory of the entries
+   * @param {number} [options.ttl] - How long an unused entry is kept, in milliseconds
+   * @param {number} [options.maxSize] - Size limit in bytes
+   */
+  constructor(options = {}) {
+    const ttlSeconds = Number(process.env.ANALYSIS_CACHE_TTL)
+    const maxSizeMegabytes = Number(process.env.ANALYSIS_CACHE_MAX_SIZE)
+    this.enabled = options.enabled ?? process.env.ANALYSIS_CACHE !== 'false'
+    this.directory = options.directory || process.env.ANALYSIS_CACHE_DIR || DEFAULT_DIRECTORY
+    this.ttl = options.ttl || (ttlSeconds > 0 ? ttlSeconds * 1000 : DEFAULT_TTL)
+    this.maxSize = options.maxSize || (maxSizeMegabytes > 0 ? maxSizeMegabytes * 1024 * 1024 : DEFAULT_MAX_SIZE)
+  }
+
+  /**
+   * Create the key of an entry
+   * @param {Object} parts - Everything the cached value depends on
+   * @returns {string} Hex SHA-256 of the parts
+   */
+  createKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex')
+  }
+
+  /**
+   * Read an entry and mark it used; expired entries are removed
+   * @param {string} key - Entry key
+   * @returns {Promise<Object|null>} Cached value, or null on a miss
+   */
+  async get(key) {
+    if (!this.enabled) return null
+
+    const file = this.getEntryPath(key)
+    try {
+      const stats = await fs.stat(file)
+      if (this.isExpired(stats.mtimeMs)) {
+        await fs.rm(file, { force: true })
+        return null
+      }
+
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'))
+      const now = new Date()
+      await fs.utimes(file, now, now)
+      return entry.value
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Could not read analysis cache entry ${key}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Write an entry, then remove expired entries and keep the cache within its size limit
+   * @param {string} key - Entry key
+   * @param {Object} value - Value to cache (JSON-serializable)
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    if (!this.enabled) return
+
+    const file = this.getEntryPath(key)
+    try {
+      await fs.mkdir(this.directory, { recursive: true })
+      // Written under a temporary name so concurrent readers never see a partial entry
+      const temporaryFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+      await fs.writeFile(temporaryFile, JSON.stringify({ value }))
+      await fs.rename(temporaryFile, file)
+      await this.prune()
+    } catch (error) {
+      console.warn(`Could not write analysis cache entry ${key}:`, error.message)
+    }
+  }
+
+  /**
+   * Remove the expired entries, then the least recently used ones until the cache fits its size limit
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const entries = await this.listEntries()
+    let size = entries.reduce((total, entry) => total + entry.size, 0)
+
+    for (const entry of entries.sort((a, b) => a.usedAt - b.usedAt)) {
+      if (size <= this.maxSize && !this.isExpired(entry.usedAt)) continue
+      await fs.rm(entry.file, { force: true })
+      size -= entry.size
+    }
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<Object>} { removed, bytes } - Number and total size of the removed entries
+   */
+  async purge() {
+    const entries = await this.listEntries()
+    await Promise.all(entries.map(entry => fs.rm(entry.file, { force: true })))
+    return {
+      removed: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.size, 0)
+    }
+  }
+
+  /**
+   * List the entries on disk
+   * @returns {Promise<Array>} Entries ({ file, size, usedAt })
+   */
+  async listEntries() {
+    let names
+    try {
+      names = await fs.readdir(this.directory)
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const entries = []
+    for (const name of names.filter(name => name.endsWith(ENTRY_EXTENSION))) {
+      const file = path.join(this.directory, name)
+      try {
+        const stats = await fs.stat(file)
+        entries.push({ file, size: stats.size, usedAt: stats.mtimeMs })
+      } catch (error) {
+        // Removed by a concurrent prune
+      }
+    }
+    return entries
+  }
+
+  /**
+   * Check whether an entry has gone unused for longer than the TTL
+   * @param {number} usedAt - Last use of the entry (its modification time), in milliseconds
+   * @returns {boolean} Whether the entry has expired
+   */
+  isExpired(usedAt) {
+    return Date.now() - usedAt > this.ttl
+  }
+
+  /**
+   * Get the file of an entry
+   * @param {string} key - Entry key
+   * @returns {string} File path
+   */
+  getEntryPath(key) {
+    return path.join(this.directory, `${key}${ENTRY_EXTENSION}`)
+  }
+}
+
+module.exports = AnalysisCache
@@ -1,11 +1,5 @@
-const OpenAI = require('openai')
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-})
-
 // First pass: Extract document context
-async function extractDocumentContext(text) {
+async function extractDocumentContext(text, modelClient) {
   const prompt = `Analyze the following text and extract comprehensive context information. Return your analysis as a JSON object with these parameters:
 
 - origin: company/organization/institution name
@@ -29,14 +23,13 @@ ${text.substring(0, 2000)} // Analyze first 2000 chars for context
 Return ONLY valid JSON.`
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-5-nano-2025-08-07",
+    const content = await modelClient.complete('document-context', {
       messages: [{ role: "user", content: prompt }],
-
-      response_format: { type: "json_object" }
+      responseFormat: 'json',
+      input: { text }
     })
 
-    return JSON.parse(response.choices[0].message.content)
+    return JSON.parse(content)
   } catch (error) {
     console.error('Error extracting context:', error)
     throw error
@@ -44,7 +37,7 @@ Return ONLY valid JSON.`
 }
 
 // Second pass: Extract glossary terms based on context
-async function extractGlossaryTerms(text, context) {
+async function extractGlossaryTerms(text, context, modelClient) {
   const contextSummary = Object.entries(context)
     .filter(([key]) => key !== 'potentialTerms')
     .map(([key, value]) => `${key}: ${value}`)
@@ -77,14 +70,13 @@ ${text}
 Return ONLY a valid JSON object with a "terms" array.`
 
   try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-5-nano-2025-08-07",
+    const content = await modelClient.complete('glossary-terms', {
       messages: [{ role: "user", content: prompt }],
-
-      response_format: { type: "json_object" }
+      responseFormat: 'json',
+      input: { text, context }
     })
 
-    const result = JSON.parse(response.choices[0].message.content)
+    const result = JSON.parse(content)
     
     // Add unique IDs to each term
     if (result.terms) {
@@ -101,16 +93,16 @@ Return ONLY a valid JSON object with a "terms" array.`
   }
 }
 
-async function analyzeDocument(text) {
+async function analyzeDocument(text, modelClient) {
   try {
     // First pass: Extract context
     console.log('Extracting document context...')
-    const context = await extractDocumentContext(text)
+    const context = await extractDocumentContext(text, modelClient)
     console.log('Context extracted:', context)
 
     // Second pass: Extract terms based on context
     console.log('Extracting glossary terms...')
-    const termsResult = await extractGlossaryTerms(text, context)
+    const termsResult = await extractGlossaryTerms(text, context, modelClient)
     
     return {
       context,
@@ -0,0 +1,250 @@
+const { getChild, getChildren, getPath, getAttr, getNumberAttr } = require('./xml-utils')
+
+/**
+ * Color Utilities
+ * Resolves DrawingML colors (sRGB, theme, system and preset colors and their modifiers) to hex values
+ */
+
+// Color elements that can appear inside a fill, line or color container
+const COLOR_ELEMENTS = ['a:srgbClr', 'a:schemeClr', 'a:sysClr', 'a:prstClr', 'a:scrgbClr', 'a:hslClr']
+
+// Slide color names mapped to theme colors when the master has no p:clrMap
+const DEFAULT_COLOR_MAP = {
+  bg1: 'lt1',
+  tx1: 'dk1',
+  bg2: 'lt2',
+  tx2: 'dk2',
+  accent1: 'accent1',
+  accent2: 'accent2',
+  accent3: 'accent3',
+  accent4: 'accent4',
+  accent5: 'accent5',
+  accent6: 'accent6',
+  hlink: 'hlink',
+  folHlink: 'folHlink'
+}
+
+// Preset colors (a:prstClr) commonly written by Office
+const PRESET_COLORS = {
+  black: '000000',
+  white: 'FFFFFF',
+  red: 'FF0000',
+  green: '008000',
+  blue: '0000FF',
+  yellow: 'FFFF00',
+  cyan: '00FFFF',
+  magenta: 'FF00FF',
+  gray: '808080',
+  grey: '808080',
+  ltGray: 'D3D3D3',
+  dkGray: 'A9A9A9',
+  orange: 'FFA500',
+  purple: '800080',
+  navy: '000080',
+  silver: 'C0C0C0'
+}
+
+// DrawingML percentages are expressed in 1000ths of a percent
+const PERCENT = 100000
+
+/**
+ * Build the palette a slide's scheme colors resolve against
+ * @param {Document|null} theme - Theme document
+ * @param {Array<Element|null>} colorMaps - p:clrMap and a:overrideClrMapping elements, master first
+ * @returns {Object} Map of scheme color name (dk1, accent1, tx1, bg1, ...) to hex color
+ */
+function getThemeColors(theme, colorMaps = []) {
+  const clrScheme = theme ? getPath(theme.documentElement, 'a:themeElements', 'a:clrScheme') : null
+  const palette = {}
+
+  getChildren(clrScheme).forEach(entry => {
+    const resolved = resolveColor(findColorElement(entry), {})
+    if (resolved) palette[entry.nodeName.replace('a:', '')] = resolved.color
+  })
+
+  const colorMap = { ...DEFAULT_COLOR_MAP }
+  colorMaps.filter(Boolean).forEach(map => {
+    Object.keys(DEFAULT_COLOR_MAP).forEach(name => {
+      const value = getAttr(map, name)
+      if (value) colorMap[name] = value
+    })
+  })
+
+  Object.keys(colorMap).forEach(name => {
+    if (palette[colorMap[name]]) palette[name] = palette[colorMap[name]]
+  })
+
+  return palette
+}
+
+/**
+ * Find the color element of a color container (a:solidFill, a:gs, a:fgClr, a:fontRef, ...)
+ * @param {Element|null} container - Container element
+ * @returns {Element|null} The a:srgbClr, a:schemeClr, ... element, or null if none
+ */
+function findColorElement(container) {
+  return getChildren(container).find(child => COLOR_ELEMENTS.includes(child.nodeName)) || null
+}
+
+/**
+ * Resolve a color element, applying its luminance, tint, shade and alpha modifiers
+ * @param {Element|null} element - Color element
+ * @param {Object} palette - Scheme color palette from getThemeColors
+ * @param {string} [placeholderColor] - Color substituted for phClr in theme style matrices
+ * @returns {Object|null} { color: '#RRGGBB', alpha } (alpha 0-1), or null if the color cannot be resolved
+ */
+function resolveColor(element, palette, placeholderColor) {
+  const base = readBaseColor(element, palette, placeholderColor)
+  if (!base) return null
+
+  let rgb = [0, 2, 4].map(offset => parseInt(base.slice(offset, offset + 2), 16))
+  let alpha = 1
+
+  getChildren(element).forEach(modifier => {
+    const value = getNumberAttr(modifier, 'val', 0) / PERCENT
+
+    switch (modifier.nodeName) {
+      case 'a:lumMod':
+      case 'a:lumOff': {
+        const [h, s, l] = rgbToHsl(...rgb)
+        const lightness = modifier.nodeName === 'a:lumMod' ? l * value : l + value
+        rgb = hslToRgb(h, s, Math.min(1, Math.max(0, lightness)))
+        break
+      }
+      case 'a:satMod': {
+        const [h, s, l] = rgbToHsl(...rgb)
+        rgb = hslToRgb(h, Math.min(1, Math.max(0, s * value)), l)
+        break
+      }
+      case 'a:tint':
+        rgb = rgb.map(channel => channel + (255 - channel) * (1 - value))
+        break
+      case 'a:shade':
+        rgb = rgb.map(channel => channel * value)
+        break
+      case 'a:alpha':
+        alpha = value
+        break
+      case 'a:alphaMod':
+        alpha *= value
+        break
+      default:
+        break
+    }
+  })
+
+  return { color: toHex(...rgb), alpha }
+}
+
+/**
+ * Resolve the color of an element's a:solidFill
+ * @param {Element|null} element - Element containing an a:solidFill (e.g. a:rPr, a:defRPr, a:tcPr)
+ * @param {Object} [palette] - Scheme color palette
+ * @returns {Object|null} { color, alpha }, or null if the element has no resolvable solid fill
+ */
+function readSolidFill(element, palette = {}) {
+  return resolveColor(findColorElement(getChild(element, 'a:solidFill')), palette)
+}
+
+/**
+ * Read the unmodified hex value of a color element
+ * @param {Element|null} element - Color element
+ * @param {Object} palette - Scheme color palette
+ * @param {string} [placeholderColor] - Color substituted for phClr
+ * @returns {string|null} Hex value without '#', or null
+ */
+function readBaseColor(element, palette, placeholderColor) {
+  if (!element) return null
+
+  switch (element.nodeName) {
+    case 'a:srgbClr':
+      return getAttr(element, 'val')
+    case 'a:schemeClr': {
+      const name = getAttr(element, 'val')
+      const color = name === 'phClr' ? placeholderColor : palette[name]
+      return color ? color.replace('#', '') : null
+    }
+    case 'a:sysClr':
+      return getAttr(element, 'lastClr') || (getAttr(element, 'val') === 'window' ? 'FFFFFF' : '000000')
+    case 'a:prstClr':
+      return PRESET_COLORS[getAttr(element, 'val')] || null
+    case 'a:scrgbClr':
+      return toHex(...['r', 'g', 'b'].map(channel => getNumberAttr(element, channel, 0) / PERCENT * 255)).replace('#', '')
+    case 'a:hslClr':
+      return toHex(...hslToRgb(
+        getNumberAttr(element, 'hue', 0) / 60000 / 360,
+        getNumberAttr(element, 'sat', 0) / PERCENT,
+        getNumberAttr(element, 'lum', 0) / PERCENT
+      )).replace('#', '')
+    default:
+      return null
+  }
+}
+
+/**
+ * Convert RGB channels to an uppercase hex color
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} Hex color (e.g. "#1F4E79")
+ */
+function toHex(r, g, b) {
+  return `#${[r, g, b]
+    .map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()}`
+}
+
+/**
+ * Convert RGB channels to HSL
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Array<number>} [hue, saturation, lightness], each 0-1
+ */
+function rgbToHsl(r, g, b) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255]
+  const max = Math.max(red, green, blue)
+  const min = Math.min(red, green, blue)
+  const lightness = (max + min) / 2
+  if (max === min) return [0, 0, lightness]
+
+  const delta = max - min
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min)
+  let hue
+  if (max === red) hue = (green - blue) / delta + (green < blue ? 6 : 0)
+  else if (max === green) hue = (blue - red) / delta + 2
+  else hue = (red - green) / delta + 4
+
+  return [hue / 6, saturation, lightness]
+}
+
+/**
+ * Convert HSL to RGB channels
+ * @param {number} h - Hue (0-1)
+ * @param {number} s - Saturation (0-1)
+ * @param {number} l - Lightness (0-1)
+ * @returns {Array<number>} [r, g, b], each 0-255
+ */
+function hslToRgb(h, s, l) {
+  if (s === 0) return [l * 255, l * 255, l * 255]
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s
+  const p = 2 * l - q
+  const channel = t => {
+    const hue = t < 0 ? t + 1 : t > 1 ? t - 1 : t
+    if (hue < 1 / 6) return p + (q - p) * 6 * hue
+    if (hue < 1 / 2) return q
+    if (hue < 2 / 3) return p + (q - p) * (2 / 3 - hue) * 6
+    return p
+  }
+
+  return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3)].map(value => value * 255)
+}
+
+module.exports = {
+  getThemeColors,
+  findColorElement,
+  resolveColor,
+  readSolidFill
+}
@@ -0,0 +1,160 @@
+const sharp = require('sharp')
+const JSZip = require('jszip')
+
+/**
+ * Context Screenshots
+ * Creates the slide images bundled with an XLIFF export — each slide as rendered, and per
+ * segment a copy with the segment's bounding box highlighted — so a CAT tool's preview pane
+ * can show the region a unit comes from. Screenshots are embedded in the XLIFF or written
+ * next to it in a zip package.
+ */
+
+const MODES = ['embed', 'package']
+
+// Folder of the images in a package, referenced by the XLIFF's external-file elements
+const IMAGE_FOLDER = 'images'
+
+// Highlight drawn over a segment's bounding box
+const HIGHLIGHT_COLOR = '#FF3B30'
+const HIGHLIGHT_FILL_OPACITY = 0.15
+const HIGHLIGHT_STROKE_WIDTH = 3
+
+// Space kept around the bounding box so the outline does not cover the text, in image pixels
+const HIGHLIGHT_MARGIN = 4
+
+class ContextScreenshots {
+  /**
+   * Check whether a screenshot mode is supported
+   * @param {string} mode - Screenshot mode
+   * @returns {boolean} Whether the mode is 'embed' or 'package'
+   */
+  isMode(mode) {
+    return MODES.includes(mode)
+  }
+
+  /**
+   * Create the screenshots of an export
+   * @param {Array} segments - Array of visual segments
+   * @param {Array} slides - Analyzed slides ({ slideId, slideImage, slideSize }); slideImage is a PNG data URL
+   * @param {string} mode - 'embed' or 'package'
+   * @returns {Promise<Object>} { mode, slides: Map<slideId, screenshot>, segments: Map<segmentId, screenshot> },
+   *   a screenshot being { name, href, png }
+   */
+  async createScreenshots(segments, slides, mode) {
+    const screenshots = { mode, slides: new Map(), segments: new Map() }
+
+    for (const slide of slides) {
+      const png = this.decodeDataUrl(slide.slideImage)
+      if (!png) continue
+      screenshots.slides.set(slide.slideId, this.createScreenshot(`slide_${slide.slideId}.png`, png))
+    }
+
+    // One image at a time: highlighting decodes the whole slide
+    for (const segment of segments) {
+      const slideScreenshot = screenshots.slides.get(segment.slideId)
+      if (!slideScreenshot || !this.hasBox(segment)) continue
+
+      const slide = slides.find(candidate => candidate.slideId === segment.slideId)
+      const png = await this.highlight(slideScreenshot.png, segment.coordinates, slide.slideSize)
+      const name = `slide_${segment.slideId}_${this.sanitizeName(segment.id)}.png`
+      screenshots.segments.set(segment.id, this.createScreenshot(name, png))
+    }
+
+    return screenshots
+  }
+
+  /**
+   * Create a screenshot entry
+   * @param {string} name - Image file name
+   * @param {Buffer} png - PNG data
+   * @returns {Object} { name, href, png }
+   */
+  createScreenshot(name, png) {
+    return { name, href: `${IMAGE_FOLDER}/${name}`, png }
+  }
+
+  /**
+   * Check whether a segment has a bounding box on the slide; speaker notes have none
+   * @param {Object} segment - Visual segment
+   * @returns {boolean} Whether the segment can be highlighted
+   */
+  hasBox(segment) {
+    const box = segment.coordinates
+    return segment.flow !== 'notes' && !!box && box.width > 0 && box.height > 0
+  }
+
+  /**
+   * Draw a segment's bounding box over a slide image
+   * @param {Buffer} png - Slide image
+   * @param {Object} box - Bounding box in slide coordinates ({ x, y, width, height })
+   * @param {Object} [slideSize] - Slide size the box is expressed in ({ width, height }); the image size when omitted
+   * @returns {Promise<Buffer>} Highlighted PNG
+   */
+  async highlight(png, box, slideSize) {
+    const { width, height } = await sharp(png).metadata()
+    const scale = slideSize && slideSize.width ? width / slideSize.width : 1
+
+    const x = Math.max(0, box.x * scale - HIGHLIGHT_MARGIN)
+    const y = Math.max(0, box.y * scale - HIGHLIGHT_MARGIN)
+    const right = Math.min(width, (box.x + box.width) * scale + HIGHLIGHT_MARGIN)
+    const bottom = Math.min(height, (box.y + box.height) * scale + HIGHLIGHT_MARGIN)
+    const inset = HIGHLIGHT_STROKE_WIDTH / 2
+
+    const overlay = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <rect x="${x + inset}" y="${y + inset}" width="${Math.max(0, right - x - HIGHLIGHT_STROKE_WIDTH)}" height="${Math.max(0, bottom - y - HIGHLIGHT_STROKE_WIDTH)}"
+        fill="${HIGHLIGHT_COLOR}" fill-opacity="${HIGHLIGHT_FILL_OPACITY}" stroke="${HIGHLIGHT_COLOR}" stroke-width="${HIGHLIGHT_STROKE_WIDTH}"/>
+    </svg>`
+
+    return sharp(png)
+      .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+      .png()
+      .toBuffer()
+  }
+
+  /**
+   * Create a zip package with the XLIFF and its images
+   * @param {string} xliffContent - XLIFF content referencing the images as external files
+   * @param {string} xliffFileName - File name of the XLIFF in the package
+   * @param {Object} screenshots - Screenshots from createScreenshots
+   * @returns {Promise<Buffer>} Zip data
+   */
+  async createPackage(xliffContent, xliffFileName, screenshots) {
+    const zip = new JSZip()
+    zip.file(xliffFileName, xliffContent)
+
+    const images = [...screenshots.slides.values(), ...screenshots.segments.values()]
+    images.forEach(image => zip.file(image.href, image.png))
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  }
+
+  /**
+   * Generate the package file name for an XLIFF file name
+   * @param {string} xliffFileName - XLIFF file name
+   * @returns {string} Zip file name
+   */
+  generatePackageFileName(xliffFileName) {
+    return xliffFileName.replace(/\.xlf$/, '') + '.zip'
+  }
+
+  /**
+   * Decode a PNG data URL
+   * @param {string} dataUrl - Data URL
+   * @returns {Buffer|null} PNG data, or null when the URL is not a base64 PNG
+   */
+  decodeDataUrl(dataUrl) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(/^data:image\/png;base64,(.+)$/)
+    return match ? Buffer.from(match[1], 'base64') : null
+  }
+
+  /**
+   * Make a segment ID safe for use in a file name
+   * @param {string} id - Segment ID
+   * @returns {string} File name part
+   */
+  sanitizeName(id) {
+    return String(id).replace(/[^\w-]/g, '_')
+  }
+}
+
+module.exports = ContextScreenshots
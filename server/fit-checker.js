@@ -0,0 +1,456 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const fontkit = require('fontkit')
+const { FONT_SUBSTITUTES, LINE_HEIGHT, estimateTextWidth, getLargestFontSize } = require('./text-layout-utils')
+
+/**
+ * Fit Checker
+ * Lays out translated text in the text frame of its source shape and reports whether it
+ * overflows. Widths are measured with the glyph metrics of local font files (the shape's font
+ * or its metric-compatible substitute); without a matching font, average character widths
+ * are used instead and the result says so.
+ */
+
+// Directories searched for font files, after those in the FONT_PATH environment variable
+const FONT_DIRECTORIES = [
+  path.join(__dirname, 'fonts'),
+  '/usr/share/fonts',
+  '/usr/local/share/fonts',
+  path.join(os.homedir(), '.fonts'),
+  path.join(os.homedir(), '.local', 'share', 'fonts'),
+  '/Library/Fonts',
+  '/System/Library/Fonts',
+  'C:\\Windows\\Fonts'
+]
+
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc']
+
+// Name table IDs read for the index
+const NAME_IDS = { family: 1, postscriptName: 6, preferredFamily: 16 }
+
+// OS/2 fsSelection bits
+const FS_SELECTION_ITALIC = 0x0001
+const FS_SELECTION_BOLD = 0x0020
+const FS_SELECTION_OBLIQUE = 0x0200
+
+// Windows platform, US English
+const WINDOWS_PLATFORM = 3
+const ENGLISH_LANGUAGE = 0x0409
+
+// Rounding tolerance when comparing line widths with the frame, in points
+const WIDTH_TOLERANCE = 0.5
+
+class FitChecker {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.fontDirectories] - Directories searched for font files
+   */
+  constructor(options = {}) {
+    const fontPath = process.env.FONT_PATH ? process.env.FONT_PATH.split(path.delimiter) : []
+    this.fontDirectories = options.fontDirectories || [...fontPath, ...FONT_DIRECTORIES]
+    this.fontIndex = null
+    this.fontIndexLoading = null
+  }
+
+  /**
+   * Check whether translations fit the text frames of their source shapes
+   * @param {Array} items - Items ({ id, text, fontFamily, fontSize, bold, italic, frame }); frame is a text frame in points
+   * @returns {Promise<Object>} { results, summary: { checked, overflowing, estimated } }
+   */
+  async checkItems(items) {
+    const results = []
+    for (const item of items) {
+      results.push(await this.checkFit(item))
+    }
+
+    return {
+      results,
+      summary: {
+        checked: results.length,
+        overflowing: results.filter(result => !result.fits).length,
+        estimated: results.filter(result => result.metrics === 'estimated').length
+      }
+    }
+  }
+
+  /**
+   * Check whether the text of extracted text elements fits their text frames, as laid out in a
+   * (localized) deck; elements without a text frame are skipped
+   * @param {Array} elements - Text elements with their text frames
+   * @returns {Promise<Array>} Results with the textElementId and boundingBox of each element
+   */
+  async checkTextElements(elements) {
+    const results = []
+    for (const element of elements.filter(element => element.textFrame && element.text.trim())) {
+      const result = await this.checkFit({
+        id: element.id,
+        text: element.text,
+        fontFamily: element.fontFamily,
+        fontSize: getLargestFontSize(element),
+        bold: element.isBold,
+        italic: element.isItalic,
+        frame: element.textFrame
+      })
+      results.push({ ...result, textElementId: element.id, boundingBox: element.boundingBox })
+    }
+    return results
+  }
+
+  /**
+   * Validate the items of a fit check request
+   * @param {Array} items - Items to check
+   * @returns {Array<Object>} Errors ({ message, index }); empty when all items are valid
+   */
+  validateItems(items) {
+    const errors = []
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value)
+
+    items.forEach((item, index) => {
+      const fail = message => errors.push({ message: `Item ${index}: ${message}`, index })
+      if (!item || typeof item !== 'object') return fail('must be an object')
+      if (typeof item.text !== 'string') fail('text must be a string')
+      if (!isNumber(item.fontSize) || item.fontSize <= 0) fail('fontSize must be a positive number of points')
+      if (item.fontFamily !== undefined && item.fontFamily !== null && typeof item.fontFamily !== 'string') {
+        fail('fontFamily must be a string')
+      }
+      if (!item.frame || typeof item.frame !== 'object') return fail('frame is required')
+      // Empty boxes are valid; nothing fits in them
+      if (!isNumber(item.frame.width) || !isNumber(item.frame.height) || item.frame.width < 0 || item.frame.height < 0) {
+        fail('frame width and height must be non-negative numbers of points')
+      }
+    })
+
+    return errors
+  }
+
+  /**
+   * Lay out a text in a frame and measure the overflow
+   * @param {Object} item - Item ({ id, text, fontFamily, fontSize, bold, italic, frame })
+   * @returns {Promise<Object>} { id, fits, lines, maxLines, overflowLines, overflowWidth, overflowHeight, autofit, font, metrics };
+   *   overflows are in points, metrics is 'font' or 'estimated'
+   */
+  async checkFit(item) {
+    const { frame } = item
+    const fontScale = frame.fontScale || 1
+    const fontSize = item.fontSize * fontScale
+    const insets = frame.insets || { l: 0, t: 0, r: 0, b: 0 }
+    const width = frame.width - insets.l - insets.r
+    const height = (frame.maxHeight || frame.height) - insets.t - insets.b
+    const lineHeight = fontSize * LINE_HEIGHT * (1 - (frame.lineReduction || 0))
+
+    const font = await this.findFont(item.fontFamily, item.bold, item.italic)
+    const measure = text => font
+      ? font.layout(text).advanceWidth / font.unitsPerEm * fontSize
+      : estimateTextWidth(text, fontSize, item.bold)
+
+    const lineWidths = this.layoutLines(item.text, Math.max(width, 0), frame.wrap !== false, measure)
+    const maxLines = Math.max(0, Math.floor(height / lineHeight))
+    const widest = Math.max(0, ...lineWidths)
+    const overflowWidth = Math.max(0, widest - width)
+    const overflowHeight = Math.max(0, lineWidths.length * lineHeight - height)
+
+    return {
+      id: item.id,
+      fits: lineWidths.length <= maxLines && overflowWidth <= WIDTH_TOLERANCE,
+      lines: lineWidths.length,
+      maxLines,
+      overflowLines: Math.max(0, lineWidths.length - maxLines),
+      overflowWidth: this.round(overflowWidth),
+      overflowHeight: this.round(overflowHeight),
+      autofit: frame.autofit || 'none',
+      font: font ? font.fullName : null,
+      metrics: font ? 'font' : 'estimated'
+    }
+  }
+
+  /**
+   * Break text into lines the way PowerPoint wraps it: at spaces, and inside words that are
+   * wider than the frame. Trailing spaces hang past the edge and are not measured.
+   * @param {string} text - Text; newlines start new paragraphs
+   * @param {number} width - Available line width in points
+   * @param {boolean} wrap - Whether lines wrap at the frame width
+   * @param {Function} measure - Returns the width of a string in points
+   * @returns {Array<number>} Width of each line in points
+   */
+  layoutLines(text, width, wrap, measure) {
+    const lines = []
+
+    text.split(/\r\n|\r|\n|\v/).forEach(paragraph => {
+      if (!wrap) {
+        lines.push(measure(paragraph.trimEnd()))
+        return
+      }
+
+      let line = ''
+      const pushLine = () => {
+        lines.push(measure(line.trimEnd()))
+        line = ''
+      }
+
+      paragraph.split(/(\s+)/).filter(Boolean).forEach(token => {
+        if (/^\s+$/.test(token)) {
+          line += token
+          return
+        }
+        if (line.trim() && measure(line + token) > width + WIDTH_TOLERANCE) {
+          pushLine()
+        }
+
+        // Words wider than the frame are broken between characters
+        let word = token
+        if (!line.trim()) line = ''
+        while (measure(line + word) > width + WIDTH_TOLERANCE && Array.from(word).length > 1) {
+          const characters = Array.from(word)
+          let count = characters.length - 1
+          while (count > 1 && measure(line + characters.slice(0, count).join('')) > width + WIDTH_TOLERANCE) count--
+          line += characters.slice(0, count).join('')
+          pushLine()
+          word = characters.slice(count).join('')
+        }
+        line += word
+      })
+
+      pushLine()
+    })
+
+    return lines
+  }
+
+  /**
+   * Find a font file for a family and style, trying the family and then its metric-compatible substitute
+   * @param {string} family - Font family (e.g. "Calibri")
+   * @param {boolean} [bold] - Bold style
+   * @param {boolean} [italic] - Italic style
+   * @returns {Promise<Object|null>} fontkit font, or null when no local font matches
+   */
+  async findFont(family, bold = false, italic = false) {
+    const index = await this.loadFontIndex()
+    const families = [family, FONT_SUBSTITUTES[family]].filter(Boolean).map(name => name.toLowerCase())
+
+    for (const name of families) {
+      const candidates = index.get(name)
+      if (!candidates) continue
+
+      const match = candidates.find(candidate => candidate.bold === !!bold && candidate.italic === !!italic) ||
+        candidates.find(candidate => candidate.bold === !!bold) ||
+        candidates[0]
+      // Only fonts that are used are opened, once
+      if (!match.font) {
+        match.font = this.openFont(match)
+      }
+      try {
+        return await match.font
+      } catch (error) {
+        console.warn(`Skipping unreadable font ${match.file}: ${error.message}`)
+        candidates.splice(candidates.indexOf(match), 1)
+        return this.findFont(family, bold, italic)
+      }
+    }
+    return null
+  }
+
+  /**
+   * Index the font files of the font directories by family name, once. Only the name and OS/2
+   * tables are read, without blocking the event loop; the server starts this when it starts.
+   * @returns {Promise<Map<string, Array>>} Lowercase family name to fonts ({ file, postscriptName, collection, bold, italic, font })
+   */
+  loadFontIndex() {
+    if (!this.fontIndexLoading) {
+      this.fontIndexLoading = this.buildFontIndex().then(index => {
+        this.fontIndex = index
+        return index
+      })
+    }
+    return this.fontIndexLoading
+  }
+
+  /**
+   * Build the font index
+   * @returns {Promise<Map<string, Array>>} Lowercase family name to fonts
+   */
+  async buildFontIndex() {
+    const index = new Map()
+
+    for (const file of await this.findFontFiles()) {
+      let faces
+      try {
+        faces = await this.readFontFaces(file)
+      } catch (error) {
+        console.warn(`Skipping unreadable font ${file}: ${error.message}`)
+        continue
+      }
+
+      // Collections (.ttc) hold several fonts
+      faces.forEach(face => {
+        const entry = {
+          file,
+          postscriptName: face.postscriptName,
+          collection: faces.length > 1 || face.collection,
+          bold: face.bold,
+          italic: face.italic,
+          font: null
+        }
+        new Set(face.families).forEach(name => {
+          const key = name.toLowerCase()
+          if (!index.has(key)) index.set(key, [])
+          index.get(key).push(entry)
+        })
+      })
+    }
+
+    return index
+  }
+
+  /**
+   * List the font files in the font directories and their subdirectories
+   * @returns {Promise<Array<string>>} Font file paths
+   */
+  async findFontFiles() {
+    const files = []
+    const visit = async directory => {
+      let entries
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true })
+      } catch (error) {
+        return
+      }
+      for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name)
+        if (entry.isDirectory()) await visit(fullPath)
+        else if (FONT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) files.push(fullPath)
+      }
+    }
+
+    for (const directory of this.fontDirectories) {
+      await visit(directory)
+    }
+    return files
+  }
+
+  /**
+   * Read the names and style of each font in a font file from its table directory, name table
+   * and OS/2 table, without loading the rest of the file
+   * @param {string} file - Font file path
+   * @returns {Promise<Array>} Fonts ({ postscriptName, families, bold, italic, collection })
+   */
+  async readFontFaces(file) {
+    const handle = await fs.promises.open(file, 'r')
+    try {
+      const read = async (offset, length) => {
+        const buffer = Buffer.alloc(length)
+        const { bytesRead } = await handle.read(buffer, 0, length, offset)
+        if (bytesRead < length) throw new Error('truncated font file')
+        return buffer
+      }
+
+      const header = await read(0, 12)
+      if (header.toString('latin1', 0, 4) !== 'ttcf') {
+        return [await this.readFontFace(read, 0)]
+      }
+
+      const count = header.readUInt32BE(8)
+      const offsets = await read(12, count * 4)
+      const faces = []
+      for (let index = 0; index < count; index++) {
+        faces.push({ ...await this.readFontFace(read, offsets.readUInt32BE(index * 4)), collection: true })
+      }
+      return faces
+    } finally {
+      await handle.close()
+    }
+  }
+
+  /**
+   * Read the names and style of the font whose offset table starts at an offset
+   * @param {Function} read - Reads (offset, length) bytes of the file
+   * @param {number} offset - Offset of the font's offset table
+   * @returns {Promise<Object>} { postscriptName, families, bold, italic }
+   */
+  async readFontFace(read, offset) {
+    const tableCount = (await read(offset + 4, 2)).readUInt16BE(0)
+    const directory = await read(offset + 12, tableCount * 16)
+    const tables = new Map()
+    for (let index = 0; index < tableCount; index++) {
+      const record = index * 16
+      tables.set(directory.toString('latin1', record, record + 4), {
+        offset: directory.readUInt32BE(record + 8),
+        length: directory.readUInt32BE(record + 12)
+      })
+    }
+
+    const nameTable = tables.get('name')
+    if (!nameTable) throw new Error('no name table')
+    const names = this.parseNameTable(await read(nameTable.offset, nameTable.length))
+
+    // fsSelection is at byte 62 of every OS/2 table version
+    const os2 = tables.get('OS/2')
+    const selection = os2 && os2.length >= 64 ? (await read(os2.offset + 62, 2)).readUInt16BE(0) : 0
+
+    return {
+      postscriptName: names.postscriptName || null,
+      families: [names.family, names.preferredFamily].filter(Boolean),
+      bold: !!(selection & FS_SELECTION_BOLD),
+      italic: !!(selection & (FS_SELECTION_ITALIC | FS_SELECTION_OBLIQUE))
+    }
+  }
+
+  /**
+   * Read the family and PostScript names of a name table, preferring English Windows records
+   * @param {Buffer} table - Name table
+   * @returns {Object} { family, postscriptName, preferredFamily }; missing names are undefined
+   */
+  parseNameTable(table) {
+    const count = table.readUInt16BE(2)
+    const stringOffset = table.readUInt16BE(4)
+    const names = {}
+    const ranks = {}
+
+    for (let index = 0; index < count && 6 + (index + 1) * 12 <= table.length; index++) {
+      const record = 6 + index * 12
+      const platform = table.readUInt16BE(record)
+      const encoding = table.readUInt16BE(record + 2)
+      const language = table.readUInt16BE(record + 4)
+      const nameId = table.readUInt16BE(record + 6)
+      const key = Object.keys(NAME_IDS).find(name => NAME_IDS[name] === nameId)
+      // Unicode and Windows names are UTF-16; Mac names are only read in Roman
+      const rank = platform === WINDOWS_PLATFORM ? (language === ENGLISH_LANGUAGE ? 3 : 2)
+        : platform === 0 ? 2
+          : platform === 1 && encoding === 0 ? 1
+            : 0
+      if (!key || rank <= (ranks[key] || 0)) continue
+
+      const start = stringOffset + table.readUInt16BE(record + 10)
+      const bytes = table.subarray(start, start + table.readUInt16BE(record + 8))
+      const text = platform === 1
+        ? bytes.toString('latin1')
+        : Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2))).swap16().toString('utf16le')
+      if (!text) continue
+
+      names[key] = text
+      ranks[key] = rank
+    }
+
+    return names
+  }
+
+  /**
+   * Open an indexed font
+   * @param {Object} entry - Font index entry
+   * @returns {Promise<Object>} fontkit font
+   */
+  openFont(entry) {
+    return entry.collection ? fontkit.open(entry.file, entry.postscriptName) : fontkit.open(entry.file)
+  }
+
+  /**
+   * Round a length to hundredths of a point
+   * @param {number} value - Length in points
+   * @returns {number} Rounded length
+   */
+  round(value) {
+    return Math.round(value * 100) / 100
+  }
+}
+
+module.exports = FitChecker
@@ -0,0 +1,75 @@
+const axios = require('axios')
+const TranslationProvider = require('./translation-provider')
+
+/**
+ * HTTP Translation Provider
+ * Adapter for MT engines behind a plain HTTP endpoint (MT_HTTP_URL, optional MT_API_KEY).
+ * Each slide is posted as JSON:
+ *   { sourceLanguage, targetLanguage, segments: [{ id, text, tagged, visualContext, boundingBox, topic, semanticContext, maxChars, previous, next }] }
+ * Tagged texts are XML with inline codes (<g id="n">…</g>, <x id="n"/>), like an engine's XML tag
+ * handling expects; their translations must keep every tag, in order. The engine answers with { translations: [{ id, translation, confidence?, rationale? }] }, or
+ * with the translations as an array of strings in the order of the segments.
+ */
+
+const DEFAULT_TIMEOUT = 60000
+
+class HttpTranslationProvider extends TranslationProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.url] - Endpoint URL
+   * @param {string} [options.apiKey] - Sent as a bearer token
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    super('http')
+    this.url = options.url || process.env.MT_HTTP_URL
+    this.apiKey = options.apiKey || process.env.MT_API_KEY
+    this.timeout = options.timeout || DEFAULT_TIMEOUT
+  }
+
+  /**
+   * Post a slide's segments to the engine
+   * @param {Array} items - Segments with their context
+   * @param {Object} languages - { sourceLanguage, targetLanguage }
+   * @param {Object|null} slide - Unused; the engine gets no slide images
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<Array<string|Object|null>>} Translation of each item, in order
+   */
+  async translateBatch(items, { sourceLanguage, targetLanguage }, slide, signal) {
+    if (!this.url) {
+      throw new Error('MT_HTTP_URL is not configured')
+    }
+
+    const response = await axios.post(this.url, { sourceLanguage, targetLanguage, segments: items }, {
+      timeout: this.timeout,
+      signal,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    })
+
+    return this.parseTranslations(response.data, items)
+  }
+
+  /**
+   * Read the engine's translations in the order of the items
+   * @param {Object|Array} data - Response body
+   * @param {Array} items - Segments with their context
+   * @returns {Array<string|Object|null>} Translation of each item, with confidence and rationale when given
+   */
+  parseTranslations(data, items) {
+    const translations = Array.isArray(data) ? data : data && data.translations
+    if (!Array.isArray(translations)) {
+      throw new Error('Translation engine response has no translations array')
+    }
+
+    if (translations.every(entry => typeof entry === 'string')) {
+      return items.map((item, index) => translations[index] ?? null)
+    }
+
+    const byId = new Map(translations
+      .filter(entry => entry && typeof entry.translation === 'string')
+      .map(entry => [String(entry.id), entry]))
+    return items.map(item => byId.has(item.id) ? byId.get(item.id) : null)
+  }
+}
+
+module.exports = HttpTranslationProvider
@@ -11,26 +11,48 @@ const PowerPointProcessor = require('./powerpoint-processor')
 const VisualAnalyzer = require('./visual-analyzer')
 const SegmentationEngine = require('./segmentation-engine')
 const XLIFFGenerator = require('./xliff-generator')
+const XLIFF2Generator = require('./xliff2-generator')
+const XLIFFParser = require('./xliff-parser')
+const PptxWriter = require('./pptx-writer')
+const ContextScreenshots = require('./context-screenshots')
+const FitChecker = require('./fit-checker')
+const PseudoLocalizer = require('./pseudo-localizer')
+const { getDefaultProviderName, getAvailableProviderNames, createTranslationProvider } = require('./translation-providers')
+const { createModelClient } = require('./model-clients')
+const AnalysisCache = require('./analysis-cache')
 
 const app = express()
 const PORT = process.env.PORT || 3001
 
 // Initialize processors
+const modelClient = createModelClient()
 const pptProcessor = new PowerPointProcessor()
-const visualAnalyzer = new VisualAnalyzer()
+const analysisCache = new AnalysisCache()
+const visualAnalyzer = new VisualAnalyzer(modelClient, analysisCache)
 const segmentationEngine = new SegmentationEngine()
 const xliffGenerator = new XLIFFGenerator()
+const xliff2Generator = new XLIFF2Generator()
+const xliffParser = new XLIFFParser()
+const pptxWriter = new PptxWriter(pptProcessor)
+const contextScreenshots = new ContextScreenshots()
+const fitChecker = new FitChecker()
+const pseudoLocalizer = new PseudoLocalizer()
+
+// Largest number of segments checked per fit check request
+const MAX_FIT_CHECK_ITEMS = 2000
 
 // Middleware
 app.use(cors())
-app.use(express.json())
+// Exports with context screenshots carry the slide images
+app.use(express.json({ limit: '50mb' }))
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage()
 const upload = multer({ 
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit for PowerPoint files
+    fileSize: 10 * 1024 * 1024, // 10MB limit for PowerPoint files
+    fieldSize: 20 * 1024 * 1024 // segments sent along with a deck as JSON
   },
   fileFilter: (req, file, cb) => {
     const allowedTypes = [
@@ -38,15 +60,18 @@ const upload = multer({
       'text/html',
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/xml',
+      'text/xml',
+      'application/x-xliff+xml'
     ]
-    const allowedExtensions = ['.txt', '.html', '.htm', '.pdf', '.docx', '.pptx']
+    const allowedExtensions = ['.txt', '.html', '.htm', '.pdf', '.docx', '.pptx', '.xlf', '.xliff']
     const fileExtension = path.extname(file.originalname).toLowerCase()
     
     if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(fileExtension)) {
       cb(null, true)
     } else {
-      cb(new Error('Only .txt, .html, .pdf, .docx, and .pptx files are supported'))
+      cb(new Error('Only .txt, .html, .pdf, .docx, .pptx, and .xlf files are supported'))
     }
   }
 })
@@ -58,8 +83,9 @@ app.post('/api/analyze', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' })
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' })
+    const modelError = modelClient.getConfigurationError()
+    if (modelError) {
+      return res.status(500).json({ error: modelError })
     }
 
     // Extract text based on file type
@@ -107,7 +133,7 @@ app.post('/api/analyze', upload.single('file'), async (req, res) => {
     }
     
     // Analyze the document
-    const results = await analyzeDocument(text)
+    const results = await analyzeDocument(text, modelClient)
     
     res.json(results)
   } catch (error) {
@@ -135,6 +161,12 @@ app.use((error, req, res, next) => {
 
 // PowerPoint Analysis Route
 app.post('/api/analyze-powerpoint', upload.single('file'), async (req, res) => {
+  // Stop analyzing when the client disconnects before the response is sent
+  const cancellation = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) cancellation.abort()
+  })
+
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' })
@@ -145,8 +177,9 @@ app.post('/api/analyze-powerpoint', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'File upload failed - file may be too large (max 10MB)' })
     }
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' })
+    const modelError = modelClient.getConfigurationError()
+    if (modelError) {
+      return res.status(500).json({ error: modelError })
     }
 
     const fileExtension = path.extname(req.file.originalname).toLowerCase()
@@ -160,34 +193,43 @@ app.post('/api/analyze-powerpoint', upload.single('file'), async (req, res) => {
     console.log(`Processing PowerPoint file: ${req.file.originalname}`)
 
     // Step 1: Process PowerPoint file
-    const pptData = await pptProcessor.processPowerPoint(req.file.buffer, req.file.originalname)
+    const pptData = await pptProcessor.processPowerPoint(req.file.buffer, req.file.originalname, {
+      includeNotes: req.body.includeNotes !== 'false',
+      hiddenContent: req.body.hiddenContent
+    })
     console.log(`Extracted ${pptData.slides.length} slides`)
 
     // Step 2: Perform visual analysis on each slide
     console.log('Starting visual analysis...')
-    const analyzedSlides = await visualAnalyzer.analyzeSlides(pptData.slides)
-    console.log('Visual analysis complete')
+    const analyzedSlides = await visualAnalyzer.analyzeSlides(pptData.slides, { signal: cancellation.signal })
+    const statusCounts = analyzedSlides.reduce((counts, slide) => ({ ...counts, [slide.analysisStatus]: (counts[slide.analysisStatus] || 0) + 1 }), {})
+    console.log(`Visual analysis complete: ${Object.entries(statusCounts).map(([status, count]) => `${count} ${status}`).join(', ')}`)
 
     // Step 3: Generate intelligent segmentation
     console.log('Generating visual segmentation...')
-    const optimizedSegments = segmentationEngine.generateSegmentation(analyzedSlides)
+    const optimizedSegments = segmentationEngine.generateSegmentation(analyzedSlides, {
+      segmentationLevel: req.body.segmentationLevel,
+      hiddenContent: req.body.hiddenContent
+    })
     console.log(`Generated ${optimizedSegments.length} optimized segments`)
 
-    // Step 4: Generate translations for proof of concept
-    const segmentsWithTranslations = await generateTranslations(optimizedSegments)
-
     res.json({
       analysis: {
         fileName: pptData.fileName,
         slides: analyzedSlides,
+        slideSize: pptData.slideSize,
         totalSlides: pptData.totalSlides,
         analysisTimestamp: pptData.analysisTimestamp
       },
-      segments: segmentsWithTranslations,
+      segments: optimizedSegments,
       optimizedSegments: optimizedSegments
     })
 
   } catch (error) {
+    if (cancellation.signal.aborted) {
+      console.log('PowerPoint analysis cancelled: the client disconnected')
+      return
+    }
     console.error('Error analyzing PowerPoint:', error)
     res.status(500).json({ 
       error: error.message || 'Failed to analyze PowerPoint file' 
@@ -195,20 +237,11 @@ app.post('/api/analyze-powerpoint', upload.single('file'), async (req, res) => {
   }
 })
 
-// Helper function to generate translations for proof of concept
-async function generateTranslations(segments) {
-  // For now, return segments without translation
-  // In production, you'd integrate with your translation engine
-  return segments.map(segment => ({
-    ...segment,
-    translation: `[Translation for: ${segment.text}]`
-  }))
-}
-
 // XLIFF Export endpoint
 app.post('/api/export-xliff', async (req, res) => {
   try {
-    const { segments, fileName, sourceLanguage = 'en', targetLanguage = 'es' } = req.body
+    const { fileName, sourceLanguage = 'en', format = '1.2', screenshots = 'none', slides = [], pseudo } = req.body
+    let { segments, targetLanguage = 'es' } = req.body
 
     if (!segments || !Array.isArray(segments) || segments.length === 0) {
       return res.status(400).json({ error: 'No segments provided for export' })
@@ -218,28 +251,86 @@ app.post('/api/export-xliff', async (req, res) => {
       return res.status(400).json({ error: 'File name is required' })
     }
 
-    console.log(`Generating XLIFF for ${segments.length} segments from ${fileName}`)
+    const generators = { '1.2': xliffGenerator, '2.1': xliff2Generator }
+    const generator = generators[format]
+    if (!generator) {
+      return res.status(400).json({ error: `Unsupported XLIFF format: ${format}. Use 1.2 or 2.1.` })
+    }
+
+    if (screenshots !== 'none') {
+      if (!contextScreenshots.isMode(screenshots)) {
+        return res.status(400).json({ error: `Unsupported screenshot mode: ${screenshots}. Use none, embed or package.` })
+      }
+      if (format !== '1.2') {
+        return res.status(400).json({ error: 'Context screenshots are only available in XLIFF 1.2 exports' })
+      }
+      if (!Array.isArray(slides) || !slides.some(slide => contextScreenshots.decodeDataUrl(slide.slideImage))) {
+        return res.status(400).json({ error: 'Slide images are required for context screenshots' })
+      }
+    }
+
+    const textless = segments.filter(segment => typeof segment.text !== 'string')
+    if (textless.length > 0) {
+      return res.status(400).json({
+        error: 'Segments without text cannot be exported',
+        details: textless.map(segment => ({ message: `Segment ${segment.id} has no text`, line: null, column: null }))
+      })
+    }
+
+    // Pseudo-translated exports replace the translations and target the pseudo-locale
+    if (pseudo) {
+      const { options, errors } = pseudoLocalizer.normalizeOptions(pseudo)
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid pseudo-localization options',
+          details: errors.map(message => ({ message, line: null, column: null }))
+        })
+      }
+      segments = pseudoLocalizer.translateSegments(segments, options)
+      targetLanguage = pseudoLocalizer.getLanguage(options)
+    }
+
+    console.log(`Generating XLIFF ${format} for ${segments.length} segments from ${fileName}`)
+
+    // Highlight each segment on its slide image
+    const screenshotSet = screenshots !== 'none'
+      ? await contextScreenshots.createScreenshots(segments, slides, screenshots)
+      : null
 
     // Generate XLIFF content
-    const xliffContent = xliffGenerator.generateXLIFF(
+    const xliffContent = generator.generateXLIFF(
       segments, 
       fileName, 
       sourceLanguage, 
-      targetLanguage
+      targetLanguage,
+      { screenshots: screenshotSet }
     )
 
-    // Validate XLIFF
-    const validation = xliffGenerator.validateXLIFF(xliffContent)
+    // Validate XLIFF; errors carry the line and column in the generated document
+    const validation = await generator.validateXLIFF(xliffContent)
     if (!validation.isValid) {
       console.error('XLIFF validation failed:', validation.errors)
-      return res.status(500).json({ 
-        error: 'XLIFF generation failed', 
+      return res.status(422).json({ 
+        error: 'Generated XLIFF is not valid', 
         details: validation.errors 
       })
     }
 
     // Generate filename
-    const xliffFileName = xliffGenerator.generateXLIFFFileName(fileName, targetLanguage)
+    const xliffFileName = generator.generateXLIFFFileName(fileName, targetLanguage)
+
+    // Packages bundle the XLIFF with the images its external-file elements reference
+    if (screenshots === 'package') {
+      const packageFileName = contextScreenshots.generatePackageFileName(xliffFileName)
+      const packageBuffer = await contextScreenshots.createPackage(xliffContent, xliffFileName, screenshotSet)
+
+      res.setHeader('Content-Type', 'application/zip')
+      res.setHeader('Content-Disposition', `attachment; filename="${packageFileName}"`)
+      res.setHeader('Content-Length', packageBuffer.length)
+
+      console.log(`XLIFF package export successful: ${packageFileName} (${validation.transUnitCount} segments, ${screenshotSet.segments.size} screenshots)`)
+      return res.send(packageBuffer)
+    }
 
     // Set response headers for file download
     res.setHeader('Content-Type', 'application/xml')
@@ -260,17 +351,337 @@ app.post('/api/export-xliff', async (req, res) => {
   }
 })
 
+// XLIFF Import endpoint - reloads exported (or CAT-translated) segments for further review
+app.post('/api/import-xliff', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' })
+    }
+
+    const fileExtension = path.extname(req.file.originalname).toLowerCase()
+    if (!['.xlf', '.xliff'].includes(fileExtension)) {
+      return res.status(400).json({ error: 'Only XLIFF (.xlf, .xliff) files can be imported' })
+    }
+
+    // Files round-tripped through a CAT tool carry its extensions, so they are validated laxly
+    const xliffContent = req.file.buffer.toString('utf-8')
+    const validation = await xliffGenerator.validateXLIFF(xliffContent, { lax: true })
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid XLIFF file',
+        details: validation.errors
+      })
+    }
+
+    const xliff = xliffParser.parseXLIFF(xliffContent)
+    const segments = xliffParser.buildSegments(xliff)
+    console.log(`XLIFF import successful: ${req.file.originalname} (${segments.length} segments)`)
+
+    res.json({
+      fileName: xliff.fileName || req.file.originalname,
+      sourceLanguage: xliff.sourceLanguage || 'en',
+      targetLanguage: xliff.targetLanguage || 'es',
+      segments
+    })
+
+  } catch (error) {
+    console.error('Error importing XLIFF:', error)
+    res.status(400).json({
+      error: 'Failed to import XLIFF file',
+      details: error.message
+    })
+  }
+})
+
+// Localized PowerPoint generation endpoint
+app.post('/api/generate-pptx', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'xliff', maxCount: 1 }]), async (req, res) => {
+  try {
+    const pptxFile = req.files && req.files.file && req.files.file[0]
+    const xliffFile = req.files && req.files.xliff && req.files.xliff[0]
+
+    if (!pptxFile) {
+      return res.status(400).json({ error: 'No PowerPoint file uploaded' })
+    }
+
+    if (path.extname(pptxFile.originalname).toLowerCase() !== '.pptx') {
+      return res.status(400).json({ error: 'Only PowerPoint (.pptx) files can be localized' })
+    }
+
+    // The translated XLIFF comes as a second file, or as a form field
+    const xliffContent = xliffFile ? xliffFile.buffer.toString('utf-8') : req.body.xliff
+    if (!xliffContent) {
+      return res.status(400).json({ error: 'No translated XLIFF provided' })
+    }
+
+    // Translated files come back from CAT tools with their extensions, so they are validated laxly
+    const validation = await xliffGenerator.validateXLIFF(xliffContent, { lax: true })
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid XLIFF file',
+        details: validation.errors
+      })
+    }
+
+    console.log(`Generating localized PowerPoint from ${pptxFile.originalname} (${validation.transUnitCount} units)`)
+
+    // hiddenContent must match the export so text element IDs line up
+    const { buffer, targetLanguage, report } = await pptxWriter.generatePptx(pptxFile.buffer, xliffContent, {
+      hiddenContent: req.body.hiddenContent,
+      targetLanguage: req.body.targetLanguage
+    })
+
+    if (report.unplaced.length > 0) {
+      console.warn(`${report.unplaced.length} units could not be placed:`, report.unplaced)
+    }
+
+    const pptxFileName = pptxWriter.generatePptxFileName(pptxFile.originalname, targetLanguage)
+
+    // The header only carries counts, so its size does not grow with the deck; the lists of
+    // affected units come in the package's report.json
+    res.setHeader('X-Translation-Report', JSON.stringify(pptxWriter.summarizeReport(report)))
+    res.setHeader('Access-Control-Expose-Headers', 'X-Translation-Report')
+
+    if ([true, 'true'].includes(req.body.package)) {
+      const packageFileName = pptxWriter.generatePackageFileName(pptxFileName)
+      const packageBuffer = await pptxWriter.createPackage(buffer, pptxFileName, report)
+
+      res.setHeader('Content-Type', 'application/zip')
+      res.setHeader('Content-Disposition', `attachment; filename="${packageFileName}"`)
+      res.setHeader('Content-Length', packageBuffer.length)
+
+      console.log(`Localized PowerPoint package generated: ${packageFileName} (${report.applied} units applied, ${report.unplaced.length} unplaced)`)
+      return res.send(packageBuffer)
+    }
+
+    // Set response headers for file download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.presentationml.presentation')
+    res.setHeader('Content-Disposition', `attachment; filename="${pptxFileName}"`)
+    res.setHeader('Content-Length', buffer.length)
+
+    console.log(`Localized PowerPoint generated: ${pptxFileName} (${report.applied} units applied, ${report.unplaced.length} unplaced)`)
+
+    res.send(buffer)
+
+  } catch (error) {
+    console.error('Error generating localized PowerPoint:', error)
+    res.status(500).json({
+      error: 'Failed to generate localized PowerPoint file',
+      details: error.message
+    })
+  }
+})
+
+// Fit check endpoint - measures translations in the text boxes of their source shapes
+app.post('/api/check-fit', async (req, res) => {
+  try {
+    const { items } = req.body
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'No items provided for the fit check' })
+    }
+
+    if (items.length > MAX_FIT_CHECK_ITEMS) {
+      return res.status(400).json({ error: `Too many items: ${items.length}. Check at most ${MAX_FIT_CHECK_ITEMS} per request.` })
+    }
+
+    const errors = fitChecker.validateItems(items)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid fit check items',
+        details: errors
+      })
+    }
+
+    const { results, summary } = await fitChecker.checkItems(items)
+    console.log(`Fit check: ${summary.checked} segments, ${summary.overflowing} overflowing, ${summary.estimated} estimated`)
+
+    res.json({ results, summary })
+
+  } catch (error) {
+    console.error('Error checking fit:', error)
+    res.status(500).json({
+      error: 'Failed to check fit',
+      details: error.message
+    })
+  }
+})
+
+// Pseudo-localization preview endpoint - pseudo-translates the segments into the deck, renders
+// it and reports the text boxes that overflow on each slide
+app.post('/api/pseudo-localize', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No PowerPoint file uploaded' })
+    }
+
+    if (path.extname(req.file.originalname).toLowerCase() !== '.pptx') {
+      return res.status(400).json({ error: 'Only PowerPoint (.pptx) files can be pseudo-localized' })
+    }
+
+    let segments
+    try {
+      segments = JSON.parse(req.body.segments || '[]')
+    } catch (error) {
+      return res.status(400).json({ error: 'Segments must be a JSON array', details: error.message })
+    }
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return res.status(400).json({ error: 'No segments provided for pseudo-localization' })
+    }
+
+    const { options, errors } = pseudoLocalizer.normalizeOptions(req.body)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid pseudo-localization options',
+        details: errors.map(message => ({ message, line: null, column: null }))
+      })
+    }
+
+    console.log(`Pseudo-localizing ${req.file.originalname} (${segments.length} segments, +${options.expansion}%${options.rtl ? ', mirrored' : ''})`)
+
+    // Step 1: Pseudo-translate the segments and write them into the deck
+    const language = pseudoLocalizer.getLanguage(options)
+    const pseudoSegments = pseudoLocalizer.translateSegments(segments, options)
+    const xliffContent = xliffGenerator.generateXLIFF(pseudoSegments, req.file.originalname, req.body.sourceLanguage || 'en', language)
+    const { buffer, report } = await pptxWriter.generatePptx(req.file.buffer, xliffContent, {
+      hiddenContent: req.body.hiddenContent,
+      targetLanguage: language
+    })
+
+    // Step 2: Render the pseudo-localized slides
+    const pseudoDeck = await pptProcessor.processPowerPoint(buffer, req.file.originalname, {
+      includeNotes: false,
+      hiddenContent: req.body.hiddenContent
+    })
+
+    // Step 3: Check every text box of the rendered deck
+    const slides = []
+    for (const slide of pseudoDeck.slides) {
+      const results = await fitChecker.checkTextElements(slide.textElements)
+      slides.push({
+        slideId: slide.slideId,
+        slideImage: slide.slideImage,
+        slideSize: pseudoDeck.slideSize,
+        checked: results.length,
+        hotspots: results.filter(result => !result.fits)
+      })
+    }
+
+    const summary = {
+      checked: slides.reduce((total, slide) => total + slide.checked, 0),
+      overflowing: slides.reduce((total, slide) => total + slide.hotspots.length, 0),
+      slidesWithOverflow: slides.filter(slide => slide.hotspots.length > 0).length,
+      unplaced: report.unplaced.length
+    }
+    console.log(`Pseudo-localization preview: ${summary.overflowing} of ${summary.checked} text boxes overflow on ${summary.slidesWithOverflow} slides`)
+
+    res.json({ language, options, segments: pseudoSegments, slides, summary })
+
+  } catch (error) {
+    console.error('Error pseudo-localizing PowerPoint:', error)
+    res.status(500).json({
+      error: 'Failed to pseudo-localize PowerPoint file',
+      details: error.message
+    })
+  }
+})
+
+// Machine translation endpoint - translates segments with a provider, giving the engine each
+// segment's visual context, topic and neighbouring segments
+app.post('/api/translate', async (req, res) => {
+  // Stop translating when the client disconnects before the response is sent
+  const cancellation = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) cancellation.abort()
+  })
+
+  try {
+    const { segments, sourceLanguage = 'en', targetLanguage = 'es', provider = getDefaultProviderName(), slides = [], useSlideImages = false } = req.body
+
+    if (!Array.isArray(segments) || segments.length === 0) {
+      return res.status(400).json({ error: 'No segments provided for translation' })
+    }
+
+    const providerNames = getAvailableProviderNames()
+    const translator = providerNames.includes(provider) ? createTranslationProvider(provider, { modelClient }) : null
+    if (!translator) {
+      return res.status(400).json({ error: `Unsupported translation provider: ${provider}. Use ${providerNames.join(', ')}.` })
+    }
+
+    if (useSlideImages) {
+      if (!translator.supportsImages) {
+        return res.status(400).json({ error: `The ${provider} translation provider does not accept slide images` })
+      }
+      if (!Array.isArray(slides) || !slides.some(slide => contextScreenshots.decodeDataUrl(slide.slideImage))) {
+        return res.status(400).json({ error: 'Slide images are required to translate with slide images' })
+      }
+    }
+
+    console.log(`Translating ${segments.length} segments from ${sourceLanguage} to ${targetLanguage} with ${provider}${useSlideImages ? ' and slide images' : ''}`)
+    const result = await translator.translateSegments(segments, { sourceLanguage, targetLanguage }, {
+      slides,
+      useSlideImages,
+      signal: cancellation.signal
+    })
+    const { summary } = result
+
+    if (summary.translated === 0 && summary.failed.length > 0) {
+      return res.status(502).json({
+        error: 'Machine translation failed',
+        details: summary.failed.map(failure => ({ message: `Slide ${failure.slideId}: ${failure.message}`, line: null, column: null }))
+      })
+    }
+
+    console.log(`Translation complete: ${summary.translated} translated, ${summary.failed.length} slide batches failed`)
+    res.json(result)
+
+  } catch (error) {
+    if (cancellation.signal.aborted) {
+      console.log('Translation cancelled: the client disconnected')
+      return
+    }
+    console.error('Error translating segments:', error)
+    res.status(500).json({
+      error: 'Failed to translate segments',
+      details: error.message
+    })
+  }
+})
+
+// Analysis cache purge endpoint - every slide is sent to the model again afterwards
+app.delete('/api/analysis-cache', async (req, res) => {
+  try {
+    const { removed, bytes } = await analysisCache.purge()
+    console.log(`Purged ${removed} cached slide analyses (${bytes} bytes)`)
+    res.json({ removed, bytes })
+  } catch (error) {
+    console.error('Error purging the analysis cache:', error)
+    res.status(500).json({
+      error: error.message || 'Failed to purge the analysis cache'
+    })
+  }
+})
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
-    hasApiKey: !!process.env.OPENAI_API_KEY 
+    hasApiKey: !!process.env.OPENAI_API_KEY,
+    modelProvider: modelClient.name,
+    analysisCache: analysisCache.enabled,
+    translationProvider: getDefaultProviderName(),
+    translationProviders: getAvailableProviderNames()
   })
 })
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`)
-  if (!process.env.OPENAI_API_KEY) {
-    console.warn('⚠️  WARNING: OPENAI_API_KEY not found in environment variables')
+  const modelError = modelClient.getConfigurationError()
+  if (modelError) {
+    console.warn(`⚠️  WARNING: ${modelError}`)
   }
+
+  // Index the local fonts in the background so the first fit check does not wait for it
+  fitChecker.loadFontIndex()
+    .then(index => console.log(`Indexed ${index.size} font families for fit checks`))
+    .catch(error => console.warn(`⚠️  WARNING: Failed to index fonts: ${error.message}`))
 })
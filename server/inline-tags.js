@@ -0,0 +1,208 @@
+/**
+ * Inline Tags
+ * Turns a segment's runs into tagged text for translation engines and reads translations of
+ * it back into runs. Formatted or linked spans become <g id="n">…</g>, and line and paragraph
+ * breaks, fields and separators become <x id="n"/>; text in the base formatting stays bare.
+ * A translation may move text around the tags, but must keep every tag once and in order,
+ * since target runs line up one to one with the source runs.
+ */
+
+// Run properties that make a span differ from the base formatting
+const FORMATTING_PROPERTIES = ['bold', 'italic', 'underline', 'color', 'fontFamily', 'fontSize', 'format', 'hyperlink']
+
+const TAG_PATTERN = /<g\s+id\s*=\s*["'](\d+)["']\s*>|<\/g\s*>|<x\s+id\s*=\s*["'](\d+)["']\s*\/>/g
+
+const XML_ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'", '&amp;': '&' }
+
+class InlineTags {
+  /**
+   * Tag a segment's runs
+   * @param {Object} segment - Visual segment
+   * @returns {Object|null} { text, slots }: the tagged text and, in order, the bare, g and x slots
+   *   it was built from ({ type, id, runIndices }); null when the runs carry no codes
+   */
+  createTaggedText(segment) {
+    const runs = segment.runs
+    if (!Array.isArray(runs) || runs.length === 0 || runs.map(run => run.text).join('') !== segment.text) {
+      return null
+    }
+
+    const baseKey = this.findBaseKey(runs)
+    const slots = []
+    let nextId = 1
+
+    runs.forEach((run, index) => {
+      if (run.type !== 'text') {
+        slots.push({ type: 'x', id: nextId++, runIndices: [index] })
+        return
+      }
+
+      const key = this.getFormattingKey(run)
+      const previous = slots[slots.length - 1]
+      if (previous && previous.key === key && previous.type !== 'x') {
+        previous.runIndices.push(index)
+      } else if (key === baseKey) {
+        slots.push({ type: 'bare', key, runIndices: [index] })
+      } else {
+        slots.push({ type: 'g', id: nextId++, key, runIndices: [index] })
+      }
+    })
+
+    if (slots.every(slot => slot.type === 'bare')) return null
+
+    const slotText = slot => this.escapeXml(slot.runIndices.map(index => runs[index].text).join(''))
+    const text = slots.map(slot => {
+      if (slot.type === 'x') return `<x id="${slot.id}"/>`
+      if (slot.type === 'g') return `<g id="${slot.id}">${slotText(slot)}</g>`
+      return slotText(slot)
+    }).join('')
+
+    return { text, slots: slots.map(({ type, id, runIndices }) => ({ type, id, runIndices })) }
+  }
+
+  /**
+   * Read a translation of tagged text back into runs lining up with the source runs. The text
+   * of a slot goes into its first run; x slots keep their source text.
+   * @param {string} translation - Translated tagged text
+   * @param {Object} tagged - Tagged text, from createTaggedText
+   * @param {Array} runs - Source runs
+   * @returns {Array|null} Target runs, or null when the tags did not come back intact
+   */
+  parseTaggedText(translation, tagged, runs) {
+    const tokens = this.tokenize(translation)
+    const tags = tagged.slots.filter(slot => slot.type !== 'bare')
+    const targetRuns = runs.map(run => ({ ...run, text: run.type === 'text' ? '' : run.text }))
+
+    // Text between the tags, in order: gaps[i] precedes tags[i], the last gap follows them
+    const gaps = ['']
+    const inner = new Map()
+    let tagIndex = 0
+    let open = null
+
+    for (const token of tokens) {
+      if (token.type === 'text') {
+        if (open) inner.set(open.id, inner.get(open.id) + token.text)
+        else gaps[gaps.length - 1] += token.text
+        continue
+      }
+      if (token.type === 'close') {
+        if (!open) return null
+        open = null
+        gaps.push('')
+        continue
+      }
+
+      const expected = tags[tagIndex++]
+      if (open || !expected || expected.type !== token.type || expected.id !== token.id) return null
+      if (token.type === 'g') {
+        open = expected
+        inner.set(expected.id, '')
+      } else {
+        gaps.push('')
+      }
+    }
+    if (open || tagIndex !== tags.length) return null
+
+    // Each gap belongs to the bare slot between the same tags; text has nowhere to go without one
+    let gapIndex = 0
+    for (const slot of tagged.slots) {
+      if (slot.type === 'bare') {
+        targetRuns[slot.runIndices[0]].text = gaps[gapIndex]
+        gaps[gapIndex] = ''
+        continue
+      }
+      if (gaps[gapIndex].trim()) return null
+      if (slot.type === 'g') targetRuns[slot.runIndices[0]].text = inner.get(slot.id)
+      gapIndex++
+    }
+    if (gaps[gapIndex].trim()) return null
+
+    return targetRuns
+  }
+
+  /**
+   * Remove the tags from a translation, for a plain-text fallback
+   * @param {string} translation - Translated tagged text
+   * @param {Object} tagged - Tagged text, from createTaggedText
+   * @param {Array} runs - Source runs
+   * @returns {string} Plain text; x tags of paragraph breaks become newlines
+   */
+  stripTags(translation, tagged, runs) {
+    const paragraphIds = new Set(tagged.slots
+      .filter(slot => slot.type === 'x' && runs[slot.runIndices[0]].type === 'paragraph')
+      .map(slot => slot.id))
+
+    return this.tokenize(translation)
+      .map(token => {
+        if (token.type === 'text') return token.text
+        return token.type === 'x' && paragraphIds.has(token.id) ? '\n' : ''
+      })
+      .join('')
+  }
+
+  /**
+   * Split tagged text into text, g, close and x tokens, unescaping the text
+   * @param {string} text - Tagged text
+   * @returns {Array} Tokens ({ type, id?, text? })
+   */
+  tokenize(text) {
+    const tokens = []
+    let position = 0
+
+    for (const match of String(text).matchAll(TAG_PATTERN)) {
+      if (match.index > position) tokens.push({ type: 'text', text: this.unescapeXml(text.slice(position, match.index)) })
+      if (match[1]) tokens.push({ type: 'g', id: Number(match[1]) })
+      else if (match[2]) tokens.push({ type: 'x', id: Number(match[2]) })
+      else tokens.push({ type: 'close' })
+      position = match.index + match[0].length
+    }
+    if (position < String(text).length) tokens.push({ type: 'text', text: this.unescapeXml(String(text).slice(position)) })
+    return tokens
+  }
+
+  /**
+   * Find the formatting that covers the most text, which stays untagged
+   * @param {Array} runs - Segment runs
+   * @returns {string} Formatting key
+   */
+  findBaseKey(runs) {
+    const lengths = new Map()
+    runs.filter(run => run.type === 'text').forEach(run => {
+      const key = this.getFormattingKey(run)
+      lengths.set(key, (lengths.get(key) || 0) + run.text.length)
+    })
+    return [...lengths.entries()].reduce((best, entry) => entry[1] > best[1] ? entry : best, [null, -1])[0]
+  }
+
+  /**
+   * Build a comparable key from a run's formatting and link
+   * @param {Object} run - Segment run
+   * @returns {string} Formatting key
+   */
+  getFormattingKey(run) {
+    return JSON.stringify(FORMATTING_PROPERTIES.map(property => run[property] ?? null))
+  }
+
+  /**
+   * Escape text for tagged text
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+  }
+
+  /**
+   * Unescape the text of a translation
+   * @param {string} text - Escaped text
+   * @returns {string} Text
+   */
+  unescapeXml(text) {
+    return text.replace(/&(lt|gt|quot|apos|amp);/g, entity => XML_ENTITIES[entity])
+  }
+}
+
+module.exports = InlineTags
@@ -0,0 +1,259 @@
+const ModelClient = require('./model-client')
+
+/**
+ * Mock Model Client
+ * Deterministic offline stand-in for tests and demos. It never reads the prompt: visual
+ * analysis answers with layout groups computed from the text elements' geometry, and document
+ * analysis with the acronyms and product-like names found in the text, and translation with
+ * the source text at low confidence. Every request is recorded so tests can check what a real
+ * model would have been sent.
+ */
+
+// Stacked elements group when the gap between them is at most this share of the smaller height
+const GAP_RATIO = 0.5
+
+// Stacked elements group when they overlap horizontally by at least this share of the narrower width
+const OVERLAP_RATIO = 0.5
+
+// Stacked elements only group when their font sizes differ by at most this many points
+const FONT_SIZE_TOLERANCE = 4
+
+// Font size from which an ungrouped, unplaced element counts as a title
+const TITLE_FONT_SIZE = 24
+
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle', 'subTitle']
+const HEADER_FOOTER_PLACEHOLDERS = ['ftr', 'hdr', 'dt', 'sldNum']
+
+const AREA_TOPICS = {
+  title: 'presentation title',
+  header_footer: 'slide header or footer',
+  bullet_list: 'list of points',
+  table_cell: 'table data',
+  table_header: 'table headings',
+  chart_label: 'chart labels',
+  smartart_node: 'diagram',
+  alt_text: 'picture description',
+  body_text: 'slide content'
+}
+
+// Glossary terms reported for a document
+const MAX_TERMS = 50
+
+class MockModelClient extends ModelClient {
+  /**
+   * @param {Object} config - Model configuration, from loadModelConfig
+   */
+  constructor(config) {
+    super('mock', config)
+    this.requests = []
+  }
+
+  /**
+   * Answer a task from its structured input
+   * @param {string} task - Task name
+   * @param {Object} request - { messages, responseFormat, input }
+   * @returns {Promise<string>} JSON completion content
+   */
+  async send(task, request) {
+    this.requests.push({ task, ...request })
+    const input = request.input || {}
+
+    switch (task) {
+      case 'visual-analysis':
+        return JSON.stringify({ visual_areas: this.groupLayout(input.textElements || []) })
+      case 'document-context':
+        return JSON.stringify(this.describeDocument(input.text || ''))
+      case 'glossary-terms':
+        return JSON.stringify({ terms: this.findTerms(input.text || '') })
+      case 'translation':
+        return JSON.stringify({
+          translations: (input.items || []).map(item => ({
+            id: item.id,
+            translation: item.text,
+            confidence: 'low',
+            rationale: 'The mock model keeps the source text.'
+          }))
+        })
+      default:
+        throw new Error(`The mock model has no answer for task ${task}`)
+    }
+  }
+
+  /**
+   * Group a slide's text elements into visual areas by their geometry: members of the same
+   * table, chart, SmartArt diagram or group shape form one area, and other shapes join when
+   * they are stacked closely on top of each other in similar font sizes
+   * @param {Array} textElements - Text elements of the slide
+   * @returns {Array} Visual areas, in reading order, listing their members' ids in reading order
+   */
+  groupLayout(textElements) {
+    const groups = []
+
+    textElements.forEach(element => {
+      const matching = groups.filter(group => group.some(member => this.belongTogether(member, element)))
+      const merged = [...matching.flat(), element]
+      matching.forEach(group => groups.splice(groups.indexOf(group), 1))
+      groups.push(merged)
+    })
+
+    return groups
+      .map(group => ({ elements: this.sortReadingOrder(group), box: this.getUnionBox(group.map(element => element.boundingBox)) }))
+      .sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x)
+      .map(({ elements }, index) => {
+        const type = this.classifyArea(elements)
+        return {
+          id: `area_${index + 1}`,
+          type,
+          element_ids: elements.map(element => element.id),
+          coordinates: null,
+          confidence: 0.9,
+          topic: AREA_TOPICS[type],
+          context_description: `${AREA_TOPICS[type]} (${elements.length} element${elements.length === 1 ? '' : 's'} grouped by layout)`,
+          content_elements: elements.map(element => ({ type: 'text', content: element.text }))
+        }
+      })
+  }
+
+  /**
+   * Check whether two text elements belong to the same visual area
+   * @param {Object} a - Text element
+   * @param {Object} b - Text element
+   * @returns {boolean} True if they belong together
+   */
+  belongTogether(a, b) {
+    // Alt text is not on the slide
+    if (a.isAltText || b.isAltText) return false
+    if ((a.isHidden || false) !== (b.isHidden || false)) return false
+
+    const structureA = this.getStructureKey(a)
+    const structureB = this.getStructureKey(b)
+    if (structureA || structureB) return structureA === structureB
+
+    if (a.groupPath && a.groupPath.length > 0 && a.groupPath.join('/') === (b.groupPath || []).join('/')) return true
+    if (this.getRole(a) !== this.getRole(b)) return false
+    if (Math.abs((a.fontSize || 12) - (b.fontSize || 12)) > FONT_SIZE_TOLERANCE) return false
+
+    const boxA = a.boundingBox
+    const boxB = b.boundingBox
+    const overlap = Math.min(boxA.x + boxA.width, boxB.x + boxB.width) - Math.max(boxA.x, boxB.x)
+    const gap = Math.max(boxA.y, boxB.y) - Math.min(boxA.y + boxA.height, boxB.y + boxB.height)
+    return overlap >= Math.min(boxA.width, boxB.width) * OVERLAP_RATIO &&
+      gap <= Math.min(boxA.height, boxB.height) * GAP_RATIO
+  }
+
+  /**
+   * Get the key of the table, chart or SmartArt diagram an element belongs to
+   * @param {Object} element - Text element
+   * @returns {string|null} Structure key, or null for ordinary shapes
+   */
+  getStructureKey(element) {
+    if (element.table) return `table:${element.table.tableId}`
+    if (element.chart) return `chart:${element.chart.chartId}`
+    if (element.smartArt) return `smartart:${element.smartArt.diagramId}`
+    return null
+  }
+
+  /**
+   * Get the placeholder role of an element that keeps it apart from other shapes
+   * @param {Object} element - Text element
+   * @returns {string} 'title', 'header_footer' or 'content'
+   */
+  getRole(element) {
+    if (TITLE_PLACEHOLDERS.includes(element.placeholderType)) return 'title'
+    if (HEADER_FOOTER_PLACEHOLDERS.includes(element.placeholderType)) return 'header_footer'
+    return 'content'
+  }
+
+  /**
+   * Classify a visual area by its elements
+   * @param {Array} elements - Text elements of the area
+   * @returns {string} Area type
+   */
+  classifyArea(elements) {
+    const [first] = elements
+    if (first.isAltText) return 'alt_text'
+    if (first.table) return elements.every(element => element.table.isHeader) ? 'table_header' : 'table_cell'
+    if (first.chart) return 'chart_label'
+    if (first.smartArt) return 'smartart_node'
+
+    const role = this.getRole(first)
+    if (role !== 'content') return role
+    if (elements.some(element => (element.paragraphs || []).some(paragraph => paragraph.bullet))) return 'bullet_list'
+    if (elements.length === 1 && !first.placeholderType && (first.fontSize || 0) >= TITLE_FONT_SIZE) return 'title'
+    return 'body_text'
+  }
+
+  /**
+   * Sort text elements top to bottom, then left to right
+   * @param {Array} elements - Text elements
+   * @returns {Array} Sorted copy
+   */
+  sortReadingOrder(elements) {
+    return [...elements].sort((a, b) => a.boundingBox.y - b.boundingBox.y || a.boundingBox.x - b.boundingBox.x)
+  }
+
+  /**
+   * Get the box around a set of boxes
+   * @param {Array} boxes - Bounding boxes
+   * @returns {Object} { x, y, width, height }
+   */
+  getUnionBox(boxes) {
+    const left = Math.min(...boxes.map(box => box.x))
+    const top = Math.min(...boxes.map(box => box.y))
+    const right = Math.max(...boxes.map(box => box.x + box.width))
+    const bottom = Math.max(...boxes.map(box => box.y + box.height))
+    return { x: left, y: top, width: right - left, height: bottom - top }
+  }
+
+  /**
+   * Describe a document without guessing: only the expected terms are filled in
+   * @param {string} text - Document text
+   * @returns {Object} Document context
+   */
+  describeDocument(text) {
+    return {
+      origin: 'unknown',
+      authorRole: 'unknown',
+      targetAudience: 'unknown',
+      timeContext: 'unknown',
+      domain: 'unknown',
+      documentType: 'unknown',
+      geographicContext: 'unknown',
+      formalityLevel: 'professional',
+      technicalDepth: 'intermediate',
+      businessStage: 'unknown',
+      regulatoryContext: 'none mentioned',
+      potentialTerms: this.findTerms(text).slice(0, 10).map(term => term.term)
+    }
+  }
+
+  /**
+   * Find acronyms and product-like names (mixed case such as PowerPoint), most frequent first
+   * @param {string} text - Document text
+   * @returns {Array} Terms ({ term, category, confidence, context, frequency })
+   */
+  findTerms(text) {
+    const terms = new Map()
+    const patterns = [
+      { category: 'acronym', pattern: /\b[A-Z][A-Z0-9]{1,}\b/g },
+      { category: 'product', pattern: /\b[A-Z][a-z]+[A-Z][A-Za-z0-9]*\b/g }
+    ]
+
+    patterns.forEach(({ category, pattern }) => {
+      for (const match of text.matchAll(pattern)) {
+        const term = match[0]
+        if (!terms.has(term)) {
+          const context = text.slice(Math.max(0, match.index - 30), match.index + term.length + 30).replace(/\s+/g, ' ').trim()
+          terms.set(term, { term, category, confidence: 'medium', context, frequency: 0 })
+        }
+        terms.get(term).frequency++
+      }
+    })
+
+    return [...terms.values()]
+      .sort((a, b) => b.frequency - a.frequency || a.term.localeCompare(b.term))
+      .slice(0, MAX_TERMS)
+  }
+}
+
+module.exports = MockModelClient
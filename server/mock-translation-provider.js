@@ -0,0 +1,29 @@
+const TranslationProvider = require('./translation-provider')
+
+/**
+ * Mock Translation Provider
+ * Deterministic stand-in for tests and offline demos: every translation is the source text
+ * prefixed with the target language (inside any leading tags), and every batch is recorded with its context so tests
+ * can check what a real engine would have been sent.
+ */
+
+class MockTranslationProvider extends TranslationProvider {
+  constructor() {
+    super('mock')
+    this.batches = []
+  }
+
+  /**
+   * Translate a batch by prefixing the target language
+   * @param {Array} items - Segments with their context
+   * @param {Object} languages - { sourceLanguage, targetLanguage }
+   * @returns {Promise<Array<string>>} Translation of each item, in order
+   */
+  async translateBatch(items, languages) {
+    this.batches.push({ items, languages })
+    const prefix = `[${languages.targetLanguage}] `
+    return items.map(item => item.tagged ? item.text.replace(/^((?:<[^>]+>)*)/, `$1${prefix}`) : prefix + item.text)
+  }
+}
+
+module.exports = MockTranslationProvider
@@ -0,0 +1,123 @@
+const { setTimeout: sleep } = require('timers/promises')
+
+/**
+ * Model Client
+ * Base class of the clients the analyzers send their chat prompts through. Each call names a
+ * task ('visual-analysis', 'document-context', 'glossary-terms', 'translation'), and the client resolves the
+ * task's model, timeout and token limit from the model configuration; subclasses implement send.
+ * Rate-limited (429) and failed (5xx) requests are retried after the server's Retry-After, or
+ * else after an exponential backoff with jitter.
+ */
+
+const DEFAULT_MAX_RETRIES = 3
+
+const DEFAULT_RETRY_DELAY = 1000
+
+// Longest wait before a retry, whatever the server asks for
+const MAX_RETRY_DELAY = 60000
+
+class ModelClient {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} config - Model configuration, from loadModelConfig
+   */
+  constructor(name, config) {
+    this.name = name
+    this.config = config
+  }
+
+  /**
+   * Get the settings of a task
+   * @param {string} task - Task name
+   * @returns {Object} { model, timeout, maxTokens }
+   */
+  getTaskSettings(task) {
+    const settings = this.config.tasks[task] || {}
+    return {
+      model: settings.model || this.config.model,
+      timeout: settings.timeout || this.config.timeout,
+      maxTokens: settings.maxTokens || this.config.maxTokens || null
+    }
+  }
+
+  /**
+   * Tell why the client cannot be used
+   * @returns {string|null} Error message, or null when the client is configured
+   */
+  getConfigurationError() {
+    return null
+  }
+
+  /**
+   * Run a chat completion, retrying rate-limited and failed requests
+   * @param {string} task - Task name
+   * @param {Object} request - Request
+   * @param {Array} request.messages - Chat messages
+   * @param {string|Object} [request.responseFormat] - 'json' to ask for a JSON object, or
+   *   { name, schema } for JSON matching a schema (strict structured output where supported)
+   * @param {Object} [request.input] - Structured data the prompt was built from; offline clients answer from it
+   * @param {AbortSignal} [request.signal] - Cancels the request and any wait for a retry
+   * @returns {Promise<string>} Completion content
+   */
+  async complete(task, request) {
+    const { signal } = request
+    const maxRetries = this.config.maxRetries ?? DEFAULT_MAX_RETRIES
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal) signal.throwIfAborted()
+      try {
+        return await this.send(task, request)
+      } catch (error) {
+        if (signal && signal.aborted) throw error
+        if (attempt >= maxRetries || !this.isRetryable(error)) throw error
+
+        const delay = this.getRetryDelay(error, attempt)
+        console.warn(`${this.name} ${task} request failed (${error.status}), retry ${attempt + 1} of ${maxRetries} in ${delay} ms`)
+        await sleep(delay, undefined, { signal })
+      }
+    }
+  }
+
+  /**
+   * Send one chat completion request
+   * @param {string} task - Task name
+   * @param {Object} request - Request, as given to complete
+   * @returns {Promise<string>} Completion content
+   */
+  async send(task, request) {
+    throw new Error(`${this.name} does not implement send`)
+  }
+
+  /**
+   * Check whether a failed request may succeed when sent again
+   * @param {Error} error - Request error, with the HTTP status when the server answered
+   * @returns {boolean} Whether the server was rate limiting or failing
+   */
+  isRetryable(error) {
+    return error.status === 429 || error.status >= 500
+  }
+
+  /**
+   * Get the wait before retrying a request: the server's Retry-After (retry-after-ms, or seconds
+   * or a date in retry-after), or else the retry delay doubled per attempt, half of it random
+   * @param {Error} error - Request error, with the response headers when the server answered
+   * @param {number} attempt - Attempts so far, minus one
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    const headers = error.headers || {}
+    const header = name => typeof headers.get === 'function' ? headers.get(name) : headers[name]
+
+    let retryAfter = parseFloat(header('retry-after-ms'))
+    if (Number.isNaN(retryAfter) && header('retry-after')) {
+      const seconds = parseFloat(header('retry-after'))
+      retryAfter = Number.isNaN(seconds) ? Date.parse(header('retry-after')) - Date.now() : seconds * 1000
+    }
+    if (retryAfter >= 0) return Math.min(Math.round(retryAfter), MAX_RETRY_DELAY)
+
+    const backoff = Math.min((this.config.retryDelay || DEFAULT_RETRY_DELAY) * 2 ** attempt, MAX_RETRY_DELAY)
+    return Math.round(backoff / 2 + Math.random() * backoff / 2)
+  }
+}
+
+module.exports = ModelClient
@@ -0,0 +1,142 @@
+const fs = require('fs')
+const path = require('path')
+const OpenAIModelClient = require('./openai-model-client')
+const MockModelClient = require('./mock-model-client')
+
+/**
+ * Model Clients
+ * Registry of the model providers the analyzers and machine translation use, and their configuration. Settings come
+ * from an optional JSON file (MODEL_CONFIG) and environment variables, which take precedence:
+ *   MODEL_PROVIDER    'openai', 'compatible' (any OpenAI-compatible server) or 'mock'
+ *   MODEL_BASE_URL    base URL of the chat API
+ *   MODEL_API_KEY     API key; the OpenAI key by default
+ *   MODEL_NAME        model of every task
+ *   MODEL_VISUAL_ANALYSIS, MODEL_DOCUMENT_CONTEXT, MODEL_GLOSSARY_TERMS, MODEL_TRANSLATION   model of one task
+ *   MODEL_TIMEOUT     request timeout in milliseconds
+ *   MODEL_MAX_TOKENS  completion token limit
+ *   MODEL_JSON_SCHEMA 'true' when the server enforces JSON schemas (strict structured output);
+ *                     the default for OpenAI, while compatible servers get JSON mode
+ *   MODEL_CONCURRENCY slides analyzed at the same time
+ *   MODEL_MAX_RETRIES retries of a rate-limited (429) or failed (5xx) request; 0 disables them
+ *   MODEL_RETRY_DELAY first backoff in milliseconds, doubled per retry, when the server sends no Retry-After
+ * The file has the same settings as { provider, baseURL, apiKey, model, timeout, maxTokens, jsonSchema,
+ * concurrency, maxRetries, retryDelay }
+ * plus per-task { tasks: { 'visual-analysis': { model, timeout, maxTokens } } }.
+ */
+
+const PROVIDERS = {
+  openai: OpenAIModelClient,
+  compatible: OpenAIModelClient,
+  mock: MockModelClient
+}
+
+const MODEL_PROVIDER_NAMES = Object.keys(PROVIDERS)
+
+const MODEL_TASKS = ['visual-analysis', 'document-context', 'glossary-terms', 'translation']
+
+const DEFAULT_MODEL = 'gpt-5-nano-2025-08-07'
+
+const DEFAULT_TIMEOUT = 120000
+
+const DEFAULT_CONCURRENCY = 4
+
+// Settings of a task that apply unless configured otherwise
+const DEFAULT_TASK_SETTINGS = {
+  'visual-analysis': { maxTokens: 2000 }
+}
+
+/**
+ * Read a positive number from an environment variable
+ * @param {string|undefined} value - Variable value
+ * @returns {number|undefined} Number, or undefined when unset or invalid
+ */
+function readNumber(value) {
+  const number = Number(value)
+  return value !== undefined && value !== '' && number > 0 ? number : undefined
+}
+
+/**
+ * Read a count from an environment variable
+ * @param {string|undefined} value - Variable value
+ * @returns {number|undefined} Non-negative integer, or undefined when unset or invalid
+ */
+function readCount(value) {
+  const number = Number(value)
+  return value !== undefined && value !== '' && Number.isInteger(number) && number >= 0 ? number : undefined
+}
+
+/**
+ * Read a boolean from an environment variable
+ * @param {string|undefined} value - Variable value
+ * @returns {boolean|undefined} Boolean, or undefined when unset
+ */
+function readBoolean(value) {
+  if (value === 'true') return true
+  if (value === 'false') return false
+  return undefined
+}
+
+/**
+ * Load the model configuration from MODEL_CONFIG and the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { provider, baseURL, apiKey, model, timeout, maxTokens, jsonSchema, concurrency, maxRetries,
+ *   retryDelay, tasks: { [task]: { model, timeout, maxTokens } } }
+ */
+function loadModelConfig(env = process.env) {
+  const file = env.MODEL_CONFIG
+    ? JSON.parse(fs.readFileSync(path.resolve(env.MODEL_CONFIG), 'utf8'))
+    : {}
+
+  const baseURL = env.MODEL_BASE_URL || file.baseURL || null
+  const provider = env.MODEL_PROVIDER || file.provider || (baseURL ? 'compatible' : 'openai')
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unsupported model provider: ${provider}. Use ${MODEL_PROVIDER_NAMES.join(', ')}.`)
+  }
+
+  // Settings for every task replace the task defaults; the environment replaces the file
+  const maxTokens = readNumber(env.MODEL_MAX_TOKENS)
+  const timeout = readNumber(env.MODEL_TIMEOUT)
+  const tasks = {}
+  MODEL_TASKS.forEach(task => {
+    const settings = {
+      ...DEFAULT_TASK_SETTINGS[task],
+      ...(file.maxTokens && { maxTokens: file.maxTokens }),
+      ...(file.tasks && file.tasks[task])
+    }
+    if (maxTokens) settings.maxTokens = maxTokens
+    if (timeout) settings.timeout = timeout
+    const model = env[`MODEL_${task.toUpperCase().replace(/-/g, '_')}`]
+    if (model) settings.model = model
+    tasks[task] = settings
+  })
+
+  return {
+    provider,
+    baseURL,
+    apiKey: env.MODEL_API_KEY || file.apiKey || env.OPENAI_API_KEY || null,
+    model: env.MODEL_NAME || file.model || DEFAULT_MODEL,
+    timeout: timeout || file.timeout || DEFAULT_TIMEOUT,
+    maxTokens: maxTokens || file.maxTokens || null,
+    jsonSchema: readBoolean(env.MODEL_JSON_SCHEMA) ?? file.jsonSchema ?? provider === 'openai',
+    concurrency: readNumber(env.MODEL_CONCURRENCY) || file.concurrency || DEFAULT_CONCURRENCY,
+    maxRetries: readCount(env.MODEL_MAX_RETRIES) ?? file.maxRetries ?? null,
+    retryDelay: readNumber(env.MODEL_RETRY_DELAY) || file.retryDelay || null,
+    tasks
+  }
+}
+
+/**
+ * Create the model client of a configuration
+ * @param {Object} [config] - Model configuration; loaded from MODEL_CONFIG and the environment when omitted
+ * @returns {ModelClient} Client
+ */
+function createModelClient(config = loadModelConfig()) {
+  return new PROVIDERS[config.provider](config)
+}
+
+module.exports = {
+  MODEL_PROVIDER_NAMES,
+  MODEL_TASKS,
+  loadModelConfig,
+  createModelClient
+}
@@ -0,0 +1,70 @@
+const OpenAI = require('openai')
+const ModelClient = require('./model-client')
+
+/**
+ * OpenAI Model Client
+ * Sends prompts to the OpenAI API ('openai') or to any server speaking the OpenAI chat API,
+ * such as a local one ('compatible'). Compatible servers get max_tokens rather than
+ * max_completion_tokens, which many of them do not know, and JSON mode instead of strict
+ * schemas unless jsonSchema is configured.
+ */
+
+// Local servers often ignore the key, but the client requires one
+const PLACEHOLDER_API_KEY = 'not-needed'
+
+class OpenAIModelClient extends ModelClient {
+  /**
+   * @param {Object} config - Model configuration, from loadModelConfig
+   */
+  constructor(config) {
+    super(config.provider, config)
+    this.compatible = config.provider === 'compatible'
+    this.openai = new OpenAI({
+      apiKey: config.apiKey || PLACEHOLDER_API_KEY,
+      baseURL: config.baseURL || undefined,
+      // complete retries with its own backoff
+      maxRetries: 0
+    })
+  }
+
+  /**
+   * Tell why the client cannot be used
+   * @returns {string|null} Error message, or null when the client is configured
+   */
+  getConfigurationError() {
+    if (this.compatible && !this.config.baseURL) return 'MODEL_BASE_URL is not configured'
+    if (!this.compatible && !this.config.apiKey) return 'OpenAI API key not configured'
+    return null
+  }
+
+  /**
+   * Send a chat completion request with the task's model, timeout and token limit
+   * @param {string} task - Task name
+   * @param {Object} request - { messages, responseFormat, signal }
+   * @returns {Promise<string>} Completion content
+   */
+  async send(task, { messages, responseFormat, signal }) {
+    const { model, timeout, maxTokens } = this.getTaskSettings(task)
+    const body = { model, messages }
+    if (responseFormat) body.response_format = this.buildResponseFormat(responseFormat)
+    if (maxTokens) body[this.compatible ? 'max_tokens' : 'max_completion_tokens'] = maxTokens
+
+    const response = await this.openai.chat.completions.create(body, { timeout, signal })
+    return response.choices[0].message.content
+  }
+
+  /**
+   * Build the response_format of a request
+   * @param {string|Object} responseFormat - 'json', or { name, schema }
+   * @returns {Object} response_format parameter
+   */
+  buildResponseFormat(responseFormat) {
+    if (responseFormat === 'json' || !this.config.jsonSchema) return { type: 'json_object' }
+    return {
+      type: 'json_schema',
+      json_schema: { name: responseFormat.name, schema: responseFormat.schema, strict: true }
+    }
+  }
+}
+
+module.exports = OpenAIModelClient
@@ -0,0 +1,152 @@
+const TranslationProvider = require('./translation-provider')
+
+/**
+ * OpenAI-compatible Translation Provider
+ * Translates a slide's segments in one chat completion, sent through the model client as the
+ * 'translation' task, so it shares the model configuration, timeouts and retries of the
+ * analyzers and works with any server the client supports. With slide images enabled, the
+ * rendered slide goes along with the segments' bounding boxes so the model can tell short
+ * UI-like strings apart by where they sit. The model rates each translation's confidence and
+ * gives a short rationale.
+ */
+
+class OpenAITranslationProvider extends TranslationProvider {
+  /**
+   * @param {Object} options - Options
+   * @param {ModelClient} options.modelClient - Client the completions are sent through
+   */
+  constructor(options = {}) {
+    super('openai')
+    this.supportsImages = true
+    this.modelClient = options.modelClient
+  }
+
+  /**
+   * Translate a slide's segments with one chat completion
+   * @param {Array} items - Segments with their context
+   * @param {Object} languages - { sourceLanguage, targetLanguage }
+   * @param {Object|null} slide - Rendered slide ({ slideId, slideImage, slideSize }) to show the model
+   * @param {AbortSignal} [signal] - Cancels the completion
+   * @returns {Promise<Array<Object|null>>} { translation, confidence, rationale } of each item, in order
+   */
+  async translateBatch(items, languages, slide, signal) {
+    if (!this.modelClient) {
+      throw new Error('The openai translation provider needs a model client')
+    }
+    const configurationError = this.modelClient.getConfigurationError()
+    if (configurationError) {
+      throw new Error(configurationError)
+    }
+
+    const prompt = this.buildPrompt(items, languages, slide)
+    const content = slide
+      ? [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: slide.slideImage, detail: 'high' } }
+        ]
+      : prompt
+
+    const response = await this.modelClient.complete('translation', {
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a professional presentation translator. Translate each slide text so it reads naturally in its place on the slide, using the visual context, topic, neighbouring texts and slide image you are given. Keep line breaks, numbers, placeholders like {name} and URLs. Respond with JSON only.'
+        },
+        {
+          role: 'user',
+          content
+        }
+      ],
+      responseFormat: 'json',
+      input: { items, languages },
+      signal
+    })
+
+    return this.parseTranslations(response, items)
+  }
+
+  /**
+   * Build the translation prompt of a slide
+   * @param {Array} items - Segments with their context
+   * @param {Object} languages - { sourceLanguage, targetLanguage }
+   * @param {Object|null} [slide] - Rendered slide sent with the prompt
+   * @returns {string} Prompt
+   */
+  buildPrompt(items, { sourceLanguage, targetLanguage }, slide = null) {
+    const segments = items.map(item => ({
+      id: item.id,
+      text: item.text,
+      tagged: item.tagged || undefined,
+      visualContext: item.visualContext,
+      boundingBox: slide && item.boundingBox ? this.roundBox(item.boundingBox) : undefined,
+      topic: item.topic || undefined,
+      semanticContext: item.semanticContext || undefined,
+      maxCharacters: item.maxChars || undefined,
+      previousSegments: item.previous.length > 0 ? item.previous : undefined,
+      nextSegments: item.next.length > 0 ? item.next : undefined
+    }))
+
+    return `Translate these PowerPoint slide segments from ${sourceLanguage} to ${targetLanguage}.
+
+Each segment comes with:
+- visualContext: the role of the text on the slide (title_group, body_text, bullet_list, caption, table_cell, chart_label, ...); titles and labels should stay short
+- topic and semanticContext: what the slide and the segment are about, when known
+- previousSegments / nextSegments: the texts around the segment on the same slide, for consistent terminology and grammar
+- maxCharacters: the room the text box leaves; stay within it when you can
+- tagged: the text carries inline codes as XML tags. <g id="n">...</g> wraps formatted or linked text and <x id="n"/> stands for a line break, paragraph break or field. Translate the text inside and around the tags and keep every tag exactly once, in the same order; move words in or out of a <g> pair so the formatting lands on the matching words. Keep &amp;, &lt; and &gt; escaped
+${slide ? `- boundingBox: where the text sits on the attached slide image, in a ${slide.slideSize.width} x ${slide.slideSize.height} coordinate space with the origin at the top left; look at what surrounds it (buttons, arrows, labels, icons) to choose the right sense of short or ambiguous words
+` : ''}
+Segments:
+${JSON.stringify(segments, null, 2)}
+
+For each segment, also rate your confidence that the translation is correct in its place on the slide:
+- high: unambiguous, ready to use
+- medium: plausible, but a reviewer should check it
+- low: ambiguous or missing context; a translator should revisit it
+and give a one-sentence rationale, naming the sense you chose for ambiguous words.
+
+Respond with a JSON object: {"translations": [{"id": "<segment id>", "translation": "<translated text>", "confidence": "high|medium|low", "rationale": "<one sentence>"}]}`
+  }
+
+  /**
+   * Round a bounding box for the prompt
+   * @param {Object} box - { x, y, width, height }
+   * @returns {Object} Box with whole-number coordinates
+   */
+  roundBox(box) {
+    return {
+      x: Math.round(box.x),
+      y: Math.round(box.y),
+      width: Math.round(box.width),
+      height: Math.round(box.height)
+    }
+  }
+
+  /**
+   * Read the translations of a completion, in the order of the items
+   * @param {string} content - Completion content
+   * @param {Array} items - Segments with their context
+   * @returns {Array<Object|null>} { translation, confidence, rationale } of each item
+   */
+  parseTranslations(content, items) {
+    if (!content || content.trim() === '') {
+      throw new Error('Empty response from the translation model')
+    }
+
+    // Compatible servers without JSON mode may wrap the JSON in a code fence
+    const json = content.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '')
+    let result
+    try {
+      result = JSON.parse(json)
+    } catch (parseError) {
+      throw new Error(`Translation model did not return JSON: ${parseError.message}`)
+    }
+
+    const translations = new Map((Array.isArray(result.translations) ? result.translations : [])
+      .filter(entry => entry && typeof entry.translation === 'string')
+      .map(entry => [String(entry.id), entry]))
+    return items.map(item => translations.has(item.id) ? translations.get(item.id) : null)
+  }
+}
+
+module.exports = OpenAITranslationProvider
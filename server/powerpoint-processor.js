@@ -1,13 +1,82 @@
 const sharp = require('sharp')
 const fs = require('fs')
 const path = require('path')
-const PptxParser = require('node-pptx-parser').default
+const PptxPackage = require('./pptx-package')
+const { getChild, getChildren, getPath, getDescendants, getAttr, getNumberAttr, getBoolAttr } = require('./xml-utils')
+const { IDENTITY, multiply, readTransform, readGroupTransform, transformBounds } = require('./transform-utils')
+const { getThemeColors, readSolidFill } = require('./color-utils')
+const { readBodyLayout, readCellLayout } = require('./text-layout-utils')
+const SlideRenderer = require('./slide-renderer')
 
 /**
  * PowerPoint Processing Module
  * Handles extraction of text, layout data, and slide images from PowerPoint files
  */
 
+// Width of the normalized slide coordinate space; height follows the deck's aspect ratio
+const SLIDE_WIDTH = 800
+
+// PowerPoint's font size when nothing in the inheritance chain sets one
+const DEFAULT_FONT_SIZE = 18
+
+const EMU_PER_POINT = 12700
+
+// Paragraph children that carry text, mapped to run types
+const RUN_TYPES = {
+  'a:r': 'text',
+  'a:br': 'break',
+  'a:fld': 'field'
+}
+
+// Relationship types of parts referenced from slide graphic frames
+const GRAPHIC_PART_TYPES = ['chart', 'diagramData', 'diagramDrawing']
+
+// SmartArt data model point types that hold user text
+const SMARTART_NODE_TYPES = ['node', 'asst']
+
+// Chart axis elements mapped to the axis they label
+const CHART_AXES = {
+  'c:catAx': 'category',
+  'c:dateAx': 'category',
+  'c:valAx': 'value',
+  'c:serAx': 'series'
+}
+
+// Approximate label areas as fractions of the chart frame ({ x, y, w, h }); charts rarely store a manual layout
+const CHART_LABEL_AREAS = {
+  title: { x: 0, y: 0, w: 1, h: 0.12 },
+  axisTitle: {
+    b: { x: 0.1, y: 0.92, w: 0.7, h: 0.08 },
+    t: { x: 0.1, y: 0.12, w: 0.7, h: 0.08 },
+    l: { x: 0, y: 0.12, w: 0.08, h: 0.72 },
+    r: { x: 0.72, y: 0.12, w: 0.08, h: 0.72 }
+  },
+  categories: { x: 0.1, y: 0.84, w: 0.7, h: 0.08 },
+  legend: {
+    r: { x: 0.8, y: 0.3, w: 0.2, h: 0.4 },
+    tr: { x: 0.8, y: 0.12, w: 0.2, h: 0.2 },
+    l: { x: 0, y: 0.3, w: 0.2, h: 0.4 },
+    b: { x: 0.1, y: 0.92, w: 0.8, h: 0.08 },
+    t: { x: 0.1, y: 0.12, w: 0.8, h: 0.08 }
+  }
+}
+
+// Chart text size when neither the label nor the chart sets one
+const DEFAULT_CHART_FONT_SIZE = 10
+
+// Legacy comment positions are in 1/576 inch (1/8 point)
+const EMU_PER_COMMENT_UNIT = 1587.5
+
+const ALIGNMENTS = {
+  l: 'left',
+  ctr: 'center',
+  r: 'right',
+  just: 'justify',
+  justLow: 'justify',
+  dist: 'distributed',
+  thaiDist: 'distributed'
+}
+
 class PowerPointProcessor {
   constructor() {
     this.tempDir = path.join(__dirname, '../temp')
@@ -24,20 +93,18 @@ class PowerPointProcessor {
    * Process a PowerPoint file and extract comprehensive data
    * @param {Buffer} fileBuffer - The PowerPoint file buffer
    * @param {string} fileName - Original file name
+   * @param {Object} [options] - Processing options
+   * @param {boolean} [options.includeNotes=true] - Extract speaker notes as a separate text flow
+   * @param {string} [options.hiddenContent='analyze'] - 'analyze', 'no-translate' or 'skip'; hidden slides and shapes are dropped when 'skip'
    * @returns {Promise<Object>} Processed PowerPoint data
    */
-  async processPowerPoint(fileBuffer, fileName) {
+  async processPowerPoint(fileBuffer, fileName, options = {}) {
     try {
       console.log(`Processing PowerPoint file: ${fileName}, size: ${fileBuffer.length} bytes`)
-      
-      // Save buffer to temporary file
-      const tempFilePath = path.join(this.tempDir, `temp_${Date.now()}.pptx`)
-      fs.writeFileSync(tempFilePath, fileBuffer)
-      console.log(`Saved temporary file: ${tempFilePath}`)
 
-      // Parse the PowerPoint file using node-pptx-parser
+      // Parse the slide XML directly from the package
       console.log('Parsing PowerPoint presentation...')
-      const presentation = await this.parsePresentation(tempFilePath)
+      const presentation = await this.parsePresentation(fileBuffer, options)
       console.log(`Successfully parsed presentation with ${presentation.slides.length} slides`)
 
       const slides = []
@@ -46,17 +113,15 @@ class PowerPointProcessor {
       // Process each slide
       for (let i = 0; i < presentation.slides.length; i++) {
         const slide = presentation.slides[i]
-        const slideData = await this.processSlide(slide, i + 1, fileName)
+        const slideData = await this.processSlide(slide, slide.number || i + 1, fileName, presentation.slideSize)
         slides.push(slideData)
         allSegments.push(...slideData.segments)
       }
 
-      // Clean up temp file
-      fs.unlinkSync(tempFilePath)
-
       return {
         fileName,
         slides,
+        slideSize: presentation.slideSize,
         totalSlides: presentation.slides.length,
         analysisTimestamp: new Date().toISOString(),
         allSegments
@@ -68,23 +133,15 @@ class PowerPointProcessor {
   }
 
   /**
-   * Parse PowerPoint presentation using node-pptx-parser
-   * @param {string} filePath - Path to the PowerPoint file
-   * @returns {Promise<Object>} Parsed presentation data
+   * Parse PowerPoint presentation from its slide XML
+   * @param {Buffer} fileBuffer - The PowerPoint file buffer
+   * @param {Object} [options] - Processing options ({ includeNotes, hiddenContent })
+   * @returns {Promise<Object>} Parsed presentation data ({ slides, slideSize })
    */
-  async parsePresentation(filePath) {
+  async parsePresentation(fileBuffer, options = {}) {
     try {
-      const parser = new PptxParser(filePath)
-      const textContent = await parser.extractText()
-      
-      // Convert the parser output to our expected format
-      const slides = textContent.map((slide, index) => ({
-        id: slide.id || `slide_${index + 1}`,
-        text: slide.text || [],
-        shapes: this.convertTextToShapes(slide.text || [], index + 1)
-      }))
-      
-      return { slides }
+      const pptx = await PptxPackage.load(fileBuffer)
+      return await this.parsePackage(pptx, options)
     } catch (error) {
       console.error('Error parsing PowerPoint file:', error)
       // Fallback to mock data if parsing fails
@@ -94,58 +151,1233 @@ class PowerPointProcessor {
   }
 
   /**
-   * Convert text content to shape format for compatibility
-   * @param {Array} textContent - Array of text strings
-   * @param {number} slideId - Slide ID
-   * @returns {Array} Array of shape objects
+   * Parse the slides of a loaded package. Extracted shapes keep a textSource pointing at the
+   * XML their text came from, so translations can be written back into the same package.
+   * @param {PptxPackage} pptx - Loaded package
+   * @param {Object} [options] - Processing options
+   * @param {boolean} [options.includeNotes=true] - Extract speaker notes
+   * @param {string} [options.hiddenContent='analyze'] - 'analyze', 'no-translate' or 'skip'
+   * @param {boolean} [options.renderSlides=true] - Render each slide to SVG
+   * @returns {Promise<Object>} Parsed presentation data ({ slides, slideSize })
+   */
+  async parsePackage(pptx, options = {}) {
+    const { cx, cy } = await pptx.getSlideSize()
+    const notesSize = await pptx.getNotesSize()
+    const commentAuthors = await this.loadCommentAuthors(pptx)
+
+    // Normalize EMU to a fixed-width slide coordinate space; notes pages get their own
+    const scale = SLIDE_WIDTH / cx
+    const notesScale = SLIDE_WIDTH / notesSize.cx
+    const slideSize = { width: SLIDE_WIDTH, height: Math.round(cy * scale) }
+
+    const slideParts = await pptx.getSlideParts()
+    const renderer = new SlideRenderer(pptx)
+    const slides = []
+    const skipHidden = options.hiddenContent === 'skip'
+
+    for (let i = 0; i < slideParts.length; i++) {
+      const document = await pptx.readXml(slideParts[i])
+      const hidden = getBoolAttr(document.documentElement, 'show') === false
+      if (hidden && skipHidden) continue
+
+      const spTree = getPath(document.documentElement, 'p:cSld', 'p:spTree')
+      const inheritance = await this.loadInheritance(pptx, slideParts[i])
+      const relationships = await pptx.getRelationships(slideParts[i])
+      const graphicParts = await this.loadGraphicParts(pptx, relationships)
+
+      const shapes = this.extractShapes(spTree, {
+        scale,
+        slideHeight: cy,
+        inheritance,
+        relationships,
+        graphicParts,
+        transform: IDENTITY,
+        groupPath: []
+      })
+
+      const svg = options.renderSlides === false ? null : await renderer.renderSlide(slideParts[i], {
+        slideSize: { cx, cy },
+        size: slideSize,
+        themeColors: inheritance.themeColors,
+        resolvePlaceholder: ph => this.resolvePlaceholder(ph, inheritance),
+        extractParagraphs: (txBody, placeholder) => this.extractParagraphs(
+          txBody,
+          this.getTextLevelStyles(txBody, placeholder, inheritance),
+          { inheritance, relationships }
+        ),
+        findSmartArtDrawing: relId => {
+          const data = graphicParts.get(relId)
+          return data ? this.findSmartArtDrawing(data, data.document.documentElement, { graphicParts }) : null
+        },
+        overlays: shapes.filter(shape => shape.chart && !shape.hidden),
+        scale
+      })
+
+      // Slides keep their position in the deck even when hidden slides before them are skipped
+      slides.push({
+        id: `slide_${i + 1}`,
+        number: i + 1,
+        partPath: slideParts[i],
+        hidden,
+        svg,
+        shapes: skipHidden ? shapes.filter(shape => !shape.hidden) : shapes,
+        notes: options.includeNotes === false ? [] : await this.extractNotes(pptx, slideParts[i], notesScale),
+        comments: await this.extractComments(pptx, slideParts[i], commentAuthors, scale)
+      })
+    }
+
+    return { slides, slideSize }
+  }
+
+  /**
+   * Load the layout, master and presentation-level sources a slide inherits from
+   * @param {PptxPackage} pptx - Loaded package
+   * @param {string} slidePart - Slide part path
+   * @returns {Promise<Object>} Inheritance sources for placeholder resolution
+   */
+  async loadInheritance(pptx, slidePart) {
+    const layoutRel = await pptx.getRelationshipByType(slidePart, 'slideLayout')
+    const masterRel = layoutRel ? await pptx.getRelationshipByType(layoutRel.target, 'slideMaster') : null
+    const themeRel = masterRel ? await pptx.getRelationshipByType(masterRel.target, 'theme') : null
+
+    const slide = await pptx.readXml(slidePart)
+    const layout = layoutRel ? await pptx.readXml(layoutRel.target) : null
+    const master = masterRel ? await pptx.readXml(masterRel.target) : null
+    const theme = themeRel ? await pptx.readXml(themeRel.target) : null
+    const presentation = await pptx.readXml('ppt/presentation.xml')
+
+    // The master maps slide color names onto the theme; layouts and slides may override the mapping
+    const colorMaps = [
+      master && getChild(master.documentElement, 'p:clrMap'),
+      ...[layout, slide].map(document => document && getPath(document.documentElement, 'p:clrMapOvr', 'a:overrideClrMapping'))
+    ]
+
+    return {
+      layoutPlaceholders: this.collectPlaceholders(layout),
+      masterPlaceholders: this.collectPlaceholders(master),
+      masterTextStyles: master ? getChild(master.documentElement, 'p:txStyles') : null,
+      defaultTextStyle: presentation ? getChild(presentation.documentElement, 'p:defaultTextStyle') : null,
+      themeFonts: this.readThemeFonts(theme),
+      themeColors: getThemeColors(theme, colorMaps)
+    }
+  }
+
+  /**
+   * Extract the text shapes of a slide's notes page (the notes body and any text boxes)
+   * @param {PptxPackage} pptx - Loaded package
+   * @param {string} slidePart - Slide part path
+   * @param {number} scale - EMU to normalized notes page coordinates
+   * @returns {Promise<Array>} Array of shape objects, positioned on the notes page
+   */
+  async extractNotes(pptx, slidePart, scale) {
+    const notesRel = await pptx.getRelationshipByType(slidePart, 'notesSlide')
+    const notes = notesRel ? await pptx.readXml(notesRel.target) : null
+    if (!notes) return []
+
+    const masterRel = await pptx.getRelationshipByType(notesRel.target, 'notesMaster')
+    const themeRel = masterRel ? await pptx.getRelationshipByType(masterRel.target, 'theme') : null
+    const master = masterRel ? await pptx.readXml(masterRel.target) : null
+    const theme = themeRel ? await pptx.readXml(themeRel.target) : null
+    const presentation = await pptx.readXml('ppt/presentation.xml')
+
+    // Notes pages have no layout; placeholders inherit straight from the notes master
+    const inheritance = {
+      layoutPlaceholders: [],
+      masterPlaceholders: this.collectPlaceholders(master),
+      masterTextStyles: null,
+      notesStyle: master ? getChild(master.documentElement, 'p:notesStyle') : null,
+      defaultTextStyle: presentation ? getChild(presentation.documentElement, 'p:defaultTextStyle') : null,
+      themeFonts: this.readThemeFonts(theme),
+      themeColors: getThemeColors(theme, [master && getChild(master.documentElement, 'p:clrMap')])
+    }
+
+    const spTree = getPath(notes.documentElement, 'p:cSld', 'p:spTree')
+    const shapes = this.extractShapes(spTree, {
+      scale,
+      inheritance,
+      relationships: await pptx.getRelationships(notesRel.target),
+      graphicParts: new Map(),
+      transform: IDENTITY,
+      groupPath: []
+    })
+
+    // Slide number, header, footer and date placeholders are not part of the notes text
+    return shapes.filter(shape => !shape.placeholderType || shape.placeholderType === 'body')
+  }
+
+  /**
+   * Load comment author names from the legacy and modern comment author parts
+   * @param {PptxPackage} pptx - Loaded package
+   * @returns {Promise<Map<string, string>>} Map of author ID to name
+   */
+  async loadCommentAuthors(pptx) {
+    const authors = new Map()
+    const sources = [['commentAuthors', 'p:cmAuthor'], ['authors', 'p188:author']]
+
+    for (const [type, tagName] of sources) {
+      const rel = await pptx.getRelationshipByType('ppt/presentation.xml', type)
+      const document = rel ? await pptx.readXml(rel.target) : null
+      if (document) {
+        getChildren(document.documentElement, tagName).forEach(author => {
+          authors.set(getAttr(author, 'id'), getAttr(author, 'name'))
+        })
+      }
+    }
+
+    return authors
+  }
+
+  /**
+   * Extract the legacy and modern comments of a slide
+   * @param {PptxPackage} pptx - Loaded package
+   * @param {string} slidePart - Slide part path
+   * @param {Map<string, string>} authors - Comment author names by ID
+   * @param {number} scale - EMU to slide coordinate scale
+   * @returns {Promise<Array>} Comments ({ id, author, date, text, shapeId, position })
+   */
+  async extractComments(pptx, slidePart, authors, scale) {
+    const relationships = await pptx.getRelationships(slidePart)
+    const comments = []
+
+    for (const rel of relationships.values()) {
+      if (rel.type !== 'comments' || rel.isExternal) continue
+
+      const document = await pptx.readXml(rel.target)
+      if (!document) continue
+
+      const root = document.documentElement
+      if (root.nodeName === 'p:cmLst') {
+        // Legacy comments are pinned to a point on the slide
+        getChildren(root, 'p:cm').forEach(cm => {
+          const pos = getChild(cm, 'p:pos')
+          const text = getChild(cm, 'p:text')
+          comments.push({
+            id: `${getAttr(cm, 'authorId')}_${getAttr(cm, 'idx')}`,
+            author: authors.get(getAttr(cm, 'authorId')) || null,
+            date: getAttr(cm, 'dt'),
+            text: text ? text.textContent : '',
+            shapeId: null,
+            position: pos
+              ? {
+                  x: Math.round(getNumberAttr(pos, 'x', 0) * EMU_PER_COMMENT_UNIT * scale),
+                  y: Math.round(getNumberAttr(pos, 'y', 0) * EMU_PER_COMMENT_UNIT * scale)
+                }
+              : null
+          })
+        })
+      } else {
+        // Modern comments are anchored to a shape; replies share their comment's anchor
+        getChildren(root, 'p188:cm').forEach(cm => {
+          const shapeMoniker = getDescendants(cm, 'ac:spMk')[0]
+          const replies = getChildren(getChild(cm, 'p188:replyLst'), 'p188:reply')
+
+          const entries = [cm, ...replies]
+
+          entries.forEach(entry => {
+            comments.push({
+              id: getAttr(entry, 'id'),
+              author: authors.get(getAttr(entry, 'authorId')) || null,
+              date: getAttr(entry, 'created'),
+              text: getChildren(getChild(entry, 'p188:txBody'), 'a:p')
+                .map(paragraph => getDescendants(paragraph, 'a:t').map(t => t.textContent).join(''))
+                .join('\n'),
+              shapeId: getAttr(shapeMoniker, 'id'),
+              position: null
+            })
+          })
+        })
+      }
+    }
+
+    return comments.filter(comment => comment.text.trim())
+  }
+
+  /**
+   * Load the chart and SmartArt parts a slide's graphic frames refer to
+   * @param {PptxPackage} pptx - Loaded package
+   * @param {Map} relationships - Relationships of the slide part
+   * @returns {Promise<Map<string, Object>>} Map of relationship ID to { type, partPath, document, relationships }
+   */
+  async loadGraphicParts(pptx, relationships) {
+    const graphicParts = new Map()
+
+    for (const [id, rel] of relationships) {
+      if (rel.isExternal || !GRAPHIC_PART_TYPES.includes(rel.type)) continue
+
+      const document = await pptx.readXml(rel.target)
+      if (document) {
+        graphicParts.set(id, {
+          type: rel.type,
+          partPath: rel.target,
+          document,
+          relationships: await pptx.getRelationships(rel.target)
+        })
+      }
+    }
+
+    return graphicParts
+  }
+
+  /**
+   * Collect the placeholder shapes of a layout or master
+   * @param {Document|null} document - Layout or master document
+   * @returns {Array} Array of { type, idx, sp }
+   */
+  collectPlaceholders(document) {
+    if (!document) return []
+
+    const spTree = getPath(document.documentElement, 'p:cSld', 'p:spTree')
+    return getChildren(spTree, 'p:sp')
+      .map(sp => ({ sp, ph: getPath(sp, 'p:nvSpPr', 'p:nvPr', 'p:ph') }))
+      .filter(({ ph }) => ph)
+      .map(({ sp, ph }) => ({
+        type: getAttr(ph, 'type'),
+        idx: getAttr(ph, 'idx') || '0',
+        sp
+      }))
+  }
+
+  /**
+   * Read the major/minor latin typefaces from a theme
+   * @param {Document|null} theme - Theme document
+   * @returns {Object} Theme fonts ({ major, minor })
+   */
+  readThemeFonts(theme) {
+    const fontScheme = theme ? getDescendants(theme.documentElement, 'a:fontScheme')[0] : null
+
+    return {
+      major: getAttr(getPath(fontScheme, 'a:majorFont', 'a:latin'), 'typeface'),
+      minor: getAttr(getPath(fontScheme, 'a:minorFont', 'a:latin'), 'typeface')
+    }
+  }
+
+  /**
+   * Find the layout and master placeholders a slide placeholder inherits from
+   * @param {Element} ph - The slide's p:ph element
+   * @param {Object} inheritance - Inheritance sources from loadInheritance
+   * @returns {Object} Resolved { type, layout, master } (layout/master are p:sp or null)
+   */
+  resolvePlaceholder(ph, inheritance) {
+    const idx = getAttr(ph, 'idx') || '0'
+    let type = getAttr(ph, 'type')
+
+    // Layouts are matched by index first, then by type
+    const layoutMatch = inheritance.layoutPlaceholders.find(candidate => candidate.idx === idx) ||
+      inheritance.layoutPlaceholders.find(candidate => type && candidate.type === type) ||
+      null
+    type = type || (layoutMatch && layoutMatch.type) || 'obj'
+
+    // Masters only hold one placeholder per role, so match by normalized type
+    const masterType = this.getMasterPlaceholderType(type)
+    const masterMatch = inheritance.masterPlaceholders.find(candidate =>
+      this.getMasterPlaceholderType(candidate.type || 'obj') === masterType
+    ) || null
+
+    return {
+      type,
+      layout: layoutMatch ? layoutMatch.sp : null,
+      master: masterMatch ? masterMatch.sp : null
+    }
+  }
+
+  /**
+   * Map a placeholder type to the type of its master placeholder
+   * @param {string} type - Placeholder type
+   * @returns {string} Master placeholder type
+   */
+  getMasterPlaceholderType(type) {
+    if (type === 'ctrTitle') return 'title'
+    if (type === 'subTitle' || type === 'obj') return 'body'
+    return type
+  }
+
+  /**
+   * Pick the master text style a placeholder type draws from
+   * @param {string|null} type - Placeholder type, or null for non-placeholder shapes
+   * @param {Object} inheritance - Inheritance sources
+   * @returns {Element|null} The p:titleStyle / p:bodyStyle / p:otherStyle / p:defaultTextStyle element
+   */
+  getBaseTextStyle(type, inheritance) {
+    if (!type) return inheritance.defaultTextStyle
+
+    // Notes masters use a single style for all their placeholders
+    if (inheritance.notesStyle) return inheritance.notesStyle
+
+    const masterType = this.getMasterPlaceholderType(type)
+    const styleName = masterType === 'title' ? 'p:titleStyle' : masterType === 'body' ? 'p:bodyStyle' : 'p:otherStyle'
+    return getChild(inheritance.masterTextStyles, styleName)
+  }
+
+  /**
+   * Extract text-bearing shapes from a slide shape tree, descending into group shapes
+   * and graphic frames (table cells, chart labels and SmartArt nodes).
+   * Shapes hidden on the slide, or inside a hidden group, are flagged with hidden: true.
+   * @param {Element} spTree - The p:spTree or p:grpSp element
+   * @param {Object} context - Extraction context ({ scale, inheritance, relationships, graphicParts, transform, groupPath })
+   * @returns {Array} Array of shape objects in z-order
+   */
+  extractShapes(spTree, context) {
+    const shapes = []
+
+    getChildren(spTree).forEach(child => {
+      let extracted = []
+      if (child.nodeName === 'p:sp') {
+        const shape = this.extractShape(child, context)
+        if (shape) extracted = [shape]
+      } else if (child.nodeName === 'p:pic') {
+        const shape = this.extractPictureAltText(child, context)
+        if (shape) extracted = [shape]
+      } else if (child.nodeName === 'p:graphicFrame') {
+        extracted = this.extractGraphicFrame(child, context)
+      } else if (child.nodeName === 'p:grpSp') {
+        extracted = this.extractShapes(child, this.createGroupContext(child, context))
+      }
+
+      // Every shape type keeps its non-visual properties in its first child (p:nvSpPr, p:nvPicPr, ...)
+      const hidden = getBoolAttr(getChild(getChildren(child)[0], 'p:cNvPr'), 'hidden') === true
+      shapes.push(...(hidden ? extracted.map(shape => ({ ...shape, hidden: true })) : extracted))
+    })
+
+    return shapes
+  }
+
+  /**
+   * Create the extraction context for the children of a group shape
+   * @param {Element} grpSp - The p:grpSp element
+   * @param {Object} context - Context of the group's parent
+   * @returns {Object} Context with the group transform and path applied
+   */
+  createGroupContext(grpSp, context) {
+    const cNvPr = getPath(grpSp, 'p:nvGrpSpPr', 'p:cNvPr')
+
+    return {
+      ...context,
+      transform: multiply(context.transform, readGroupTransform(getPath(grpSp, 'p:grpSpPr', 'a:xfrm'))),
+      groupPath: [...context.groupPath, getAttr(cNvPr, 'id')]
+    }
+  }
+
+  /**
+   * Extract geometry, text and formatting from a p:sp element,
+   * resolving anything the shape leaves out from its layout and master placeholders
+   * @param {Element} sp - The p:sp element
+   * @param {Object} context - Extraction context ({ scale, inheritance, relationships, transform, groupPath })
+   * @returns {Object|null} Shape object, or null if the shape has no text body
+   */
+  extractShape(sp, context) {
+    const txBody = getChild(sp, 'p:txBody')
+    if (!txBody) return null
+
+    const cNvPr = getPath(sp, 'p:nvSpPr', 'p:cNvPr')
+    const ph = getPath(sp, 'p:nvSpPr', 'p:nvPr', 'p:ph')
+    const placeholder = ph ? this.resolvePlaceholder(ph, context.inheritance) : { type: null, layout: null, master: null }
+
+    // Geometry: slide → layout → master, flattened through any enclosing groups
+    const box = [sp, placeholder.layout, placeholder.master]
+      .map(source => source && readTransform(getPath(source, 'p:spPr', 'a:xfrm')))
+      .find(Boolean)
+    const bounds = box ? this.toSlideBounds(box, context) : null
+    const bodyPrs = [txBody, getChild(placeholder.layout, 'p:txBody'), getChild(placeholder.master, 'p:txBody')]
+      .map(body => getChild(body, 'a:bodyPr'))
+      .filter(Boolean)
+
+    return {
+      shapeId: getAttr(cNvPr, 'id'),
+      name: getAttr(cNvPr, 'name'),
+      placeholderType: placeholder.type,
+      groupPath: context.groupPath,
+      textSource: { type: 'txBody', element: txBody },
+      textFrame: bounds ? this.createTextFrame(readBodyLayout(bodyPrs), bounds, context) : null,
+      ...this.extractTextBody(txBody, this.getTextLevelStyles(txBody, placeholder, context.inheritance), bounds, context)
+    }
+  }
+
+  /**
+   * Extract the alternative text of a picture as a shape covering the image
+   * @param {Element} pic - The p:pic element
+   * @param {Object} context - Extraction context ({ scale, inheritance, transform, groupPath })
+   * @returns {Object|null} Shape object with altText: true, or null if the picture has no description
+   */
+  extractPictureAltText(pic, context) {
+    const cNvPr = getPath(pic, 'p:nvPicPr', 'p:cNvPr')
+    const description = (getAttr(cNvPr, 'descr') || '').trim()
+    if (!description) return null
+
+    // Picture placeholders inherit their geometry like any other placeholder
+    const ph = getPath(pic, 'p:nvPicPr', 'p:nvPr', 'p:ph')
+    const placeholder = ph ? this.resolvePlaceholder(ph, context.inheritance) : { type: null, layout: null, master: null }
+    const box = [pic, placeholder.layout, placeholder.master]
+      .map(source => source && readTransform(getPath(source, 'p:spPr', 'a:xfrm')))
+      .find(Boolean)
+
+    return {
+      shapeId: getAttr(cNvPr, 'id'),
+      name: getAttr(cNvPr, 'name'),
+      placeholderType: placeholder.type,
+      groupPath: context.groupPath,
+      altText: true,
+      textSource: { type: 'attribute', element: cNvPr, name: 'descr' },
+      ...this.createPlainTextBody(description, box ? this.toSlideBounds(box, context) : null, DEFAULT_FONT_SIZE)
+    }
+  }
+
+  /**
+   * Build the inherited paragraph properties of a text body:
+   * shape → layout → master → master/presentation text styles
+   * @param {Element} txBody - The text body element
+   * @param {Object} placeholder - Resolved placeholder ({ type, layout, master }); type null for other shapes
+   * @param {Object} inheritance - Inheritance sources
+   * @returns {Function} Returns the a:lvlNpPr elements for a paragraph level, highest priority first
+   */
+  getTextLevelStyles(txBody, placeholder, inheritance) {
+    return level => [
+      ...[txBody, getChild(placeholder.layout, 'p:txBody'), getChild(placeholder.master, 'p:txBody')]
+        .map(body => this.getLevelParagraphProperties(getChild(body, 'a:lstStyle'), level)),
+      this.getLevelParagraphProperties(this.getBaseTextStyle(placeholder.type, inheritance), level)
+    ].filter(Boolean)
+  }
+
+  /**
+   * Extract the text, paragraphs and leading run formatting of a text body
+   * @param {Element} txBody - The p:txBody, a:txBody or equivalent text body element
+   * @param {Function} levelStyles - Returns the inherited a:lvlNpPr elements for a paragraph level
+   * @param {Object|null} bounds - Bounding box of the text body in slide coordinates
+   * @param {Object} context - Extraction context ({ scale, inheritance, relationships })
+   * @returns {Object} Text properties ({ text, paragraphs, bounds, fontSize, fontFamily, color, bold, italic })
+   */
+  extractTextBody(txBody, levelStyles, bounds, context) {
+    const paragraphs = this.extractParagraphs(txBody, levelStyles, context)
+    const firstRun = paragraphs.flatMap(paragraph => paragraph.runs).find(run => run.type !== 'break') ||
+      (paragraphs[0] && paragraphs[0].endRun)
+
+    if (bounds) {
+      this.estimateParagraphBounds(paragraphs, bounds, context.scale * EMU_PER_POINT)
+    }
+
+    return {
+      text: paragraphs.map(paragraph => paragraph.text).join('\n'),
+      paragraphs: paragraphs.map(({ endRun, ...paragraph }) => paragraph),
+      bounds,
+      fontSize: firstRun ? firstRun.fontSize : DEFAULT_FONT_SIZE,
+      fontFamily: firstRun ? firstRun.fontFamily : 'Arial',
+      color: firstRun ? firstRun.color : '#000000',
+      bold: firstRun ? firstRun.bold : false,
+      italic: firstRun ? firstRun.italic : false
+    }
+  }
+
+  /**
+   * Extract the text of a graphic frame's table, chart or SmartArt diagram
+   * @param {Element} graphicFrame - The p:graphicFrame element
+   * @param {Object} context - Extraction context
+   * @returns {Array} Array of shape objects (empty for pictures, media and other graphic content)
+   */
+  extractGraphicFrame(graphicFrame, context) {
+    const graphicData = getPath(graphicFrame, 'a:graphic', 'a:graphicData')
+
+    if (getChild(graphicData, 'a:tbl')) return this.extractTableCells(graphicFrame, context)
+    if (getChild(graphicData, 'c:chart')) return this.extractChartLabels(graphicFrame, context)
+    if (getChild(graphicData, 'dgm:relIds')) return this.extractSmartArtNodes(graphicFrame, context)
+    return []
+  }
+
+  /**
+   * Extract the cells of a table graphic frame as individual shapes
+   * @param {Element} graphicFrame - The p:graphicFrame element
+   * @param {Object} context - Extraction context ({ scale, inheritance, relationships, transform, groupPath })
+   * @returns {Array} Array of cell shape objects in row-major order (empty if the frame holds no table)
+   */
+  extractTableCells(graphicFrame, context) {
+    const tbl = getPath(graphicFrame, 'a:graphic', 'a:graphicData', 'a:tbl')
+    const frameBox = readTransform(getChild(graphicFrame, 'p:xfrm'))
+    if (!tbl || !frameBox) return []
+
+    const cNvPr = getPath(graphicFrame, 'p:nvGraphicFramePr', 'p:cNvPr')
+    const tblPr = getChild(tbl, 'a:tblPr')
+    const rows = getChildren(tbl, 'a:tr')
+    const columnWidths = getChildren(getChild(tbl, 'a:tblGrid'), 'a:gridCol').map(gridCol => getNumberAttr(gridCol, 'w', 0))
+
+    // Row heights are minimums; rows grow to fill the frame when it is taller
+    const declaredHeights = rows.map(row => getNumberAttr(row, 'h', 0))
+    const declaredTotal = declaredHeights.reduce((sum, height) => sum + height, 0)
+    const rowHeights = declaredTotal > 0
+      ? declaredHeights.map(height => height * Math.max(declaredTotal, frameBox.cy) / declaredTotal)
+      : rows.map(() => frameBox.cy / Math.max(rows.length, 1))
+
+    const offsets = sizes => sizes.reduce((result, size) => [...result, result[result.length - 1] + size], [0])
+    const columnOffsets = offsets(columnWidths)
+    const rowOffsets = offsets(rowHeights)
+    const toSlide = value => Math.round(value * context.scale)
+
+    const table = {
+      tableId: getAttr(cNvPr, 'id'),
+      boundingBox: this.toSlideBounds(frameBox, context),
+      columnWidths: columnWidths.map(toSlide),
+      rowHeights: rowHeights.map(toSlide),
+      firstRow: getBoolAttr(tblPr, 'firstRow') || false,
+      firstCol: getBoolAttr(tblPr, 'firstCol') || false
+    }
+    const placeholder = { type: null, layout: null, master: null }
+
+    // Collect the cells that start a span; hMerge/vMerge cells are covered by another cell
+    const cells = []
+    rows.forEach((tr, row) => {
+      getChildren(tr, 'a:tc').forEach((tc, column) => {
+        if (getBoolAttr(tc, 'hMerge') || getBoolAttr(tc, 'vMerge')) return
+
+        const columnSpan = Math.min(getNumberAttr(tc, 'gridSpan', 1), columnWidths.length - column)
+        const rowSpan = Math.min(getNumberAttr(tc, 'rowSpan', 1), rows.length - row)
+        const box = {
+          x: frameBox.x + columnOffsets[column],
+          y: frameBox.y + rowOffsets[row],
+          cx: columnOffsets[column + columnSpan] - columnOffsets[column],
+          cy: rowOffsets[row + rowSpan] - rowOffsets[row],
+          rot: 0,
+          flipH: false,
+          flipV: false
+        }
+        const txBody = getChild(tc, 'a:txBody')
+        const bounds = this.toSlideBounds(box, context)
+        const textBody = txBody
+          ? this.extractTextBody(txBody, this.getTextLevelStyles(txBody, placeholder, context.inheritance), bounds, context)
+          : { text: '', paragraphs: [], bounds }
+
+        const textFrame = this.createTextFrame(readCellLayout(getChild(tc, 'a:tcPr')), bounds, context)
+
+        cells.push({ row, column, rowSpan, columnSpan, txBody, textBody, textFrame })
+      })
+    })
+
+    // Header text of the row (first column) and column (first row) each cell sits in
+    const headerText = (row, column) => {
+      const header = cells.find(cell =>
+        row >= cell.row && row < cell.row + cell.rowSpan &&
+        column >= cell.column && column < cell.column + cell.columnSpan
+      )
+      return header && header.textBody.text.trim() ? header.textBody.text.trim() : null
+    }
+
+    return cells.map(({ row, column, rowSpan, columnSpan, txBody, textBody, textFrame }) => ({
+      shapeId: `${table.tableId}:${row}.${column}`,
+      name: getAttr(cNvPr, 'name'),
+      placeholderType: null,
+      groupPath: context.groupPath,
+      textSource: { type: 'txBody', element: txBody },
+      textFrame,
+      ...textBody,
+      table: {
+        tableId: table.tableId,
+        row,
+        column,
+        rowSpan,
+        columnSpan,
+        isHeader: (table.firstRow && row === 0) || (table.firstCol && column === 0),
+        rowHeader: column > 0 ? headerText(row, 0) : null,
+        columnHeader: row > 0 ? headerText(0, column) : null,
+        boundingBox: table.boundingBox,
+        columnWidths: table.columnWidths,
+        rowHeights: table.rowHeights
+      }
+    }))
+  }
+
+  /**
+   * Extract the title, axis titles, category labels and series names of a chart graphic frame.
+   * Positions are estimated within the frame from each label's role.
+   * @param {Element} graphicFrame - The p:graphicFrame element
+   * @param {Object} context - Extraction context
+   * @returns {Array} Array of label shape objects
+   */
+  extractChartLabels(graphicFrame, context) {
+    const chartRef = getPath(graphicFrame, 'a:graphic', 'a:graphicData', 'c:chart')
+    const part = context.graphicParts && context.graphicParts.get(getAttr(chartRef, 'r:id'))
+    const frameBox = readTransform(getChild(graphicFrame, 'p:xfrm'))
+    if (!part || !frameBox) return []
+
+    const cNvPr = getPath(graphicFrame, 'p:nvGraphicFramePr', 'p:cNvPr')
+    const chartId = getAttr(cNvPr, 'id')
+    const chartSpace = part.document.documentElement
+    const chart = getChild(chartSpace, 'c:chart')
+    const plotArea = getChild(chart, 'c:plotArea')
+    const chartContext = { ...context, relationships: part.relationships }
+    const chartFontSize = this.readChartFontSize(chartSpace, DEFAULT_CHART_FONT_SIZE)
+    const labels = []
+
+    const title = getChild(chart, 'c:title')
+    if (title) {
+      labels.push({ role: 'title', axis: null, area: CHART_LABEL_AREAS.title, title, owner: chartSpace })
+    }
+
+    getChildren(plotArea)
+      .filter(child => CHART_AXES[child.nodeName] && getChild(child, 'c:title'))
+      .forEach(axis => {
+        const position = getAttr(getChild(axis, 'c:axPos'), 'val') || 'b'
+        labels.push({
+          role: 'axis_title',
+          axis: CHART_AXES[axis.nodeName],
+          area: CHART_LABEL_AREAS.axisTitle[position] || CHART_LABEL_AREAS.axisTitle.b,
+          title: getChild(axis, 'c:title'),
+          owner: axis
+        })
+      })
+
+    // Series of every chart type in the plot area, in plot order
+    const series = getChildren(plotArea)
+      .filter(child => child.nodeName.endsWith('Chart'))
+      .flatMap(chartType => getChildren(chartType, 'c:ser'))
+
+    // Every series caches its own copy of the category labels
+    const categoryAxis = getChildren(plotArea).find(child => CHART_AXES[child.nodeName] === 'category')
+    const categories = series.length > 0 ? this.readChartStrings(getChild(series[0], 'c:cat')) : []
+    categories.forEach((text, index) => {
+      labels.push({
+        role: 'category',
+        axis: 'category',
+        area: this.getSlotArea(CHART_LABEL_AREAS.categories, index, categories.length, 'horizontal'),
+        text,
+        values: series.map(ser => this.readChartValues(getChild(ser, 'c:cat'))[index]).filter(Boolean),
+        fontSize: categoryAxis ? this.readChartFontSize(categoryAxis, chartFontSize) : chartFontSize
+      })
+    })
+
+    const legend = getChild(chart, 'c:legend')
+    const legendPosition = getAttr(getChild(legend, 'c:legendPos'), 'val') || 'r'
+    const legendArea = CHART_LABEL_AREAS.legend[legendPosition] || CHART_LABEL_AREAS.legend.r
+    const seriesNames = series
+      .map(ser => this.readChartValues(getChild(ser, 'c:tx'))[0])
+      .filter(value => value && value.textContent)
+    seriesNames.forEach((value, index) => {
+      labels.push({
+        role: 'series',
+        axis: null,
+        area: this.getSlotArea(legendArea, index, seriesNames.length, ['l', 'r', 'tr'].includes(legendPosition) ? 'vertical' : 'horizontal'),
+        text: value.textContent,
+        values: [value],
+        fontSize: legend ? this.readChartFontSize(legend, chartFontSize) : chartFontSize
+      })
+    })
+
+    const roleCounts = {}
+    return labels
+      .map(label => {
+        const box = {
+          x: frameBox.x + label.area.x * frameBox.cx,
+          y: frameBox.y + label.area.y * frameBox.cy,
+          cx: label.area.w * frameBox.cx,
+          cy: label.area.h * frameBox.cy,
+          rot: 0,
+          flipH: false,
+          flipV: false
+        }
+        const bounds = this.toSlideBounds(box, context)
+        const textBody = label.title
+          ? this.extractChartTitle(label.title, [label.owner, chartSpace], bounds, chartContext)
+          : this.createPlainTextBody(label.text, bounds, label.fontSize)
+        if (!textBody || !textBody.text.trim()) return null
+
+        const index = roleCounts[label.role] || 0
+        roleCounts[label.role] = index + 1
+
+        // Rich titles hold paragraphs; other labels are cached strings
+        const rich = label.title && getPath(label.title, 'c:tx', 'c:rich')
+        const values = label.title ? this.readChartValues(getChild(label.title, 'c:tx')).slice(0, 1) : label.values
+
+        return {
+          shapeId: `${chartId}:${label.role}${index}`,
+          name: getAttr(cNvPr, 'name'),
+          placeholderType: null,
+          groupPath: context.groupPath,
+          textSource: rich ? { type: 'txBody', element: rich } : { type: 'values', elements: values },
+          ...textBody,
+          chart: { chartId, partPath: part.partPath, role: label.role, axis: label.axis, index }
+        }
+      })
+      .filter(Boolean)
+  }
+
+  /**
+   * Extract the text of a chart or axis title
+   * @param {Element} title - The c:title element
+   * @param {Array<Element>} owners - Elements whose c:txPr the title inherits from (axis, chart space)
+   * @param {Object} bounds - Estimated title bounds
+   * @param {Object} context - Extraction context with the chart part's relationships
+   * @returns {Object|null} Text properties, or null for automatic titles without text
+   */
+  extractChartTitle(title, owners, bounds, context) {
+    // Title text properties → axis/chart text properties, instead of the slide text styles
+    const txPrs = [getChild(title, 'c:txPr'), ...owners.map(owner => getChild(owner, 'c:txPr'))]
+    const rich = getPath(title, 'c:tx', 'c:rich')
+
+    if (!rich) {
+      const text = this.readChartStrings(getChild(title, 'c:tx'))[0]
+      const fontSize = this.resolveProperty(txPrs, txPr => {
+        const size = getNumberAttr(getPath(txPr, 'a:p', 'a:pPr', 'a:defRPr'), 'sz')
+        return size !== null ? size / 100 : null
+      })
+      return text ? this.createPlainTextBody(text, bounds, fontSize || DEFAULT_FONT_SIZE) : null
+    }
+
+    const levelStyles = level => [
+      this.getLevelParagraphProperties(getChild(rich, 'a:lstStyle'), level),
+      ...txPrs.map(txPr => getPath(txPr, 'a:p', 'a:pPr'))
+    ].filter(Boolean)
+    return this.extractTextBody(rich, levelStyles, bounds, context)
+  }
+
+  /**
+   * Read the string values cached in a chart text or category reference
+   * @param {Element|null} element - A c:tx or c:cat element
+   * @returns {Array<string>} Cached strings in point order (numeric references yield none)
    */
-  convertTextToShapes(textContent, slideId) {
-    return textContent.map((text, index) => ({
-      text: text,
-      bounds: this.estimateBounds(index, text),
-      fontSize: this.estimateFontSize(text),
+  readChartStrings(element) {
+    return this.readChartValues(element).map(value => value ? value.textContent : '')
+  }
+
+  /**
+   * Find the c:v elements holding the strings of a chart text or category reference
+   * @param {Element|null} element - A c:tx or c:cat element
+   * @returns {Array<Element|null>} Value elements in point order (null for points without one)
+   */
+  readChartValues(element) {
+    if (!element) return []
+
+    const literal = getChild(element, 'c:v')
+    if (literal) return [literal]
+
+    const cache = getPath(element, 'c:strRef', 'c:strCache') ||
+      getChild(element, 'c:strLit') ||
+      getChild(getPath(element, 'c:multiLvlStrRef', 'c:multiLvlStrCache'), 'c:lvl')
+
+    return getChildren(cache, 'c:pt')
+      .sort((a, b) => getNumberAttr(a, 'idx', 0) - getNumberAttr(b, 'idx', 0))
+      .map(pt => getChild(pt, 'c:v'))
+  }
+
+  /**
+   * Read the default font size of a chart element's text properties
+   * @param {Element} element - Element with an optional c:txPr (chart space, axis or legend)
+   * @param {number} fallback - Size used when none is set
+   * @returns {number} Font size in points
+   */
+  readChartFontSize(element, fallback) {
+    const defRPr = getPath(element, 'c:txPr', 'a:p', 'a:pPr', 'a:defRPr')
+    const size = getNumberAttr(defRPr, 'sz')
+    return size !== null ? size / 100 : fallback
+  }
+
+  /**
+   * Split an area into equal slots and return one of them
+   * @param {Object} area - Area as fractions of the frame ({ x, y, w, h })
+   * @param {number} index - Slot index
+   * @param {number} count - Number of slots
+   * @param {string} direction - 'horizontal' or 'vertical'
+   * @returns {Object} Slot area ({ x, y, w, h })
+   */
+  getSlotArea(area, index, count, direction) {
+    if (direction === 'vertical') {
+      const h = area.h / Math.max(count, 1)
+      return { ...area, y: area.y + index * h, h }
+    }
+    const w = area.w / Math.max(count, 1)
+    return { ...area, x: area.x + index * w, w }
+  }
+
+  /**
+   * Build the text properties of a label that only exists as a plain string
+   * @param {string} text - Label text
+   * @param {Object} bounds - Label bounds
+   * @param {number} fontSize - Font size in points
+   * @returns {Object} Text properties ({ text, paragraphs, bounds, fontSize, fontFamily, color, bold, italic })
+   */
+  createPlainTextBody(text, bounds, fontSize) {
+    return {
+      text,
+      paragraphs: [],
+      bounds,
+      fontSize,
       fontFamily: 'Arial',
       color: '#000000',
-      bold: this.isLikelyBold(text),
+      bold: false,
       italic: false
-    }))
+    }
+  }
+
+  /**
+   * Extract the text nodes of a SmartArt graphic frame, keeping the diagram's node hierarchy.
+   * Text comes from the data model; positions come from the cached drawing when there is one.
+   * @param {Element} graphicFrame - The p:graphicFrame element
+   * @param {Object} context - Extraction context
+   * @returns {Array} Array of node shape objects in hierarchy order
+   */
+  extractSmartArtNodes(graphicFrame, context) {
+    const relIds = getPath(graphicFrame, 'a:graphic', 'a:graphicData', 'dgm:relIds')
+    const data = context.graphicParts && context.graphicParts.get(getAttr(relIds, 'r:dm'))
+    const frameBox = readTransform(getChild(graphicFrame, 'p:xfrm'))
+    if (!data || !frameBox) return []
+
+    const cNvPr = getPath(graphicFrame, 'p:nvGraphicFramePr', 'p:cNvPr')
+    const diagramId = getAttr(cNvPr, 'id')
+    const dataModel = data.document.documentElement
+    const points = getChildren(getChild(dataModel, 'dgm:ptLst'), 'dgm:pt')
+    const pointsById = new Map(points.map(pt => [getAttr(pt, 'modelId'), pt]))
+    const root = points.find(pt => getAttr(pt, 'type') === 'doc')
+    if (!root) return []
+
+    // Parent/child connections, children ordered by their position under the parent
+    const childrenOf = new Map()
+    getChildren(getChild(dataModel, 'dgm:cxnLst'), 'dgm:cxn')
+      .filter(cxn => (getAttr(cxn, 'type') || 'parOf') === 'parOf')
+      .sort((a, b) => getNumberAttr(a, 'srcOrd', 0) - getNumberAttr(b, 'srcOrd', 0))
+      .forEach(cxn => {
+        const child = pointsById.get(getAttr(cxn, 'destId'))
+        if (!child || !SMARTART_NODE_TYPES.includes(getAttr(child, 'type') || 'node')) return
+
+        const parentId = getAttr(cxn, 'srcId')
+        if (!childrenOf.has(parentId)) childrenOf.set(parentId, [])
+        childrenOf.get(parentId).push(child)
+      })
+
+    const drawingNodes = this.readSmartArtDrawing(this.findSmartArtDrawing(data, dataModel, context), points)
+    const frameContext = { ...context, transform: multiply(context.transform, [1, 0, 0, 1, frameBox.x, frameBox.y]) }
+    const nodeContext = { ...context, relationships: data.relationships }
+    const rootId = getAttr(root, 'modelId')
+    const nodes = []
+
+    const visit = (parentId, depth) => {
+      const siblings = childrenOf.get(parentId) || []
+      siblings.forEach((pt, siblingIndex) => {
+        const nodeId = getAttr(pt, 'modelId')
+        const drawingNode = drawingNodes.get(nodeId)
+        const bounds = drawingNode
+          ? this.toSlideBounds(drawingNode.box, frameContext)
+          : this.toSlideBounds(frameBox, context)
+        const textBody = getChild(pt, 'dgm:t')
+
+        if (textBody) {
+          const levelStyles = this.getTextLevelStyles(textBody, { type: null, layout: null, master: null }, context.inheritance)
+          const node = this.extractTextBody(textBody, levelStyles, bounds, nodeContext)
+          if (node.text.trim()) {
+            nodes.push({
+              shapeId: `${diagramId}:${nodeId}`,
+              name: getAttr(cNvPr, 'name'),
+              placeholderType: null,
+              groupPath: context.groupPath,
+              // The cached drawing repeats the node text and is what PowerPoint displays
+              textSource: {
+                type: 'txBody',
+                element: textBody,
+                mirrors: drawingNode && drawingNode.txBody ? [drawingNode.txBody] : []
+              },
+              // Only the cached drawing knows the box and body properties the node is laid out in
+              textFrame: drawingNode
+                ? this.createTextFrame(readBodyLayout([getChild(drawingNode.txBody, 'a:bodyPr')].filter(Boolean)), bounds, context)
+                : null,
+              ...node,
+              smartArt: {
+                diagramId,
+                nodeId,
+                parentId: parentId === rootId ? null : parentId,
+                depth,
+                siblingIndex,
+                siblingCount: siblings.length
+              }
+            })
+          }
+        }
+        visit(nodeId, depth + 1)
+      })
+    }
+    visit(rootId, 0)
+
+    return nodes
+  }
+
+  /**
+   * Find the cached drawing of a SmartArt data part
+   * @param {Object} data - Loaded diagram data part
+   * @param {Element} dataModel - The dgm:dataModel element
+   * @param {Object} context - Extraction context with the slide's graphic parts
+   * @returns {Object|null} Loaded diagram drawing part, or null if the diagram has no cached drawing
+   */
+  findSmartArtDrawing(data, dataModel, context) {
+    // PowerPoint links the drawing through a slide relationship named in the data model's extension list
+    const dataModelExt = getDescendants(dataModel, 'dsp:dataModelExt')[0]
+    const linked = dataModelExt && context.graphicParts.get(getAttr(dataModelExt, 'relId'))
+    if (linked) return linked
+
+    // Otherwise pair dataN.xml with drawingN.xml
+    const number = (data.partPath.match(/data(\d+)\.xml$/) || [])[1]
+    for (const part of context.graphicParts.values()) {
+      if (part.type === 'diagramDrawing' && part.partPath.endsWith(`drawing${number}.xml`)) return part
+    }
+    return null
+  }
+
+  /**
+   * Read the text box and text body of each SmartArt node from a cached diagram drawing
+   * @param {Object|null} drawing - Loaded diagram drawing part
+   * @param {Array<Element>} points - Data model points (dgm:pt)
+   * @returns {Map<string, Object>} Map of node model ID to { box, txBody }, box in EMU relative to the graphic frame
+   */
+  readSmartArtDrawing(drawing, points) {
+    const nodes = new Map()
+    if (!drawing) return nodes
+
+    // Drawing shapes reference either the node itself or a presentation point associated with it
+    const nodeOf = new Map()
+    points.forEach(pt => {
+      const modelId = getAttr(pt, 'modelId')
+      const presAssocId = getAttr(getChild(pt, 'dgm:prSet'), 'presAssocID')
+      nodeOf.set(modelId, getAttr(pt, 'type') === 'pres' && presAssocId ? presAssocId : modelId)
+    })
+
+    getDescendants(drawing.document.documentElement, 'dsp:sp').forEach(sp => {
+      const nodeId = nodeOf.get(getAttr(sp, 'modelId'))
+      const box = readTransform(getChild(sp, 'dsp:txXfrm')) ||
+        readTransform(getPath(sp, 'dsp:spPr', 'a:xfrm'))
+      if (nodeId && box && !nodes.has(nodeId)) {
+        nodes.set(nodeId, { box, txBody: getChild(sp, 'dsp:txBody') })
+      }
+    })
+
+    return nodes
+  }
+
+  /**
+   * Extract the paragraph and run model of a text body
+   * @param {Element} txBody - The p:txBody element
+   * @param {Function} levelStyles - Returns the inherited a:lvlNpPr elements for a paragraph level
+   * @param {Object} context - Extraction context ({ inheritance, relationships })
+   * @returns {Array} Array of paragraphs with their runs
+   */
+  extractParagraphs(txBody, levelStyles, context) {
+    return getChildren(txBody, 'a:p').map((paragraph, index) => {
+      const pPr = getChild(paragraph, 'a:pPr')
+      const level = getNumberAttr(pPr, 'lvl', 0)
+      const paragraphChain = [pPr, ...levelStyles(level)].filter(Boolean)
+      const runDefaults = paragraphChain.map(element => getChild(element, 'a:defRPr')).filter(Boolean)
+
+      const runs = getChildren(paragraph)
+        .filter(child => RUN_TYPES[child.nodeName])
+        .map(child => this.extractRun(child, runDefaults, context))
+
+      return {
+        index,
+        level,
+        text: runs.map(run => run.text).join(''),
+        bullet: this.resolveBullet(paragraphChain),
+        alignment: ALIGNMENTS[this.resolveProperty(paragraphChain, element => getAttr(element, 'algn'))] || 'left',
+        lineSpacing: this.resolveProperty(paragraphChain, element => this.readSpacing(getChild(element, 'a:lnSpc'))),
+        runs,
+        endRun: this.extractRun(getChild(paragraph, 'a:endParaRPr'), runDefaults, context)
+      }
+    })
   }
 
   /**
-   * Estimate bounding box for text element
-   * @param {number} index - Element index
-   * @param {string} text - Text content
-   * @returns {Object} Estimated bounding box
+   * Extract a text run, line break or field with its resolved formatting
+   * @param {Element|null} element - The a:r, a:br or a:fld element (or a bare a:endParaRPr)
+   * @param {Array<Element>} runDefaults - Inherited a:defRPr elements, highest priority first
+   * @param {Object} context - Extraction context ({ inheritance, relationships })
+   * @returns {Object} Run object
    */
-  estimateBounds(index, text) {
-    const baseY = 50 + (index * 80)
-    const height = Math.max(40, Math.min(120, text.length * 0.8))
+  extractRun(element, runDefaults, context) {
+    const runProps = element && element.nodeName === 'a:endParaRPr' ? element : getChild(element, 'a:rPr')
+    const chain = [runProps, ...runDefaults].filter(Boolean)
+    const type = element ? RUN_TYPES[element.nodeName] || 'text' : 'text'
+    const t = getChild(element, 'a:t')
+
+    const fontSize = this.resolveProperty(chain, item => getNumberAttr(item, 'sz'))
+    const typeface = this.resolveProperty(chain, item => getAttr(getChild(item, 'a:latin'), 'typeface'))
+    const underline = this.resolveProperty(chain, item => getAttr(item, 'u'))
+
     return {
-      x: 100,
-      y: baseY,
-      width: 600,
-      height: height
+      type,
+      text: type === 'break' ? '\n' : t ? t.textContent : '',
+      bold: this.resolveProperty(chain, item => getBoolAttr(item, 'b')) || false,
+      italic: this.resolveProperty(chain, item => getBoolAttr(item, 'i')) || false,
+      underline: underline !== null && underline !== 'none',
+      fontFamily: this.resolveThemeFont(typeface, context.inheritance.themeFonts) || 'Arial',
+      fontSize: fontSize !== null ? fontSize / 100 : DEFAULT_FONT_SIZE,
+      color: this.resolveProperty(chain, item => this.readSolidFillColor(item, context.inheritance.themeColors)) || '#000000',
+      language: this.resolveProperty(chain, item => getAttr(item, 'lang')),
+      hyperlink: this.readHyperlink(getChild(runProps, 'a:hlinkClick'), context.relationships)
+    }
+  }
+
+  /**
+   * Resolve a run's click hyperlink to its target
+   * @param {Element|null} hlinkClick - The a:hlinkClick element
+   * @param {Map} relationships - Relationships of the slide part
+   * @returns {string|null} External URL, internal part path or action, or null if none
+   */
+  readHyperlink(hlinkClick, relationships) {
+    if (!hlinkClick) return null
+
+    const rel = relationships && relationships.get(getAttr(hlinkClick, 'r:id'))
+    return rel ? rel.target : getAttr(hlinkClick, 'action')
+  }
+
+  /**
+   * Return the first non-null value read from a chain of elements
+   * @param {Array<Element>} chain - Elements, highest priority first
+   * @param {Function} read - Reads a value from an element, returning null when unset
+   * @returns {*} Resolved value, or null
+   */
+  resolveProperty(chain, read) {
+    for (const element of chain) {
+      const value = read(element)
+      if (value !== null && value !== undefined) return value
+    }
+    return null
+  }
+
+  /**
+   * Resolve the bullet of a paragraph from its inherited paragraph properties
+   * @param {Array<Element>} paragraphChain - a:pPr and inherited a:lvlNpPr elements
+   * @returns {Object|null} Bullet ({ type: 'char', char } | { type: 'autoNumber', scheme, startAt } | { type: 'picture' }), or null
+   */
+  resolveBullet(paragraphChain) {
+    for (const element of paragraphChain) {
+      if (getChild(element, 'a:buNone')) return null
+
+      const buChar = getChild(element, 'a:buChar')
+      if (buChar) return { type: 'char', char: getAttr(buChar, 'char') }
+
+      const buAutoNum = getChild(element, 'a:buAutoNum')
+      if (buAutoNum) {
+        return {
+          type: 'autoNumber',
+          scheme: getAttr(buAutoNum, 'type'),
+          startAt: getNumberAttr(buAutoNum, 'startAt', 1)
+        }
+      }
+
+      if (getChild(element, 'a:buBlip')) return { type: 'picture' }
     }
+    return null
+  }
+
+  /**
+   * Read a spacing element (a:lnSpc, a:spcBef, a:spcAft)
+   * @param {Element|null} spacing - Spacing element
+   * @returns {Object|null} { percent } or { points }, or null if unset
+   */
+  readSpacing(spacing) {
+    const percent = getNumberAttr(getChild(spacing, 'a:spcPct'), 'val')
+    if (percent !== null) return { percent: percent / 1000 }
+
+    const points = getNumberAttr(getChild(spacing, 'a:spcPts'), 'val')
+    if (points !== null) return { points: points / 100 }
+
+    return null
   }
 
   /**
-   * Estimate font size based on text content
-   * @param {string} text - Text content
-   * @returns {number} Estimated font size
+   * Estimate paragraph bounds by stacking paragraphs from the top of the shape.
+   * Line wrapping is approximated from an average character width.
+   * @param {Array} paragraphs - Paragraphs to annotate with a boundingBox
+   * @param {Object} bounds - Shape bounding box
+   * @param {number} pointScale - Points to slide coordinate scale factor
    */
-  estimateFontSize(text) {
-    if (text.length < 50) return 24 // Likely a title
-    if (text.length < 200) return 18 // Likely a subtitle
-    return 14 // Regular text
+  estimateParagraphBounds(paragraphs, bounds, pointScale) {
+    let y = bounds.y
+
+    paragraphs.forEach(paragraph => {
+      const textRuns = paragraph.runs.filter(run => run.type !== 'break')
+      const fontSize = Math.max(...textRuns.map(run => run.fontSize), paragraph.endRun.fontSize)
+      const charWidth = fontSize * pointScale * 0.5
+      const breaks = paragraph.runs.filter(run => run.type === 'break').length
+      const wrappedLines = Math.ceil((paragraph.text.length * charWidth) / Math.max(bounds.width, 1))
+      const lines = Math.max(1, wrappedLines) + breaks
+
+      const spacing = paragraph.lineSpacing
+      const lineHeight = spacing && spacing.points
+        ? spacing.points * pointScale
+        : fontSize * pointScale * 1.2 * (spacing && spacing.percent ? spacing.percent / 100 : 1)
+      const height = Math.min(Math.round(lines * lineHeight), Math.max(bounds.y + bounds.height - y, 0))
+
+      paragraph.boundingBox = { x: bounds.x, y: Math.round(y), width: bounds.width, height }
+      y += height
+    })
   }
 
   /**
-   * Determine if text is likely bold (titles, short text)
-   * @param {string} text - Text content
-   * @returns {boolean} Whether text is likely bold
+   * Get the paragraph properties for a level of a list style
+   * @param {Element|null} listStyle - An a:lstStyle, p:titleStyle, p:bodyStyle or similar element
+   * @param {number} level - Zero-based paragraph level
+   * @returns {Element|null} The a:lvlNpPr element for that level
    */
-  isLikelyBold(text) {
-    return text.length < 100 && !text.includes('.') && !text.includes(',')
+  getLevelParagraphProperties(listStyle, level) {
+    return getChild(listStyle, `a:lvl${level + 1}pPr`)
+  }
+
+  /**
+   * Resolve theme font references such as "+mj-lt" to a typeface name
+   * @param {string|null} typeface - Typeface from run properties
+   * @param {Object} themeFonts - Theme fonts ({ major, minor })
+   * @returns {string|null} Typeface name
+   */
+  resolveThemeFont(typeface, themeFonts) {
+    if (typeface === '+mj-lt') return themeFonts.major
+    if (typeface === '+mn-lt') return themeFonts.minor
+    return typeface
+  }
+
+  /**
+   * Describe the frame text is laid out in, for length constraints and fit checks
+   * @param {Object} layout - Body layout from readBodyLayout or readCellLayout
+   * @param {Object} bounds - Bounding box in slide coordinates
+   * @param {Object} context - Extraction context ({ scale, slideHeight })
+   * @returns {Object} Text frame in points ({ width, height, maxHeight, insets, wrap, autofit, fontScale, lineReduction });
+   *   maxHeight is the room down to the bottom of the slide for shapes that grow to fit their text
+   */
+  createTextFrame(layout, bounds, context) {
+    const pointScale = context.scale * EMU_PER_POINT
+    const toPoints = value => Math.round(value / pointScale * 100) / 100
+    const height = toPoints(bounds.height)
+    const maxHeight = layout.autofit === 'resize' && context.slideHeight
+      ? Math.max(height, toPoints(context.slideHeight * context.scale - bounds.y))
+      : height
+
+    return {
+      width: toPoints(bounds.width),
+      height,
+      maxHeight,
+      insets: layout.insets,
+      wrap: layout.wrap,
+      autofit: layout.autofit,
+      fontScale: layout.fontScale,
+      lineReduction: layout.lineReduction
+    }
+  }
+
+  /**
+   * Convert an EMU box into axis-aligned bounds in slide coordinates
+   * @param {Object} box - Box from readTransform
+   * @param {Object} context - Extraction context ({ scale, transform })
+   * @returns {Object} Bounding box
+   */
+  toSlideBounds(box, context) {
+    const bounds = transformBounds(context.transform, box)
+
+    return {
+      x: Math.round(bounds.x * context.scale),
+      y: Math.round(bounds.y * context.scale),
+      width: Math.round(bounds.width * context.scale),
+      height: Math.round(bounds.height * context.scale)
+    }
+  }
+
+  /**
+   * Read a solid fill color, resolving theme colors against the slide's palette
+   * @param {Element|null} element - Element containing an a:solidFill
+   * @param {Object} [themeColors] - Scheme color palette of the slide
+   * @returns {string|null} Hex color (e.g. "#1F4E79"), or null if none
+   */
+  readSolidFillColor(element, themeColors) {
+    const fill = readSolidFill(element, themeColors)
+    return fill ? fill.color : null
   }
 
   /**
@@ -153,69 +1385,152 @@ class PowerPointProcessor {
    * @param {Object} slide - Parsed slide object
    * @param {number} slideId - Slide number
    * @param {string} fileName - File name for context
+   * @param {Object} slideSize - Normalized slide size ({ width, height })
    * @returns {Promise<Object>} Slide analysis data
    */
-  async processSlide(slide, slideId, fileName) {
+  async processSlide(slide, slideId, fileName, slideSize) {
     const textElements = []
     const visualContexts = []
     const segments = []
 
-    // Extract text elements with positioning from pptx2json format
-    if (slide.shapes) {
-      slide.shapes.forEach((shape, index) => {
-        if (shape.text && shape.text.trim()) {
-          // Extract positioning information
-          const bounds = shape.bounds || { x: 0, y: 0, width: 0, height: 0 }
-          
-          const textElement = {
-            id: `s${slideId}_tb${index + 1}`,
-            text: shape.text.trim(),
-            boundingBox: {
-              x: bounds.x || 0,
-              y: bounds.y || 0,
-              width: bounds.width || 0,
-              height: bounds.height || 0
-            },
-            fontSize: shape.fontSize || 12,
-            fontFamily: shape.fontFamily || 'Arial',
-            color: shape.color || '#000000',
-            isBold: shape.bold || false,
-            isItalic: shape.italic || false
-          }
-          textElements.push(textElement)
-
-          // Create initial segment
-          const segment = {
-            id: `${textElement.id}_vc1_xy(${textElement.boundingBox.x},${textElement.boundingBox.y},${textElement.boundingBox.width},${textElement.boundingBox.height})`,
-            slideId,
-            textElementId: textElement.id,
-            visualContextId: 'vc1',
-            coordinates: textElement.boundingBox,
-            text: shape.text.trim(),
-            visualContext: 'other', // Will be updated by AI analysis
-            confidence: 'medium'
-          }
-          segments.push(segment)
-        }
-      })
-    }
+    const textShapes = this.getTextShapes(slide, slideId)
+
+    // Extract text elements with positioning from the slide XML
+    textShapes.shapes.forEach(({ id, shape }) => {
+      const textElement = this.createTextElement(shape, id, slide.hidden)
+      textElements.push(textElement)
 
-    // Generate slide image (placeholder for now - would need actual rendering)
-    const slideImage = await this.generateSlideImage(slide, slideId)
+      // Create initial segment
+      const segment = {
+        id: `${textElement.id}_vc1_xy(${textElement.boundingBox.x},${textElement.boundingBox.y},${textElement.boundingBox.width},${textElement.boundingBox.height})`,
+        slideId,
+        textElementId: textElement.id,
+        visualContextId: 'vc1',
+        coordinates: textElement.boundingBox,
+        text: shape.text.trim(),
+        visualContext: 'other', // Will be updated by AI analysis
+        confidence: 'medium'
+      }
+      segments.push(segment)
+    })
+
+    // Speaker notes are a separate text flow, positioned on the notes page
+    const notesElements = textShapes.notes.map(({ id, shape }) => this.createTextElement(shape, id, slide.hidden))
+
+    const comments = (slide.comments || []).map(({ shapeId, position, ...comment }) => ({
+      ...comment,
+      textElementId: this.findCommentAnchor(textElements, shapeId, position)
+    }))
+
+    // Rasterize the rendered slide (mock slides only have their text elements)
+    const slideImage = await this.generateSlideImage({ svg: slide.svg, textElements, slideSize }, slideId)
 
     return {
       slideId,
       slideImage,
+      slideSize,
+      hidden: slide.hidden || false,
       visualContexts,
       textElements,
+      notesElements,
+      comments,
       segments,
       overallContext: `Slide ${slideId} of ${fileName}`
     }
   }
 
   /**
-   * Generate slide image with actual text content for GPT-5 Nano analysis
-   * @param {Object} slide - Slide object with text elements
+   * Pair the text-bearing shapes of a slide with their text element IDs
+   * @param {Object} slide - Parsed slide object
+   * @param {number} slideId - Slide number
+   * @returns {Object} { shapes, notes }, each an array of { id, shape }
+   */
+  getTextShapes(slide, slideId) {
+    const hasText = shape => Boolean(shape.text && shape.text.trim())
+
+    // Slide shape IDs count every extracted shape; notes IDs count only notes with text
+    const shapes = (slide.shapes || [])
+      .map((shape, index) => ({ id: `s${slideId}_tb${index + 1}`, shape }))
+      .filter(({ shape }) => hasText(shape))
+    const notes = (slide.notes || [])
+      .filter(hasText)
+      .map((shape, index) => ({ id: `s${slideId}_nt${index + 1}`, shape }))
+
+    return { shapes, notes }
+  }
+
+  /**
+   * Build a text element from an extracted shape
+   * @param {Object} shape - Shape object
+   * @param {string} id - Text element ID
+   * @param {boolean} [slideHidden] - Whether the shape's slide is hidden
+   * @returns {Object} Text element
+   */
+  createTextElement(shape, id, slideHidden = false) {
+    const bounds = shape.bounds || { x: 0, y: 0, width: 0, height: 0 }
+
+    return {
+      id,
+      shapeId: shape.shapeId || null,
+      text: shape.text.trim(),
+      boundingBox: {
+        x: bounds.x || 0,
+        y: bounds.y || 0,
+        width: bounds.width || 0,
+        height: bounds.height || 0
+      },
+      fontSize: shape.fontSize || 12,
+      fontFamily: shape.fontFamily || 'Arial',
+      color: shape.color || '#000000',
+      isBold: shape.bold || false,
+      isItalic: shape.italic || false,
+      placeholderType: shape.placeholderType || null,
+      groupPath: shape.groupPath || [],
+      paragraphs: shape.paragraphs || [],
+      table: shape.table || null,
+      chart: shape.chart || null,
+      smartArt: shape.smartArt || null,
+      textFrame: shape.textFrame || null,
+      isAltText: shape.altText || false,
+      isHidden: shape.hidden || slideHidden
+    }
+  }
+
+  /**
+   * Find the text element a comment is anchored to
+   * @param {Array} textElements - Text elements of the slide
+   * @param {string|null} shapeId - ID of the shape a modern comment is anchored to
+   * @param {Object|null} position - Point a legacy comment is pinned to, in slide coordinates
+   * @returns {string|null} Text element ID, or null if the comment is not anchored to any text
+   */
+  findCommentAnchor(textElements, shapeId, position) {
+    if (shapeId) {
+      // Graphic frame anchors cover all of the frame's cells, labels or nodes; use the first
+      const anchored = textElements.find(element =>
+        element.shapeId === shapeId || (element.shapeId || '').startsWith(`${shapeId}:`)
+      )
+      return anchored ? anchored.id : null
+    }
+    if (!position || textElements.length === 0) return null
+
+    // Prefer the smallest element containing the point, then the nearest one
+    const area = element => element.boundingBox.width * element.boundingBox.height
+    const containing = textElements
+      .filter(({ boundingBox: box }) =>
+        position.x >= box.x && position.x <= box.x + box.width &&
+        position.y >= box.y && position.y <= box.y + box.height
+      )
+      .sort((a, b) => area(a) - area(b))
+    if (containing.length > 0) return containing[0].id
+
+    const distance = ({ boundingBox: box }) =>
+      Math.hypot(box.x + box.width / 2 - position.x, box.y + box.height / 2 - position.y)
+    return textElements.reduce((nearest, element) => distance(element) < distance(nearest) ? element : nearest).id
+  }
+
+  /**
+   * Rasterize a slide image for GPT-5 Nano analysis and the preview
+   * @param {Object} slide - Slide object with its rendered SVG (if any) and text elements
    * @param {number} slideId - Slide ID
    * @returns {Promise<string>} Base64 encoded image
    */
@@ -223,39 +1538,19 @@ class PowerPointProcessor {
     try {
       // Get text elements from the slide
       const textElements = slide.textElements || []
-      
-      // Create an SVG with actual text content positioned correctly
-      const textElementsSvg = textElements.map((element, index) => {
-        const x = Math.max(50, Math.min(750, element.boundingBox.x))
-        const y = Math.max(50, Math.min(550, element.boundingBox.y + 20))
-        const fontSize = Math.max(12, Math.min(24, element.fontSize || 16))
-        const fontWeight = element.isBold ? 'bold' : 'normal'
-        const fontStyle = element.isItalic ? 'italic' : 'normal'
-        
-        // Truncate text if too long
-        const displayText = element.text.length > 100 ? element.text.substring(0, 100) + '...' : element.text
-        
-        return `
-          <rect x="${x - 5}" y="${y - fontSize - 5}" width="${element.boundingBox.width + 10}" height="${element.boundingBox.height + 10}" 
-                fill="rgba(255,255,255,0.8)" stroke="#ddd" stroke-width="1" rx="3"/>
-          <text x="${x}" y="${y}" font-family="Arial, sans-serif" font-size="${fontSize}" 
-                font-weight="${fontWeight}" font-style="${fontStyle}" fill="#333">
-            ${this.escapeXml(displayText)}
-          </text>
-        `
-      }).join('\n')
-
-      const slideSvg = `
-        <svg width="800" height="600" xmlns="http://www.w3.org/2000/svg">
-          <rect width="800" height="600" fill="#ffffff" stroke="#ccc" stroke-width="2"/>
-          <text x="400" y="30" text-anchor="middle" font-family="Arial" font-size="18" font-weight="bold" fill="#333">
-            Slide ${slideId} - Text Content Analysis
-          </text>
-          <line x1="50" y1="50" x2="750" y2="50" stroke="#ddd" stroke-width="1"/>
-          ${textElementsSvg}
-          <text x="400" y="580" text-anchor="middle" font-family="Arial" font-size="12" fill="#999">
-            ${textElements.length} text elements detected
-          </text>
+      const { width, height } = slide.slideSize || { width: SLIDE_WIDTH, height: 600 }
+
+      // Slides without a rendering (mock data) draw their text at its slide position
+      const slideSvg = slide.svg || `
+        <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+          <rect width="${width}" height="${height}" fill="#ffffff"/>
+          ${textElements.map(element => {
+            const { x, y } = element.boundingBox
+            const fontSize = Math.max(12, Math.min(24, element.fontSize || 16))
+            return `<text x="${x + 5}" y="${y + fontSize + 2}" font-family="Arial, sans-serif" font-size="${fontSize}" ` +
+              `font-weight="${element.isBold ? 'bold' : 'normal'}" font-style="${element.isItalic ? 'italic' : 'normal'}" fill="#333">` +
+              `${this.escapeXml(element.text)}</text>`
+          }).join('\n')}
         </svg>
       `
 
@@ -290,6 +1585,7 @@ class PowerPointProcessor {
    */
   createMockPresentation(fileName) {
     return {
+      slideSize: { width: SLIDE_WIDTH, height: 600 },
       slides: [
         {
           shapes: [
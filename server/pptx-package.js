@@ -0,0 +1,191 @@
+const JSZip = require('jszip')
+const path = require('path').posix
+const { parseXml, serializeXml, getChild, getChildren, getAttr, getNumberAttr } = require('./xml-utils')
+
+/**
+ * PowerPoint Package Module
+ * Reads parts and relationships from a .pptx (Open Packaging Conventions) archive
+ */
+
+// Default slide size (10in x 7.5in) used when presentation.xml has no p:sldSz
+const DEFAULT_SLIDE_SIZE = { cx: 9144000, cy: 6858000 }
+
+// Default notes page size (7.5in x 10in) used when presentation.xml has no p:notesSz
+const DEFAULT_NOTES_SIZE = { cx: 6858000, cy: 9144000 }
+
+class PptxPackage {
+  /**
+   * @param {JSZip} zip - Loaded package archive
+   */
+  constructor(zip) {
+    this.zip = zip
+    this.xmlCache = new Map()
+    this.relsCache = new Map()
+  }
+
+  /**
+   * Load a package from a file buffer
+   * @param {Buffer} fileBuffer - The .pptx file buffer
+   * @returns {Promise<PptxPackage>} Loaded package
+   */
+  static async load(fileBuffer) {
+    const zip = await JSZip.loadAsync(fileBuffer)
+    return new PptxPackage(zip)
+  }
+
+  /**
+   * Check whether a part exists in the package
+   * @param {string} partPath - Part path relative to the package root
+   * @returns {boolean} True if the part exists
+   */
+  hasPart(partPath) {
+    return this.zip.file(partPath) !== null
+  }
+
+  /**
+   * Read and parse an XML part
+   * @param {string} partPath - Part path relative to the package root
+   * @returns {Promise<Document|null>} Parsed document, or null if the part is missing
+   */
+  async readXml(partPath) {
+    if (this.xmlCache.has(partPath)) {
+      return this.xmlCache.get(partPath)
+    }
+
+    const file = this.zip.file(partPath)
+    const document = file ? parseXml(await file.async('string')) : null
+    this.xmlCache.set(partPath, document)
+    return document
+  }
+
+  /**
+   * Generate the package, writing back XML parts that were changed after readXml returned them
+   * @param {Iterable<Document>} documents - Modified documents
+   * @returns {Promise<Buffer>} The .pptx file buffer
+   */
+  async generate(documents) {
+    const modified = new Set(documents)
+    for (const [partPath, document] of this.xmlCache) {
+      if (document && modified.has(document)) {
+        this.zip.file(partPath, serializeXml(document))
+      }
+    }
+    return this.zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  }
+
+  /**
+   * Read a binary part such as an image from ppt/media
+   * @param {string} partPath - Part path relative to the package root
+   * @returns {Promise<Buffer|null>} Part content, or null if the part is missing
+   */
+  async readBinary(partPath) {
+    const file = this.zip.file(partPath)
+    return file ? file.async('nodebuffer') : null
+  }
+
+  /**
+   * Read the relationships of a part
+   * @param {string} partPath - Source part path
+   * @returns {Promise<Map<string, Object>>} Map of relationship ID to { type, target, isExternal }
+   */
+  async getRelationships(partPath) {
+    if (this.relsCache.has(partPath)) {
+      return this.relsCache.get(partPath)
+    }
+
+    const relsPath = path.join(path.dirname(partPath), '_rels', `${path.basename(partPath)}.rels`)
+    const document = await this.readXml(relsPath)
+    const relationships = new Map()
+
+    if (document) {
+      getChildren(document.documentElement, 'Relationship').forEach(rel => {
+        const isExternal = getAttr(rel, 'TargetMode') === 'External'
+        const target = getAttr(rel, 'Target')
+        relationships.set(getAttr(rel, 'Id'), {
+          type: path.basename(getAttr(rel, 'Type') || ''),
+          target: isExternal ? target : this.resolveTarget(partPath, target),
+          isExternal
+        })
+      })
+    }
+
+    this.relsCache.set(partPath, relationships)
+    return relationships
+  }
+
+  /**
+   * Find the first relationship of a given type
+   * @param {string} partPath - Source part path
+   * @param {string} type - Relationship type suffix (e.g. "slideLayout")
+   * @returns {Promise<Object|null>} Relationship, or null if none
+   */
+  async getRelationshipByType(partPath, type) {
+    const relationships = await this.getRelationships(partPath)
+    for (const rel of relationships.values()) {
+      if (rel.type === type) return rel
+    }
+    return null
+  }
+
+  /**
+   * Resolve a relationship target against its source part
+   * @param {string} partPath - Source part path
+   * @param {string} target - Relationship target
+   * @returns {string} Part path relative to the package root
+   */
+  resolveTarget(partPath, target) {
+    if (target.startsWith('/')) {
+      return target.slice(1)
+    }
+    return path.normalize(path.join(path.dirname(partPath), target))
+  }
+
+  /**
+   * Get the slide size declared in presentation.xml
+   * @returns {Promise<Object>} Slide size in EMU ({ cx, cy })
+   */
+  async getSlideSize() {
+    const presentation = await this.readXml('ppt/presentation.xml')
+    const sldSz = presentation ? getChild(presentation.documentElement, 'p:sldSz') : null
+
+    return {
+      cx: getNumberAttr(sldSz, 'cx', DEFAULT_SLIDE_SIZE.cx),
+      cy: getNumberAttr(sldSz, 'cy', DEFAULT_SLIDE_SIZE.cy)
+    }
+  }
+
+  /**
+   * Get the notes page size declared in presentation.xml
+   * @returns {Promise<Object>} Notes page size in EMU ({ cx, cy })
+   */
+  async getNotesSize() {
+    const presentation = await this.readXml('ppt/presentation.xml')
+    const notesSz = presentation ? getChild(presentation.documentElement, 'p:notesSz') : null
+
+    return {
+      cx: getNumberAttr(notesSz, 'cx', DEFAULT_NOTES_SIZE.cx),
+      cy: getNumberAttr(notesSz, 'cy', DEFAULT_NOTES_SIZE.cy)
+    }
+  }
+
+  /**
+   * Get slide part paths in presentation order
+   * @returns {Promise<Array<string>>} Slide part paths
+   */
+  async getSlideParts() {
+    const presentation = await this.readXml('ppt/presentation.xml')
+    if (!presentation) {
+      throw new Error('Missing ppt/presentation.xml - not a PowerPoint package')
+    }
+
+    const relationships = await this.getRelationships('ppt/presentation.xml')
+    const sldIdLst = getChild(presentation.documentElement, 'p:sldIdLst')
+
+    return getChildren(sldIdLst, 'p:sldId')
+      .map(sldId => relationships.get(getAttr(sldId, 'r:id')))
+      .filter(rel => rel && this.hasPart(rel.target))
+      .map(rel => rel.target)
+  }
+}
+
+module.exports = PptxPackage
@@ -0,0 +1,617 @@
+const JSZip = require('jszip')
+const PptxPackage = require('./pptx-package')
+const PowerPointProcessor = require('./powerpoint-processor')
+const XLIFFParser = require('./xliff-parser')
+const { getChildren, getChild } = require('./xml-utils')
+
+/**
+ * PowerPoint Writer
+ * Writes the targets of a translated XLIFF back into the presentation it was extracted from
+ */
+
+const DRAWING_NAMESPACE = 'http://schemas.openxmlformats.org/drawingml/2006/main'
+
+// Paragraph children that are counted by run refs ("<textElementId>:<paragraphIndex>.<runIndex>")
+const RUN_ELEMENTS = ['a:r', 'a:br', 'a:fld']
+
+// Target states that mean a unit has been translated even if its text equals the source
+const TRANSLATED_STATES = ['translated', 'needs-review-translation', 'needs-review-l10n', 'final', 'signed-off']
+
+class PptxWriter {
+  /**
+   * @param {PowerPointProcessor} [processor] - Processor used to re-extract the presentation's text elements
+   */
+  constructor(processor = new PowerPointProcessor()) {
+    this.processor = processor
+    this.parser = new XLIFFParser()
+  }
+
+  /**
+   * Generate a localized presentation from the original file and a translated XLIFF.
+   *
+   * Each trans-unit is placed through its vs:elements (one text element per joined part) and
+   * vs:runs (the source runs it covers). Translations replace the covered paragraphs of each
+   * element; formatting is taken from the source run an inline code points to, or from the
+   * element's base run for uncoded text.
+   *
+   * Combined and merged units are split back into their elements at their x-separator
+   * placeholders. When the translator removed or added separators, the target is
+   * redistributed over the elements in proportion to their source lengths, cutting at the
+   * nearest word boundary (or at the exact character for scripts written without spaces).
+   *
+   * Units whose paragraphs were already written by a more specific (or translated) unit are
+   * skipped as superseded. Units whose source no longer matches the presentation, or whose
+   * elements cannot be found, are left untouched and reported as unplaced.
+   *
+   * @param {Buffer} fileBuffer - The original .pptx file buffer
+   * @param {string} xliffContent - Translated XLIFF 1.2 content
+   * @param {Object} [options] - Options
+   * @param {string} [options.hiddenContent='analyze'] - Hidden content mode the XLIFF was exported with
+   * @param {string} [options.targetLanguage] - Language tag for the written runs (defaults to the XLIFF target-language)
+   * @returns {Promise<Object>} { buffer, targetLanguage, report }
+   */
+  async generatePptx(fileBuffer, xliffContent, options = {}) {
+    const xliff = this.parser.parseXLIFF(xliffContent)
+    const targetLanguage = options.targetLanguage || xliff.targetLanguage
+
+    const pptx = await PptxPackage.load(fileBuffer)
+    const presentation = await this.processor.parsePackage(pptx, {
+      hiddenContent: options.hiddenContent,
+      includeNotes: true,
+      renderSlides: false
+    })
+    const elements = this.mapTextElements(presentation)
+
+    const report = { applied: 0, unchanged: 0, skipped: [], unplaced: [], redistributed: [] }
+    const state = {
+      elements,
+      targetLanguage,
+      claimed: new Map(),
+      snapshots: new Map(),
+      modified: new Set()
+    }
+
+    this.orderUnits(xliff.units, elements).forEach(unit => {
+      const result = this.placeUnit(unit, state)
+      if (result.status === 'applied') {
+        report.applied++
+        if (result.redistributed) report.redistributed.push(unit.id)
+      } else if (result.status === 'unchanged') {
+        report.unchanged++
+      } else {
+        report[result.status].push({ id: unit.id, reason: result.reason })
+      }
+    })
+
+    const buffer = await pptx.generate(state.modified)
+    return { buffer, targetLanguage, report }
+  }
+
+  /**
+   * Map every text element ID of a re-extracted presentation to its shape
+   * @param {Object} presentation - Parsed presentation ({ slides })
+   * @returns {Map<string, Object>} Map of text element ID to shape (with its textSource)
+   */
+  mapTextElements(presentation) {
+    const elements = new Map()
+    presentation.slides.forEach((slide, index) => {
+      const { shapes, notes } = this.processor.getTextShapes(slide, slide.number || index + 1)
+      shapes.concat(notes).forEach(({ id, shape }) => elements.set(id, shape))
+    })
+    return elements
+  }
+
+  /**
+   * Order units so translated and more specific units are placed first
+   * @param {Array} units - Parsed units
+   * @param {Map} elements - Text elements by ID
+   * @returns {Array} Units in placement order
+   */
+  orderUnits(units, elements) {
+    const paragraphCount = unit => unit.elements
+      .map(id => this.getParagraphRange(unit, id, elements.get(id)))
+      .reduce((count, range) => count + (range ? range.end - range.start + 1 : 0), 0)
+
+    return units
+      .map(unit => ({
+        unit,
+        translated: this.isTranslated(unit) ? 0 : 1,
+        elementCount: unit.elements.length,
+        paragraphCount: paragraphCount(unit)
+      }))
+      .sort((a, b) =>
+        a.translated - b.translated ||
+        a.elementCount - b.elementCount ||
+        a.paragraphCount - b.paragraphCount ||
+        a.unit.order - b.unit.order
+      )
+      .map(({ unit }) => unit)
+  }
+
+  /**
+   * Check whether a unit's target differs from its source or is marked as translated
+   * @param {Object} unit - Parsed unit
+   * @returns {boolean} True if the unit carries a translation
+   */
+  isTranslated(unit) {
+    if (!unit.targetTokens) return false
+    return TRANSLATED_STATES.includes(unit.state) ||
+      JSON.stringify(unit.targetTokens) !== JSON.stringify(unit.sourceTokens)
+  }
+
+  /**
+   * Get the paragraphs of a text element a unit covers
+   * @param {Object} unit - Parsed unit
+   * @param {string} elementId - Text element ID
+   * @param {Object|undefined} shape - Extracted shape
+   * @returns {Object|null} { start, end } paragraph indices (inclusive), or null for elements without paragraphs
+   */
+  getParagraphRange(unit, elementId, shape) {
+    const paragraphs = shape && shape.paragraphs
+    if (!paragraphs || paragraphs.length === 0) return null
+
+    const indices = unit.refs
+      .map(ref => this.parseRef(ref))
+      .filter(parsed => parsed && parsed.elementId === elementId)
+      .map(parsed => parsed.paragraph)
+    if (indices.length === 0) return { start: 0, end: paragraphs.length - 1 }
+
+    return { start: Math.min(...indices), end: Math.max(...indices) }
+  }
+
+  /**
+   * Split a run ref into its parts
+   * @param {string|null} ref - Run ref ("<textElementId>:<paragraphIndex>.<runIndex>")
+   * @returns {Object|null} { elementId, paragraph, run }, or null if the ref is malformed
+   */
+  parseRef(ref) {
+    const match = ref && ref.match(/^(.+):(\d+)\.(\d+)$/)
+    return match ? { elementId: match[1], paragraph: Number(match[2]), run: Number(match[3]) } : null
+  }
+
+  /**
+   * Place one unit into the presentation
+   * @param {Object} unit - Parsed unit
+   * @param {Object} state - Placement state ({ elements, targetLanguage, claimed, snapshots, modified })
+   * @returns {Object} { status: 'applied'|'unchanged'|'skipped'|'unplaced', reason, redistributed }
+   */
+  placeUnit(unit, state) {
+    if (!unit.translate) return { status: 'skipped', reason: 'Marked translate="no"' }
+    if (!unit.targetTokens || unit.targetTokens.length === 0) return { status: 'skipped', reason: 'No target' }
+    if (unit.elements.length === 0) return { status: 'unplaced', reason: 'Unit has no vs:elements attribute' }
+
+    const missing = unit.elements.find(id => !state.elements.has(id))
+    if (missing) return { status: 'unplaced', reason: `Text element ${missing} not found in the presentation` }
+    if (new Set(unit.elements).size !== unit.elements.length) {
+      return { status: 'unplaced', reason: 'Unit joins the same text element more than once' }
+    }
+
+    const parts = unit.elements.map(id => {
+      const shape = state.elements.get(id)
+      const range = this.getParagraphRange(unit, id, shape)
+      return { id, shape, range, text: this.getSourceText(shape, range) }
+    })
+
+    const compact = text => text.replace(/\s+/g, '')
+    if (compact(this.parser.getTokenText(unit.sourceTokens)) !== compact(parts.map(part => part.text).join(''))) {
+      return { status: 'unplaced', reason: 'Source text no longer matches the presentation' }
+    }
+
+    const unsupported = parts.find(part => !part.shape.textSource)
+    if (unsupported) return { status: 'unplaced', reason: `Text element ${unsupported.id} cannot be written back` }
+
+    const claimant = parts.map(part => this.findClaimant(state.claimed, part)).find(Boolean)
+    if (claimant) return { status: 'skipped', reason: `Superseded by unit ${claimant}` }
+
+    if (!this.isTranslated(unit)) return { status: 'unchanged' }
+
+    // Split the target at its separators, or redistribute it when they no longer match the elements
+    let targetParts = this.splitTokens(unit.targetTokens, token => token.type === 'separator')
+    let redistributed = false
+    if (targetParts.length !== parts.length) {
+      const sourceParts = this.splitTokens(unit.sourceTokens, token => token.type === 'separator')
+      const weights = sourceParts.length === parts.length
+        ? sourceParts.map(tokens => this.parser.getTokenText(tokens).length)
+        : parts.map(part => part.text.length)
+      targetParts = this.redistributeTokens(unit.targetTokens.filter(token => token.type !== 'separator'), weights)
+      redistributed = parts.length > 1
+    }
+
+    parts.forEach((part, index) => {
+      this.writePart(part, targetParts[index] || [], unit, state)
+      this.claim(state.claimed, part, unit.id)
+    })
+
+    return { status: 'applied', redistributed }
+  }
+
+  /**
+   * Get the source text of the paragraphs a unit covers in an element
+   * @param {Object} shape - Extracted shape
+   * @param {Object|null} range - Covered paragraph range
+   * @returns {string} Source text
+   */
+  getSourceText(shape, range) {
+    if (!range) return shape.text || ''
+    return shape.paragraphs
+      .slice(range.start, range.end + 1)
+      .map(paragraph => paragraph.text)
+      .join('\n')
+  }
+
+  /**
+   * Find the unit that already wrote any paragraph of a part
+   * @param {Map} claimed - Map of text element ID to Map of paragraph index to unit ID
+   * @param {Object} part - Unit part ({ id, range })
+   * @returns {string|null} Claiming unit ID
+   */
+  findClaimant(claimed, part) {
+    const paragraphs = claimed.get(part.id)
+    if (!paragraphs) return null
+    if (!part.range) return paragraphs.values().next().value || null
+
+    for (let index = part.range.start; index <= part.range.end; index++) {
+      if (paragraphs.has(index)) return paragraphs.get(index)
+    }
+    return null
+  }
+
+  /**
+   * Record the paragraphs a unit wrote
+   * @param {Map} claimed - Map of text element ID to Map of paragraph index to unit ID
+   * @param {Object} part - Unit part ({ id, range })
+   * @param {string} unitId - Unit ID
+   */
+  claim(claimed, part, unitId) {
+    if (!claimed.has(part.id)) claimed.set(part.id, new Map())
+    const paragraphs = claimed.get(part.id)
+    const { start, end } = part.range || { start: 0, end: 0 }
+    for (let index = start; index <= end; index++) paragraphs.set(index, unitId)
+  }
+
+  /**
+   * Split tokens at the tokens matching a predicate, dropping them
+   * @param {Array} tokens - Tokens
+   * @param {Function} isBoundary - Returns true for a boundary token
+   * @returns {Array<Array>} Token lists
+   */
+  splitTokens(tokens, isBoundary) {
+    const lists = [[]]
+    tokens.forEach(token => {
+      if (isBoundary(token)) lists.push([])
+      else lists[lists.length - 1].push(token)
+    })
+    return lists
+  }
+
+  /**
+   * Redistribute tokens over several parts in proportion to their weights. Cuts move to the
+   * nearest following word boundary; text without any whitespace is cut at the exact character.
+   * @param {Array} tokens - Tokens without separators
+   * @param {Array<number>} weights - Relative size of each part
+   * @returns {Array<Array>} Token lists, one per weight
+   */
+  redistributeTokens(tokens, weights) {
+    const text = this.parser.getTokenText(tokens)
+    const shares = weights.some(weight => weight > 0) ? weights : weights.map(() => 1)
+    const totalShare = shares.reduce((sum, share) => sum + share, 0)
+    const hasSpaces = /\s/.test(text.trim())
+
+    const cuts = []
+    let cumulative = 0
+    shares.slice(0, -1).forEach(share => {
+      cumulative += share
+      let cut = Math.round(text.length * cumulative / totalShare)
+      if (hasSpaces) {
+        const next = text.slice(cut).search(/\s/)
+        const previous = text.slice(0, cut).search(/\s\S*$/)
+        cut = next >= 0 ? cut + next : previous >= 0 ? previous : text.length
+      }
+      cuts.push(Math.max(cut, cuts.length > 0 ? cuts[cuts.length - 1] : 0))
+    })
+
+    const parts = weights.map(() => [])
+    let offset = 0
+    tokens.forEach(token => {
+      let remaining = token
+      while (remaining) {
+        const partIndex = cuts.filter(cut => cut <= offset).length
+        const nextCut = cuts[partIndex]
+        const length = remaining.text.length
+
+        if (remaining.type === 'text' && nextCut !== undefined && offset + length > nextCut) {
+          const head = remaining.text.slice(0, nextCut - offset)
+          if (head) parts[partIndex].push({ ...remaining, text: head })
+          offset = nextCut
+          remaining = { ...remaining, text: remaining.text.slice(head.length) }
+          continue
+        }
+        parts[partIndex].push(remaining)
+        offset += length
+        remaining = null
+      }
+    })
+
+    return parts.map(part => this.trimTokens(part))
+  }
+
+  /**
+   * Trim whitespace and empty breaks from both ends of a token list
+   * @param {Array} tokens - Tokens
+   * @returns {Array} Trimmed tokens
+   */
+  trimTokens(tokens) {
+    const trimmed = tokens.map(token => ({ ...token }))
+    const isBlank = token => token.type !== 'field' && !token.text.trim()
+
+    while (trimmed.length > 0 && isBlank(trimmed[0])) trimmed.shift()
+    while (trimmed.length > 0 && isBlank(trimmed[trimmed.length - 1])) trimmed.pop()
+
+    if (trimmed.length > 0) {
+      if (trimmed[0].type === 'text') trimmed[0].text = trimmed[0].text.trimStart()
+      const last = trimmed[trimmed.length - 1]
+      if (last.type === 'text') last.text = last.text.trimEnd()
+    }
+    return trimmed
+  }
+
+  /**
+   * Write the target tokens of one part into the XML its element's text came from
+   * @param {Object} part - Unit part ({ id, shape, range })
+   * @param {Array} tokens - Target tokens of the part
+   * @param {Object} unit - Parsed unit
+   * @param {Object} state - Placement state
+   */
+  writePart(part, tokens, unit, state) {
+    const source = part.shape.textSource
+
+    if (source.type === 'attribute') {
+      source.element.setAttribute(source.name, this.parser.getTokenText(tokens))
+      state.modified.add(source.element.ownerDocument)
+      return
+    }
+
+    if (source.type === 'values') {
+      // Chart caches; the embedded workbook keeps the source strings
+      source.elements.forEach(value => {
+        while (value.firstChild) value.removeChild(value.firstChild)
+        value.appendChild(value.ownerDocument.createTextNode(this.parser.getTokenText(tokens)))
+        state.modified.add(value.ownerDocument)
+      })
+      return
+    }
+
+    const paragraphs = this.splitTokens(tokens, token => token.type === 'paragraph')
+    const txBodies = [source.element, ...(source.mirrors || [])]
+    txBodies.forEach(txBody => {
+      this.writeTextBody(txBody, part, paragraphs, unit, state)
+      state.modified.add(txBody.ownerDocument)
+    })
+  }
+
+  /**
+   * Snapshot the original paragraphs of a text body, so refs resolve after earlier units rewrote it
+   * @param {Element} txBody - Text body element
+   * @param {Map} snapshots - Snapshots by text body
+   * @returns {Array<Object>} Paragraphs ({ element, runs })
+   */
+  getSnapshot(txBody, snapshots) {
+    if (!snapshots.has(txBody)) {
+      snapshots.set(txBody, getChildren(txBody, 'a:p').map(paragraph => ({
+        element: paragraph,
+        runs: getChildren(paragraph).filter(child => RUN_ELEMENTS.includes(child.nodeName))
+      })))
+    }
+    return snapshots.get(txBody)
+  }
+
+  /**
+   * Resolve a run ref to its original run element
+   * @param {string|null} ref - Run ref
+   * @param {Object} part - Part being written
+   * @param {Array<Object>} snapshot - Snapshot of the text body being written
+   * @param {Object} state - Placement state
+   * @returns {Element|null} The a:r, a:br or a:fld element
+   */
+  resolveRun(ref, part, snapshot, state) {
+    const parsed = this.parseRef(ref)
+    if (!parsed) return null
+
+    // Refs of the element being written resolve positionally, so mirrored text bodies use their own runs
+    let paragraphs = snapshot
+    if (parsed.elementId !== part.id) {
+      const shape = state.elements.get(parsed.elementId)
+      const source = shape && shape.textSource
+      if (!source || source.type !== 'txBody') return null
+      paragraphs = this.getSnapshot(source.element, state.snapshots)
+    }
+
+    const paragraph = paragraphs[parsed.paragraph]
+    return (paragraph && paragraph.runs[parsed.run]) || null
+  }
+
+  /**
+   * Find the run properties of the base (uncoded) formatting of a part
+   * @param {Object} part - Part being written
+   * @param {Array<Object>} snapshot - Snapshot of the text body being written
+   * @param {Object} unit - Parsed unit
+   * @param {Object} state - Placement state
+   * @returns {Element|null} An a:rPr, or an a:endParaRPr when the paragraphs have no text runs
+   */
+  findBaseProperties(part, snapshot, unit, state) {
+    const uncoded = unit.refs
+      .filter(ref => !unit.codedRefs.has(ref))
+      .map(ref => this.resolveRun(ref, part, snapshot, state))
+      .find(run => run && run.nodeName === 'a:r' && getChild(run, 'a:rPr'))
+    if (uncoded) return getChild(uncoded, 'a:rPr')
+
+    const covered = snapshot.slice(part.range.start, part.range.end + 1)
+    const firstRun = covered
+      .flatMap(paragraph => paragraph.runs)
+      .find(run => run.nodeName === 'a:r' && getChild(run, 'a:rPr'))
+    if (firstRun) return getChild(firstRun, 'a:rPr')
+
+    const endProperties = covered.map(paragraph => getChild(paragraph.element, 'a:endParaRPr')).find(Boolean)
+    return endProperties || null
+  }
+
+  /**
+   * Replace the covered paragraphs of a text body with target paragraphs. Surplus target paragraphs
+   * are joined to the last covered paragraph with line breaks; surplus source paragraphs are removed.
+   * @param {Element} txBody - Text body element
+   * @param {Object} part - Part being written ({ id, range })
+   * @param {Array<Array>} paragraphs - Target tokens of each paragraph
+   * @param {Object} unit - Parsed unit
+   * @param {Object} state - Placement state
+   */
+  writeTextBody(txBody, part, paragraphs, unit, state) {
+    const snapshot = this.getSnapshot(txBody, state.snapshots)
+    const range = part.range || { start: 0, end: snapshot.length - 1 }
+    const covered = snapshot.slice(range.start, range.end + 1)
+    if (covered.length === 0) return
+
+    const targets = paragraphs.slice(0, covered.length)
+    paragraphs.slice(covered.length).forEach(extra => {
+      targets[targets.length - 1] = [...targets[targets.length - 1], { type: 'break', text: '\n', ref: null }, ...extra]
+    })
+
+    const baseProperties = this.findBaseProperties({ ...part, range }, snapshot, unit, state)
+    covered.forEach((paragraph, index) => {
+      if (index < targets.length) {
+        this.writeParagraph(paragraph, targets[index], baseProperties, part, snapshot, state)
+      } else {
+        paragraph.element.parentNode.removeChild(paragraph.element)
+      }
+    })
+  }
+
+  /**
+   * Rebuild the runs of a paragraph from target tokens, keeping its paragraph properties
+   * @param {Object} paragraph - Snapshot paragraph ({ element, runs })
+   * @param {Array} tokens - Target tokens of the paragraph
+   * @param {Element|null} baseProperties - Run properties of uncoded text
+   * @param {Object} part - Part being written
+   * @param {Array<Object>} snapshot - Snapshot of the text body being written
+   * @param {Object} state - Placement state
+   */
+  writeParagraph(paragraph, tokens, baseProperties, part, snapshot, state) {
+    const p = paragraph.element
+    const document = p.ownerDocument
+    getChildren(p).filter(child => RUN_ELEMENTS.includes(child.nodeName)).forEach(child => p.removeChild(child))
+
+    const endProperties = getChild(p, 'a:endParaRPr')
+    const insert = element => p.insertBefore(element, endProperties)
+
+    tokens.forEach(token => {
+      const original = this.resolveRun(token.ref, part, snapshot, state)
+      const properties = (original && getChild(original, 'a:rPr')) || baseProperties
+
+      if (token.type === 'field' && original && original.nodeName === 'a:fld') {
+        const field = document.importNode(original, true)
+        this.setLanguage(getChild(field, 'a:rPr'), state.targetLanguage)
+        this.setRunText(field, token.text)
+        insert(field)
+        return
+      }
+
+      const run = document.createElementNS(DRAWING_NAMESPACE, token.type === 'break' ? 'a:br' : 'a:r')
+      const runProperties = this.createRunProperties(document, properties)
+      this.setLanguage(runProperties, state.targetLanguage)
+      run.appendChild(runProperties)
+      if (token.type !== 'break') this.setRunText(run, token.text)
+      insert(run)
+    })
+
+    this.setLanguage(endProperties, state.targetLanguage)
+  }
+
+  /**
+   * Copy run properties into a document as an a:rPr (a:endParaRPr is renamed)
+   * @param {Document} document - Document the run is written to
+   * @param {Element|null} properties - Source a:rPr or a:endParaRPr
+   * @returns {Element} New a:rPr element
+   */
+  createRunProperties(document, properties) {
+    const runProperties = document.createElementNS(DRAWING_NAMESPACE, 'a:rPr')
+    if (!properties) return runProperties
+
+    Array.from(properties.attributes).forEach(attribute => runProperties.setAttribute(attribute.name, attribute.value))
+    getChildren(properties).forEach(child => runProperties.appendChild(document.importNode(child, true)))
+    return runProperties
+  }
+
+  /**
+   * Set the a:t text of a run or field, creating the a:t when missing
+   * @param {Element} run - The a:r or a:fld element
+   * @param {string} text - Text
+   */
+  setRunText(run, text) {
+    let t = getChild(run, 'a:t')
+    if (!t) {
+      t = run.ownerDocument.createElementNS(DRAWING_NAMESPACE, 'a:t')
+      run.appendChild(t)
+    }
+    while (t.firstChild) t.removeChild(t.firstChild)
+    t.appendChild(run.ownerDocument.createTextNode(text))
+  }
+
+  /**
+   * Tag run properties with the target language
+   * @param {Element|null} properties - The a:rPr or a:endParaRPr element
+   * @param {string|null} language - Language tag
+   */
+  setLanguage(properties, language) {
+    if (properties && language) properties.setAttribute('lang', language)
+  }
+
+  /**
+   * Generate the file name of a localized presentation
+   * @param {string} originalFileName - Original file name
+   * @param {string} targetLanguage - Target language
+   * @returns {string} File name (e.g. "deck_de.pptx")
+   */
+  generatePptxFileName(originalFileName, targetLanguage) {
+    const baseName = originalFileName.replace(/\.[^/.]+$/, '')
+    return `${baseName}_${targetLanguage || 'translated'}.pptx`
+  }
+
+  /**
+   * Summarize a placement report by the number of units in each outcome
+   * @param {Object} report - Placement report from generatePptx
+   * @returns {Object} { applied, unchanged, skipped, unplaced, redistributed }
+   */
+  summarizeReport(report) {
+    return {
+      applied: report.applied,
+      unchanged: report.unchanged,
+      skipped: report.skipped.length,
+      unplaced: report.unplaced.length,
+      redistributed: report.redistributed.length
+    }
+  }
+
+  /**
+   * Create a zip package with the localized presentation and its full placement report
+   * @param {Buffer} buffer - Localized presentation
+   * @param {string} pptxFileName - File name of the presentation in the package
+   * @param {Object} report - Placement report from generatePptx
+   * @returns {Promise<Buffer>} Zip data
+   */
+  async createPackage(buffer, pptxFileName, report) {
+    const zip = new JSZip()
+    zip.file(pptxFileName, buffer)
+    zip.file('report.json', JSON.stringify(report, null, 2))
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  }
+
+  /**
+   * Generate the package file name for a presentation file name
+   * @param {string} pptxFileName - Presentation file name
+   * @returns {string} Zip file name
+   */
+  generatePackageFileName(pptxFileName) {
+    return pptxFileName.replace(/\.pptx$/, '') + '.zip'
+  }
+}
+
+module.exports = PptxWriter
@@ -0,0 +1,197 @@
+/**
+ * Pseudo Localizer
+ * Generates pseudo-translations for layout testing before a deck goes to translation:
+ * accented look-alike letters show untranslatable or hard-coded text, filler words expand
+ * the text like a longer target language, brackets show truncation, and right-to-left
+ * mirroring previews bidirectional layouts. Segments are pseudo-translated run by run so
+ * targets keep the formatting, fields and separators of their source.
+ */
+
+// Look-alike letters with diacritics, readable by engineers
+const ACCENTED = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ď', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ĺ', m: 'ɱ',
+  n: 'ñ', o: 'ó', p: 'þ', q: 'ʠ', r: 'ŕ', s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Ď', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ĺ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ó', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+}
+
+// Words appended to reach the expansion; they wrap like real text
+const FILLER_WORDS = ['ĺóŕéɱ', 'íþšúɱ', 'ďóĺóŕ', 'šíţ', 'áɱéţ', 'çóñšéçţéţúŕ', 'áďíþíšçíñĝ', 'éĺíţ']
+
+// Placeholders, printf specifiers and URLs stay as they are
+const PROTECTED_PATTERN = /\{[^{}]*\}|%\d*\$?[sdif%]|https?:\/\/\S+/g
+
+const START_MARKER = '['
+const END_MARKER = ']'
+
+// Right-to-left override and pop directional formatting
+const RTL_START = '\u202E'
+const RTL_END = '\u202C'
+
+const DEFAULT_OPTIONS = {
+  expansion: 30,
+  accents: true,
+  brackets: true,
+  rtl: false
+}
+
+const MAX_EXPANSION = 300
+
+// Pseudo-locale codes for exports (as used by Windows): accented, and mirrored
+const PSEUDO_LANGUAGE = 'qps-ploc'
+const PSEUDO_RTL_LANGUAGE = 'qps-plocm'
+
+// Run types whose text is pseudo-translated; fields, breaks and separators are kept
+const TEXT_RUN_TYPES = ['text', 'paragraph']
+
+class PseudoLocalizer {
+  /**
+   * Validate pseudo-localization options and fill in the defaults
+   * @param {Object} [options] - Options ({ expansion, accents, brackets, rtl })
+   * @returns {Object} { options, errors }; errors is empty when the options are valid
+   */
+  normalizeOptions(options = {}) {
+    const errors = []
+    const normalized = { ...DEFAULT_OPTIONS }
+
+    if (options.expansion !== undefined && options.expansion !== null && options.expansion !== '') {
+      const expansion = Number(options.expansion)
+      if (!Number.isFinite(expansion) || expansion < 0 || expansion > MAX_EXPANSION) {
+        errors.push(`expansion must be a percentage between 0 and ${MAX_EXPANSION}`)
+      } else {
+        normalized.expansion = expansion
+      }
+    }
+
+    // Flags may come from JSON or form fields
+    ;['accents', 'brackets', 'rtl'].forEach(flag => {
+      if (options[flag] === undefined || options[flag] === null || options[flag] === '') return
+      if (typeof options[flag] === 'boolean') normalized[flag] = options[flag]
+      else if (['true', 'false'].includes(options[flag])) normalized[flag] = options[flag] === 'true'
+      else errors.push(`${flag} must be true or false`)
+    })
+
+    return { options: normalized, errors }
+  }
+
+  /**
+   * Get the pseudo-locale code of an export
+   * @param {Object} options - Normalized options
+   * @returns {string} 'qps-ploc', or 'qps-plocm' when mirrored
+   */
+  getLanguage(options) {
+    return options.rtl ? PSEUDO_RTL_LANGUAGE : PSEUDO_LANGUAGE
+  }
+
+  /**
+   * Pseudo-translate segments; segments excluded from translation keep their source text
+   * @param {Array} segments - Array of visual segments
+   * @param {Object} [options] - Normalized options
+   * @returns {Array} Segments with translation, targetRuns (when they have runs) and state
+   */
+  translateSegments(segments, options = DEFAULT_OPTIONS) {
+    return segments.map(segment => {
+      if (segment.translate === false) {
+        return { ...segment, translation: segment.text, targetRuns: undefined }
+      }
+
+      const runs = this.hasRuns(segment) ? segment.runs : [{ type: 'text', text: segment.text }]
+      const targetRuns = this.translateRuns(runs, options)
+
+      return {
+        ...segment,
+        translation: targetRuns.map(run => run.text).join(''),
+        targetRuns: this.hasRuns(segment) ? targetRuns : undefined,
+        // Pseudo-translations still need a real translation
+        state: 'needs-translation'
+      }
+    })
+  }
+
+  /**
+   * Check whether a segment's runs still match its text
+   * @param {Object} segment - Visual segment
+   * @returns {boolean} True if the runs can carry the pseudo-translation
+   */
+  hasRuns(segment) {
+    return Array.isArray(segment.runs) && segment.runs.length > 0 &&
+      segment.runs.map(run => run.text).join('') === segment.text
+  }
+
+  /**
+   * Pseudo-translate the runs of a segment. Every text run grows by the expansion, so the
+   * share of each formatting stays the same; the markers go into the first and last text runs.
+   * @param {Array} runs - Segment runs
+   * @param {Object} options - Normalized options
+   * @returns {Array} Runs with pseudo-translated text
+   */
+  translateRuns(runs, options) {
+    const textIndices = runs
+      .map((run, index) => TEXT_RUN_TYPES.includes(run.type) && run.text.trim() ? index : -1)
+      .filter(index => index >= 0)
+    const first = textIndices[0]
+    const last = textIndices[textIndices.length - 1]
+
+    return runs.map((run, index) => {
+      if (!textIndices.includes(index)) return { ...run }
+
+      let text = this.expand(options.accents ? this.accent(run.text) : run.text, options.expansion)
+      // Whitespace between runs stays outside the override
+      if (options.rtl) text = text.replace(/^(\s*)([\s\S]*?)(\s*)$/, `$1${RTL_START}$2${RTL_END}$3`)
+      if (options.brackets && index === first) text = START_MARKER + text
+      if (options.brackets && index === last) text = text + END_MARKER
+      return { ...run, text }
+    })
+  }
+
+  /**
+   * Pseudo-translate a plain text
+   * @param {string} text - Source text
+   * @param {Object} [options] - Normalized options
+   * @returns {string} Pseudo-translation
+   */
+  pseudoLocalize(text, options = DEFAULT_OPTIONS) {
+    return this.translateRuns([{ type: 'text', text }], options)[0].text
+  }
+
+  /**
+   * Replace letters with accented look-alikes, leaving placeholders and URLs intact
+   * @param {string} text - Text
+   * @returns {string} Accented text
+   */
+  accent(text) {
+    let result = ''
+    let position = 0
+    const substitute = part => part.replace(/[A-Za-z]/g, letter => ACCENTED[letter])
+
+    for (const match of text.matchAll(PROTECTED_PATTERN)) {
+      result += substitute(text.slice(position, match.index)) + match[0]
+      position = match.index + match[0].length
+    }
+    return result + substitute(text.slice(position))
+  }
+
+  /**
+   * Lengthen a text by a percentage with filler words, keeping its leading and trailing whitespace
+   * @param {string} text - Text
+   * @param {number} expansion - Percentage to add
+   * @returns {string} Expanded text
+   */
+  expand(text, expansion) {
+    const [, leading, content, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/)
+    let missing = Math.ceil(Array.from(content).length * expansion / 100)
+    if (!content || missing === 0) return text
+
+    const filler = []
+    for (let index = 0; missing > 0; index++) {
+      const word = FILLER_WORDS[index % FILLER_WORDS.length]
+      const part = Array.from(word).slice(0, Math.max(1, missing - 1)).join('')
+      filler.push(part)
+      missing -= Array.from(part).length + 1
+    }
+
+    return `${leading}${content} ${filler.join(' ')}${trailing}`
+  }
+}
+
+module.exports = PseudoLocalizer
@@ -1,8 +1,16 @@
+const { estimateCapacity, getLargestFontSize } = require('./text-layout-utils')
+
 /**
  * Visual Segmentation Engine
  * Combines visual analysis with intelligent text segmentation for optimal translation boundaries
  */
 
+// How finely individual text elements are split into segments
+const SEGMENTATION_LEVELS = ['shape', 'paragraph', 'bullet']
+
+// How text on hidden slides and in hidden shapes is handled ('skip' is applied during extraction)
+const HIDDEN_CONTENT_MODES = ['analyze', 'no-translate', 'skip']
+
 class SegmentationEngine {
   constructor() {
     this.segmentIdCounter = 1
@@ -11,13 +19,22 @@ class SegmentationEngine {
   /**
    * Generate intelligent segmentation from visual analysis
    * @param {Array} slides - Array of analyzed slides with visual context
+   * @param {Object} [options] - Segmentation options
+   * @param {string} [options.segmentationLevel] - 'shape' (default), 'paragraph' or 'bullet'
+   * @param {string} [options.hiddenContent] - 'analyze' (default), 'no-translate' or 'skip'
    * @returns {Array} Array of optimized visual segments
    */
-  generateSegmentation(slides) {
+  generateSegmentation(slides, options = {}) {
     const allSegments = []
+    const segmentationLevel = SEGMENTATION_LEVELS.includes(options.segmentationLevel)
+      ? options.segmentationLevel
+      : 'shape'
+    const hiddenContent = HIDDEN_CONTENT_MODES.includes(options.hiddenContent)
+      ? options.hiddenContent
+      : 'analyze'
 
     slides.forEach(slide => {
-      const slideSegments = this.processSlideSegmentation(slide)
+      const slideSegments = this.processSlideSegmentation(slide, segmentationLevel, hiddenContent)
       allSegments.push(...slideSegments)
     })
 
@@ -27,14 +44,24 @@ class SegmentationEngine {
   /**
    * Process segmentation for a single slide
    * @param {Object} slide - Slide with visual analysis
+   * @param {string} [segmentationLevel] - 'shape', 'paragraph' or 'bullet'
+   * @param {string} [hiddenContent] - 'analyze', 'no-translate' or 'skip'
    * @returns {Array} Array of segments for this slide
    */
-  processSlideSegmentation(slide) {
+  processSlideSegmentation(slide, segmentationLevel = 'shape', hiddenContent = 'analyze') {
     const segments = []
     const { slideId, textElements, visualContexts, segments: existingSegments } = slide
 
+    // Alt text is never shown on the slide, so it is only segmented on its own; hidden
+    // shapes stay out of visible contexts unless hidden content is treated like any other.
+    // Elements split by paragraph are only segmented by paragraph.
+    const groupedElements = textElements.filter(element =>
+      !element.isAltText && !this.isSplitByParagraph(element, segmentationLevel) &&
+      (hiddenContent === 'analyze' || !element.isHidden || slide.hidden)
+    )
+
     // Group text elements by visual context
-    const contextGroups = this.groupElementsByVisualContext(textElements, visualContexts)
+    const contextGroups = this.groupElementsByVisualContext(groupedElements, visualContexts)
 
     // Create segments for each visual context group
     contextGroups.forEach((group, contextId) => {
@@ -44,15 +71,232 @@ class SegmentationEngine {
 
     // Add individual text element segments for fine-grained control
     textElements.forEach((element, index) => {
+      if (this.isSplitByParagraph(element, segmentationLevel)) {
+        segments.push(...this.createParagraphSegments(element, slideId, index, segmentationLevel))
+        return
+      }
+
       const segment = this.createTextElementSegment(element, slideId, index)
       segments.push(segment)
     })
 
+    // Speaker notes form a separate text flow after the slide's own text
+    const notesElements = slide.notesElements || []
+    notesElements.forEach((element, index) => {
+      segments.push(...this.createNotesSegments(element, slideId, index, segmentationLevel))
+    })
+
+    this.attachComments(segments, slide.comments)
+    this.applyVisibility(segments, [...textElements, ...notesElements], hiddenContent)
+    this.applyLengthConstraints(segments, textElements)
+
     return segments
   }
 
   /**
-   * Group text elements by their visual context
+   * Check whether a text element is segmented by paragraph rather than as a whole
+   * @param {Object} element - Text element
+   * @param {string} segmentationLevel - 'shape', 'paragraph' or 'bullet'
+   * @returns {boolean} True if the element gets paragraph segments
+   */
+  isSplitByParagraph(element, segmentationLevel) {
+    return segmentationLevel !== 'shape' && Boolean(element.paragraphs) && element.paragraphs.length > 0
+  }
+
+  /**
+   * Get the IDs of the text elements a segment covers
+   * @param {Object} segment - Segment
+   * @param {Array} segments - All segments of the slide
+   * @returns {Array<string>} Text element IDs
+   */
+  getCoveredElementIds(segment, segments) {
+    // Combined segments cover every element of their visual context
+    return segment.isCombined
+      ? segments.filter(other => other.parentContextId === segment.visualContextId).map(other => other.textElementId)
+      : [segment.textElementId]
+  }
+
+  /**
+   * Flag segments whose text is on a hidden slide or in hidden shapes,
+   * excluding them from translation in 'no-translate' mode
+   * @param {Array} segments - Segments of the slide
+   * @param {Array} elements - Text and notes elements of the slide
+   * @param {string} hiddenContent - 'analyze', 'no-translate' or 'skip'
+   */
+  applyVisibility(segments, elements, hiddenContent) {
+    const hiddenIds = new Set(elements.filter(element => element.isHidden).map(element => element.id))
+    if (hiddenIds.size === 0) return
+
+    segments.forEach(segment => {
+      const elementIds = this.getCoveredElementIds(segment, segments)
+      if (elementIds.length === 0 || !elementIds.every(id => hiddenIds.has(id))) return
+
+      segment.hidden = true
+      if (hiddenContent === 'no-translate') {
+        segment.translate = false
+      }
+    })
+  }
+
+  /**
+   * Derive each segment's maximum length from the text frames of the elements it covers.
+   * A segment covering some paragraphs of an element gets the share of the element's
+   * capacity its source text takes. Speaker notes and alt text have no frame to fit.
+   * @param {Array} segments - Segments of the slide
+   * @param {Array} elements - Text elements of the slide
+   */
+  applyLengthConstraints(segments, elements) {
+    const elementsById = new Map(elements.map(element => [element.id, element]))
+
+    segments.forEach(segment => {
+      if (segment.flow === 'notes') return
+
+      const constraints = this.getCoveredElementIds(segment, segments).map(id => {
+        const element = elementsById.get(id)
+        if (!element || !element.textFrame) return null
+
+        const capacity = estimateCapacity(element.textFrame, getLargestFontSize(element), element.isBold)
+        if (!capacity) return null
+
+        const share = segment.paragraphIndices ? segment.text.length / Math.max(element.text.length, 1) : 1
+        return {
+          maxChars: Math.max(1, Math.floor(capacity.maxChars * Math.min(share, 1))),
+          maxLines: Math.max(1, Math.round(capacity.maxLines * Math.min(share, 1))),
+          autofit: element.textFrame.autofit
+        }
+      })
+
+      const lengthConstraint = this.combineLengthConstraints(constraints)
+      if (lengthConstraint) {
+        segment.lengthConstraint = lengthConstraint
+      }
+    })
+  }
+
+  /**
+   * Add up the length constraints of the parts of a combined or merged segment
+   * @param {Array} constraints - Length constraints ({ maxChars, maxLines, autofit }), null for parts without one
+   * @returns {Object|undefined} Combined constraint, or undefined unless every part has one
+   */
+  combineLengthConstraints(constraints) {
+    if (constraints.length === 0 || constraints.some(constraint => !constraint)) return undefined
+
+    return {
+      maxChars: constraints.reduce((total, constraint) => total + constraint.maxChars, 0),
+      maxLines: constraints.reduce((total, constraint) => total + constraint.maxLines, 0),
+      autofit: constraints.every(constraint => constraint.autofit === constraints[0].autofit)
+        ? constraints[0].autofit
+        : 'none'
+    }
+  }
+
+  /**
+   * Create the segments of a speaker notes text element
+   * @param {Object} element - Notes text element
+   * @param {number} slideId - Slide ID
+   * @param {number} index - Element index within the slide's notes
+   * @param {string} segmentationLevel - 'shape', 'paragraph' or 'bullet'
+   * @returns {Array} Array of notes segments
+   */
+  createNotesSegments(element, slideId, index, segmentationLevel) {
+    const segments = segmentationLevel !== 'shape' && element.paragraphs && element.paragraphs.length > 0
+      ? this.createParagraphSegments(element, slideId, index, segmentationLevel)
+      : [this.createTextElementSegment(element, slideId, index)]
+
+    return segments.map(segment => ({
+      ...segment,
+      id: `s${slideId}_notes${index}_${this.segmentIdCounter++}`,
+      visualContextId: 'notes',
+      visualContext: 'notes',
+      flow: 'notes',
+      notes: `Speaker notes of slide ${slideId}`
+    }))
+  }
+
+  /**
+   * Attach slide comments to the segments covering the text elements they are anchored to
+   * @param {Array} segments - Segments of the slide
+   * @param {Array} [comments] - Slide comments ({ id, author, date, text, textElementId })
+   */
+  attachComments(segments, comments) {
+    if (!comments || comments.length === 0) return
+
+    segments.forEach(segment => {
+      const elementIds = this.getCoveredElementIds(segment, segments)
+      const attached = comments.filter(comment => elementIds.includes(comment.textElementId))
+      if (attached.length > 0) {
+        segment.comments = attached.map(({ id, author, date, text }) => ({ id, author, date, text }))
+      }
+    })
+  }
+
+  /**
+   * Split paragraphs into the groups that become separate segments
+   * @param {Array} paragraphs - Paragraphs of a text element
+   * @param {string} segmentationLevel - 'paragraph' (one per paragraph) or 'bullet'
+   *   (one per bullet item, consecutive non-bullet paragraphs kept together)
+   * @returns {Array<Array>} Groups of non-empty paragraphs
+   */
+  groupParagraphs(paragraphs, segmentationLevel) {
+    const groups = []
+    let pending = []
+
+    paragraphs
+      .filter(paragraph => paragraph.text.trim())
+      .forEach(paragraph => {
+        if (segmentationLevel === 'paragraph' || paragraph.bullet) {
+          if (pending.length > 0) groups.push(pending)
+          groups.push([paragraph])
+          pending = []
+        } else {
+          pending.push(paragraph)
+        }
+      })
+
+    if (pending.length > 0) groups.push(pending)
+    return groups
+  }
+
+  /**
+   * Create per-paragraph segments for a text element, which stays their visual parent
+   * @param {Object} element - Text element with a paragraph model
+   * @param {number} slideId - Slide ID
+   * @param {number} index - Element index
+   * @param {string} segmentationLevel - 'paragraph' or 'bullet'
+   * @returns {Array} Array of segments
+   */
+  createParagraphSegments(element, slideId, index, segmentationLevel) {
+    const elementContext = this.inferVisualContext(element)
+
+    return this.groupParagraphs(element.paragraphs, segmentationLevel).map(paragraphs => {
+      const first = paragraphs[0]
+      const isBulletItem = paragraphs.length === 1 && Boolean(first.bullet)
+
+      return {
+        id: `s${slideId}_elem${index}_p${first.index}_${this.segmentIdCounter++}`,
+        slideId,
+        textElementId: element.id,
+        visualContextId: 'individual',
+        coordinates: this.calculateCombinedBoundingBox(
+          paragraphs.map(paragraph => ({ boundingBox: paragraph.boundingBox || element.boundingBox }))
+        ),
+        text: paragraphs.map(paragraph => paragraph.text).join('\n').trim(),
+        runs: this.buildSegmentRuns(element, paragraphs),
+        visualContext: isBulletItem ? 'bullet_list' : elementContext,
+        confidence: 'medium',
+        notes: isBulletItem
+          ? `Bullet item (level ${first.level + 1}) of text element ${element.id}`
+          : `Paragraph of text element ${element.id}`,
+        isCombined: false,
+        paragraphIndices: paragraphs.map(paragraph => paragraph.index),
+        ...this.getStructureInfo(element)
+      }
+    })
+  }
+
+  /**
+   * Group text elements by their visual context. A context's related elements join it
+   * directly, in the order listed; other elements go to the context that fits them best.
    * @param {Array} textElements - Array of text elements
    * @param {Array} visualContexts - Array of visual contexts
    * @returns {Map} Map of context ID to grouped elements
@@ -71,20 +315,113 @@ class SegmentationEngine {
       })
     })
 
-    // Assign text elements to visual contexts based on spatial proximity AND semantic similarity
+    // The first context listing an element claims it
+    const listingContexts = new Map()
+    visualContexts.forEach(context => {
+      (context.relatedElements || []).forEach(elementId => {
+        if (!listingContexts.has(elementId)) listingContexts.set(elementId, context)
+      })
+    })
+
+    // Assign the other text elements to visual contexts based on spatial proximity AND semantic similarity
     textElements.forEach(element => {
-      const bestContext = this.findBestVisualContext(element, visualContexts)
+      const bestContext = listingContexts.get(element.id) || this.findBestVisualContext(element, visualContexts)
       if (bestContext && contextGroups.has(bestContext.id)) {
         contextGroups.get(bestContext.id).elements.push(element)
       }
     })
 
+    // Keep shapes the designer grouped together in the same visual context
+    this.applyShapeGroupMembership(contextGroups, textElements)
+
     // Apply semantic grouping for elements with similar topics
     this.applySemanticGrouping(contextGroups, textElements)
 
+    this.applyListedOrder(contextGroups)
+
     return contextGroups
   }
 
+  /**
+   * Put the elements of each visual context in the order its related elements are listed;
+   * unlisted elements follow in their slide order
+   * @param {Map} contextGroups - Map of context groups
+   */
+  applyListedOrder(contextGroups) {
+    contextGroups.forEach(group => {
+      const listed = group.context.relatedElements || []
+      const rank = element => {
+        const index = listed.indexOf(element.id)
+        return index === -1 ? listed.length : index
+      }
+      // The sort is stable, so unlisted elements keep their order
+      group.elements = [...group.elements].sort((a, b) => rank(a) - rank(b))
+    })
+  }
+
+  /**
+   * Move members of the same PowerPoint group shape (or siblings of a SmartArt node) into one visual context
+   * @param {Map} contextGroups - Map of context groups
+   * @param {Array} textElements - Array of text elements
+   */
+  applyShapeGroupMembership(contextGroups, textElements) {
+    const shapeGroups = new Map()
+
+    // Group elements by their innermost group shape, or SmartArt nodes by their parent node
+    textElements.forEach(element => {
+      const groupKey = this.getShapeGroupKey(element)
+      if (!groupKey) return
+
+      if (!shapeGroups.has(groupKey)) {
+        shapeGroups.set(groupKey, [])
+      }
+      shapeGroups.get(groupKey).push(element)
+    })
+
+    shapeGroups.forEach(members => {
+      if (members.length < 2) return
+
+      // Pick the context that already holds most of the group's members
+      let targetGroup = null
+      let targetCount = 0
+      contextGroups.forEach(group => {
+        const count = members.filter(member => group.elements.includes(member)).length
+        if (count > targetCount) {
+          targetCount = count
+          targetGroup = group
+        }
+      })
+
+      if (!targetGroup) return
+
+      contextGroups.forEach(group => {
+        if (group !== targetGroup) {
+          group.elements = group.elements.filter(element => !members.includes(element))
+        }
+      })
+      members.forEach(member => {
+        if (!targetGroup.elements.includes(member)) {
+          targetGroup.elements.push(member)
+        }
+      })
+    })
+  }
+
+  /**
+   * Get the key of the designer-defined group a text element belongs to
+   * @param {Object} element - Text element
+   * @returns {string|null} Group key, or null for ungrouped elements
+   */
+  getShapeGroupKey(element) {
+    if (element.smartArt) {
+      return `smartart:${element.smartArt.diagramId}/${element.smartArt.parentId || 'root'}`
+    }
+    if (element.groupPath && element.groupPath.length > 0) {
+      return element.groupPath.join('/')
+    }
+    return null
+  }
+
   /**
    * Find the best visual context for a text element
    * @param {Object} element - Text element
@@ -178,26 +515,12 @@ class SegmentationEngine {
 
     if (elements.length === 0) return segments
 
-    // Create combined segment for the entire context
-    const combinedText = elements.map(el => el.text).join(' ')
-    const combinedBoundingBox = this.calculateCombinedBoundingBox(elements)
-
-    const combinedSegment = {
-      id: `s${slideId}_vc${contextId}_combined_${this.segmentIdCounter++}`,
-      slideId,
-      textElementId: `vc${contextId}_combined`,
-      visualContextId: contextId,
-      coordinates: combinedBoundingBox,
-      text: combinedText,
-      visualContext: context.type,
-      confidence: 'high',
-      notes: `Combined ${context.type} context with ${elements.length} elements`,
-      isCombined: true,
-      elementCount: elements.length
+    // Table cells, chart labels and SmartArt nodes are translated one by one; never combine them
+    const structuredCount = elements.filter(element => element.table || element.chart || element.smartArt).length
+    if (structuredCount < 2) {
+      segments.push(this.createCombinedSegment(group, slideId, contextId))
     }
 
-    segments.push(combinedSegment)
-
     // Create individual segments for each element within the context
     elements.forEach((element, index) => {
       const segment = {
@@ -207,11 +530,13 @@ class SegmentationEngine {
         visualContextId: contextId,
         coordinates: element.boundingBox,
         text: element.text,
+        runs: this.buildSegmentRuns(element),
         visualContext: context.type,
         confidence: 'medium',
         notes: `Individual element within ${context.type} context`,
         isCombined: false,
-        parentContextId: contextId
+        parentContextId: contextId,
+        ...this.getStructureInfo(element)
       }
       segments.push(segment)
     })
@@ -219,6 +544,126 @@ class SegmentationEngine {
     return segments
   }
 
+  /**
+   * Create the segment covering every element of a visual context group
+   * @param {Object} group - Group of elements in a visual context
+   * @param {number} slideId - Slide ID
+   * @param {string} contextId - Visual context ID
+   * @returns {Object} Combined segment
+   */
+  createCombinedSegment(group, slideId, contextId) {
+    const { context, elements } = group
+    const combinedText = elements.map(el => el.text).join(' ')
+    const combinedBoundingBox = this.calculateCombinedBoundingBox(elements)
+
+    return {
+      id: `s${slideId}_vc${contextId}_combined_${this.segmentIdCounter++}`,
+      slideId,
+      textElementId: `vc${contextId}_combined`,
+      elementIds: elements.map(el => el.id),
+      visualContextId: contextId,
+      coordinates: combinedBoundingBox,
+      text: combinedText,
+      runs: this.joinSegmentRuns(elements.map(el => this.buildSegmentRuns(el))),
+      visualContext: context.type,
+      confidence: 'high',
+      notes: `Combined ${context.type} context with ${elements.length} elements`,
+      isCombined: true,
+      elementCount: elements.length
+    }
+  }
+
+  /**
+   * Get the table, chart or SmartArt position a segment of a structured text element carries
+   * @param {Object} element - Text element
+   * @returns {Object} { tableCell }, { chartLabel } or { smartArtNode }; empty for ordinary shapes
+   */
+  getStructureInfo(element) {
+    if (element.table) {
+      const { tableId, row, column, rowHeader, columnHeader } = element.table
+      return { tableCell: { tableId, row, column, rowHeader, columnHeader } }
+    }
+    if (element.chart) {
+      const { chartId, role, axis, index } = element.chart
+      return { chartLabel: { chartId, role, axis, index } }
+    }
+    if (element.smartArt) {
+      const { diagramId, nodeId, parentId, depth, siblingIndex, siblingCount } = element.smartArt
+      return { smartArtNode: { diagramId, nodeId, parentId, depth, siblingIndex, siblingCount } }
+    }
+    return {}
+  }
+
+  /**
+   * Flatten the runs of a text element's paragraphs into segment runs.
+   * Each run keeps a ref ("<textElementId>:<paragraphIndex>.<runIndex>") back to its source run.
+   * @param {Object} element - Text element with a paragraph model
+   * @param {Array} [paragraphs] - Paragraphs covered by the segment (defaults to all)
+   * @returns {Array|undefined} Segment runs whose text concatenates to the segment text, or undefined without a paragraph model
+   */
+  buildSegmentRuns(element, paragraphs = element.paragraphs) {
+    if (!paragraphs || paragraphs.length === 0) return undefined
+
+    const runs = []
+    paragraphs.forEach((paragraph, position) => {
+      if (position > 0) {
+        runs.push({ type: 'paragraph', text: '\n' })
+      }
+      paragraph.runs.forEach((run, runIndex) => {
+        runs.push({
+          type: run.type,
+          text: run.text,
+          bold: run.bold,
+          italic: run.italic,
+          underline: run.underline,
+          fontFamily: run.fontFamily,
+          fontSize: run.fontSize,
+          color: run.color,
+          hyperlink: run.hyperlink || null,
+          ref: `${element.id}:${paragraph.index}.${runIndex}`
+        })
+      })
+    })
+
+    return this.trimRuns(runs)
+  }
+
+  /**
+   * Trim leading and trailing whitespace across a run list, as String.prototype.trim does for text
+   * @param {Array} runs - Segment runs
+   * @returns {Array} Trimmed copy of the runs
+   */
+  trimRuns(runs) {
+    const trimmed = runs.map(run => ({ ...run }))
+
+    while (trimmed.length > 0 && !trimmed[0].text.trim()) trimmed.shift()
+    while (trimmed.length > 0 && !trimmed[trimmed.length - 1].text.trim()) trimmed.pop()
+
+    if (trimmed.length > 0) {
+      trimmed[0].text = trimmed[0].text.trimStart()
+      trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.trimEnd()
+    }
+    return trimmed
+  }
+
+  /**
+   * Join the runs of several segments the same way their texts are joined (with a space)
+   * @param {Array<Array|undefined>} runLists - Runs of each joined part
+   * @returns {Array|undefined} Joined runs, or undefined if any part has no runs
+   */
+  joinSegmentRuns(runLists) {
+    if (runLists.some(runs => !runs)) return undefined
+
+    const joined = []
+    runLists.forEach((runs, index) => {
+      if (index > 0) {
+        joined.push({ type: 'separator', text: ' ' })
+      }
+      joined.push(...runs)
+    })
+    return joined
+  }
+
   /**
    * Create a segment for an individual text element
    * @param {Object} element - Text element
@@ -234,10 +679,12 @@ class SegmentationEngine {
       visualContextId: 'individual',
       coordinates: element.boundingBox,
       text: element.text,
+      runs: this.buildSegmentRuns(element),
       visualContext: this.inferVisualContext(element),
       confidence: 'medium',
-      notes: 'Individual text element',
-      isCombined: false
+      notes: element.isAltText ? 'Alternative text of a picture' : 'Individual text element',
+      isCombined: false,
+      ...this.getStructureInfo(element)
     }
   }
 
@@ -247,6 +694,31 @@ class SegmentationEngine {
    * @returns {string} Inferred visual context type
    */
   inferVisualContext(element) {
+    if (element.isAltText) return 'alt_text'
+
+    // Table cells, chart labels and SmartArt nodes are identified by their structure
+    if (element.table) {
+      return element.table.isHeader ? 'table_header' : 'table_cell'
+    }
+    if (element.chart) return 'chart_label'
+    if (element.smartArt) return 'smartart_node'
+
+    // Placeholder roles from the slide layout are authoritative
+    const placeholderContext = this.mapPlaceholderToVisualContext(element.placeholderType)
+    if (placeholderContext && placeholderContext !== 'body_text') {
+      return placeholderContext
+    }
+
+    // Paragraph bullets from the slide XML are authoritative too
+    const hasParagraphModel = element.paragraphs && element.paragraphs.length > 0
+    if (hasParagraphModel && element.paragraphs.some(paragraph => paragraph.bullet)) {
+      return 'bullet_list'
+    }
+
+    if (placeholderContext) {
+      return placeholderContext
+    }
+
     const text = element.text.toLowerCase()
     const fontSize = element.fontSize || 12
     const isBold = element.isBold || false
@@ -258,8 +730,8 @@ class SegmentationEngine {
       }
     }
 
-    // Bullet list detection
-    if (text.includes('•') || text.includes('-') || text.includes('*')) {
+    // Bullet list detection from text when no paragraph model is available
+    if (!hasParagraphModel && (text.includes('•') || text.includes('-') || text.includes('*'))) {
       return 'bullet_list'
     }
 
@@ -272,6 +744,25 @@ class SegmentationEngine {
     return 'body_text'
   }
 
+  /**
+   * Map a PowerPoint placeholder type to a visual context type
+   * @param {string|null} placeholderType - Placeholder type (e.g. "title", "ftr")
+   * @returns {string|null} Visual context type, or null if the placeholder carries no role
+   */
+  mapPlaceholderToVisualContext(placeholderType) {
+    const mapping = {
+      'title': 'title_group',
+      'ctrTitle': 'title_group',
+      'subTitle': 'title_group',
+      'body': 'body_text',
+      'ftr': 'header_footer',
+      'hdr': 'header_footer',
+      'dt': 'header_footer',
+      'sldNum': 'header_footer'
+    }
+    return mapping[placeholderType] || null
+  }
+
   /**
    * Calculate combined bounding box for multiple elements
    * @param {Array} elements - Array of text elements
@@ -341,14 +832,19 @@ class SegmentationEngine {
       if (processed.has(index)) return
 
       const similarSegments = [segment]
+      const mergedElementIds = new Set(this.getMergedElementIds(segment))
       processed.add(index)
 
-      // Find similar segments
+      // Find similar segments; each text element is covered once in the merged segment
       segments.forEach((otherSegment, otherIndex) => {
         if (processed.has(otherIndex) || index === otherIndex) return
 
+        const otherElementIds = this.getMergedElementIds(otherSegment)
+        if (otherElementIds.some(elementId => mergedElementIds.has(elementId))) return
+
         if (this.areSegmentsSimilar(segment, otherSegment)) {
           similarSegments.push(otherSegment)
+          otherElementIds.forEach(elementId => mergedElementIds.add(elementId))
           processed.add(otherIndex)
         }
       })
@@ -377,11 +873,38 @@ class SegmentationEngine {
       return false
     }
 
+    // Segments covering the same text element would repeat its text
+    const elementIds = this.getMergedElementIds(segment1)
+    if (this.getMergedElementIds(segment2).some(elementId => elementIds.includes(elementId))) {
+      return false
+    }
+
+    // Hidden text is never merged with visible text
+    if (Boolean(segment1.hidden) !== Boolean(segment2.hidden)) {
+      return false
+    }
+
+    // Table cells, chart labels, SmartArt nodes and alt text are never merged with their neighbours
+    const isStructured = segment =>
+      segment.tableCell || segment.chartLabel || segment.smartArtNode || segment.visualContext === 'alt_text'
+    if ((isStructured(segment1) || isStructured(segment2)) && segment1.textElementId !== segment2.textElementId) {
+      return false
+    }
+
     // Check if segments are close spatially
     const distance = this.calculateSegmentDistance(segment1, segment2)
     return distance < 50 // 50 pixels threshold
   }
 
+  /**
+   * Get the IDs of the text elements a segment's text comes from
+   * @param {Object} segment - Segment
+   * @returns {Array<string>} Text element IDs
+   */
+  getMergedElementIds(segment) {
+    return segment.elementIds || [segment.textElementId]
+  }
+
   /**
    * Calculate distance between two segments
    * @param {Object} segment1 - First segment
@@ -423,6 +946,11 @@ class SegmentationEngine {
       ...firstSegment,
       id: `merged_${this.segmentIdCounter++}`,
       text: combinedText,
+      runs: this.joinSegmentRuns(segments.map(s => s.runs)),
+      // One entry per joined part, in order, so a translation can be split back
+      elementIds: segments.flatMap(s => s.elementIds || [s.textElementId]),
+      comments: this.mergeComments(segments),
+      lengthConstraint: this.combineLengthConstraints(segments.map(s => s.lengthConstraint)),
       coordinates: combinedBoundingBox,
       notes: `Merged ${segments.length} similar segments`,
       isMerged: true,
@@ -430,6 +958,19 @@ class SegmentationEngine {
     }
   }
 
+  /**
+   * Collect the distinct comments of several segments
+   * @param {Array} segments - Segments being merged
+   * @returns {Array|undefined} Comments, or undefined if none of the segments has any
+   */
+  mergeComments(segments) {
+    const comments = new Map()
+    segments.forEach(segment => {
+      (segment.comments || []).forEach(comment => comments.set(comment.id, comment))
+    })
+    return comments.size > 0 ? [...comments.values()] : undefined
+  }
+
   /**
    * Sort segments by slide ID and position
    * @param {Array} segments - Array of segments
@@ -442,6 +983,13 @@ class SegmentationEngine {
         return a.slideId - b.slideId
       }
 
+      // Then slide text before speaker notes
+      const flowA = a.flow === 'notes' ? 1 : 0
+      const flowB = b.flow === 'notes' ? 1 : 0
+      if (flowA !== flowB) {
+        return flowA - flowB
+      }
+
       // Then by Y position (top to bottom)
       if (a.coordinates.y !== b.coordinates.y) {
         return a.coordinates.y - b.coordinates.y
@@ -460,9 +1008,9 @@ class SegmentationEngine {
   applySemanticGrouping(contextGroups, textElements) {
     const topicGroups = new Map()
 
-    // Group contexts by topic
+    // Group contexts by topic; contexts listing their elements are kept as they are
     contextGroups.forEach((group, contextId) => {
-      if (group.topic) {
+      if (group.topic && !(group.context.relatedElements || []).length) {
         if (!topicGroups.has(group.topic)) {
           topicGroups.set(group.topic, [])
         }
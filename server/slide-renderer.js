@@ -0,0 +1,1223 @@
+const sharp = require('sharp')
+const { getChild, getChildren, getPath, getAttr, getNumberAttr, getBoolAttr } = require('./xml-utils')
+const { IDENTITY, multiply, rotationAboutCenter, readTransform, readGroupTransform } = require('./transform-utils')
+const { findColorElement, resolveColor } = require('./color-utils')
+const { FONT_SUBSTITUTES, LINE_HEIGHT, readBodyLayout, readCellLayout, estimateTextWidth } = require('./text-layout-utils')
+
+/**
+ * Slide Renderer
+ * Renders DrawingML slides to SVG — backgrounds, theme colors, pictures, preset and custom geometry,
+ * lines and text — so slide images can be rasterized locally with sharp.
+ * The SVG user unit is the point: the rasterizer misplaces text under EMU-sized coordinates.
+ */
+
+const EMU_PER_POINT = 12700
+
+// DrawingML percentages are expressed in 1000ths of a percent
+const PERCENT = 100000
+
+// Angles are expressed in 60,000ths of a degree
+const ANGLE_UNITS_PER_DEGREE = 60000
+
+// Outline width in points when a:ln sets a color but no width
+const DEFAULT_LINE_WIDTH = 0.75
+
+// Indentation per paragraph level in points (0.5in)
+const LEVEL_INDENT = 36
+
+// Text metrics as fractions of the font size
+const ASCENT = 0.9
+
+// Embedded pictures are downscaled to this many pixels on their longest side before compositing
+const MAX_IMAGE_SIZE = 1200
+
+// Light gray drawn for pictures that cannot be decoded (EMF, WMF, linked images)
+const MISSING_IMAGE_COLOR = '#D9D9D9'
+
+// Grid line drawn around table cells without explicit borders
+const TABLE_GRID_COLOR = '#BFBFBF'
+
+const FILL_ELEMENTS = ['a:noFill', 'a:solidFill', 'a:gradFill', 'a:blipFill', 'a:pattFill', 'a:grpFill']
+
+// Dash patterns (a:prstDash) as multiples of the line width
+const DASH_PATTERNS = {
+  dash: [4, 3],
+  dashDot: [4, 3, 1, 3],
+  dot: [1, 3],
+  lgDash: [8, 3],
+  lgDashDot: [8, 3, 1, 3],
+  lgDashDotDot: [8, 3, 1, 3, 1, 3],
+  sysDash: [3, 1],
+  sysDashDot: [3, 1, 1, 1],
+  sysDashDotDot: [3, 1, 1, 1, 1, 1],
+  sysDot: [1, 1]
+}
+
+// Preset geometries drawn as open paths (lines and connectors)
+const OPEN_GEOMETRIES = [
+  'line',
+  'straightConnector1',
+  'bentConnector2',
+  'bentConnector3',
+  'curvedConnector2',
+  'curvedConnector3',
+  'arc'
+]
+
+const NO_PLACEHOLDER = { type: null, layout: null, master: null }
+
+/**
+ * Build a closed polygon path
+ * @param {Array<Array<number>>} points - Polygon corners ([x, y])
+ * @returns {string} SVG path data
+ */
+function polygon(points) {
+  return `M${points.map(([x, y]) => `${round(x)} ${round(y)}`).join(' L')} Z`
+}
+
+/**
+ * Build a rounded rectangle path
+ * @param {number} w - Width
+ * @param {number} h - Height
+ * @param {number} r - Corner radius
+ * @returns {string} SVG path data
+ */
+function roundedRect(w, h, r) {
+  const radius = Math.min(r, w / 2, h / 2)
+  return `M${round(radius)} 0 H${round(w - radius)} A${round(radius)} ${round(radius)} 0 0 1 ${round(w)} ${round(radius)} ` +
+    `V${round(h - radius)} A${round(radius)} ${round(radius)} 0 0 1 ${round(w - radius)} ${round(h)} ` +
+    `H${round(radius)} A${round(radius)} ${round(radius)} 0 0 1 0 ${round(h - radius)} ` +
+    `V${round(radius)} A${round(radius)} ${round(radius)} 0 0 1 ${round(radius)} 0 Z`
+}
+
+/**
+ * Convert an EMU length to points
+ * @param {number} emu - Length in EMU
+ * @returns {number} Length in points
+ */
+function toPoints(emu) {
+  return emu / EMU_PER_POINT
+}
+
+/**
+ * Read a shape transform (a:xfrm) as a box in points
+ * @param {Element|null} xfrm - The a:xfrm or p:xfrm element
+ * @returns {Object|null} Box ({ x, y, cx, cy, rot, flipH, flipV }), or null if the element has no box
+ */
+function readBox(xfrm) {
+  const box = readTransform(xfrm)
+  return box ? { ...box, x: toPoints(box.x), y: toPoints(box.y), cx: toPoints(box.cx), cy: toPoints(box.cy) } : null
+}
+
+/**
+ * Round a coordinate for compact SVG output
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * 100) / 100
+}
+
+// Preset geometries (a:prstGeom) as path builders: (width, height, adjustments) => SVG path data.
+// Adjustment values are in 1000ths of a percent, of the shorter side unless noted.
+const PRESET_GEOMETRIES = {
+  rect: (w, h) => polygon([[0, 0], [w, 0], [w, h], [0, h]]),
+  roundRect: (w, h, adj) => roundedRect(w, h, Math.min(w, h) * adj('adj', 16667) / PERCENT),
+  flowChartAlternateProcess: (w, h) => roundedRect(w, h, Math.min(w, h) / 6),
+  flowChartTerminator: (w, h) => roundedRect(w, h, h / 2),
+  ellipse: (w, h) => `M0 ${round(h / 2)} A${round(w / 2)} ${round(h / 2)} 0 1 1 ${round(w)} ${round(h / 2)} A${round(w / 2)} ${round(h / 2)} 0 1 1 0 ${round(h / 2)} Z`,
+  triangle: (w, h, adj) => polygon([[w * adj('adj', 50000) / PERCENT, 0], [w, h], [0, h]]),
+  rtTriangle: (w, h) => polygon([[0, 0], [w, h], [0, h]]),
+  diamond: (w, h) => polygon([[w / 2, 0], [w, h / 2], [w / 2, h], [0, h / 2]]),
+  parallelogram: (w, h, adj) => {
+    const x = Math.min(w, h) * adj('adj', 25000) / PERCENT
+    return polygon([[x, 0], [w, 0], [w - x, h], [0, h]])
+  },
+  trapezoid: (w, h, adj) => {
+    const x = Math.min(w, h) * adj('adj', 25000) / PERCENT
+    return polygon([[0, h], [x, 0], [w - x, 0], [w, h]])
+  },
+  pentagon: (w, h) => polygon([[w / 2, 0], [w, h * 0.38], [w * 0.81, h], [w * 0.19, h], [0, h * 0.38]]),
+  hexagon: (w, h, adj) => {
+    const x = Math.min(w, h) * adj('adj', 25000) / PERCENT
+    return polygon([[x, 0], [w - x, 0], [w, h / 2], [w - x, h], [x, h], [0, h / 2]])
+  },
+  octagon: (w, h, adj) => {
+    const x = Math.min(w, h) * adj('adj', 29289) / PERCENT
+    return polygon([[x, 0], [w - x, 0], [w, x], [w, h - x], [w - x, h], [x, h], [0, h - x], [0, x]])
+  },
+  homePlate: (w, h, adj) => {
+    const x = w - Math.min(w, h) * adj('adj', 50000) / PERCENT
+    return polygon([[0, 0], [x, 0], [w, h / 2], [x, h], [0, h]])
+  },
+  chevron: (w, h, adj) => {
+    const x = Math.min(w, h) * adj('adj', 50000) / PERCENT
+    return polygon([[0, 0], [w - x, 0], [w, h / 2], [w - x, h], [0, h], [x, h / 2]])
+  },
+  rightArrow: (w, h, adj) => {
+    const shaft = h * adj('adj1', 50000) / PERCENT / 2
+    const head = w - Math.min(w, h) * adj('adj2', 50000) / PERCENT
+    return polygon([[0, h / 2 - shaft], [head, h / 2 - shaft], [head, 0], [w, h / 2], [head, h], [head, h / 2 + shaft], [0, h / 2 + shaft]])
+  },
+  leftArrow: (w, h, adj) => {
+    const shaft = h * adj('adj1', 50000) / PERCENT / 2
+    const head = Math.min(w, h) * adj('adj2', 50000) / PERCENT
+    return polygon([[w, h / 2 - shaft], [head, h / 2 - shaft], [head, 0], [0, h / 2], [head, h], [head, h / 2 + shaft], [w, h / 2 + shaft]])
+  },
+  upArrow: (w, h, adj) => {
+    const shaft = w * adj('adj1', 50000) / PERCENT / 2
+    const head = Math.min(w, h) * adj('adj2', 50000) / PERCENT
+    return polygon([[w / 2 - shaft, h], [w / 2 - shaft, head], [0, head], [w / 2, 0], [w, head], [w / 2 + shaft, head], [w / 2 + shaft, h]])
+  },
+  downArrow: (w, h, adj) => {
+    const shaft = w * adj('adj1', 50000) / PERCENT / 2
+    const head = h - Math.min(w, h) * adj('adj2', 50000) / PERCENT
+    return polygon([[w / 2 - shaft, 0], [w / 2 - shaft, head], [0, head], [w / 2, h], [w, head], [w / 2 + shaft, head], [w / 2 + shaft, 0]])
+  },
+  star5: (w, h) => polygon(Array.from({ length: 10 }, (_, index) => {
+    const angle = -Math.PI / 2 + index * Math.PI / 5
+    const radius = index % 2 === 0 ? 0.5 : 0.19
+    return [w / 2 + Math.cos(angle) * w * radius, h / 2 + Math.sin(angle) * h * radius * 1.05]
+  })),
+  line: (w, h) => `M0 0 L${round(w)} ${round(h)}`,
+  bentConnector3: (w, h, adj) => {
+    const x = w * adj('adj1', 50000) / PERCENT
+    return `M0 0 L${round(x)} 0 L${round(x)} ${round(h)} L${round(w)} ${round(h)}`
+  },
+  bentConnector2: (w, h) => `M0 0 L${round(w)} 0 L${round(w)} ${round(h)}`,
+  curvedConnector3: (w, h) => `M0 0 C${round(w / 2)} 0 ${round(w / 2)} ${round(h)} ${round(w)} ${round(h)}`
+}
+
+// Presets drawn with the outline of a simpler preset
+const PRESET_ALIASES = {
+  straightConnector1: 'line',
+  curvedConnector2: 'curvedConnector3',
+  flowChartProcess: 'rect',
+  flowChartDecision: 'diamond',
+  flowChartConnector: 'ellipse',
+  flowChartPredefinedProcess: 'rect',
+  wedgeRectCallout: 'rect',
+  wedgeRoundRectCallout: 'roundRect',
+  wedgeEllipseCallout: 'ellipse',
+  snip1Rect: 'rect',
+  snip2SameRect: 'rect',
+  round1Rect: 'roundRect',
+  round2SameRect: 'roundRect',
+  plaque: 'rect',
+  donut: 'ellipse',
+  pie: 'ellipse',
+  chord: 'ellipse',
+  arc: 'line'
+}
+
+class SlideRenderer {
+  /**
+   * @param {PptxPackage} pptx - Loaded package the slides are rendered from
+   */
+  constructor(pptx) {
+    this.pptx = pptx
+    this.imageCache = new Map()
+  }
+
+  /**
+   * Render a slide with its layout and master to SVG
+   * @param {string} slidePart - Slide part path
+   * @param {Object} options - Rendering options
+   * @param {Object} options.slideSize - Slide size in EMU ({ cx, cy })
+   * @param {Object} options.size - Output size in pixels ({ width, height })
+   * @param {Object} options.themeColors - Scheme color palette of the slide
+   * @param {Function} options.resolvePlaceholder - Resolves a slide p:ph to its { type, layout, master } shapes
+   * @param {Function} options.extractParagraphs - Extracts the paragraph model of a text body: (txBody, placeholder) => paragraphs
+   * @param {Function} [options.findSmartArtDrawing] - Finds the drawing part of a SmartArt data relationship ID
+   * @param {Array} [options.overlays] - Text drawn above the slide, in slide coordinates (e.g. chart labels)
+   * @param {number} [options.scale] - EMU to slide coordinate scale of the overlays
+   * @returns {Promise<string>} SVG document
+   */
+  async renderSlide(slidePart, options) {
+    this.defs = []
+    this.nextDefId = 1
+
+    const slide = await this.pptx.readXml(slidePart)
+    const layoutRel = await this.pptx.getRelationshipByType(slidePart, 'slideLayout')
+    const masterRel = layoutRel ? await this.pptx.getRelationshipByType(layoutRel.target, 'slideMaster') : null
+    const sources = [
+      { part: slidePart, document: slide },
+      { part: layoutRel && layoutRel.target, document: layoutRel ? await this.pptx.readXml(layoutRel.target) : null },
+      { part: masterRel && masterRel.target, document: masterRel ? await this.pptx.readXml(masterRel.target) : null }
+    ].filter(source => source.document)
+
+    const baseContext = {
+      palette: options.themeColors || {},
+      extractParagraphs: options.extractParagraphs,
+      resolvePlaceholder: null,
+      findSmartArtDrawing: null,
+      skipPlaceholders: true,
+      groupFill: null
+    }
+
+    const layers = [await this.renderBackground(sources, baseContext, options.slideSize)]
+
+    // Master and layout decorations are drawn behind the slide unless the slide or layout hides them
+    const showsMasterShapes = source => getBoolAttr(source.document.documentElement, 'showMasterSp') !== false
+    const [slideSource, ...inherited] = sources
+    for (let i = inherited.length - 1; i >= 0; i--) {
+      const coveringSources = [slideSource, ...inherited.slice(0, i)]
+      if (coveringSources.every(showsMasterShapes)) {
+        layers.push(await this.renderSource(inherited[i], baseContext))
+      }
+    }
+
+    layers.push(await this.renderSource(slideSource, {
+      ...baseContext,
+      resolvePlaceholder: options.resolvePlaceholder,
+      findSmartArtDrawing: options.findSmartArtDrawing || null,
+      skipPlaceholders: false
+    }))
+    layers.push(this.renderOverlays(options.overlays || [], options.scale || 1, baseContext))
+
+    const { cx, cy } = options.slideSize
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+      `width="${options.size.width}" height="${options.size.height}" viewBox="0 0 ${round(toPoints(cx))} ${round(toPoints(cy))}" preserveAspectRatio="none">` +
+      `<defs>${this.defs.join('')}</defs>${layers.join('')}</svg>`
+  }
+
+  /**
+   * Render the shape tree of a slide, layout or master
+   * @param {Object} source - { part, document }
+   * @param {Object} context - Rendering context
+   * @returns {Promise<string>} SVG fragment
+   */
+  async renderSource(source, context) {
+    const spTree = getPath(source.document.documentElement, 'p:cSld', 'p:spTree')
+    return this.renderShapeTree(spTree, {
+      ...context,
+      part: source.part,
+      relationships: await this.pptx.getRelationships(source.part)
+    })
+  }
+
+  /**
+   * Render the background the slide inherits from itself, its layout or its master
+   * @param {Array} sources - Slide, layout and master sources, in inheritance order
+   * @param {Object} context - Rendering context
+   * @param {Object} slideSize - Slide size in EMU ({ cx, cy })
+   * @returns {Promise<string>} SVG fragment (white when no source defines a background)
+   */
+  async renderBackground(sources, context, slideSize) {
+    const cx = round(toPoints(slideSize.cx))
+    const cy = round(toPoints(slideSize.cy))
+    const white = `<rect width="${cx}" height="${cy}" fill="#FFFFFF"/>`
+
+    for (const source of sources) {
+      const bg = getPath(source.document.documentElement, 'p:cSld', 'p:bg')
+      if (!bg) continue
+
+      const bgPr = getChild(bg, 'p:bgPr')
+      const bgRef = getChild(bg, 'p:bgRef')
+      const fill = bgPr ? this.findFill(bgPr) : null
+
+      if (fill && fill.nodeName === 'a:blipFill') {
+        const relationships = await this.pptx.getRelationships(source.part)
+        const image = await this.renderBlip(fill, { x: 0, y: 0, cx, cy }, relationships)
+        return white + image
+      }
+
+      // Theme background styles (p:bgRef) are approximated with their color
+      const paint = fill
+        ? this.renderFill(fill, context)
+        : this.colorPaint(resolveColor(findColorElement(bgRef), context.palette))
+      return paint ? `<rect width="${cx}" height="${cy}"${this.fillAttributes(paint)}/>` : white
+    }
+
+    return white
+  }
+
+  /**
+   * Render the shapes of a shape tree or group in z-order, leaving out hidden shapes
+   * @param {Element|null} spTree - The p:spTree, p:grpSp, dsp:spTree or mc:Fallback element
+   * @param {Object} context - Rendering context
+   * @returns {Promise<string>} SVG fragment
+   */
+  async renderShapeTree(spTree, context) {
+    const rendered = []
+
+    for (const child of getChildren(spTree)) {
+      if (this.isHidden(child)) continue
+
+      switch (child.localName) {
+        case 'sp':
+        case 'cxnSp':
+          rendered.push(this.renderShape(child, context))
+          break
+        case 'pic':
+          rendered.push(await this.renderPicture(child, context))
+          break
+        case 'grpSp':
+          rendered.push(await this.renderGroup(child, context))
+          break
+        case 'graphicFrame':
+          rendered.push(await this.renderGraphicFrame(child, context))
+          break
+        case 'AlternateContent':
+          // Fallback content is plain DrawingML (often a picture of the newer content)
+          rendered.push(await this.renderShapeTree(getChild(child, 'mc:Fallback'), context))
+          break
+        default:
+          break
+      }
+    }
+
+    return rendered.join('')
+  }
+
+  /**
+   * Check whether a shape is hidden (cNvPr hidden="1")
+   * @param {Element} element - Shape element
+   * @returns {boolean} True if the shape is hidden
+   */
+  isHidden(element) {
+    const cNvPr = getChildren(getChildren(element)[0]).find(child => child.localName === 'cNvPr')
+    return getBoolAttr(cNvPr, 'hidden') === true
+  }
+
+  /**
+   * Resolve the placeholder a shape inherits from, if any
+   * @param {Element} element - Shape element
+   * @param {Object} context - Rendering context
+   * @returns {Object|null} Resolved placeholder ({ type, layout, master }), NO_PLACEHOLDER for ordinary
+   *   shapes, or null if the shape is a layout or master placeholder that is not drawn
+   */
+  getPlaceholder(element, context) {
+    const ph = getPath(getChildren(element)[0], 'p:nvPr', 'p:ph')
+    if (!ph) return NO_PLACEHOLDER
+    if (context.skipPlaceholders) return null
+    return context.resolvePlaceholder ? context.resolvePlaceholder(ph) : NO_PLACEHOLDER
+  }
+
+  /**
+   * Render a shape or connector: geometry, fill, outline and text
+   * @param {Element} sp - The p:sp, p:cxnSp or dsp:sp element
+   * @param {Object} context - Rendering context
+   * @returns {string} SVG fragment
+   */
+  renderShape(sp, context) {
+    const placeholder = this.getPlaceholder(sp, context)
+    if (!placeholder) return ''
+
+    const prefix = sp.prefix
+    const spPrs = [getChild(sp, `${prefix}:spPr`), getChild(placeholder.layout, 'p:spPr'), getChild(placeholder.master, 'p:spPr')]
+      .filter(Boolean)
+    const box = spPrs.map(spPr => readBox(getChild(spPr, 'a:xfrm'))).find(Boolean)
+    if (!box) return ''
+
+    const style = getChild(sp, `${prefix}:style`)
+    const geometry = this.buildGeometry(spPrs.find(spPr => getChild(spPr, 'a:prstGeom') || getChild(spPr, 'a:custGeom')), box)
+    const fill = geometry.closed ? this.resolveShapeFill(spPrs, style, context) : null
+    const line = this.resolveShapeLine(spPrs, style, context)
+
+    let svg = ''
+    if (geometry.path && (fill || line)) {
+      svg += `<g transform="${this.toMatrix(this.shapeTransform(box))}">` +
+        `<path d="${geometry.path}"${this.fillAttributes(fill)}${this.lineAttributes(line)}/></g>`
+    }
+
+    const txBody = getChild(sp, `${prefix}:txBody`)
+    if (txBody) {
+      // SmartArt drawings position text separately from the shape
+      const txXfrm = readBox(getChild(sp, 'dsp:txXfrm'))
+      const textBox = txXfrm
+        ? { ...txXfrm, rot: box.rot, flipH: false, flipV: false }
+        : { ...box, flipH: false, flipV: false }
+      const bodyPrs = [txBody, getChild(placeholder.layout, 'p:txBody'), getChild(placeholder.master, 'p:txBody')]
+        .map(body => getChild(body, 'a:bodyPr'))
+        .filter(Boolean)
+      const fontRef = getChild(style, 'a:fontRef')
+      const styleColor = resolveColor(findColorElement(fontRef), context.palette)
+
+      const text = this.renderTextBody(txBody, placeholder, readBodyLayout(bodyPrs), { ...textBox, x: 0, y: 0 }, styleColor, context)
+      if (text) {
+        svg += `<g transform="${this.toMatrix(this.shapeTransform(textBox))}">${text}</g>`
+      }
+    }
+
+    return svg
+  }
+
+  /**
+   * Render a picture, cropped and clipped to its geometry
+   * @param {Element} pic - The p:pic element
+   * @param {Object} context - Rendering context
+   * @returns {Promise<string>} SVG fragment
+   */
+  async renderPicture(pic, context) {
+    const placeholder = this.getPlaceholder(pic, context)
+    if (!placeholder) return ''
+
+    const prefix = pic.prefix
+    const spPrs = [getChild(pic, `${prefix}:spPr`), getChild(placeholder.layout, 'p:spPr'), getChild(placeholder.master, 'p:spPr')]
+      .filter(Boolean)
+    const box = spPrs.map(spPr => readBox(getChild(spPr, 'a:xfrm'))).find(Boolean)
+    if (!box) return ''
+
+    const geometry = this.buildGeometry(spPrs.find(spPr => getChild(spPr, 'a:prstGeom') || getChild(spPr, 'a:custGeom')), box)
+    const image = await this.renderBlip(getChild(pic, `${prefix}:blipFill`), { x: 0, y: 0, cx: box.cx, cy: box.cy }, context.relationships)
+    const line = this.resolveShapeLine(spPrs, getChild(pic, `${prefix}:style`), context)
+
+    // Pictures with a non-rectangular geometry are clipped to it
+    let content = image
+    const prst = getAttr(getChild(spPrs[0], 'a:prstGeom'), 'prst')
+    if (geometry.closed && prst !== 'rect') {
+      const clipId = this.addDef(id => `<clipPath id="${id}"><path d="${geometry.path}"/></clipPath>`)
+      content = `<g clip-path="url(#${clipId})">${image}</g>`
+    }
+
+    const outline = line ? `<path d="${geometry.path}" fill="none"${this.lineAttributes(line)}/>` : ''
+    return `<g transform="${this.toMatrix(this.shapeTransform(box))}">${content}${outline}</g>`
+  }
+
+  /**
+   * Render the image of a blip fill into a box, applying its source rectangle crop
+   * @param {Element|null} blipFill - The p:blipFill or a:blipFill element
+   * @param {Object} box - Target box ({ x, y, cx, cy })
+   * @param {Map} relationships - Relationships of the part holding the blip
+   * @returns {Promise<string>} SVG fragment (a gray box when the image cannot be rendered)
+   */
+  async renderBlip(blipFill, box, relationships) {
+    const blip = getChild(blipFill, 'a:blip')
+    const rel = relationships && relationships.get(getAttr(blip, 'r:embed'))
+    const href = rel && !rel.isExternal ? await this.loadImage(rel.target) : null
+
+    if (!href) {
+      return `<rect x="${box.x}" y="${box.y}" width="${box.cx}" height="${box.cy}" fill="${MISSING_IMAGE_COLOR}"/>`
+    }
+
+    // a:srcRect crops each edge by a percentage of the image
+    const srcRect = getChild(blipFill, 'a:srcRect')
+    const [l, t, r, b] = ['l', 't', 'r', 'b'].map(edge => getNumberAttr(srcRect, edge, 0) / PERCENT)
+    const width = box.cx / Math.max(1 - l - r, 0.01)
+    const height = box.cy / Math.max(1 - t - b, 0.01)
+
+    return `<svg x="${box.x}" y="${box.y}" width="${box.cx}" height="${box.cy}" viewBox="0 0 ${box.cx} ${box.cy}" overflow="hidden">` +
+      `<image x="${round(-l * width)}" y="${round(-t * height)}" width="${round(width)}" height="${round(height)}" ` +
+      `preserveAspectRatio="none" href="${href}" xlink:href="${href}"/></svg>`
+  }
+
+  /**
+   * Load an image part as a data URI, downscaled for compositing
+   * @param {string} partPath - Image part path (e.g. ppt/media/image1.png)
+   * @returns {Promise<string|null>} Data URI, or null if the image cannot be decoded
+   */
+  loadImage(partPath) {
+    if (!this.imageCache.has(partPath)) {
+      this.imageCache.set(partPath, this.encodeImage(partPath))
+    }
+    return this.imageCache.get(partPath)
+  }
+
+  /**
+   * Decode, downscale and re-encode an image part
+   * @param {string} partPath - Image part path
+   * @returns {Promise<string|null>} Data URI, or null if the image cannot be decoded
+   */
+  async encodeImage(partPath) {
+    try {
+      const buffer = await this.pptx.readBinary(partPath)
+      if (!buffer) return null
+
+      const isJpeg = /\.jpe?g$/i.test(partPath)
+      const image = sharp(buffer).resize({
+        width: MAX_IMAGE_SIZE,
+        height: MAX_IMAGE_SIZE,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      const output = await (isJpeg ? image.jpeg({ quality: 85 }) : image.png()).toBuffer()
+      return `data:image/${isJpeg ? 'jpeg' : 'png'};base64,${output.toString('base64')}`
+    } catch (error) {
+      // Vector formats such as EMF and WMF cannot be decoded by sharp
+      console.warn(`Cannot render image ${partPath}: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Render a group shape with its child transform
+   * @param {Element} grpSp - The p:grpSp or dsp:grpSp element
+   * @param {Object} context - Rendering context
+   * @returns {Promise<string>} SVG fragment
+   */
+  async renderGroup(grpSp, context) {
+    const grpSpPr = getChild(grpSp, `${grpSp.prefix}:grpSpPr`)
+    const groupFill = this.findFill(grpSpPr)
+    const children = await this.renderShapeTree(grpSp, {
+      ...context,
+      groupFill: groupFill ? this.renderFill(groupFill, context) : context.groupFill
+    })
+
+    // The child offset maps EMU to EMU; only the translation needs converting to points
+    const [a, b, c, d, e, f] = readGroupTransform(getChild(grpSpPr, 'a:xfrm'))
+    return `<g transform="${this.toMatrix([a, b, c, d, toPoints(e), toPoints(f)])}">${children}</g>`
+  }
+
+  /**
+   * Render a graphic frame: tables and SmartArt drawings are drawn, charts get their frame
+   * (their labels are drawn as overlays)
+   * @param {Element} graphicFrame - The p:graphicFrame element
+   * @param {Object} context - Rendering context
+   * @returns {Promise<string>} SVG fragment
+   */
+  async renderGraphicFrame(graphicFrame, context) {
+    if (!this.getPlaceholder(graphicFrame, context)) return ''
+
+    const box = readBox(getChild(graphicFrame, 'p:xfrm'))
+    if (!box) return ''
+
+    const graphicData = getPath(graphicFrame, 'a:graphic', 'a:graphicData')
+    const tbl = getChild(graphicData, 'a:tbl')
+    if (tbl) return this.renderTable(tbl, box, context)
+
+    const relIds = getChild(graphicData, 'dgm:relIds')
+    const drawing = relIds && context.findSmartArtDrawing ? context.findSmartArtDrawing(getAttr(relIds, 'r:dm')) : null
+    if (drawing) {
+      const spTree = getChild(drawing.document.documentElement, 'dsp:spTree')
+      const content = await this.renderShapeTree(spTree, {
+        ...context,
+        part: drawing.partPath,
+        relationships: drawing.relationships,
+        skipPlaceholders: false,
+        resolvePlaceholder: null
+      })
+      // Drawing coordinates are relative to the frame
+      return `<g transform="translate(${box.x} ${box.y})">${content}</g>`
+    }
+
+    if (getChild(graphicData, 'c:chart')) {
+      return `<rect x="${box.x}" y="${box.y}" width="${box.cx}" height="${box.cy}" fill="none" stroke="${TABLE_GRID_COLOR}" stroke-width="${DEFAULT_LINE_WIDTH}"/>`
+    }
+    return ''
+  }
+
+  /**
+   * Render a table: cell fills, borders and text
+   * @param {Element} tbl - The a:tbl element
+   * @param {Object} box - Frame box in points
+   * @param {Object} context - Rendering context
+   * @returns {string} SVG fragment
+   */
+  renderTable(tbl, box, context) {
+    const columnWidths = getChildren(getChild(tbl, 'a:tblGrid'), 'a:gridCol').map(gridCol => toPoints(getNumberAttr(gridCol, 'w', 0)))
+    const rows = getChildren(tbl, 'a:tr')
+    const declaredHeights = rows.map(row => toPoints(getNumberAttr(row, 'h', 0)))
+    const declaredTotal = declaredHeights.reduce((sum, height) => sum + height, 0)
+
+    // Rows grow to fit their text; the frame holds the rendered table height
+    const rowHeights = declaredTotal > 0
+      ? declaredHeights.map(height => height * box.cy / declaredTotal)
+      : rows.map(() => box.cy / Math.max(rows.length, 1))
+    const offsets = values => values.reduce((list, value) => [...list, list[list.length - 1] + value], [0])
+    const columnOffsets = offsets(columnWidths)
+    const rowOffsets = offsets(rowHeights)
+
+    const cells = []
+    rows.forEach((row, rowIndex) => {
+      getChildren(row, 'a:tc').forEach((tc, column) => {
+        if (getBoolAttr(tc, 'hMerge') || getBoolAttr(tc, 'vMerge')) return
+
+        const columnSpan = getNumberAttr(tc, 'gridSpan', 1)
+        const rowSpan = getNumberAttr(tc, 'rowSpan', 1)
+        const lastColumn = Math.min(column + columnSpan, columnWidths.length)
+        const lastRow = Math.min(rowIndex + rowSpan, rows.length)
+        cells.push({
+          tc,
+          x: box.x + columnOffsets[column],
+          y: box.y + rowOffsets[rowIndex],
+          cx: columnOffsets[lastColumn] - columnOffsets[column],
+          cy: rowOffsets[lastRow] - rowOffsets[rowIndex]
+        })
+      })
+    })
+
+    return cells.map(cell => {
+      const tcPr = getChild(cell.tc, 'a:tcPr')
+      const fillElement = this.findFill(tcPr)
+      const fill = fillElement ? this.renderFill(fillElement, context) : null
+      const rect = `<rect x="${cell.x}" y="${cell.y}" width="${cell.cx}" height="${cell.cy}"${this.fillAttributes(fill)}/>`
+
+      const text = this.renderTextBody(getChild(cell.tc, 'a:txBody'), NO_PLACEHOLDER, readCellLayout(tcPr), { ...cell, rot: 0 }, null, context)
+
+      return rect + this.renderCellBorders(tcPr, cell, context) + text
+    }).join('')
+  }
+
+  /**
+   * Render the borders of a table cell
+   * @param {Element|null} tcPr - The a:tcPr element
+   * @param {Object} cell - Cell box ({ x, y, cx, cy })
+   * @param {Object} context - Rendering context
+   * @returns {string} SVG fragment (a light grid when the cell defines no borders)
+   */
+  renderCellBorders(tcPr, cell, context) {
+    const edges = {
+      'a:lnL': [cell.x, cell.y, cell.x, cell.y + cell.cy],
+      'a:lnR': [cell.x + cell.cx, cell.y, cell.x + cell.cx, cell.y + cell.cy],
+      'a:lnT': [cell.x, cell.y, cell.x + cell.cx, cell.y],
+      'a:lnB': [cell.x, cell.y + cell.cy, cell.x + cell.cx, cell.y + cell.cy]
+    }
+    const borders = Object.keys(edges).map(name => ({ name, ln: getChild(tcPr, name) })).filter(({ ln }) => ln)
+
+    if (borders.length === 0) {
+      return `<rect x="${cell.x}" y="${cell.y}" width="${cell.cx}" height="${cell.cy}" fill="none" stroke="${TABLE_GRID_COLOR}" stroke-width="${DEFAULT_LINE_WIDTH}"/>`
+    }
+
+    return borders.map(({ name, ln }) => {
+      const line = this.readLine([ln], null, context)
+      if (!line) return ''
+      const [x1, y1, x2, y2] = edges[name]
+      return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"${this.lineAttributes(line)}/>`
+    }).join('')
+  }
+
+  /**
+   * Render text drawn above the slide in slide coordinates, such as chart labels
+   * @param {Array} overlays - Shapes ({ text, bounds, fontSize, fontFamily, color, bold, italic })
+   * @param {number} scale - EMU to slide coordinate scale
+   * @param {Object} context - Rendering context
+   * @returns {string} SVG fragment
+   */
+  renderOverlays(overlays, scale, context) {
+    return overlays
+      .filter(shape => shape.bounds && shape.text && shape.text.trim())
+      .map(shape => {
+        const { x, y, width, height } = shape.bounds
+        const run = {
+          text: shape.text.trim(),
+          fontSize: shape.fontSize,
+          fontFamily: shape.fontFamily,
+          color: shape.color,
+          bold: shape.bold,
+          italic: shape.italic
+        }
+        const centerX = toPoints((x + width / 2) / scale)
+        const baseline = toPoints((y + height / 2) / scale) + shape.fontSize * 0.35
+        return `<text x="${round(centerX)}" y="${round(baseline)}" text-anchor="middle" xml:space="preserve">` +
+          `${this.renderRun(run.text, run, 1, context)}</text>`
+      })
+      .join('')
+  }
+
+  /**
+   * Lay out and render a text body inside a box
+   * @param {Element|null} txBody - Text body element
+   * @param {Object} placeholder - Placeholder the text inherits its styles from
+   * @param {Object} layout - Body layout from readBodyLayout
+   * @param {Object} box - Text box in points ({ x, y, cx, cy })
+   * @param {Object|null} styleColor - Shape style font color (a:fontRef), used for runs without their own color
+   * @param {Object} context - Rendering context
+   * @returns {string} SVG fragment (empty when the body has no text)
+   */
+  renderTextBody(txBody, placeholder, layout, box, styleColor, context) {
+    if (!txBody || !context.extractParagraphs) return ''
+
+    const paragraphs = context.extractParagraphs(txBody, placeholder)
+    if (!paragraphs.some(paragraph => paragraph.text.trim())) return ''
+
+    // Shape styles color text unless the runs or the shape's own list style set a color
+    const hasOwnColors = getChild(txBody, 'a:lstStyle') && /solidFill/.test(getChild(txBody, 'a:lstStyle').toString())
+    const colorOf = (run, element) => {
+      if (!styleColor || hasOwnColors || getChild(getChild(element, 'a:rPr'), 'a:solidFill')) return run.color
+      return styleColor.color
+    }
+    const xmlParagraphs = getChildren(txBody, 'a:p')
+
+    const width = Math.max(box.cx - layout.insets.l - layout.insets.r, 0)
+    const lines = []
+    const numbering = []
+
+    paragraphs.forEach((paragraph, index) => {
+      const runElements = getChildren(xmlParagraphs[index]).filter(child => ['a:r', 'a:br', 'a:fld'].includes(child.nodeName))
+      const runs = paragraph.runs.map((run, runIndex) => ({ ...run, color: colorOf(run, runElements[runIndex]) }))
+      lines.push(...this.layoutParagraph({ ...paragraph, runs }, width, layout, numbering))
+    })
+
+    const totalHeight = lines.reduce((sum, line) => sum + line.height, 0)
+    const available = box.cy - layout.insets.t - layout.insets.b
+    const offset = layout.anchor === 'ctr' ? (available - totalHeight) / 2 : layout.anchor === 'b' ? available - totalHeight : 0
+
+    let y = box.y + layout.insets.t + offset
+    return lines.map(line => {
+      const baseline = y + line.fontSize * ASCENT
+      y += line.height
+      if (line.fragments.length === 0) return ''
+
+      const left = box.x + layout.insets.l + line.indent
+      const x = line.alignment === 'center' ? left + (width - line.indent) / 2 : line.alignment === 'right' ? box.x + box.cx - layout.insets.r : left
+      const anchor = line.alignment === 'center' ? 'middle' : line.alignment === 'right' ? 'end' : 'start'
+
+      return `<text x="${round(x)}" y="${round(baseline)}" text-anchor="${anchor}" xml:space="preserve">` +
+        line.fragments.map(fragment => this.renderRun(fragment.text, fragment.run, layout.fontScale, context)).join('') +
+        '</text>'
+    }).join('')
+  }
+
+  /**
+   * Break a paragraph into lines that fit the text box width
+   * @param {Object} paragraph - Paragraph model with runs
+   * @param {number} width - Available width in points
+   * @param {Object} layout - Body layout
+   * @param {Array} numbering - Auto-number counters per level, shared across the body's paragraphs
+   * @returns {Array} Lines ({ fragments, fontSize, height, indent, alignment })
+   */
+  layoutParagraph(paragraph, width, layout, numbering) {
+    const fontScale = layout.fontScale
+    const textRuns = paragraph.runs.filter(run => run.type !== 'break')
+    const firstRun = textRuns[0] || paragraph.endRun || { fontSize: 18 }
+    const indent = paragraph.level * LEVEL_INDENT
+
+    const tokens = []
+    const bullet = paragraph.text.trim() ? this.formatBullet(paragraph, numbering) : null
+    if (!paragraph.bullet || paragraph.bullet.type !== 'autoNumber') numbering.length = paragraph.level
+    if (bullet) tokens.push({ text: `${bullet} `, run: firstRun })
+
+    paragraph.runs.forEach(run => {
+      if (run.type === 'break') {
+        tokens.push({ isBreak: true, run })
+        return
+      }
+      run.text.split(/(\s+)/).filter(Boolean).forEach(text => tokens.push({ text, run }))
+    })
+
+    const lines = []
+    let current = { fragments: [], width: 0, runs: [] }
+    const finish = () => {
+      lines.push(current)
+      current = { fragments: [], width: 0, runs: [] }
+    }
+
+    tokens.forEach(token => {
+      if (token.isBreak) {
+        current.runs.push(token.run)
+        finish()
+        return
+      }
+
+      const tokenWidth = this.measureText(token.text, token.run, fontScale)
+      const isSpace = !token.text.trim()
+      if (layout.wrap && !isSpace && current.fragments.length > 0 && current.width + tokenWidth > width - indent) {
+        finish()
+      }
+      if (isSpace && current.fragments.length === 0 && lines.length > 0) return
+
+      const last = current.fragments[current.fragments.length - 1]
+      if (last && last.run === token.run) {
+        last.text += token.text
+      } else {
+        current.fragments.push({ text: token.text, run: token.run })
+      }
+      current.width += tokenWidth
+      current.runs.push(token.run)
+    })
+    finish()
+
+    return lines.map(line => {
+      const sizes = line.runs.filter(run => run.type !== 'break').map(run => run.fontSize)
+      const fontSize = Math.max(...(sizes.length > 0 ? sizes : [firstRun.fontSize])) * fontScale
+      const spacing = paragraph.lineSpacing
+      const height = spacing && spacing.points
+        ? spacing.points
+        : fontSize * LINE_HEIGHT * (spacing && spacing.percent ? spacing.percent / 100 : 1) * (1 - layout.lineReduction)
+
+      // Trailing spaces do not take part in alignment
+      const fragments = line.fragments.map(fragment => ({ ...fragment }))
+      const last = fragments[fragments.length - 1]
+      if (last) last.text = last.text.replace(/\s+$/, '')
+
+      return {
+        fragments: fragments.filter(fragment => fragment.text),
+        fontSize,
+        height,
+        indent,
+        alignment: paragraph.alignment
+      }
+    })
+  }
+
+  /**
+   * Format the bullet of a paragraph, advancing auto-numbering
+   * @param {Object} paragraph - Paragraph model
+   * @param {Array} numbering - Auto-number counters per level
+   * @returns {string|null} Bullet text, or null if the paragraph has no bullet
+   */
+  formatBullet(paragraph, numbering) {
+    const bullet = paragraph.bullet
+    if (!bullet) return null
+    if (bullet.type === 'char') return bullet.char || '•'
+    if (bullet.type !== 'autoNumber') return '•'
+
+    const level = paragraph.level
+    numbering.length = level + 1
+    numbering[level] = numbering[level] ? numbering[level] + 1 : bullet.startAt
+    const value = numbering[level]
+    const scheme = bullet.scheme || 'arabicPeriod'
+
+    let label = String(value)
+    if (scheme.startsWith('alphaLc')) label = this.toAlpha(value).toLowerCase()
+    else if (scheme.startsWith('alphaUc')) label = this.toAlpha(value)
+    else if (scheme.startsWith('romanLc')) label = this.toRoman(value).toLowerCase()
+    else if (scheme.startsWith('romanUc')) label = this.toRoman(value)
+
+    if (scheme.endsWith('ParenBoth')) return `(${label})`
+    if (scheme.endsWith('ParenR')) return `${label})`
+    if (scheme.endsWith('Plain')) return label
+    return `${label}.`
+  }
+
+  /**
+   * Convert a number to an alphabetic list label (1 → A, 27 → AA)
+   * @param {number} value - Positive number
+   * @returns {string} Label
+   */
+  toAlpha(value) {
+    const letter = String.fromCharCode(65 + ((value - 1) % 26))
+    return letter.repeat(Math.floor((value - 1) / 26) + 1)
+  }
+
+  /**
+   * Convert a number to a roman numeral
+   * @param {number} value - Positive number
+   * @returns {string} Roman numeral
+   */
+  toRoman(value) {
+    const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'], [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']]
+    let remaining = value
+    return numerals.reduce((result, [amount, numeral]) => {
+      while (remaining >= amount) {
+        result += numeral
+        remaining -= amount
+      }
+      return result
+    }, '')
+  }
+
+  /**
+   * Estimate the width of a text fragment
+   * @param {string} text - Text
+   * @param {Object} run - Run formatting ({ fontSize, bold })
+   * @param {number} fontScale - Autofit font scale
+   * @returns {number} Width in points
+   */
+  measureText(text, run, fontScale) {
+    return estimateTextWidth(text, run.fontSize * fontScale, run.bold)
+  }
+
+  /**
+   * Render a run of text as a tspan sized in points
+   * @param {string} text - Text of the fragment
+   * @param {Object} run - Run formatting ({ fontSize, fontFamily, color, bold, italic, underline })
+   * @param {number} fontScale - Autofit font scale
+   * @param {Object} context - Rendering context
+   * @returns {string} SVG tspan
+   */
+  renderRun(text, run, fontScale, context) {
+    const attributes = [
+      `font-family="${this.escapeXml(this.getFontStack(run.fontFamily || 'Arial'))}"`,
+      `font-size="${round(run.fontSize * fontScale)}"`,
+      `fill="${run.color || context.palette.tx1 || '#000000'}"`
+    ]
+    if (run.bold) attributes.push('font-weight="bold"')
+    if (run.italic) attributes.push('font-style="italic"')
+    if (run.underline) attributes.push('text-decoration="underline"')
+
+    return `<tspan ${attributes.join(' ')}>${this.escapeXml(text)}</tspan>`
+  }
+
+  /**
+   * Build a font-family list with an installed substitute and a generic family
+   * @param {string} family - Font family from the deck
+   * @returns {string} CSS font-family list
+   */
+  getFontStack(family) {
+    const generic = /courier|consolas|mono|lucida console/i.test(family)
+      ? 'monospace'
+      : /times|georgia|cambria|garamond|book|palatino|serif/i.test(family) ? 'serif' : 'sans-serif'
+    return [family, FONT_SUBSTITUTES[family], generic].filter(Boolean).map(name => `'${name}'`).join(', ')
+      .replace(`'${generic}'`, generic)
+  }
+
+  /**
+   * Build the outline path of a shape's geometry in its local coordinate space
+   * @param {Element|undefined} spPr - Shape properties holding a:prstGeom or a:custGeom
+   * @param {Object} box - Shape box ({ cx, cy })
+   * @returns {Object} { path, closed }
+   */
+  buildGeometry(spPr, box) {
+    const custGeom = getChild(spPr, 'a:custGeom')
+    if (custGeom) return this.buildCustomGeometry(custGeom, box)
+
+    const prstGeom = getChild(spPr, 'a:prstGeom')
+    const prst = getAttr(prstGeom, 'prst') || 'rect'
+    const name = PRESET_GEOMETRIES[prst] ? prst : PRESET_ALIASES[prst] || 'rect'
+
+    const adjustments = new Map(getChildren(getChild(prstGeom, 'a:avLst'), 'a:gd').map(gd => [
+      getAttr(gd, 'name'),
+      parseFloat((getAttr(gd, 'fmla') || '').replace('val ', ''))
+    ]))
+    const adj = (key, fallback) => {
+      const value = adjustments.get(key)
+      return Number.isFinite(value) ? value : fallback
+    }
+
+    return {
+      path: PRESET_GEOMETRIES[name](box.cx, box.cy, adj),
+      closed: !OPEN_GEOMETRIES.includes(prst) && !OPEN_GEOMETRIES.includes(name)
+    }
+  }
+
+  /**
+   * Build the outline of a custom geometry (a:custGeom)
+   * @param {Element} custGeom - The a:custGeom element
+   * @param {Object} box - Shape box ({ cx, cy })
+   * @returns {Object} { path, closed }
+   */
+  buildCustomGeometry(custGeom, box) {
+    const commands = []
+    let closed = false
+
+    getChildren(getChild(custGeom, 'a:pathLst'), 'a:path').forEach(path => {
+      // Path coordinates are EMU unless the path declares its own coordinate space
+      const pathWidth = getNumberAttr(path, 'w', 0)
+      const pathHeight = getNumberAttr(path, 'h', 0)
+      const scaleX = pathWidth ? box.cx / pathWidth : 1 / EMU_PER_POINT
+      const scaleY = pathHeight ? box.cy / pathHeight : 1 / EMU_PER_POINT
+      const point = pt => [getNumberAttr(pt, 'x', 0) * scaleX, getNumberAttr(pt, 'y', 0) * scaleY]
+      const format = ([x, y]) => `${round(x)} ${round(y)}`
+      let current = [0, 0]
+
+      getChildren(path).forEach(command => {
+        const points = getChildren(command, 'a:pt').map(point)
+        switch (command.nodeName) {
+          case 'a:moveTo':
+            commands.push(`M${format(points[0])}`)
+            break
+          case 'a:lnTo':
+            commands.push(`L${format(points[0])}`)
+            break
+          case 'a:cubicBezTo':
+            commands.push(`C${points.map(format).join(' ')}`)
+            break
+          case 'a:quadBezTo':
+            commands.push(`Q${points.map(format).join(' ')}`)
+            break
+          case 'a:arcTo': {
+            const wR = getNumberAttr(command, 'wR', 0) * scaleX
+            const hR = getNumberAttr(command, 'hR', 0) * scaleY
+            const start = getNumberAttr(command, 'stAng', 0) / ANGLE_UNITS_PER_DEGREE * Math.PI / 180
+            const sweep = getNumberAttr(command, 'swAng', 0) / ANGLE_UNITS_PER_DEGREE * Math.PI / 180
+            const centerX = current[0] - wR * Math.cos(start)
+            const centerY = current[1] - hR * Math.sin(start)
+            const end = [centerX + wR * Math.cos(start + sweep), centerY + hR * Math.sin(start + sweep)]
+            commands.push(`A${round(wR)} ${round(hR)} 0 ${Math.abs(sweep) > Math.PI ? 1 : 0} ${sweep > 0 ? 1 : 0} ${format(end)}`)
+            points.push(end)
+            break
+          }
+          case 'a:close':
+            commands.push('Z')
+            closed = closed || getAttr(path, 'fill') !== 'none'
+            break
+          default:
+            break
+        }
+        if (points.length > 0) current = points[points.length - 1]
+      })
+    })
+
+    return { path: commands.join(' '), closed }
+  }
+
+  /**
+   * Resolve the fill of a shape from its properties, inherited placeholder properties or style
+   * @param {Array<Element>} spPrs - Shape properties, highest priority first
+   * @param {Element|null} style - Shape style (p:style)
+   * @param {Object} context - Rendering context
+   * @returns {Object|null} Paint ({ paint, opacity }), or null for no fill
+   */
+  resolveShapeFill(spPrs, style, context) {
+    const spPr = spPrs.find(element => this.findFill(element))
+    if (spPr) return this.renderFill(this.findFill(spPr), context)
+
+    const fillRef = getChild(style, 'a:fillRef')
+    if (getNumberAttr(fillRef, 'idx', 0) > 0) {
+      return this.colorPaint(resolveColor(findColorElement(fillRef), context.palette))
+    }
+    return null
+  }
+
+  /**
+   * Resolve the outline of a shape
+   * @param {Array<Element>} spPrs - Shape properties, highest priority first
+   * @param {Element|null} style - Shape style (p:style)
+   * @param {Object} context - Rendering context
+   * @returns {Object|null} Line ({ paint, opacity, width, dash }), or null for no outline
+   */
+  resolveShapeLine(spPrs, style, context) {
+    return this.readLine(spPrs.map(spPr => getChild(spPr, 'a:ln')).filter(Boolean), getChild(style, 'a:lnRef'), context)
+  }
+
+  /**
+   * Read an outline from inherited a:ln elements, falling back to the style's line reference
+   * @param {Array<Element>} lns - a:ln elements, highest priority first
+   * @param {Element|null} lnRef - The style's a:lnRef
+   * @param {Object} context - Rendering context
+   * @returns {Object|null} Line ({ paint, opacity, width, dash }), or null for no outline
+   */
+  readLine(lns, lnRef, context) {
+    const filled = lns.find(ln => this.findFill(ln))
+    const paint = filled
+      ? this.renderFill(this.findFill(filled), context)
+      : getNumberAttr(lnRef, 'idx', 0) > 0 ? this.colorPaint(resolveColor(findColorElement(lnRef), context.palette)) : null
+    if (!paint) return null
+
+    const width = lns.map(ln => getNumberAttr(ln, 'w')).find(value => value !== null)
+    const points = width ? toPoints(width) : DEFAULT_LINE_WIDTH
+    const dash = lns.map(ln => getAttr(getChild(ln, 'a:prstDash'), 'val')).find(Boolean)
+
+    return { ...paint, width: points, dash: DASH_PATTERNS[dash] ? DASH_PATTERNS[dash].map(value => round(value * points)) : null }
+  }
+
+  /**
+   * Find the fill element of a properties element
+   * @param {Element|null} element - a:spPr, a:ln, a:tcPr, p:bgPr or similar
+   * @returns {Element|null} The fill element, or null if the element sets no fill
+   */
+  findFill(element) {
+    return getChildren(element).find(child => FILL_ELEMENTS.includes(child.nodeName)) || null
+  }
+
+  /**
+   * Turn a fill element into an SVG paint, registering gradients as definitions
+   * @param {Element} fill - The a:noFill, a:solidFill, a:gradFill, a:pattFill, a:blipFill or a:grpFill element
+   * @param {Object} context - Rendering context
+   * @returns {Object|null} Paint ({ paint, opacity }), or null for no fill
+   */
+  renderFill(fill, context) {
+    switch (fill.nodeName) {
+      case 'a:solidFill':
+        return this.colorPaint(resolveColor(findColorElement(fill), context.palette))
+      case 'a:gradFill':
+        return this.renderGradient(fill, context)
+      case 'a:pattFill':
+        return this.colorPaint(resolveColor(findColorElement(getChild(fill, 'a:fgClr')), context.palette))
+      case 'a:blipFill':
+        // Picture fills of shapes are shown as a neutral tone
+        return { paint: MISSING_IMAGE_COLOR, opacity: 1 }
+      case 'a:grpFill':
+        return context.groupFill
+      default:
+        return null
+    }
+  }
+
+  /**
+   * Register a linear or radial gradient definition for a gradient fill
+   * @param {Element} gradFill - The a:gradFill element
+   * @param {Object} context - Rendering context
+   * @returns {Object|null} Paint referencing the gradient, or null if it has no stops
+   */
+  renderGradient(gradFill, context) {
+    const stops = getChildren(getChild(gradFill, 'a:gsLst'), 'a:gs')
+      .map(gs => ({ offset: getNumberAttr(gs, 'pos', 0) / PERCENT, color: resolveColor(findColorElement(gs), context.palette) }))
+      .filter(stop => stop.color)
+      .sort((a, b) => a.offset - b.offset)
+    if (stops.length === 0) return null
+
+    const stopsSvg = stops
+      .map(stop => `<stop offset="${round(stop.offset)}" stop-color="${stop.color.color}"${stop.color.alpha < 1 ? ` stop-opacity="${round(stop.color.alpha)}"` : ''}/>`)
+      .join('')
+
+    const id = getChild(gradFill, 'a:path')
+      ? this.addDef(defId => `<radialGradient id="${defId}">${stopsSvg}</radialGradient>`)
+      : this.addDef(defId => {
+        const angle = getNumberAttr(getChild(gradFill, 'a:lin'), 'ang', 0) / ANGLE_UNITS_PER_DEGREE * Math.PI / 180
+        const dx = Math.cos(angle) / 2
+        const dy = Math.sin(angle) / 2
+        return `<linearGradient id="${defId}" x1="${round(0.5 - dx)}" y1="${round(0.5 - dy)}" x2="${round(0.5 + dx)}" y2="${round(0.5 + dy)}">${stopsSvg}</linearGradient>`
+      })
+
+    return { paint: `url(#${id})`, opacity: 1 }
+  }
+
+  /**
+   * Register an SVG definition
+   * @param {Function} build - Builds the definition markup from its ID
+   * @returns {string} Definition ID
+   */
+  addDef(build) {
+    const id = `d${this.nextDefId++}`
+    this.defs.push(build(id))
+    return id
+  }
+
+  /**
+   * Turn a resolved color into a paint
+   * @param {Object|null} color - Resolved color ({ color, alpha })
+   * @returns {Object|null} Paint ({ paint, opacity }), or null
+   */
+  colorPaint(color) {
+    return color ? { paint: color.color, opacity: color.alpha } : null
+  }
+
+  /**
+   * Build the fill attributes of an SVG element
+   * @param {Object|null} fill - Paint, or null for no fill
+   * @returns {string} Attributes
+   */
+  fillAttributes(fill) {
+    if (!fill) return ' fill="none"'
+    return ` fill="${fill.paint}"${fill.opacity < 1 ? ` fill-opacity="${round(fill.opacity)}"` : ''}`
+  }
+
+  /**
+   * Build the stroke attributes of an SVG element
+   * @param {Object|null} line - Line, or null for no outline
+   * @returns {string} Attributes
+   */
+  lineAttributes(line) {
+    if (!line) return ''
+    return ` stroke="${line.paint}" stroke-width="${line.width}"` +
+      (line.opacity < 1 ? ` stroke-opacity="${round(line.opacity)}"` : '') +
+      (line.dash ? ` stroke-dasharray="${line.dash.join(' ')}"` : '')
+  }
+
+  /**
+   * Build the transform placing a shape's local coordinates (0..cx, 0..cy) on its parent
+   * @param {Object} box - Shape box ({ x, y, cx, cy, rot, flipH, flipV })
+   * @returns {Array<number>} Transform
+   */
+  shapeTransform(box) {
+    return multiply(rotationAboutCenter(box), [1, 0, 0, 1, box.x, box.y])
+  }
+
+  /**
+   * Format a transform as an SVG matrix
+   * @param {Array<number>} matrix - Transform
+   * @returns {string} SVG transform attribute value
+   */
+  toMatrix(matrix = IDENTITY) {
+    return `matrix(${matrix.map(value => round(value)).join(' ')})`
+  }
+
+  /**
+   * Escape XML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+  }
+}
+
+module.exports = SlideRenderer
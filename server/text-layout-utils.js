@@ -0,0 +1,162 @@
+const { getChild, getAttr, getNumberAttr } = require('./xml-utils')
+
+/**
+ * Text Layout Utilities
+ * Layout properties of DrawingML text bodies (insets, wrapping, autofit) and the text metrics
+ * estimated from them, shared by the slide renderer, the length constraints of segments and
+ * the fit checker.
+ * Lengths are in points.
+ */
+
+const EMU_PER_POINT = 12700
+
+// DrawingML percentages are expressed in 1000ths of a percent
+const PERCENT = 100000
+
+// Text body insets PowerPoint uses when a:bodyPr leaves them out (0.1in left/right, 0.05in top/bottom)
+const DEFAULT_INSETS = { l: 7.2, t: 3.6, r: 7.2, b: 3.6 }
+
+// Table cell margins when a:tcPr leaves them out
+const DEFAULT_CELL_MARGINS = { l: 7.2, t: 3.6, r: 7.2, b: 3.6 }
+
+// Text metrics as fractions of the font size
+const AVERAGE_CHAR_WIDTH = 0.5
+const BOLD_CHAR_WIDTH = 0.55
+const WIDE_CHAR_WIDTH = 1
+const LINE_HEIGHT = 1.2
+
+// CJK and other full-width characters start here
+const FIRST_WIDE_CODE_POINT = 0x2E80
+
+// Metric-compatible open fonts available on Linux for common Office fonts
+const FONT_SUBSTITUTES = {
+  Calibri: 'Carlito',
+  'Calibri Light': 'Carlito',
+  Cambria: 'Caladea',
+  Arial: 'Liberation Sans',
+  Helvetica: 'Liberation Sans',
+  'Times New Roman': 'Liberation Serif',
+  'Courier New': 'Liberation Mono'
+}
+
+/**
+ * Read an inset or margin attribute in points
+ * @param {Element|null} element - a:bodyPr or a:tcPr element
+ * @param {string} name - Attribute name (lIns, marL, ...)
+ * @returns {number|null} Inset in points, or null if unset
+ */
+function readInset(element, name) {
+  const value = getNumberAttr(element, name)
+  return value !== null ? value / EMU_PER_POINT : null
+}
+
+/**
+ * Read the layout properties of a text body from its inherited a:bodyPr elements
+ * @param {Array<Element>} bodyPrs - a:bodyPr elements, highest priority first
+ * @returns {Object} { insets, anchor, wrap, autofit, fontScale, lineReduction }; autofit is
+ *   'shrink' (text shrinks on overflow), 'resize' (shape grows to fit) or 'none'
+ */
+function readBodyLayout(bodyPrs) {
+  const resolve = read => {
+    for (const bodyPr of bodyPrs) {
+      const value = read(bodyPr)
+      if (value !== null && value !== undefined) return value
+    }
+    return null
+  }
+  const autofit = resolve(bodyPr => getChild(bodyPr, 'a:normAutofit'))
+  const autofitType = resolve(bodyPr => {
+    if (getChild(bodyPr, 'a:normAutofit')) return 'shrink'
+    if (getChild(bodyPr, 'a:spAutoFit')) return 'resize'
+    if (getChild(bodyPr, 'a:noAutofit')) return 'none'
+    return null
+  })
+
+  return {
+    insets: {
+      l: resolve(bodyPr => readInset(bodyPr, 'lIns')) ?? DEFAULT_INSETS.l,
+      t: resolve(bodyPr => readInset(bodyPr, 'tIns')) ?? DEFAULT_INSETS.t,
+      r: resolve(bodyPr => readInset(bodyPr, 'rIns')) ?? DEFAULT_INSETS.r,
+      b: resolve(bodyPr => readInset(bodyPr, 'bIns')) ?? DEFAULT_INSETS.b
+    },
+    anchor: resolve(bodyPr => getAttr(bodyPr, 'anchor')) || 't',
+    wrap: resolve(bodyPr => getAttr(bodyPr, 'wrap')) !== 'none',
+    autofit: autofitType || 'none',
+    fontScale: getNumberAttr(autofit, 'fontScale', PERCENT) / PERCENT,
+    lineReduction: getNumberAttr(autofit, 'lnSpcReduction', 0) / PERCENT
+  }
+}
+
+/**
+ * Read the layout properties of a table cell from its a:tcPr element
+ * @param {Element|null} tcPr - The a:tcPr element
+ * @returns {Object} Body layout with the cell margins as insets
+ */
+function readCellLayout(tcPr) {
+  return {
+    ...readBodyLayout([]),
+    insets: {
+      l: readInset(tcPr, 'marL') ?? DEFAULT_CELL_MARGINS.l,
+      t: readInset(tcPr, 'marT') ?? DEFAULT_CELL_MARGINS.t,
+      r: readInset(tcPr, 'marR') ?? DEFAULT_CELL_MARGINS.r,
+      b: readInset(tcPr, 'marB') ?? DEFAULT_CELL_MARGINS.b
+    },
+    anchor: getAttr(tcPr, 'anchor') || 't'
+  }
+}
+
+/**
+ * Get the largest font size used in a text element, which limits how many lines fit
+ * @param {Object} element - Text element
+ * @returns {number} Font size in points
+ */
+function getLargestFontSize(element) {
+  const sizes = (element.paragraphs || [])
+    .flatMap(paragraph => paragraph.runs)
+    .filter(run => run.type !== 'break' && run.fontSize)
+    .map(run => run.fontSize)
+  return sizes.length > 0 ? Math.max(...sizes) : element.fontSize
+}
+
+/**
+ * Estimate the width of a text fragment from average character widths
+ * @param {string} text - Text
+ * @param {number} fontSize - Font size in points
+ * @param {boolean} [bold] - Whether the text is bold
+ * @returns {number} Width in points
+ */
+function estimateTextWidth(text, fontSize, bold = false) {
+  const charWidth = bold ? BOLD_CHAR_WIDTH : AVERAGE_CHAR_WIDTH
+
+  return Array.from(text).reduce((width, char) =>
+    width + fontSize * (char.codePointAt(0) >= FIRST_WIDE_CODE_POINT ? WIDE_CHAR_WIDTH : charWidth), 0)
+}
+
+/**
+ * Estimate how much text a frame holds at a font size, from average character widths
+ * @param {Object} frame - Text frame in points ({ width, maxHeight, insets, fontScale, lineReduction })
+ * @param {number} fontSize - Font size in points, before autofit scaling
+ * @param {boolean} [bold] - Whether the text is bold
+ * @returns {Object|null} { maxChars, maxLines, charsPerLine }, or null when the frame leaves no room for text
+ */
+function estimateCapacity(frame, fontSize, bold = false) {
+  const size = fontSize * frame.fontScale
+  const width = frame.width - frame.insets.l - frame.insets.r
+  const height = frame.maxHeight - frame.insets.t - frame.insets.b
+  if (size <= 0 || width <= 0 || height <= 0) return null
+
+  const charsPerLine = Math.max(1, Math.floor(width / (size * (bold ? BOLD_CHAR_WIDTH : AVERAGE_CHAR_WIDTH))))
+  const maxLines = Math.max(1, Math.floor(height / (size * LINE_HEIGHT * (1 - frame.lineReduction))))
+  return { maxChars: charsPerLine * maxLines, maxLines, charsPerLine }
+}
+
+module.exports = {
+  FONT_SUBSTITUTES,
+  LINE_HEIGHT,
+  readInset,
+  readBodyLayout,
+  readCellLayout,
+  getLargestFontSize,
+  estimateTextWidth,
+  estimateCapacity
+}
@@ -0,0 +1,160 @@
+const { getChild, getNumberAttr, getBoolAttr } = require('./xml-utils')
+
+/**
+ * Transform Utilities
+ * 2D affine transforms for flattening DrawingML shape and group geometry.
+ * Matrices are [a, b, c, d, e, f], mapping (x, y) to (a*x + c*y + e, b*x + d*y + f).
+ */
+
+const IDENTITY = [1, 0, 0, 1, 0, 0]
+
+// DrawingML angles are expressed in 60,000ths of a degree
+const ANGLE_UNITS_PER_DEGREE = 60000
+
+/**
+ * Compose two transforms, applying `inner` first and then `outer`
+ * @param {Array<number>} outer - Transform applied second
+ * @param {Array<number>} inner - Transform applied first
+ * @returns {Array<number>} Composed transform
+ */
+function multiply(outer, inner) {
+  const [a1, b1, c1, d1, e1, f1] = outer
+  const [a2, b2, c2, d2, e2, f2] = inner
+
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ]
+}
+
+/**
+ * Apply a transform to a point
+ * @param {Array<number>} matrix - Transform
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {Object} Transformed point ({ x, y })
+ */
+function applyToPoint(matrix, x, y) {
+  const [a, b, c, d, e, f] = matrix
+  return { x: a * x + c * y + e, y: b * x + d * y + f }
+}
+
+/**
+ * Build the transform that rotates and flips a box about its center
+ * @param {Object} box - Box in parent space ({ x, y, cx, cy, rot, flipH, flipV })
+ * @returns {Array<number>} Transform
+ */
+function rotationAboutCenter(box) {
+  const centerX = box.x + box.cx / 2
+  const centerY = box.y + box.cy / 2
+  const radians = ((box.rot || 0) / ANGLE_UNITS_PER_DEGREE) * Math.PI / 180
+  const cos = Math.cos(radians)
+  const sin = Math.sin(radians)
+  const scaleX = box.flipH ? -1 : 1
+  const scaleY = box.flipV ? -1 : 1
+
+  // Translate to origin, flip, rotate (clockwise, y down), translate back
+  const toOrigin = [1, 0, 0, 1, -centerX, -centerY]
+  const flip = [scaleX, 0, 0, scaleY, 0, 0]
+  const rotate = [cos, sin, -sin, cos, 0, 0]
+  const back = [1, 0, 0, 1, centerX, centerY]
+
+  return multiply(back, multiply(rotate, multiply(flip, toOrigin)))
+}
+
+/**
+ * Build the transform from a group's child coordinate space to its parent space
+ * @param {Object} group - Group transform ({ x, y, cx, cy, chX, chY, chCx, chCy, rot, flipH, flipV })
+ * @returns {Array<number>} Transform
+ */
+function groupToParent(group) {
+  const scaleX = group.chCx ? group.cx / group.chCx : 1
+  const scaleY = group.chCy ? group.cy / group.chCy : 1
+  const childToGroup = [scaleX, 0, 0, scaleY, group.x - group.chX * scaleX, group.y - group.chY * scaleY]
+
+  return multiply(rotationAboutCenter(group), childToGroup)
+}
+
+/**
+ * Read an a:xfrm element into an EMU box
+ * @param {Element|null} xfrm - The a:xfrm (or p:xfrm) element
+ * @returns {Object|null} Box ({ x, y, cx, cy, rot, flipH, flipV }), or null if the shape has no transform
+ */
+function readTransform(xfrm) {
+  const off = getChild(xfrm, 'a:off')
+  const ext = getChild(xfrm, 'a:ext')
+  if (!off || !ext) return null
+
+  return {
+    x: getNumberAttr(off, 'x', 0),
+    y: getNumberAttr(off, 'y', 0),
+    cx: getNumberAttr(ext, 'cx', 0),
+    cy: getNumberAttr(ext, 'cy', 0),
+    rot: getNumberAttr(xfrm, 'rot', 0),
+    flipH: getBoolAttr(xfrm, 'flipH') || false,
+    flipV: getBoolAttr(xfrm, 'flipV') || false
+  }
+}
+
+/**
+ * Read a group shape's a:xfrm into the transform from its child space to its parent space
+ * @param {Element|null} xfrm - The group's a:xfrm element
+ * @returns {Array<number>} Transform (identity for groups without a transform)
+ */
+function readGroupTransform(xfrm) {
+  const box = readTransform(xfrm)
+  if (!box) return IDENTITY
+
+  const chOff = getChild(xfrm, 'a:chOff')
+  const chExt = getChild(xfrm, 'a:chExt')
+  return groupToParent({
+    ...box,
+    chX: getNumberAttr(chOff, 'x', box.x),
+    chY: getNumberAttr(chOff, 'y', box.y),
+    chCx: getNumberAttr(chExt, 'cx', box.cx),
+    chCy: getNumberAttr(chExt, 'cy', box.cy)
+  })
+}
+
+/**
+ * Compute the axis-aligned bounds of a (possibly rotated) box after a transform
+ * @param {Array<number>} matrix - Transform to absolute space
+ * @param {Object} box - Box in local space ({ x, y, cx, cy, rot, flipH, flipV })
+ * @returns {Object} Bounds ({ x, y, width, height })
+ */
+function transformBounds(matrix, box) {
+  const full = multiply(matrix, rotationAboutCenter(box))
+  const corners = [
+    applyToPoint(full, box.x, box.y),
+    applyToPoint(full, box.x + box.cx, box.y),
+    applyToPoint(full, box.x, box.y + box.cy),
+    applyToPoint(full, box.x + box.cx, box.y + box.cy)
+  ]
+
+  const xs = corners.map(point => point.x)
+  const ys = corners.map(point => point.y)
+  const minX = Math.min(...xs)
+  const minY = Math.min(...ys)
+
+  return {
+    x: minX,
+    y: minY,
+    width: Math.max(...xs) - minX,
+    height: Math.max(...ys) - minY
+  }
+}
+
+module.exports = {
+  IDENTITY,
+  multiply,
+  applyToPoint,
+  rotationAboutCenter,
+  groupToParent,
+  transformBounds,
+  readTransform,
+  readGroupTransform
+}
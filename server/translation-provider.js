@@ -0,0 +1,201 @@
+const InlineTags = require('./inline-tags')
+
+/**
+ * Translation Provider
+ * Base class of the machine translation providers. It batches segments per slide and text
+ * flow and hands each segment over with its visual context, topic, bounding box and
+ * neighbouring segments, which the providers pass on to the engine; subclasses implement
+ * translateBatch. Providers that set supportsImages also receive the rendered slide.
+ * Segments with inline codes are sent as tagged text, so translations keep their formatting,
+ * links and fields.
+ */
+
+// Segments before and after a segment that are sent as its neighbours
+const NEIGHBOUR_COUNT = 2
+
+// State of machine-translated targets the engine gave no confidence for
+const TRANSLATED_STATE = 'needs-review-translation'
+
+// XLIFF target state of each confidence level an engine can report
+const CONFIDENCE_STATES = {
+  high: 'translated',
+  medium: 'needs-review-translation',
+  low: 'needs-translation'
+}
+
+class TranslationProvider {
+  /**
+   * @param {string} name - Provider name reported with the results
+   */
+  constructor(name) {
+    this.name = name
+    this.supportsImages = false
+    this.inlineTags = new InlineTags()
+  }
+
+  /**
+   * Translate segments, one batch per slide and text flow. Segments excluded from translation
+   * keep their source text; batches that fail keep their previous translation. Translated
+   * segments carry machineTranslation ({ provider, confidence, rationale, usedSlideImage }) and
+   * a state derived from the confidence, and targetRuns when the inline tags came back intact.
+   * @param {Array} segments - Array of visual segments
+   * @param {Object} languages - { sourceLanguage, targetLanguage }
+   * @param {Object} [options] - Options
+   * @param {Array} [options.slides] - Rendered slides ({ slideId, slideImage, slideSize })
+   * @param {boolean} [options.useSlideImages] - Send each batch's slide image to the engine
+   * @param {AbortSignal} [options.signal] - Cancels the remaining batches and rejects
+   * @returns {Promise<Object>} { segments, summary: { provider, translated, skipped, usedSlideImages, failed: [{ slideId, flow, message }] } }
+   */
+  async translateSegments(segments, languages, options = {}) {
+    const { signal } = options
+    const translations = new Map()
+    const tagged = new Map(segments.map(segment => [segment.id, this.inlineTags.createTaggedText(segment)]))
+    const failed = []
+    const slides = new Map(options.useSlideImages && this.supportsImages && Array.isArray(options.slides)
+      ? options.slides.filter(slide => slide && slide.slideImage).map(slide => [slide.slideId, slide])
+      : [])
+
+    // One batch at a time: engines rate-limit
+    for (const batch of this.createBatches(segments, tagged)) {
+      // Speaker notes are not on the rendered slide
+      const slide = batch.flow === 'notes' ? null : slides.get(batch.slideId) || null
+      if (signal) signal.throwIfAborted()
+      try {
+        const results = await this.translateBatch(batch.items, languages, slide, signal)
+        batch.items.forEach((item, index) => {
+          const result = this.normalizeResult(results[index])
+          if (result) translations.set(item.id, { ...result, usedSlideImage: !!slide })
+        })
+      } catch (error) {
+        if (signal && signal.aborted) throw error
+        console.error(`${this.name} translation failed for slide ${batch.slideId}:`, error.message)
+        failed.push({ slideId: batch.slideId, flow: batch.flow, message: error.message })
+      }
+    }
+
+    const translatedSegments = segments.map(segment => {
+      if (segment.translate === false) return { ...segment, translation: segment.text }
+      if (!translations.has(segment.id)) return segment
+      const { translation, confidence, rationale, usedSlideImage } = translations.get(segment.id)
+      const { text, targetRuns } = this.readTranslation(translation, segment, tagged.get(segment.id))
+      return {
+        ...segment,
+        translation: text,
+        targetRuns,
+        state: confidence ? CONFIDENCE_STATES[confidence] : TRANSLATED_STATE,
+        machineTranslation: { provider: this.name, confidence, rationale, usedSlideImage }
+      }
+    })
+
+    return {
+      segments: translatedSegments,
+      summary: {
+        provider: this.name,
+        translated: translations.size,
+        skipped: segments.filter(segment => segment.translate === false).length,
+        usedSlideImages: slides.size > 0,
+        failed
+      }
+    }
+  }
+
+  /**
+   * Read an engine's translation of a segment. Tagged translations become target runs; when the
+   * engine dropped, duplicated or reordered tags, the text is kept without its formatting.
+   * @param {string} translation - Engine translation
+   * @param {Object} segment - Visual segment
+   * @param {Object|null} tagged - Tagged text the segment was sent as
+   * @returns {Object} { text, targetRuns }
+   */
+  readTranslation(translation, segment, tagged) {
+    if (!tagged) return { text: translation, targetRuns: undefined }
+
+    const targetRuns = this.inlineTags.parseTaggedText(translation, tagged, segment.runs)
+    if (!targetRuns) {
+      console.warn(`${this.name} translation of segment ${segment.id} lost its inline tags; keeping the text only`)
+      return { text: this.inlineTags.stripTags(translation, tagged, segment.runs), targetRuns: undefined }
+    }
+    return { text: targetRuns.map(run => run.text).join(''), targetRuns }
+  }
+
+  /**
+   * Group the translatable segments per slide and text flow, in reading order, with their context
+   * @param {Array} segments - Array of visual segments
+   * @param {Map} [tagged] - Tagged text of the segments with inline codes, by segment ID
+   * @returns {Array} Batches ({ slideId, flow, items }); see createItem for the items
+   */
+  createBatches(segments, tagged = new Map()) {
+    const batches = new Map()
+
+    segments.forEach(segment => {
+      const flow = segment.flow || 'slide'
+      const key = `${segment.slideId}:${flow}`
+      if (!batches.has(key)) batches.set(key, { slideId: segment.slideId, flow, segments: [] })
+      batches.get(key).segments.push(segment)
+    })
+
+    return [...batches.values()].map(batch => ({
+      slideId: batch.slideId,
+      flow: batch.flow,
+      items: batch.segments
+        .map((segment, index) => segment.translate === false ? null : this.createItem(segment, index, batch.segments, tagged.get(segment.id)))
+        .filter(Boolean)
+    })).filter(batch => batch.items.length > 0)
+  }
+
+  /**
+   * Describe a segment for the engine
+   * @param {Object} segment - Visual segment
+   * @param {number} index - Position of the segment on its slide
+   * @param {Array} slideSegments - Segments of the same slide and text flow, in reading order
+   * @param {Object|null} [tagged] - Tagged text of the segment, when it has inline codes
+   * @returns {Object} { id, text, tagged, visualContext, boundingBox, topic, semanticContext, maxChars, previous, next };
+   *   text is tagged (and XML-escaped) when tagged is true
+   */
+  createItem(segment, index, slideSegments, tagged = null) {
+    return {
+      id: segment.id,
+      text: tagged ? tagged.text : segment.text,
+      tagged: !!tagged,
+      visualContext: segment.visualContext,
+      boundingBox: segment.coordinates || null,
+      topic: segment.topic || null,
+      semanticContext: segment.semanticContext || null,
+      maxChars: segment.lengthConstraint ? segment.lengthConstraint.maxChars : null,
+      previous: slideSegments.slice(Math.max(0, index - NEIGHBOUR_COUNT), index).map(other => other.text),
+      next: slideSegments.slice(index + 1, index + 1 + NEIGHBOUR_COUNT).map(other => other.text)
+    }
+  }
+
+  /**
+   * Read an engine result, which is either the translation or { translation, confidence, rationale }
+   * @param {string|Object|null} result - Engine result
+   * @returns {Object|null} { translation, confidence, rationale }; null when there is no translation
+   */
+  normalizeResult(result) {
+    if (typeof result === 'string') return { translation: result, confidence: null, rationale: null }
+    if (!result || typeof result.translation !== 'string') return null
+
+    const confidence = typeof result.confidence === 'string' ? result.confidence.trim().toLowerCase() : null
+    return {
+      translation: result.translation,
+      confidence: CONFIDENCE_STATES[confidence] ? confidence : null,
+      rationale: typeof result.rationale === 'string' && result.rationale.trim() !== '' ? result.rationale.trim() : null
+    }
+  }
+
+  /**
+   * Translate a batch of segments
+   * @param {Array} items - Segments with their context, from createItem
+   * @param {Object} languages - { sourceLanguage, targetLanguage }
+   * @param {Object|null} slide - Rendered slide ({ slideId, slideImage, slideSize }) when images are used
+   * @param {AbortSignal} [signal] - Cancels the engine request
+   * @returns {Promise<Array<string|Object|null>>} Translation of each item, in order, optionally as
+   *   { translation, confidence, rationale }; null when the engine returned none
+   */
+  async translateBatch(items, languages, slide, signal) {
+    throw new Error(`${this.name} does not implement translateBatch`)
+  }
+}
+
+module.exports = TranslationProvider
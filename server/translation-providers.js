@@ -0,0 +1,52 @@
+const OpenAITranslationProvider = require('./openai-translation-provider')
+const HttpTranslationProvider = require('./http-translation-provider')
+const MockTranslationProvider = require('./mock-translation-provider')
+
+/**
+ * Translation Providers
+ * Registry of the machine translation providers, selected per request or with MT_PROVIDER.
+ * The mock provider is only offered when it is the configured provider or in development.
+ */
+
+const PROVIDERS = {
+  openai: OpenAITranslationProvider,
+  http: HttpTranslationProvider,
+  mock: MockTranslationProvider
+}
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS)
+
+/**
+ * Get the provider used when a request names none
+ * @returns {string} MT_PROVIDER, else 'http' when MT_HTTP_URL is set, else 'openai'
+ */
+function getDefaultProviderName() {
+  return process.env.MT_PROVIDER || (process.env.MT_HTTP_URL ? 'http' : 'openai')
+}
+
+/**
+ * Get the providers the server offers
+ * @returns {Array<string>} Provider names; 'mock' only when MT_PROVIDER is mock or NODE_ENV is development
+ */
+function getAvailableProviderNames() {
+  const mockEnabled = process.env.MT_PROVIDER === 'mock' || process.env.NODE_ENV === 'development'
+  return PROVIDER_NAMES.filter(name => name !== 'mock' || mockEnabled)
+}
+
+/**
+ * Create a translation provider
+ * @param {string} [name] - Provider name ('openai', 'http' or 'mock'); the default provider when omitted
+ * @param {Object} [options] - Provider options
+ * @returns {TranslationProvider|null} Provider, or null for unknown names
+ */
+function createTranslationProvider(name = getDefaultProviderName(), options = {}) {
+  const Provider = PROVIDERS[name]
+  return Provider ? new Provider(options) : null
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getDefaultProviderName,
+  getAvailableProviderNames,
+  createTranslationProvider
+}
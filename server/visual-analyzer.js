@@ -1,83 +1,270 @@
-const OpenAI = require('openai')
+const sharp = require('sharp')
+const { createModelClient } = require('./model-clients')
+const { AREA_TYPE_CONTEXTS, VISUAL_AREAS_SCHEMA, validateVisualAreas } = require('./visual-areas-schema')
 
 /**
  * Visual Analysis Module
- * Uses GPT-5 Nano to analyze slide images and understand visual context
+ * Uses a vision model to analyze slide images and understand visual context
  */
 
+// Invalid responses sent back to the model for correction before falling back to heuristics
+const MAX_REPAIR_ATTEMPTS = 2
+
+// Part of the cache key of an analysis; raise it when the prompt changes so cached analyses are not reused
+const ANALYSIS_PROMPT_VERSION = 1
+
+// Element boxes and id labels drawn onto the slide image sent to the model
+const LABEL_COLOR = '#0A60FF'
+const LABEL_STROKE_WIDTH = 2
+const LABEL_PADDING = 3
+
 class VisualAnalyzer {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    })
+  /**
+   * @param {ModelClient} [modelClient] - Client of the vision model; the configured one by default
+   * @param {AnalysisCache} [cache] - Cache of the model's analyses; none by default
+   */
+  constructor(modelClient = createModelClient(), cache = null) {
+    this.modelClient = modelClient
+    this.cache = cache
   }
 
   /**
-   * Analyze a slide's visual context and text relationships
+   * Analyze a slide's visual context and text relationships. Responses that do not match the
+   * visual areas schema are sent back to the model with the errors, up to MAX_REPAIR_ATTEMPTS
+   * times, before falling back to heuristics. The slide's analysisStatus tells which happened:
+   * 'model', 'repaired', 'fallback', or 'failed' when the model could not be reached. Valid
+   * answers are cached, and a slide whose analysis is cached gets it back as 'cached'.
    * @param {Object} slideData - Slide data with image and text elements
-   * @returns {Promise<Object>} Enhanced slide analysis with visual context
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels the analysis; it then rejects instead of falling back
+   * @returns {Promise<Object>} Enhanced slide analysis with visual context, analysisStatus and analysisErrors
    */
-  async analyzeSlide(slideData) {
-    try {
-      const { slideId, slideImage, textElements, overallContext } = slideData
-
-      // Prepare the analysis prompt
-      const prompt = this.buildAnalysisPrompt(textElements, overallContext)
+  async analyzeSlide(slideData, { signal } = {}) {
+    const { slideId, textElements, overallContext } = slideData
+
+    const cacheKey = this.cache ? this.getCacheKey(slideData) : null
+    const cached = cacheKey ? await this.cache.get(cacheKey) : null
+    if (cached) {
+      const result = this.mapElementIds(cached.result, this.getElementIdMap(slideData, false))
+      return { ...this.enhanceSlideWithAnalysis(slideData, result), analysisStatus: 'cached', analysisErrors: [] }
+    }
 
-      // Call GPT-5 Nano for visual analysis
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-5-nano-2025-08-07",
-        messages: [
+    const slideImage = await this.labelSlideImage(slideData)
+    const messages = [
+      {
+        role: "system",
+        content: "You are an expert in document layout analysis and translation segmentation. Your task is to analyze PowerPoint slides and identify visual relationships between text elements to improve translation segmentation."
+      },
+      {
+        role: "user",
+        content: [
           {
-            role: "system",
-            content: "You are an expert in document layout analysis and translation segmentation. Your task is to analyze PowerPoint slides and identify visual relationships between text elements to improve translation segmentation."
+            type: "text",
+            text: this.buildAnalysisPrompt(textElements, overallContext, slideData.slideSize)
           },
           {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: prompt
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: slideImage,
-                  detail: "high"
-                }
-              }
-            ]
+            type: "image_url",
+            image_url: {
+              url: slideImage,
+              detail: "high"
+            }
           }
-        ],
-        max_completion_tokens: 2000
-      })
-
-      const content = response.choices[0].message.content
-      
-      if (!content || content.trim() === '') {
-        console.warn('Empty response from GPT-5 Nano, using fallback analysis')
-        return this.createFallbackAnalysis(slideData)
+        ]
       }
+    ]
 
-      let analysisResult
+    let errors = []
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+      let content
       try {
-        analysisResult = JSON.parse(content)
-      } catch (parseError) {
-        console.warn('Failed to parse GPT response as JSON, using fallback analysis:', parseError.message)
-        return this.createFallbackAnalysis(slideData)
+        content = await this.modelClient.complete('visual-analysis', {
+          messages: [...messages],
+          responseFormat: { name: 'visual_areas', schema: VISUAL_AREAS_SCHEMA },
+          input: { slideId, textElements },
+          signal
+        })
+      } catch (error) {
+        if (signal && signal.aborted) throw error
+        console.error(`Visual analysis request failed for slide ${slideId}:`, error.message)
+        if (attempt === 0) {
+          // Return original data if the model cannot be reached
+          return { ...slideData, analysisStatus: 'failed', analysisErrors: [error.message] }
+        }
+        break
       }
-      
-      // Enhance the slide data with visual analysis
-      return this.enhanceSlideWithAnalysis(slideData, analysisResult)
+
+      const { result, errors: found } = this.parseAnalysis(content, slideData)
+      if (found.length === 0) {
+        if (cacheKey) await this.cache.set(cacheKey, { result: this.mapElementIds(result, this.getElementIdMap(slideData, true)) })
+        return {
+          ...this.enhanceSlideWithAnalysis(slideData, result),
+          analysisStatus: attempt === 0 ? 'model' : 'repaired',
+          analysisErrors: errors
+        }
+      }
+
+      errors = found
+      console.warn(`Invalid visual analysis for slide ${slideId} (attempt ${attempt + 1}): ${errors.join('; ')}`)
+      messages.push(
+        { role: "assistant", content: content || '' },
+        { role: "user", content: this.buildRepairPrompt(errors) }
+      )
+    }
+
+    console.warn(`Using fallback analysis for slide ${slideId}`)
+    return { ...this.createFallbackAnalysis(slideData), analysisStatus: 'fallback', analysisErrors: errors }
+  }
+
+  /**
+   * Get the cache key of a slide's analysis: a hash of what the model is sent — the extracted
+   * text elements, the slide size and the rendered image, the prompt version and the schema —
+   * and of the provider and model. The file name is left out, so a slide unchanged in a new
+   * revision of the deck reuses its analysis. Element ids are hashed without their slide number,
+   * so inserting or moving slides does not invalidate the analyses of the others; cached
+   * analyses hold the same slide-relative ids.
+   * @param {Object} slideData - Slide data ({ slideId, slideImage, slideSize, textElements })
+   * @returns {string} Cache key
+   */
+  getCacheKey({ slideId, slideImage, slideSize, textElements }) {
+    const { model } = this.modelClient.getTaskSettings('visual-analysis')
+    const relativeIds = this.getElementIdMap({ slideId, textElements }, true)
+    return this.cache.createKey({
+      promptVersion: ANALYSIS_PROMPT_VERSION,
+      schema: VISUAL_AREAS_SCHEMA,
+      provider: this.modelClient.name,
+      model,
+      slideSize,
+      textElements: textElements.map(element => ({ ...element, id: relativeIds.get(element.id) })),
+      slideImage
+    })
+  }
+
+  /**
+   * Map a slide's text element ids (s3_tb1) to their slide-relative form (tb1), or back
+   * @param {Object} slideData - Slide data ({ slideId, textElements })
+   * @param {boolean} toRelative - Map the slide's ids to relative ones, rather than relative ones to the slide's
+   * @returns {Map<string, string>} Id map
+   */
+  getElementIdMap({ slideId, textElements }, toRelative) {
+    const prefix = `s${slideId}_`
+    return new Map(textElements.map(element => {
+      const relativeId = element.id.startsWith(prefix) ? element.id.slice(prefix.length) : element.id
+      return toRelative ? [element.id, relativeId] : [relativeId, element.id]
+    }))
+  }
+
+  /**
+   * Replace the element ids of an analysis' visual areas; ids missing from the map stay as they are
+   * @param {Object} result - Analysis ({ visual_areas })
+   * @param {Map<string, string>} ids - Id map, from getElementIdMap
+   * @returns {Object} Analysis with the mapped ids
+   */
+  mapElementIds(result, ids) {
+    if (!result || !Array.isArray(result.visual_areas)) return result
+    return {
+      ...result,
+      visual_areas: result.visual_areas.map(area => ({
+        ...area,
+        element_ids: Array.isArray(area.element_ids) ? area.element_ids.map(id => ids.get(id) ?? id) : area.element_ids
+      }))
+    }
+  }
+
+  /**
+   * Draw each text element's box and id onto the slide image, so the model can tell which
+   * listed element is which
+   * @param {Object} slideData - Slide data ({ slideImage, slideSize, textElements }); slideImage is a PNG data URL
+   * @returns {Promise<string>} Labeled PNG data URL, or the slide image as is when it cannot be labeled
+   */
+  async labelSlideImage({ slideImage, slideSize, textElements }) {
+    const match = typeof slideImage === 'string' && slideImage.match(/^data:image\/png;base64,(.+)$/)
+    if (!match) return slideImage
+
+    try {
+      const png = Buffer.from(match[1], 'base64')
+      const { width, height } = await sharp(png).metadata()
+      const scale = slideSize && slideSize.width ? width / slideSize.width : 1
+      const fontSize = Math.max(12, Math.round(width / 64))
+
+      const labels = textElements
+        .filter(element => element.boundingBox && element.boundingBox.width > 0 && element.boundingBox.height > 0)
+        .map(element => {
+          const box = element.boundingBox
+          const x = box.x * scale
+          const y = box.y * scale
+          const tagWidth = element.id.length * fontSize * 0.6 + LABEL_PADDING * 2
+          const tagHeight = fontSize + LABEL_PADDING * 2
+          // The tag sits on the box's top edge, or inside the box at the top of the slide
+          const tagY = y >= tagHeight ? y - tagHeight : y
+          return `<rect x="${x}" y="${y}" width="${box.width * scale}" height="${box.height * scale}" fill="none" ` +
+              `stroke="${LABEL_COLOR}" stroke-width="${LABEL_STROKE_WIDTH}"/>` +
+            `<rect x="${x}" y="${tagY}" width="${tagWidth}" height="${tagHeight}" fill="${LABEL_COLOR}"/>` +
+            `<text x="${x + LABEL_PADDING}" y="${tagY + LABEL_PADDING + fontSize * 0.85}" font-family="monospace" ` +
+              `font-size="${fontSize}" fill="#FFFFFF">${this.escapeXml(element.id)}</text>`
+        })
+
+      const overlay = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">${labels.join('')}</svg>`
+      const labeled = await sharp(png)
+        .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+        .png()
+        .toBuffer()
+      return `data:image/png;base64,${labeled.toString('base64')}`
     } catch (error) {
-      console.error('Error in visual analysis:', error)
-      // Return original data if analysis fails
-      return slideData
+      console.warn('Could not label the slide image:', error.message)
+      return slideImage
     }
   }
 
   /**
-   * Create fallback analysis when GPT-5 Nano fails
+   * Escape text for XML
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+  }
+
+  /**
+   * Parse and validate a visual analysis response
+   * @param {string|null} content - Completion content
+   * @param {Object} slideData - Slide data ({ slideSize, textElements })
+   * @returns {Object} { result, errors }; errors is empty when the response is valid
+   */
+  parseAnalysis(content, slideData) {
+    if (!content || content.trim() === '') {
+      return { result: null, errors: ['The response was empty'] }
+    }
+
+    // Models without structured output may wrap the JSON in a code fence
+    const json = content.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '')
+    let result
+    try {
+      result = JSON.parse(json)
+    } catch (parseError) {
+      return { result: null, errors: [`The response is not valid JSON: ${parseError.message}`] }
+    }
+
+    return { result, errors: validateVisualAreas(result, slideData) }
+  }
+
+  /**
+   * Build the follow-up prompt asking the model to correct its response
+   * @param {Array<string>} errors - Validation errors of the response
+   * @returns {string} Repair prompt
+   */
+  buildRepairPrompt(errors) {
+    return `Your answer does not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Answer again with the complete, corrected JSON object only. Use only the listed area types, confidences between 0 and 1, and the text element ids given in the list for element_ids, each in one area at most. Give coordinates inside the slide, and only for areas without text elements.`
+  }
+
+  /**
+   * Create fallback analysis when the vision model fails
    * @param {Object} slideData - Slide data
    * @returns {Object} Enhanced slide data with fallback analysis
    */
@@ -148,6 +335,31 @@ class VisualAnalyzer {
    * @returns {string} Visual context type
    */
   inferVisualContextType(element) {
+    if (element.isAltText) return 'alt_text'
+
+    // Table cells, chart labels and SmartArt nodes are identified by their structure
+    if (element.table) {
+      return element.table.isHeader ? 'table_header' : 'table_cell'
+    }
+    if (element.chart) return 'chart_label'
+    if (element.smartArt) return 'smartart_node'
+
+    // Placeholder roles from the slide layout are authoritative
+    const placeholderContext = this.mapPlaceholderToVisualContext(element.placeholderType)
+    if (placeholderContext && placeholderContext !== 'body_text') {
+      return placeholderContext
+    }
+
+    // Paragraph bullets from the slide XML are authoritative too
+    const hasParagraphModel = element.paragraphs && element.paragraphs.length > 0
+    if (hasParagraphModel && element.paragraphs.some(paragraph => paragraph.bullet)) {
+      return 'bullet_list'
+    }
+
+    if (placeholderContext) {
+      return placeholderContext
+    }
+
     const text = element.text.toLowerCase()
     const fontSize = element.fontSize || 12
     const isBold = element.isBold || false
@@ -159,8 +371,8 @@ class VisualAnalyzer {
       }
     }
 
-    // Bullet list detection
-    if (text.includes('•') || text.includes('-') || text.includes('*')) {
+    // Bullet list detection from text when no paragraph model is available
+    if (!hasParagraphModel && (text.includes('•') || text.includes('-') || text.includes('*'))) {
       return 'bullet_list'
     }
 
@@ -173,6 +385,25 @@ class VisualAnalyzer {
     return 'body_text'
   }
 
+  /**
+   * Map a PowerPoint placeholder type to a visual context type
+   * @param {string|null} placeholderType - Placeholder type (e.g. "title", "ftr")
+   * @returns {string|null} Visual context type, or null if the placeholder carries no role
+   */
+  mapPlaceholderToVisualContext(placeholderType) {
+    const mapping = {
+      'title': 'title_group',
+      'ctrTitle': 'title_group',
+      'subTitle': 'title_group',
+      'body': 'body_text',
+      'ftr': 'header_footer',
+      'hdr': 'header_footer',
+      'dt': 'header_footer',
+      'sldNum': 'header_footer'
+    }
+    return mapping[placeholderType] || null
+  }
+
   /**
    * Group similar text elements
    * @param {Array} textElements - Array of text elements
@@ -211,6 +442,15 @@ class VisualAnalyzer {
    * @returns {boolean} True if elements are similar
    */
   areElementsSimilar(element1, element2) {
+    // Table cells only group with cells of the same table, chart labels with labels of the same chart
+    // and SmartArt nodes with their siblings
+    if (this.getStructureKey(element1) !== this.getStructureKey(element2)) return false
+    if (element1.smartArt) return true
+
+    // Alt text is not shown on the slide and hidden shapes are not shown in the slide show
+    if (element1.isAltText || element2.isAltText) return false
+    if ((element1.isHidden || false) !== (element2.isHidden || false)) return false
+
     // Check font size similarity
     const fontSizeDiff = Math.abs((element1.fontSize || 12) - (element2.fontSize || 12))
     if (fontSizeDiff > 4) return false
@@ -223,6 +463,18 @@ class VisualAnalyzer {
     return distance < 100 // 100 pixels threshold
   }
 
+  /**
+   * Get the key of the table, chart or SmartArt sibling set an element belongs to
+   * @param {Object} element - Text element
+   * @returns {string|null} Structure key, or null for ordinary shapes
+   */
+  getStructureKey(element) {
+    if (element.table) return `table:${element.table.tableId}`
+    if (element.chart) return `chart:${element.chart.chartId}`
+    if (element.smartArt) return `smartart:${element.smartArt.diagramId}/${element.smartArt.parentId || 'root'}`
+    return null
+  }
+
   /**
    * Calculate distance between two elements
    * @param {Object} element1 - First element
@@ -246,18 +498,41 @@ class VisualAnalyzer {
   }
 
   /**
-   * Build the analysis prompt for GPT-5 Nano
+   * Describe an element's table, chart or SmartArt position, picture origin and visibility for the analysis prompt
+   * @param {Object} element - Text element
+   * @returns {string} Prompt fragment (empty for ordinary visible shapes)
+   */
+  describeStructure(element) {
+    const visibility = element.isHidden ? ' | Hidden' : ''
+    if (element.isAltText) {
+      return ` | Alt text of picture ${element.shapeId}${visibility}`
+    }
+    if (element.table) {
+      return ` | Table: ${element.table.tableId} row ${element.table.row + 1} column ${element.table.column + 1}${element.table.isHeader ? ' (header)' : ''}${visibility}`
+    }
+    if (element.chart) {
+      return ` | Chart: ${element.chart.chartId} ${element.chart.role.replace('_', ' ')}${element.chart.axis ? ` (${element.chart.axis} axis)` : ''}${visibility}`
+    }
+    if (element.smartArt) {
+      return ` | SmartArt: ${element.smartArt.diagramId} level ${element.smartArt.depth + 1} item ${element.smartArt.siblingIndex + 1} of ${element.smartArt.siblingCount}${visibility}`
+    }
+    return visibility
+  }
+
+  /**
+   * Build the analysis prompt for the vision model
    * @param {Array} textElements - Array of text elements
    * @param {string} overallContext - Overall slide context
+   * @param {Object} slideSize - Slide coordinate space ({ width, height })
    * @returns {string} Formatted prompt
    */
-  buildAnalysisPrompt(textElements, overallContext) {
+  buildAnalysisPrompt(textElements, overallContext, slideSize) {
     const textElementsInfo = textElements.map((element, index) => 
-      `${index + 1}. Text: "${element.text}" | Position: (${element.boundingBox.x}, ${element.boundingBox.y}) | Size: ${element.boundingBox.width}x${element.boundingBox.height} | Font: ${element.fontSize}px ${element.fontFamily || 'default'}`
+      `${index + 1}. Id: ${element.id} | Text: "${element.text}" | Position: (${element.boundingBox.x}, ${element.boundingBox.y}) | Size: ${element.boundingBox.width}x${element.boundingBox.height} | Font: ${element.fontSize}pt ${element.fontFamily || 'default'}${element.placeholderType ? ` | Role: ${element.placeholderType} placeholder` : ''}${element.groupPath && element.groupPath.length > 0 ? ` | Group: ${element.groupPath.join(' > ')}` : ''}${this.describeStructure(element)}`
     ).join('\n')
 
     return `
-You are analyzing a PowerPoint slide image that contains text elements positioned on a white background. The image shows text content with bounding boxes around each text element.
+You are analyzing a rendered PowerPoint slide. In the image, each text element is outlined and labeled with its id from the list below.
 
 **TASK:** Analyze the visual layout and text content to identify distinct semantic areas and their topics.
 
@@ -266,20 +541,24 @@ ${textElementsInfo}
 
 **Overall Context:** ${overallContext}
 
+**Slide Size:** ${slideSize.width} x ${slideSize.height}, with the origin at the top left; element positions and area coordinates use this space
+
 **ANALYSIS REQUIREMENTS:**
-1. Look at the text content and positioning to identify logical groupings
+1. Look at the text content and positioning to identify logical groupings (an element's Role, when given, is its placeholder type in the slide layout and is authoritative; elements sharing a Group were grouped together by the slide's designer; elements with a Table position are cells of that table, elements with a Chart position are labels of that chart and elements with a SmartArt position are diagram nodes; each of these is translated on its own; alt text describes a picture and is not visible on the slide; hidden elements are not shown during the slide show)
 2. Determine the semantic topic/context for each area
-3. Provide bounding box coordinates for each visual area
-4. Identify which text elements belong together
+3. List the ids of the text elements in each area in element_ids, in reading order; a text element belongs to one area at most
+4. Set coordinates to null for areas with text elements, as their box is taken from the elements; give coordinates inside the slide only for areas without text, such as a picture
+5. Give each area one of these types: ${Object.keys(AREA_TYPE_CONTEXTS).join(', ')}
+6. Rate your confidence in each area from 0 to 1
 
 **OUTPUT FORMAT:** Return ONLY valid JSON in this exact structure:
 {
   "visual_areas": [
     {
       "id": "area_1",
-      "type": "title_section",
-      "coordinates": {"x": 100, "y": 50, "width": 600, "height": 80},
-      "grouped_with": [],
+      "type": "title",
+      "element_ids": ["<id of the first text element in this area>", "<id of the next one>"],
+      "coordinates": null,
       "confidence": 0.9,
       "topic": "presentation title",
       "context_description": "Main title of the presentation",
@@ -301,13 +580,15 @@ ${textElementsInfo}
 **IMPORTANT:** 
 - Return ONLY the JSON object, no other text
 - Use actual text content from the slide
-- Provide realistic coordinates based on the image layout
+- Refer to text elements only by the ids in the list, which are also shown on the image
 - Focus on semantic meaning, not just visual appearance
 `
   }
 
   /**
-   * Enhance slide data with visual analysis results
+   * Enhance slide data with visual analysis results. Visual areas are built from the text
+   * elements they list, in their order; an area's coordinates are only used for segments of
+   * elements no area lists.
    * @param {Object} slideData - Original slide data
    * @param {Object} analysisResult - GPT analysis result
    * @returns {Object} Enhanced slide data
@@ -318,16 +599,21 @@ ${textElementsInfo}
 
     // Convert new visual_areas format to visualContexts format for compatibility
     const enhancedVisualContexts = visual_areas.length > 0 
-      ? visual_areas.map(area => ({
-          id: area.id,
-          type: this.mapContentTypeToVisualContext(area.type),
-          description: area.context_description || area.topic || 'Visual area',
-          boundingBox: area.coordinates,
-          relatedElements: area.grouped_with || [],
-          topic: area.topic,
-          semanticContext: area.context_description,
-          contentElements: area.content_elements
-        }))
+      ? visual_areas.map(area => {
+          const members = (area.element_ids || [])
+            .map(elementId => slideData.textElements.find(element => element.id === elementId))
+            .filter(Boolean)
+          return {
+            id: area.id,
+            type: this.mapContentTypeToVisualContext(area.type),
+            description: area.context_description || area.topic || 'Visual area',
+            boundingBox: members.length > 0 ? this.calculateCombinedBoundingBox(members) : area.coordinates,
+            relatedElements: members.map(element => element.id),
+            topic: area.topic,
+            semanticContext: area.context_description,
+            contentElements: area.content_elements
+          }
+        })
       : visualContexts
 
     // Update visual contexts
@@ -335,10 +621,9 @@ ${textElementsInfo}
 
     // Update segments with visual analysis
     slideData.segments = slideData.segments.map(segment => {
-      // Find matching visual area
-      const visualArea = visual_areas.find(area => 
-        this.isTextElementInArea(segment, area)
-      )
+      // Find the visual area listing the segment's element, or else the one around it
+      const areaIndex = visual_areas.length > 0 ? this.findVisualAreaIndex(segment, enhancedVisualContexts) : -1
+      const visualArea = areaIndex === -1 ? null : visual_areas[areaIndex]
 
       if (visualArea) {
         return {
@@ -424,26 +709,35 @@ ${textElementsInfo}
   }
 
   /**
-   * Analyze multiple slides in batch
+   * Analyze multiple slides in batch, several at a time; the model client retries rate-limited requests
    * @param {Array} slides - Array of slide data
-   * @returns {Promise<Array>} Array of enhanced slide analyses
+   * @param {Object} [options] - Options
+   * @param {number} [options.concurrency] - Slides analyzed at the same time; the model configuration's by default
+   * @param {AbortSignal} [options.signal] - Cancels the remaining analyses and rejects
+   * @returns {Promise<Array>} Array of enhanced slide analyses, in the order of the slides
    */
-  async analyzeSlides(slides) {
-    const results = []
-    
-    for (const slide of slides) {
-      try {
-        const enhancedSlide = await this.analyzeSlide(slide)
-        results.push(enhancedSlide)
-        
-        // Add small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100))
-      } catch (error) {
-        console.error(`Error analyzing slide ${slide.slideId}:`, error)
-        results.push(slide) // Return original if analysis fails
+  async analyzeSlides(slides, { concurrency = this.modelClient.config.concurrency, signal } = {}) {
+    const results = new Array(slides.length)
+    let next = 0
+
+    // Each worker takes the next slide until none are left
+    const worker = async () => {
+      while (next < slides.length) {
+        if (signal) signal.throwIfAborted()
+        const index = next++
+        const slide = slides[index]
+        try {
+          results[index] = await this.analyzeSlide(slide, { signal })
+        } catch (error) {
+          if (signal && signal.aborted) throw error
+          console.error(`Error analyzing slide ${slide.slideId}:`, error)
+          results[index] = { ...slide, analysisStatus: 'failed', analysisErrors: [error.message] } // Return original if analysis fails
+        }
       }
     }
 
+    const workerCount = Math.max(1, Math.min(slides.length, Math.floor(concurrency) || 1))
+    await Promise.all(Array.from({ length: workerCount }, worker))
     return results
   }
 
@@ -453,19 +747,7 @@ ${textElementsInfo}
    * @returns {string} Visual context type
    */
   mapContentTypeToVisualContext(contentType) {
-    const mapping = {
-      'title': 'title_group',
-      'body_text': 'body_text',
-      'caption': 'caption',
-      'bullet_list': 'bullet_list',
-      'header_footer': 'header_footer',
-      'callout': 'callout',
-      'navigation': 'navigation',
-      'mixed_content': 'other',
-      'image': 'other',
-      'chart': 'other'
-    }
-    return mapping[contentType] || 'other'
+    return AREA_TYPE_CONTEXTS[contentType] || 'other'
   }
 
   /**
@@ -479,24 +761,37 @@ ${textElementsInfo}
     return 'low'
   }
 
+  /**
+   * Find the visual area of a segment: the one listing its text element, or else the first
+   * whose box holds the segment's center
+   * @param {Object} segment - Text segment
+   * @param {Array} visualContexts - Visual contexts built from the visual areas, in the same order
+   * @returns {number} Index of the area, or -1
+   */
+  findVisualAreaIndex(segment, visualContexts) {
+    const listedIndex = visualContexts.findIndex(context => context.relatedElements.includes(segment.textElementId))
+    if (listedIndex !== -1) return listedIndex
+    return visualContexts.findIndex(context => this.isTextElementInArea(segment, context.boundingBox))
+  }
+
   /**
    * Check if a text element is within a visual area
    * @param {Object} segment - Text segment
-   * @param {Object} area - Visual area
+   * @param {Object} box - Bounding box of the visual area
    * @returns {boolean} True if element is in area
    */
-  isTextElementInArea(segment, area) {
-    if (!area.coordinates) return false
+  isTextElementInArea(segment, box) {
+    if (!box || !segment.coordinates) return false
     
     const elementX = segment.coordinates.x
     const elementY = segment.coordinates.y
     const elementWidth = segment.coordinates.width
     const elementHeight = segment.coordinates.height
     
-    const areaX = area.coordinates.x
-    const areaY = area.coordinates.y
-    const areaWidth = area.coordinates.width
-    const areaHeight = area.coordinates.height
+    const areaX = box.x
+    const areaY = box.y
+    const areaWidth = box.width
+    const areaHeight = box.height
     
     // Check if element center is within area bounds
     const elementCenterX = elementX + elementWidth / 2
@@ -0,0 +1,177 @@
+/**
+ * Visual Areas Schema
+ * JSON Schema of the vision model's visual_areas response, requested as strict structured
+ * output, and validation of a response against its slide: the schema's types and required
+ * fields, known area types, confidences between 0 and 1, coordinates on the slide, and member
+ * text element IDs that exist and belong to one area only. An area lists its members in
+ * element_ids, in reading order; coordinates are only given for areas without text elements.
+ */
+
+// Visual context type of each area type the model may report
+const AREA_TYPE_CONTEXTS = {
+  title: 'title_group',
+  body_text: 'body_text',
+  caption: 'caption',
+  bullet_list: 'bullet_list',
+  header_footer: 'header_footer',
+  callout: 'callout',
+  navigation: 'navigation',
+  table: 'table_cell',
+  table_cell: 'table_cell',
+  table_header: 'table_header',
+  chart_label: 'chart_label',
+  smartart: 'smartart_node',
+  smartart_node: 'smartart_node',
+  alt_text: 'alt_text',
+  mixed_content: 'other',
+  image: 'other',
+  chart: 'chart_label'
+}
+
+const AREA_TYPES = Object.keys(AREA_TYPE_CONTEXTS)
+
+// Slide units an area may reach past the slide and its text elements (rounding in the model's answer)
+const BOUNDS_TOLERANCE = 2
+
+// Validation errors reported per response; the rest only repeat the same mistake
+const MAX_ERRORS = 20
+
+const STRING = { type: 'string' }
+const NUMBER = { type: 'number' }
+const NULL = { type: 'null' }
+
+/**
+ * Build an object schema whose properties are all required, as strict structured output demands
+ * @param {Object} properties - Property schemas
+ * @returns {Object} Object schema
+ */
+function strictObject(properties) {
+  return { type: 'object', properties, required: Object.keys(properties), additionalProperties: false }
+}
+
+const VISUAL_AREAS_SCHEMA = strictObject({
+  visual_areas: {
+    type: 'array',
+    items: strictObject({
+      id: STRING,
+      type: { type: 'string', enum: AREA_TYPES },
+      element_ids: { type: 'array', items: STRING },
+      coordinates: { anyOf: [strictObject({ x: NUMBER, y: NUMBER, width: NUMBER, height: NUMBER }), NULL] },
+      confidence: NUMBER,
+      topic: STRING,
+      context_description: STRING,
+      content_elements: { type: 'array', items: strictObject({ type: STRING, content: STRING }) }
+    })
+  }
+})
+
+/**
+ * Check a value against the subset of JSON Schema used by VISUAL_AREAS_SCHEMA
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, for messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function checkSchema(value, schema, path, errors) {
+  if (schema.anyOf) {
+    // Only nullable values use anyOf: null, or the other option
+    if (value === null && schema.anyOf.includes(NULL)) return
+    checkSchema(value, schema.anyOf.find(option => option !== NULL), path, errors)
+  } else if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path}: expected an object`)
+      return
+    }
+    schema.required.forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key}: missing`)
+    })
+    Object.keys(value).forEach(key => {
+      if (schema.properties[key]) checkSchema(value[key], schema.properties[key], `${path}.${key}`, errors)
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: unexpected property`)
+    })
+  } else if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${path}: expected an array`)
+      return
+    }
+    value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, errors))
+  } else if (schema.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${path}: expected a number`)
+  } else if (typeof value !== 'string') {
+    errors.push(`${path}: expected a string`)
+  } else if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: unknown value "${value}"; use one of ${schema.enum.join(', ')}`)
+  }
+}
+
+/**
+ * Validate a visual analysis response for a slide
+ * @param {*} result - Parsed response
+ * @param {Object} slide - Slide ({ slideSize, textElements })
+ * @returns {Array<string>} Errors, at most MAX_ERRORS; empty when the response is valid
+ */
+function validateVisualAreas(result, { slideSize, textElements }) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) return ['$: expected an object']
+  if (!Array.isArray(result.visual_areas)) return ['$.visual_areas: expected an array']
+  const errors = Object.keys(result)
+    .filter(key => key !== 'visual_areas')
+    .map(key => `$.${key}: unexpected property`)
+
+  // Shapes may overhang the slide; areas around them are still on it
+  const bounds = textElements.reduce((box, element) => ({
+    left: Math.min(box.left, element.boundingBox.x),
+    top: Math.min(box.top, element.boundingBox.y),
+    right: Math.max(box.right, element.boundingBox.x + element.boundingBox.width),
+    bottom: Math.max(box.bottom, element.boundingBox.y + element.boundingBox.height)
+  }), { left: 0, top: 0, right: slideSize.width, bottom: slideSize.height })
+  const elementIds = new Set(textElements.map(element => element.id))
+  const areaIds = new Set()
+  const memberAreas = new Map()
+
+  // Each area's values are only checked once its structure is right
+  result.visual_areas.forEach((area, index) => {
+    const path = `$.visual_areas[${index}]`
+    const structureErrors = []
+    checkSchema(area, VISUAL_AREAS_SCHEMA.properties.visual_areas.items, path, structureErrors)
+    if (structureErrors.length > 0) {
+      errors.push(...structureErrors)
+      return
+    }
+
+    if (areaIds.has(area.id)) errors.push(`${path}.id: duplicate area id "${area.id}"`)
+    areaIds.add(area.id)
+    area.element_ids.forEach((id, idIndex) => {
+      const idPath = `${path}.element_ids[${idIndex}]`
+      if (!elementIds.has(id)) {
+        errors.push(`${idPath}: unknown text element id "${id}"`)
+      } else if (memberAreas.has(id)) {
+        errors.push(`${idPath}: text element "${id}" is already in area "${memberAreas.get(id)}"`)
+      } else {
+        memberAreas.set(id, area.id)
+      }
+    })
+
+    if (area.coordinates) {
+      const { x, y, width, height } = area.coordinates
+      if (width < 0 || height < 0) {
+        errors.push(`${path}.coordinates: width and height must not be negative`)
+      } else if (x < bounds.left - BOUNDS_TOLERANCE || y < bounds.top - BOUNDS_TOLERANCE ||
+        x + width > bounds.right + BOUNDS_TOLERANCE || y + height > bounds.bottom + BOUNDS_TOLERANCE) {
+        errors.push(`${path}.coordinates: outside the ${slideSize.width} x ${slideSize.height} slide`)
+      }
+    } else if (area.element_ids.length === 0) {
+      errors.push(`${path}: an area without element_ids needs coordinates`)
+    }
+    if (area.confidence < 0 || area.confidence > 1) {
+      errors.push(`${path}.confidence: must be between 0 and 1`)
+    }
+  })
+
+  return errors.slice(0, MAX_ERRORS)
+}
+
+module.exports = {
+  AREA_TYPE_CONTEXTS,
+  VISUAL_AREAS_SCHEMA,
+  validateVisualAreas
+}
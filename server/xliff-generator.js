@@ -1,11 +1,35 @@
+const XLIFFValidator = require('./xliff-validator')
+
 /**
  * XLIFF Generator
  * Creates XLIFF files with high-resolution visual segmentation metadata
  */
 
+// Segment run types that carry source content (others are structural)
+const CONTENT_RUN_TYPES = ['text', 'field']
+
+// Inline code ctypes for a span that differs from the base formatting in a single property
+const FORMATTING_CTYPES = {
+  bold: 'bold',
+  italic: 'italic',
+  underline: 'underlined'
+}
+
+// 'format' identifies x-formatting spans of runs rebuilt from an imported XLIFF
+const FORMATTING_PROPERTIES = ['bold', 'italic', 'underline', 'color', 'fontFamily', 'fontSize', 'format']
+
+// How a text box reacts to text that does not fit, by autofit setting
+const AUTOFIT_DESCRIPTIONS = {
+  shrink: 'the text box shrinks its text to fit',
+  resize: 'the text box grows to the bottom of the slide'
+}
+
 class XLIFFGenerator {
   constructor() {
     this.namespace = 'urn:oasis:names:tc:xliff:document:1.2'
+    // Extension attributes (vs:elements, vs:runs, vs:href) mapping units and inline codes back to PowerPoint runs
+    this.visualNamespace = 'urn:visual-segmenter:xliff'
+    this.validator = new XLIFFValidator()
   }
 
   /**
@@ -14,18 +38,20 @@ class XLIFFGenerator {
    * @param {string} fileName - Original file name
    * @param {string} sourceLanguage - Source language code (default: en)
    * @param {string} targetLanguage - Target language code (default: es)
+   * @param {Object} [options] - Export options
+   * @param {Object} [options.screenshots] - Context screenshots from ContextScreenshots, added as bin-units
    * @returns {string} XLIFF XML content
    */
-  generateXLIFF(segments, fileName, sourceLanguage = 'en', targetLanguage = 'es') {
+  generateXLIFF(segments, fileName, sourceLanguage = 'en', targetLanguage = 'es', options = {}) {
     const fileId = this.generateFileId(fileName)
     const date = new Date().toISOString()
     
     const header = this.generateHeader(fileName, sourceLanguage, targetLanguage, date)
-    const body = this.generateBody(segments, fileId)
+    const body = this.generateBody(segments, fileId, options.screenshots)
     const footer = this.generateFooter()
     
     return `<?xml version="1.0" encoding="UTF-8"?>
-<xliff version="1.2" xmlns="${this.namespace}">
+<xliff version="1.2" xmlns="${this.namespace}" xmlns:vs="${this.visualNamespace}">
 ${header}
 ${body}
 ${footer}
@@ -42,8 +68,8 @@ ${footer}
    */
   generateHeader(fileName, sourceLanguage, targetLanguage, date) {
     return `  <file original="${this.escapeXml(fileName)}" 
-        source-language="${sourceLanguage}" 
-        target-language="${targetLanguage}" 
+        source-language="${this.escapeXml(sourceLanguage)}" 
+        target-language="${this.escapeXml(targetLanguage)}" 
         datatype="plaintext" 
         date="${date}">
     <header>
@@ -53,50 +79,520 @@ ${footer}
   }
 
   /**
-   * Generate XLIFF body with segments
+   * Generate XLIFF body: a group per slide holding a group per visual context and one for the
+   * speaker notes, with the slide's screenshot (if any) as its first bin-unit
    * @param {Array} segments - Array of visual segments
    * @param {string} fileId - File ID
+   * @param {Object} [screenshots] - Context screenshots ({ mode, slides, segments })
    * @returns {string} Body XML
    */
-  generateBody(segments, fileId) {
-    const transUnits = segments.map((segment, index) => 
-      this.generateTransUnit(segment, index + 1, fileId)
-    ).join('\n')
+  generateBody(segments, fileId, screenshots) {
+    const content = this.groupSegments(segments)
+      .map(slide => this.generateSlideGroup(slide, fileId, screenshots))
+      .join('\n')
 
     return `    <body>
-${transUnits}
+${content}
     </body>`
   }
 
+  /**
+   * Arrange segments into slides, and within each slide into visual context and speaker notes
+   * groups. Groups appear where their first segment appears.
+   * @param {Array} segments - Array of visual segments
+   * @returns {Array} Slides ({ slideId, blocks }); a block is a unit ({ segment, index }) or a
+   *   group ({ key, notes, segment, units })
+   */
+  groupSegments(segments) {
+    const slides = new Map()
+
+    segments.forEach((segment, index) => {
+      if (!slides.has(segment.slideId)) {
+        slides.set(segment.slideId, { slideId: segment.slideId, blocks: [], groups: new Map() })
+      }
+      const slide = slides.get(segment.slideId)
+      const unit = { segment, index: index + 1 }
+
+      const groupKey = this.getGroupKey(segment)
+      if (!groupKey) {
+        slide.blocks.push(unit)
+        return
+      }
+
+      if (!slide.groups.has(groupKey)) {
+        const group = { key: groupKey, notes: segment.flow === 'notes', segment, units: [] }
+        slide.groups.set(groupKey, group)
+        slide.blocks.push(group)
+      }
+      slide.groups.get(groupKey).units.push(unit)
+    })
+
+    return [...slides.values()].map(({ slideId, blocks }) => ({ slideId, blocks }))
+  }
+
+  /**
+   * Get the group a segment belongs to inside its slide
+   * @param {Object} segment - Visual segment
+   * @returns {string|null} Visual context ID, 'notes', or null for segments directly under the slide
+   */
+  getGroupKey(segment) {
+    if (segment.flow === 'notes') return 'notes'
+    if (segment.parentContextId) return segment.parentContextId
+    if (segment.isCombined && segment.visualContextId) return segment.visualContextId
+    return null
+  }
+
+  /**
+   * Generate the group of one slide
+   * @param {Object} slide - Slide ({ slideId, blocks })
+   * @param {string} fileId - File ID
+   * @param {Object} [screenshots] - Context screenshots
+   * @returns {string} Group XML
+   */
+  generateSlideGroup(slide, fileId, screenshots) {
+    const groupId = `${fileId}_slide_${slide.slideId}`
+    const slideScreenshot = screenshots && screenshots.slides.get(slide.slideId)
+    const content = [
+      ...(slideScreenshot ? [this.generateScreenshot(`${groupId}_screenshot`, slideScreenshot, screenshots.mode, '        ')] : []),
+      ...slide.blocks.map(block => block.units
+        ? this.generateContextGroup(groupId, block, fileId, screenshots)
+        : this.generateUnitWithScreenshot(block, fileId, screenshots, '        ')
+      )
+    ].join('\n')
+
+    return `      <group id="${groupId}" resname="slide_${slide.slideId}" restype="x-slide">
+${content}
+      </group>`
+  }
+
+  /**
+   * Generate a visual context or speaker notes group of a slide
+   * @param {string} slideGroupId - ID of the slide group
+   * @param {Object} group - Group ({ key, notes, segment, units })
+   * @param {string} fileId - File ID
+   * @param {Object} [screenshots] - Context screenshots
+   * @returns {string} Group XML
+   */
+  generateContextGroup(slideGroupId, group, fileId, screenshots) {
+    const transUnits = group.units
+      .map(unit => this.generateUnitWithScreenshot(unit, fileId, screenshots, '          '))
+      .join('\n')
+
+    if (group.notes) {
+      return `        <group id="${slideGroupId}_notes" resname="slide_${group.segment.slideId}_notes" restype="x-speaker-notes">
+${this.generateMetadataContexts([['visual_context', 'notes']]).map(line => `          ${line}`).join('\n')}
+${transUnits}
+        </group>`
+    }
+
+    return `        <group id="${slideGroupId}_${this.generateFileId(group.key)}" resname="${this.escapeXml(group.key)}" restype="x-visual-context">
+${this.generateMetadataContexts([['visual_context', this.escapeXml(group.segment.visualContext)]]).map(line => `          ${line}`).join('\n')}
+${transUnits}
+        </group>`
+  }
+
+  /**
+   * Generate a trans-unit, preceded by the bin-unit of its highlighted screenshot (if any)
+   * @param {Object} unit - Unit ({ segment, index })
+   * @param {string} fileId - File ID
+   * @param {Object} [screenshots] - Context screenshots
+   * @param {string} padding - Indentation
+   * @returns {string} XML
+   */
+  generateUnitWithScreenshot(unit, fileId, screenshots, padding) {
+    const screenshot = screenshots && screenshots.segments.get(unit.segment.id)
+    if (!screenshot) return this.generateTransUnit(unit.segment, unit.index, fileId, padding)
+
+    const screenshotId = `${fileId}_seg_${unit.index}_screenshot`
+    return [
+      this.generateScreenshot(screenshotId, screenshot, screenshots.mode, padding),
+      this.generateTransUnit(unit.segment, unit.index, fileId, padding, screenshotId)
+    ].join('\n')
+  }
+
+  /**
+   * Generate the bin-unit of a context screenshot: embedded as base64, or referencing the
+   * image file next to the XLIFF in a package
+   * @param {string} id - bin-unit ID
+   * @param {Object} screenshot - Screenshot ({ name, png })
+   * @param {string} mode - 'embed' or 'package'
+   * @param {string} padding - Indentation
+   * @returns {string} bin-unit XML
+   */
+  generateScreenshot(id, screenshot, mode, padding) {
+    const file = mode === 'embed'
+      ? `<internal-file form="base64">${screenshot.png.toString('base64')}</internal-file>`
+      : `<external-file href="${this.escapeXml(screenshot.href)}"/>`
+
+    return [
+      `<bin-unit id="${id}" mime-type="image/png" resname="${this.escapeXml(screenshot.name)}" restype="x-screenshot" translate="no">`,
+      `  <bin-source>${file}</bin-source>`,
+      '</bin-unit>'
+    ].map(line => padding + line).join('\n')
+  }
+
   /**
    * Generate a translation unit for a segment
    * @param {Object} segment - Visual segment
    * @param {number} index - Segment index
    * @param {string} fileId - File ID
+   * @param {string} [padding] - Indentation of the trans-unit element
+   * @param {string} [screenshotId] - ID of the bin-unit with the segment's screenshot
    * @returns {string} Translation unit XML
    */
-  generateTransUnit(segment, index, fileId) {
+  generateTransUnit(segment, index, fileId, padding = '      ', screenshotId = null) {
     const id = `${fileId}_seg_${index}`
-    const source = this.escapeXml(segment.text)
-    const target = this.escapeXml(segment.translation || segment.text)
+    const source = this.generateInlineContent(segment)
+    const target = this.generateTargetContent(segment, source)
     
     // Generate visual context metadata
     const visualMetadata = this.generateVisualMetadata(segment)
-    
-    return `      <trans-unit id="${id}" resname="visual_segment_${index}">
-        <source>${source}</source>
-        <target state="new">${target}</target>
-        <note category="visual_context" priority="1">${visualMetadata}</note>
-        <note category="coordinates">${JSON.stringify(segment.coordinates)}</note>
-        <note category="confidence">${segment.confidence}</note>
-        <note category="slide_id">${segment.slideId}</note>
-        <note category="text_element_id">${segment.textElementId}</note>
-        <note category="visual_context_id">${segment.visualContextId}</note>
-        ${segment.topic ? `<note category="topic">${this.escapeXml(segment.topic)}</note>` : ''}
-        ${segment.semanticContext ? `<note category="semantic_context">${this.escapeXml(segment.semanticContext)}</note>` : ''}
-        ${segment.contentElements ? `<note category="content_elements">${this.escapeXml(JSON.stringify(segment.contentElements))}</note>` : ''}
-        ${segment.notes ? `<note category="analysis_notes">${this.escapeXml(segment.notes)}</note>` : ''}
-      </trans-unit>`
+
+    // Hidden text kept for reference only is marked as not translatable
+    const translate = segment.translate === false ? ' translate="no"' : ''
+    const placement = this.generatePlacementAttributes(segment)
+    const screenshot = screenshotId ? ` vs:screenshot="${screenshotId}"` : ''
+    // CAT tools enforce the character limit the text box geometry allows
+    const maxWidth = segment.lengthConstraint ? ` maxwidth="${segment.lengthConstraint.maxChars}" size-unit="char"` : ''
+    const mt = segment.machineTranslation
+    const stateQualifier = mt ? ' state-qualifier="mt-suggestion"' : ''
+
+    const contexts = [
+      ['visual_context', visualMetadata],
+      ['coordinates', this.escapeXml(JSON.stringify(segment.coordinates))],
+      ['confidence', this.escapeXml(segment.confidence)],
+      ['slide_id', this.escapeXml(segment.slideId)],
+      ['text_element_id', this.escapeXml(segment.textElementId)],
+      ['visual_context_id', this.escapeXml(segment.visualContextId)],
+      segment.topic && ['topic', this.escapeXml(segment.topic)],
+      segment.semanticContext && ['semantic_context', this.escapeXml(segment.semanticContext)],
+      segment.contentElements && ['content_elements', this.escapeXml(JSON.stringify(segment.contentElements))],
+      segment.notes && ['analysis_notes', this.escapeXml(segment.notes)],
+      segment.tableCell && ['table_context', this.escapeXml(this.describeTableCell(segment.tableCell))],
+      segment.chartLabel && ['chart_context', this.escapeXml(this.describeChartLabel(segment.chartLabel))],
+      segment.smartArtNode && ['smartart_context', this.escapeXml(this.describeSmartArtNode(segment.smartArtNode))],
+      segment.lengthConstraint && ['length_constraint', this.escapeXml(this.describeLengthConstraint(segment.lengthConstraint))],
+      segment.hidden && ['visibility', 'Hidden in the slide show'],
+      mt && mt.confidence && ['mt_confidence', this.escapeXml(mt.confidence)],
+      mt && mt.rationale && ['mt_rationale', this.escapeXml(mt.rationale)]
+    ]
+
+    const lines = [
+      `<trans-unit id="${id}" resname="visual_segment_${index}"${translate}${maxWidth}${placement}${screenshot}>`,
+      `  <source>${source}</source>`,
+      `  <target state="${this.escapeXml(segment.state || 'new')}"${stateQualifier}>${target}</target>`,
+      ...this.generateMetadataContexts(contexts.filter(Boolean)).map(line => `  ${line}`),
+      ...(segment.comments || []).map(comment => `  ${this.generateCommentNote(comment)}`),
+      '</trans-unit>'
+    ]
+
+    // Source, target and JSON contexts may span lines; only the element lines are indented
+    return lines.map(line => padding + line).join('\n')
+  }
+
+  /**
+   * Generate the context-group carrying the analysis metadata of a unit or group, one context
+   * per category (XLIFF 1.2 notes have no category)
+   * @param {Array} contexts - [category, escaped text] pairs
+   * @returns {Array<string>} Lines of the context-group element
+   */
+  generateMetadataContexts(contexts) {
+    return [
+      '<context-group name="visual-segmenter" purpose="information">',
+      ...contexts.map(([category, text]) => `  <context context-type="x-${category}">${text}</context>`),
+      '</context-group>'
+    ]
+  }
+
+  /**
+   * Generate the attributes that let a translated unit be written back into the presentation:
+   * the text element of each joined part, and every source run the unit covers
+   * @param {Object} segment - Visual segment
+   * @returns {string} Attribute XML with a leading space
+   */
+  generatePlacementAttributes(segment) {
+    const elementIds = segment.elementIds || [segment.textElementId]
+    // Imported segments keep the unit's refs; their rebuilt runs only carry one ref per inline code
+    const refs = segment.runRefs ||
+      (Array.isArray(segment.runs) ? segment.runs.filter(run => run.ref).map(run => run.ref) : [])
+    const runsAttr = refs.length > 0 ? ` vs:runs="${this.escapeXml(refs.join(' '))}"` : ''
+
+    return ` vs:elements="${this.escapeXml(elementIds.join(' '))}"${runsAttr}`
+  }
+
+  /**
+   * Generate a translator note for a slide comment
+   * @param {Object} comment - Slide comment ({ author, date, text })
+   * @returns {string} Note XML
+   */
+  generateCommentNote(comment) {
+    const from = comment.author ? ` from="${this.escapeXml(comment.author)}"` : ''
+    return `<note${from} annotates="source">${this.escapeXml(comment.text)}</note>`
+  }
+
+  /**
+   * Describe a table cell's position and headers for the translator
+   * @param {Object} tableCell - Table cell ({ tableId, row, column, rowHeader, columnHeader })
+   * @returns {string} Description, e.g. 'Table cell row 2, column 3 | Row header: "EMEA" | Column header: "Sales"'
+   */
+  describeTableCell(tableCell) {
+    const parts = [`Table cell row ${tableCell.row + 1}, column ${tableCell.column + 1}`]
+    if (tableCell.rowHeader) parts.push(`Row header: "${tableCell.rowHeader}"`)
+    if (tableCell.columnHeader) parts.push(`Column header: "${tableCell.columnHeader}"`)
+    return parts.join(' | ')
+  }
+
+  /**
+   * Describe a chart label's role for the translator
+   * @param {Object} chartLabel - Chart label ({ chartId, role, axis, index })
+   * @returns {string} Description, e.g. 'Chart category label 2 (category axis)'
+   */
+  describeChartLabel(chartLabel) {
+    const roles = {
+      title: 'Chart title',
+      axis_title: 'Chart axis title',
+      category: `Chart category label ${chartLabel.index + 1}`,
+      series: `Chart series name ${chartLabel.index + 1}`
+    }
+    const role = roles[chartLabel.role] || 'Chart label'
+    return chartLabel.axis ? `${role} (${chartLabel.axis} axis)` : role
+  }
+
+  /**
+   * Describe a SmartArt node's place in the diagram hierarchy for the translator
+   * @param {Object} smartArtNode - SmartArt node ({ diagramId, nodeId, parentId, depth, siblingIndex, siblingCount })
+   * @returns {string} Description, e.g. 'SmartArt node level 1, item 2 of 3'
+   */
+  describeSmartArtNode(smartArtNode) {
+    return `SmartArt node level ${smartArtNode.depth + 1}, item ${smartArtNode.siblingIndex + 1} of ${smartArtNode.siblingCount}`
+  }
+
+  /**
+   * Describe a segment's length constraint for translators
+   * @param {Object} lengthConstraint - Length constraint ({ maxChars, maxLines, autofit })
+   * @returns {string} Description
+   */
+  describeLengthConstraint(lengthConstraint) {
+    const lines = lengthConstraint.maxLines === 1 ? '1 line' : `${lengthConstraint.maxLines} lines`
+    const autofit = AUTOFIT_DESCRIPTIONS[lengthConstraint.autofit]
+    return `Fits about ${lengthConstraint.maxChars} characters in ${lines}${autofit ? `; ${autofit}` : ''}`
+  }
+
+  /**
+   * Generate target content: the translation as text, or with the inline codes of the source
+   * when it was generated run by run (pseudo-translations carry targetRuns)
+   * @param {Object} segment - Visual segment
+   * @param {string} source - Source content
+   * @returns {string} Escaped target content
+   */
+  generateTargetContent(segment, source) {
+    if (!segment.translation) return source
+    if (!this.hasTargetRuns(segment)) return this.generatePlainContent(segment.translation)
+
+    // Codes are based on the source runs so that both sides carry the same codes
+    return this.generateInlineContent({ ...segment, runs: segment.targetRuns, text: segment.translation }, segment.runs)
+  }
+
+  /**
+   * Check whether a segment's target runs line up with its source runs
+   * @param {Object} segment - Visual segment
+   * @returns {boolean} True if the target can be written with the source's inline codes
+   */
+  hasTargetRuns(segment) {
+    const { runs, targetRuns } = segment
+    return Array.isArray(runs) && Array.isArray(targetRuns) && runs.length > 0 &&
+      targetRuns.length === runs.length &&
+      runs.map(run => run.text).join('') === segment.text &&
+      targetRuns.map(run => run.text).join('') === segment.translation &&
+      targetRuns.every((run, index) => run.type === runs[index].type)
+  }
+
+  /**
+   * Generate plain text content. Paragraph breaks are x codes rather than newlines, which
+   * CAT tools may normalize away as whitespace.
+   * @param {string} text - Text, with paragraph breaks as newlines
+   * @returns {string} Escaped content
+   */
+  generatePlainContent(text) {
+    let nextId = 1
+    return String(text).split('\n')
+      .map(line => this.escapeXml(line))
+      .reduce((content, line) => `${content}<x id="${nextId++}" ctype="x-paragraph"/>${line}`)
+  }
+
+  /**
+   * Generate source content with XLIFF 1.2 inline codes for formatting, line and paragraph
+   * breaks, fields and hyperlinks. Falls back to plain text when the segment has no runs or
+   * its text was edited after segmentation.
+   * @param {Object} segment - Visual segment with optional runs
+   * @param {Array} [baseRuns] - Runs that decide the base formatting left out of the codes
+   * @returns {string} Escaped content with inline codes
+   */
+  generateInlineContent(segment, baseRuns = segment.runs) {
+    const runs = segment.runs
+    if (!Array.isArray(runs) || runs.length === 0 || runs.map(run => run.text).join('') !== segment.text) {
+      return this.generatePlainContent(segment.text)
+    }
+
+    const baseRun = this.findBaseRun(baseRuns)
+    const baseKey = this.getFormattingKey(baseRun)
+    const formatSpans = this.findSpans(runs, run => this.getFormattingKey(run), baseKey)
+    const linkSpans = this.findSpans(runs, run => run.hyperlink || '', '')
+
+    // Codes opened before / closed after each run; links wrap formatting where they nest
+    const linkOpen = runs.map(() => [])
+    const formatOpen = runs.map(() => [])
+    const formatClose = runs.map(() => [])
+    const linkClose = runs.map(() => [])
+
+    linkSpans.forEach((link, linkIndex) => {
+      const refs = this.getSpanRefs(runs, link)
+      const nests = formatSpans.every(span =>
+        span.end < link.start || span.start > link.end || (span.start >= link.start && span.end <= link.end)
+      )
+
+      if (nests) {
+        linkOpen[link.start].push({ tag: 'g', ctype: 'link', href: link.key, refs })
+        linkClose[link.end].push({ tag: '/g' })
+      } else {
+        linkOpen[link.start].push({ tag: 'bx', ctype: 'link', href: link.key, refs, pair: linkIndex })
+        linkClose[link.end].push({ tag: 'ex', pair: linkIndex })
+      }
+    })
+
+    formatSpans.forEach(span => {
+      formatOpen[span.start].push({ tag: 'g', ctype: this.getFormattingCtype(runs[span.start], baseRun), refs: this.getSpanRefs(runs, span) })
+      formatClose[span.end].push({ tag: '/g' })
+    })
+
+    let nextId = 1
+    const pairIds = new Map()
+    const serializeCode = code => {
+      const runsAttr = code.refs ? ` vs:runs="${this.escapeXml(code.refs)}"` : ''
+      const hrefAttr = code.href ? ` vs:href="${this.escapeXml(code.href)}"` : ''
+
+      switch (code.tag) {
+        case 'g':
+          return `<g id="${nextId++}" ctype="${code.ctype}"${hrefAttr}${runsAttr}>`
+        case '/g':
+          return '</g>'
+        case 'bx':
+          pairIds.set(code.pair, nextId)
+          return `<bx id="${nextId++}" ctype="${code.ctype}"${hrefAttr}${runsAttr}/>`
+        case 'ex':
+          return `<ex id="${nextId++}" rid="${pairIds.get(code.pair)}"/>`
+        default:
+          return ''
+      }
+    }
+
+    return runs.map((run, index) => {
+      const opening = [...linkOpen[index], ...formatOpen[index]].map(serializeCode).join('')
+      let content
+      if (run.type === 'break') {
+        content = `<x id="${nextId++}" ctype="lb" vs:runs="${this.escapeXml(run.ref || '')}"/>`
+      } else if (run.type === 'paragraph') {
+        content = `<x id="${nextId++}" ctype="x-paragraph"/>`
+      } else if (run.type === 'field') {
+        content = `<ph id="${nextId++}" ctype="x-field" vs:runs="${this.escapeXml(run.ref || '')}">${this.escapeXml(run.text)}</ph>`
+      } else if (run.type === 'separator') {
+        // Boundary between the text elements of a combined or merged segment
+        content = `<ph id="${nextId++}" ctype="x-separator">${this.escapeXml(run.text)}</ph>`
+      } else {
+        content = this.escapeXml(run.text)
+      }
+      const closing = [...formatClose[index], ...linkClose[index]].map(serializeCode).join('')
+
+      return opening + content + closing
+    }).join('')
+  }
+
+  /**
+   * Find the run whose formatting covers the most characters
+   * @param {Array} runs - Segment runs
+   * @returns {Object} Representative run of the base formatting
+   */
+  findBaseRun(runs) {
+    const lengths = new Map()
+    let baseRun = null
+    let baseLength = -1
+
+    runs.filter(run => CONTENT_RUN_TYPES.includes(run.type)).forEach(run => {
+      const key = this.getFormattingKey(run)
+      const length = (lengths.get(key) || 0) + run.text.length
+      lengths.set(key, length)
+      if (length > baseLength) {
+        baseLength = length
+        baseRun = run
+      }
+    })
+
+    return baseRun || runs[0]
+  }
+
+  /**
+   * Build a comparable key from a run's formatting
+   * @param {Object} run - Segment run
+   * @returns {string} Formatting key
+   */
+  getFormattingKey(run) {
+    return JSON.stringify(FORMATTING_PROPERTIES.map(property => run[property] ?? null))
+  }
+
+  /**
+   * Choose the ctype for a formatted span
+   * @param {Object} run - First run of the span
+   * @param {Object} baseRun - Run with the base formatting
+   * @returns {string} XLIFF ctype
+   */
+  getFormattingCtype(run, baseRun) {
+    const differences = FORMATTING_PROPERTIES.filter(property => (run[property] ?? null) !== (baseRun[property] ?? null))
+    if (differences.length === 1 && FORMATTING_CTYPES[differences[0]] && run[differences[0]]) {
+      return FORMATTING_CTYPES[differences[0]]
+    }
+    return 'x-formatting'
+  }
+
+  /**
+   * Find maximal spans of consecutive content runs sharing a key other than the base key.
+   * Line breaks may sit inside a span; paragraph and segment separators end it.
+   * @param {Array} runs - Segment runs
+   * @param {Function} keyOf - Returns the key of a content run
+   * @param {string} baseKey - Key that needs no inline code
+   * @returns {Array} Spans ({ key, start, end } run indices, inclusive)
+   */
+  findSpans(runs, keyOf, baseKey) {
+    const spans = []
+    let current = null
+
+    runs.forEach((run, index) => {
+      if (run.type === 'break') return
+
+      const key = CONTENT_RUN_TYPES.includes(run.type) ? keyOf(run) : baseKey
+      if (current && key === current.key) {
+        current.end = index
+        return
+      }
+
+      current = key !== baseKey ? { key, start: index, end: index } : null
+      if (current) spans.push(current)
+    })
+
+    return spans
+  }
+
+  /**
+   * List the source run refs covered by a span
+   * @param {Array} runs - Segment runs
+   * @param {Object} span - Span ({ start, end })
+   * @returns {string} Space-separated run refs
+   */
+  getSpanRefs(runs, span) {
+    return runs
+      .slice(span.start, span.end + 1)
+      .filter(run => run.ref)
+      .map(run => run.ref)
+      .join(' ')
   }
 
   /**
@@ -117,6 +613,15 @@ ${transUnits}
       elementCount: segment.elementCount || 1,
       originalSegments: segment.originalSegments || [],
       parentContextId: segment.parentContextId || null,
+      // Structure restored when the file is imported again
+      flow: segment.flow || 'slide',
+      paragraphIndices: segment.paragraphIndices,
+      tableCell: segment.tableCell,
+      chartLabel: segment.chartLabel,
+      smartArtNode: segment.smartArtNode,
+      lengthConstraint: segment.lengthConstraint,
+      hidden: segment.hidden || false,
+      machineTranslation: segment.machineTranslation,
       // Enhanced semantic context
       topic: segment.topic,
       semanticContext: segment.semanticContext,
@@ -178,46 +683,14 @@ ${transUnits}
   }
 
   /**
-   * Validate XLIFF content
+   * Validate XLIFF 1.2 content: well-formedness, the bundled XSDs, unique IDs and language codes
    * @param {string} xliffContent - XLIFF content
-   * @returns {Object} Validation result
+   * @param {Object} options - Validation options
+   * @param {boolean} options.lax - Accept extensions of other tools, for files coming back from a CAT tool
+   * @returns {Promise<Object>} Validation result ({ isValid, errors: [{ message, line, column }], warnings, transUnitCount, fileSize })
    */
-  validateXLIFF(xliffContent) {
-    const errors = []
-    const warnings = []
-
-    // Basic XML structure validation
-    if (!xliffContent.includes('<?xml version="1.0"')) {
-      errors.push('Missing XML declaration')
-    }
-
-    if (!xliffContent.includes('<xliff version="1.2"')) {
-      errors.push('Missing XLIFF root element')
-    }
-
-    if (!xliffContent.includes('<file')) {
-      errors.push('Missing file element')
-    }
-
-    if (!xliffContent.includes('<body')) {
-      errors.push('Missing body element')
-    }
-
-    if (!xliffContent.includes('<trans-unit')) {
-      warnings.push('No translation units found')
-    }
-
-    // Count translation units
-    const transUnitMatches = xliffContent.match(/<trans-unit/g)
-    const transUnitCount = transUnitMatches ? transUnitMatches.length : 0
-
-    return {
-      isValid: errors.length === 0,
-      errors,
-      warnings,
-      transUnitCount,
-      fileSize: xliffContent.length
-    }
+  validateXLIFF(xliffContent, { lax = false } = {}) {
+    return this.validator.validate(xliffContent, { version: '1.2', lax })
   }
 }
 
@@ -0,0 +1,317 @@
+const { parseXml, getChildren, getAttr } = require('./xml-utils')
+
+/**
+ * XLIFF Parser
+ * Reads XLIFF 1.2 files (exported by XLIFFGenerator, or round-tripped through a CAT tool)
+ * back into translation units and visual segments
+ */
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:1.2'
+const VISUAL_NAMESPACE = 'urn:visual-segmenter:xliff'
+
+// Formatting flags set by the single-property ctypes of XLIFFGenerator
+const CTYPE_FORMATTING = {
+  bold: 'bold',
+  italic: 'italic',
+  underlined: 'underline'
+}
+
+const TEXT_TOKEN_TYPES = ['text', 'field']
+
+class XLIFFParser {
+  /**
+   * Parse the file and translation units of an XLIFF 1.2 document
+   * @param {string} xliffContent - XLIFF content
+   * @returns {Object} { fileName, sourceLanguage, targetLanguage, units }
+   */
+  parseXLIFF(xliffContent) {
+    const document = parseXml(xliffContent)
+    const file = document.getElementsByTagNameNS(XLIFF_NAMESPACE, 'file')[0]
+    if (!file) {
+      throw new Error('Not an XLIFF 1.2 document - missing file element')
+    }
+
+    const units = Array.from(document.getElementsByTagNameNS(XLIFF_NAMESPACE, 'trans-unit')).map((unit, order) => {
+      const source = this.findXliffChild(unit, 'source')
+      const target = this.findXliffChild(unit, 'target')
+      const group = unit.parentNode && unit.parentNode.localName === 'group' ? unit.parentNode : null
+
+      return {
+        id: getAttr(unit, 'id'),
+        order,
+        translate: getAttr(unit, 'translate') !== 'no',
+        maxChars: getAttr(unit, 'size-unit') === 'char' ? Number(getAttr(unit, 'maxwidth')) || null : null,
+        elements: this.readVisualAttr(unit, 'elements'),
+        refs: this.readVisualAttr(unit, 'runs'),
+        codedRefs: source ? this.readCodedRefs(source) : new Set(),
+        sourceTokens: source ? this.readTokens(source) : [],
+        targetTokens: target ? this.readTokens(target) : null,
+        state: target ? getAttr(target, 'state') : null,
+        groupType: group ? getAttr(group, 'restype') : null,
+        contexts: getChildren(unit)
+          .filter(child => child.namespaceURI === XLIFF_NAMESPACE && child.localName === 'context-group')
+          .flatMap(group => getChildren(group).filter(child => child.localName === 'context'))
+          .map(context => ({ type: getAttr(context, 'context-type'), text: context.textContent })),
+        notes: getChildren(unit)
+          .filter(child => child.namespaceURI === XLIFF_NAMESPACE && child.localName === 'note')
+          .map(note => ({ from: getAttr(note, 'from'), annotates: getAttr(note, 'annotates'), text: note.textContent }))
+      }
+    })
+
+    return {
+      fileName: getAttr(file, 'original'),
+      sourceLanguage: getAttr(file, 'source-language'),
+      targetLanguage: getAttr(file, 'target-language'),
+      units
+    }
+  }
+
+  /**
+   * Find the first XLIFF element child with the given local name
+   * @param {Element} element - Parent element
+   * @param {string} localName - Local name (e.g. "target")
+   * @returns {Element|null} Child element
+   */
+  findXliffChild(element, localName) {
+    return getChildren(element).find(child => child.namespaceURI === XLIFF_NAMESPACE && child.localName === localName) || null
+  }
+
+  /**
+   * Read a space-separated vs: extension attribute
+   * @param {Element} element - Element to read from
+   * @param {string} name - Local attribute name
+   * @returns {Array<string>} Attribute values
+   */
+  readVisualAttr(element, name) {
+    const value = element.getAttributeNS(VISUAL_NAMESPACE, name)
+    return value ? value.split(/\s+/).filter(Boolean) : []
+  }
+
+  /**
+   * Collect the run refs of the formatting and link codes of a source, i.e. the runs not in the base formatting
+   * @param {Element} source - The source element
+   * @returns {Set<string>} Run refs
+   */
+  readCodedRefs(source) {
+    const refs = new Set()
+    Array.from(source.getElementsByTagNameNS(XLIFF_NAMESPACE, '*'))
+      .filter(code => ['g', 'bx'].includes(code.localName))
+      .forEach(code => this.readVisualAttr(code, 'runs').forEach(ref => refs.add(ref)))
+    return refs
+  }
+
+  /**
+   * Read the content of a source or target into tokens. Text takes a run ref of its innermost
+   * code, preferring one inside the open bx link; text only inside a bx link takes the first
+   * link run no formatting code covers. Uncoded text has no ref.
+   * @param {Element} content - The source or target element
+   * @returns {Array} Tokens ({ type: 'text'|'break'|'field'|'paragraph'|'separator', text, ref, formatting })
+   */
+  readTokens(content) {
+    const tokens = []
+    let link = null
+
+    const formattedRefs = new Set()
+    Array.from(content.getElementsByTagNameNS(XLIFF_NAMESPACE, 'g'))
+      .filter(code => getAttr(code, 'ctype') !== 'link')
+      .forEach(code => this.readVisualAttr(code, 'runs').forEach(ref => formattedRefs.add(ref)))
+
+    const pickRef = codeRefs => {
+      const linkRefs = link ? link.refs : []
+      if (codeRefs.length > 0) return codeRefs.find(ref => linkRefs.includes(ref)) || codeRefs[0]
+      return linkRefs.find(ref => !formattedRefs.has(ref)) || linkRefs[0] || null
+    }
+
+    // Formatting of a token, from the codes enclosing it
+    const formattingOf = codes => {
+      const formatting = {}
+      codes.forEach(code => {
+        if (code.ctype === 'link') formatting.hyperlink = code.href
+        else if (CTYPE_FORMATTING[code.ctype]) formatting[CTYPE_FORMATTING[code.ctype]] = true
+        else formatting.format = `${code.ctype}:${code.refs.join(' ')}`
+      })
+      if (link) formatting.hyperlink = link.href
+      return formatting
+    }
+
+    const push = (type, text, ref, codes) => {
+      const formatting = formattingOf(codes)
+      const last = tokens[tokens.length - 1]
+      if (type === 'text' && last && last.type === 'text' && last.ref === ref &&
+        JSON.stringify(last.formatting) === JSON.stringify(formatting)) {
+        last.text += text
+      } else {
+        tokens.push({ type, text, ref, formatting })
+      }
+    }
+
+    const pushText = (text, codes) => {
+      const ref = pickRef(codes.length > 0 ? codes[codes.length - 1].refs : [])
+      // Paragraph and line breaks are x codes; a literal newline is only whitespace
+      const line = text.replace(/\r?\n/g, ' ')
+      if (line) push('text', line, ref, codes)
+    }
+
+    const walk = (node, codes) => {
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 3 || child.nodeType === 4) {
+          pushText(child.nodeValue, codes)
+          continue
+        }
+        if (child.nodeType !== 1) continue
+
+        const refs = this.readVisualAttr(child, 'runs')
+        const ctype = getAttr(child, 'ctype')
+        const innerRefs = codes.length > 0 ? codes[codes.length - 1].refs : []
+        switch (child.localName) {
+          case 'g':
+            walk(child, [...codes, { ctype, href: child.getAttributeNS(VISUAL_NAMESPACE, 'href') || null, refs: refs.length > 0 ? refs : innerRefs }])
+            break
+          case 'x':
+            if (ctype === 'lb') push('break', '\n', refs[0] || pickRef(innerRefs), codes)
+            else if (ctype === 'x-paragraph') push('paragraph', '\n', null, [])
+            break
+          case 'ph':
+            if (ctype === 'x-separator') push('separator', ' ', null, [])
+            else if (ctype === 'x-field') push('field', child.textContent, refs[0] || null, codes)
+            else pushText(child.textContent, codes)
+            break
+          case 'bx':
+            link = { href: child.getAttributeNS(VISUAL_NAMESPACE, 'href') || null, refs }
+            break
+          case 'ex':
+            link = null
+            break
+          default:
+            walk(child, codes)
+        }
+      }
+    }
+
+    walk(content, [])
+    return tokens
+  }
+
+  /**
+   * Get the plain text of tokens
+   * @param {Array} tokens - Tokens
+   * @returns {string} Text, with line and paragraph breaks as newlines
+   */
+  getTokenText(tokens) {
+    return tokens.map(token => token.text).join('')
+  }
+
+  /**
+   * Rebuild visual segments from a parsed XLIFF document, restoring targets, states and the
+   * metadata the x-visual_context context carries. Files that lost our contexts or vs: attributes
+   * in a CAT tool still load, with neutral defaults for the missing metadata.
+   * @param {Object} xliff - Parsed XLIFF from parseXLIFF
+   * @returns {Array} Visual segments
+   */
+  buildSegments(xliff) {
+    return xliff.units.map(unit => this.buildSegment(unit))
+  }
+
+  /**
+   * Rebuild one visual segment from a translation unit
+   * @param {Object} unit - Parsed unit
+   * @returns {Object} Visual segment
+   */
+  buildSegment(unit) {
+    const context = category => {
+      const found = unit.contexts.find(item => item.type === `x-${category}`)
+      return found ? found.text : null
+    }
+    const metadata = this.parseJson(context('visual_context')) || {}
+
+    const text = this.getTokenText(unit.sourceTokens)
+    const translation = unit.targetTokens ? this.getTokenText(unit.targetTokens) : ''
+    const textElementId = metadata.textElementId || context('text_element_id') || unit.elements[0] || unit.id
+    const slideId = Number(metadata.slideId ?? context('slide_id'))
+    const isNotes = unit.groupType === 'x-speaker-notes' || metadata.flow === 'notes'
+
+    const segment = {
+      id: unit.id,
+      slideId: Number.isFinite(slideId) ? slideId : 0,
+      textElementId,
+      visualContextId: metadata.visualContextId || context('visual_context_id') || 'individual',
+      coordinates: metadata.boundingBox || this.parseJson(context('coordinates')) || { x: 0, y: 0, width: 0, height: 0 },
+      text,
+      runs: this.buildRuns(unit),
+      visualContext: metadata.visualContext || (isNotes ? 'notes' : 'other'),
+      confidence: metadata.confidence || context('confidence') || 'medium',
+      state: unit.state || 'new',
+      notes: context('analysis_notes') || undefined,
+      isCombined: metadata.isCombined || false,
+      isMerged: metadata.isMerged || false,
+      elementCount: metadata.elementCount || unit.elements.length || 1,
+      originalSegments: metadata.originalSegments || [],
+      parentContextId: metadata.parentContextId || undefined,
+      topic: metadata.topic || context('topic') || undefined,
+      semanticContext: metadata.semanticContext || context('semantic_context') || undefined,
+      contentElements: metadata.contentElements || this.parseJson(context('content_elements')) || undefined
+    }
+
+    // The target of an untouched unit is a copy of its source
+    if (unit.targetTokens && (segment.state !== 'new' || translation !== text)) {
+      segment.translation = translation
+    }
+    if (unit.elements.length > 1 || (unit.elements.length === 1 && unit.elements[0] !== textElementId)) {
+      segment.elementIds = unit.elements
+    }
+    if (unit.refs.length > 0) segment.runRefs = unit.refs
+    if (metadata.paragraphIndices) segment.paragraphIndices = metadata.paragraphIndices
+    if (metadata.tableCell) segment.tableCell = metadata.tableCell
+    if (metadata.chartLabel) segment.chartLabel = metadata.chartLabel
+    if (metadata.smartArtNode) segment.smartArtNode = metadata.smartArtNode
+    // A CAT tool may have changed maxwidth; it takes precedence over the exported constraint
+    if (metadata.lengthConstraint || unit.maxChars) {
+      segment.lengthConstraint = { ...metadata.lengthConstraint, ...(unit.maxChars && { maxChars: unit.maxChars }) }
+    }
+    if (metadata.machineTranslation && segment.translation !== undefined) segment.machineTranslation = metadata.machineTranslation
+    if (isNotes) segment.flow = 'notes'
+    if (metadata.hidden || context('visibility')) segment.hidden = true
+    if (!unit.translate) segment.translate = false
+
+    const comments = unit.notes
+      .filter(item => item.annotates === 'source')
+      .map((item, index) => ({ id: `${unit.id}_comment${index + 1}`, author: item.from, date: null, text: item.text }))
+    if (comments.length > 0) segment.comments = comments
+
+    return segment
+  }
+
+  /**
+   * Rebuild segment runs from a unit's source inline codes, so the segment exports the same codes again
+   * @param {Object} unit - Parsed unit
+   * @returns {Array|undefined} Segment runs, or undefined when the source has no run refs
+   */
+  buildRuns(unit) {
+    if (unit.refs.length === 0 || unit.sourceTokens.length === 0) return undefined
+
+    return unit.sourceTokens.map(token => {
+      const run = { type: token.type, text: token.text }
+      if (TEXT_TOKEN_TYPES.includes(token.type) || token.type === 'break') {
+        Object.assign(run, token.formatting, { hyperlink: token.formatting.hyperlink || null })
+        if (token.ref) run.ref = token.ref
+      }
+      return run
+    })
+  }
+
+  /**
+   * Parse a JSON context, tolerating contexts edited into invalid JSON
+   * @param {string|null} text - Context text
+   * @returns {*} Parsed value, or null
+   */
+  parseJson(text) {
+    if (!text) return null
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      return null
+    }
+  }
+}
+
+module.exports = XLIFFParser
@@ -0,0 +1,358 @@
+const fs = require('fs')
+const path = require('path')
+const { validateXML, memoryPages } = require('xmllint-wasm')
+const { parseXml } = require('./xml-utils')
+
+/**
+ * XLIFF Validator
+ * Parses XLIFF 1.2 and 2.x documents, validates them against the bundled XSDs offline and
+ * checks what the schemas cannot express (duplicate IDs, BCP 47 language codes).
+ * Errors carry the line and column they were found at.
+ *
+ * Our exports are validated strictly. Files coming back from CAT tools carry the tools' own
+ * extension attributes and elements, so they are validated laxly: the XLIFF structure is
+ * checked and extensions are only validated where a bundled schema declares them.
+ */
+
+const SCHEMA_DIRECTORY = path.join(__dirname, 'schemas')
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace'
+const VISUAL_NAMESPACE = 'urn:visual-segmenter:xliff'
+
+// Schemas per XLIFF namespace, by the namespace they declare: the core schema and the schemas
+// of the extensions the exports use. The core schemas are offline approximations of the OASIS
+// schemas, not the published files.
+const VERSIONS = {
+  'urn:oasis:names:tc:xliff:document:1.2': {
+    version: '1.2',
+    schemas: {
+      [XML_NAMESPACE]: 'xml.xsd',
+      'urn:oasis:names:tc:xliff:document:1.2': 'xliff-core-1.2.xsd',
+      [VISUAL_NAMESPACE]: 'visual-segmenter.xsd'
+    },
+    unitName: 'trans-unit',
+    languageAttributes: { file: ['source-language', 'target-language'] }
+  },
+  'urn:oasis:names:tc:xliff:document:2.0': {
+    version: '2.x',
+    schemas: {
+      [XML_NAMESPACE]: 'xml.xsd',
+      'urn:oasis:names:tc:xliff:document:2.0': 'xliff-core-2.0.xsd',
+      [VISUAL_NAMESPACE]: 'visual-segmenter.xsd',
+      'urn:oasis:names:tc:xliff:sizerestriction:2.0': 'xliff-sizerestriction-2.0.xsd'
+    },
+    unitName: 'unit',
+    languageAttributes: { xliff: ['srcLang', 'trgLang'] }
+  }
+}
+
+// File name of the document in the validator's messages
+const DOCUMENT_NAME = 'document.xlf'
+
+// Lines searched back from a schema error for the start of the element it names
+const MAX_TAG_LINES = 20
+
+class XLIFFValidator {
+  constructor() {
+    this.schemas = new Map()
+  }
+
+  /**
+   * Validate XLIFF content
+   * @param {string} xliffContent - XLIFF content
+   * @param {Object} options - Validation options
+   * @param {string} options.version - Expected XLIFF version ('1.2' or '2.x'); any when omitted
+   * @param {boolean} options.lax - Accept extensions in namespaces without a bundled schema
+   * @returns {Promise<Object>} { isValid, version, errors: [{ message, line, column }], warnings, transUnitCount, fileSize }
+   */
+  async validate(xliffContent, { version, lax = false } = {}) {
+    const result = {
+      isValid: false,
+      version: null,
+      errors: [],
+      warnings: [],
+      transUnitCount: 0,
+      fileSize: typeof xliffContent === 'string' ? xliffContent.length : 0
+    }
+
+    if (typeof xliffContent !== 'string' || xliffContent.trim() === '') {
+      result.errors.push(this.createError('Empty XLIFF document'))
+      return result
+    }
+
+    const lines = xliffContent.split(/\r\n|\r|\n/)
+    const syntax = await this.runXmllint(xliffContent, null, lines)
+    if (syntax.length > 0) {
+      result.errors.push(...syntax)
+      return result
+    }
+
+    const document = parseXml(xliffContent)
+    const root = document.documentElement
+    const definition = VERSIONS[root.namespaceURI]
+    if (root.localName !== 'xliff' || !definition) {
+      result.errors.push(this.createError(
+        `Root element must be <xliff> in an XLIFF 1.2 or 2.x namespace, found <${root.nodeName}>${root.namespaceURI ? ` in ${root.namespaceURI}` : ''}`,
+        root
+      ))
+      return result
+    }
+
+    result.version = definition.version === '1.2' ? '1.2' : root.getAttribute('version') || definition.version
+    if (version && definition.version !== version && result.version !== version) {
+      result.errors.push(this.createError(`Expected XLIFF ${version}, found XLIFF ${result.version}`, root))
+    }
+
+    // The language checks are stricter than xs:language and replace its schema errors
+    const languageErrors = this.checkLanguages(document, definition)
+    const schemaErrors = (await this.runXmllint(xliffContent, definition, lines, lax))
+      .filter(error => !languageErrors.some(languageError => error.message.includes(`attribute '${languageError.attribute}'`)))
+    result.errors.push(...schemaErrors, ...languageErrors.map(({ attribute, ...error }) => error))
+    result.errors.push(...this.findDuplicateIds(document, definition))
+
+    result.transUnitCount = document.getElementsByTagNameNS(root.namespaceURI, definition.unitName).length
+    if (result.transUnitCount === 0) {
+      result.warnings.push(this.createError('No translation units found'))
+    }
+
+    result.errors.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0))
+    result.isValid = result.errors.length === 0
+    return result
+  }
+
+  /**
+   * Run xmllint on the document, checking well-formedness and, with a version definition, validity
+   * @param {string} xliffContent - XLIFF content
+   * @param {Object|null} definition - Version definition, whose schemas the document is validated against
+   * @param {Array<string>} lines - Document lines, to locate columns
+   * @param {boolean} [lax] - Validate extensions laxly
+   * @returns {Promise<Array>} Errors ({ message, line, column })
+   */
+  async runXmllint(xliffContent, definition, lines, lax = false) {
+    const { valid, rawOutput } = await validateXML({
+      xml: { fileName: DOCUMENT_NAME, contents: xliffContent },
+      schema: definition ? [this.createDriverSchema(definition)] : [],
+      preload: definition ? Object.values(definition.schemas).map(name => this.loadSchema(name, lax)) : [],
+      maxMemoryPages: 256 * memoryPages.MiB
+    })
+    if (valid) return []
+
+    return this.parseXmllintOutput(rawOutput, lines)
+  }
+
+  /**
+   * Parse xmllint output into located errors. Parser errors are followed by the offending
+   * line (clipped by xmllint) and a caret under the column; schema errors name the element
+   * or attribute, which is looked up in the document.
+   * @param {string} output - xmllint output
+   * @param {Array<string>} lines - Document lines
+   * @returns {Array} Errors ({ message, line, column })
+   */
+  parseXmllintOutput(output, lines) {
+    const errors = []
+    const outputLines = output.split('\n')
+    const header = new RegExp(`^${DOCUMENT_NAME.replace('.', '\\.')}:(\\d+): (.*)$`)
+
+    for (let index = 0; index < outputLines.length; index++) {
+      const match = outputLines[index].match(header)
+      if (!match) continue
+
+      let line = Number(match[1])
+      // Namespaces in braces are noise; enumeration sets ("{'a', 'b'}") are kept
+      const message = match[2]
+        .replace(/^(parser error|namespace error|Schemas validity error|validity error) : /, '')
+        .replace(/\{[^}'\s]*\}/g, '')
+      let column = null
+
+      const context = outputLines[index + 1]
+      const caret = outputLines[index + 2]
+      if (context !== undefined && caret !== undefined && /^\s*\^$/.test(caret) && !header.test(context)) {
+        const offset = (lines[line - 1] || '').indexOf(context)
+        if (offset >= 0) column = offset + caret.indexOf('^') + 1
+        index += 2
+      } else {
+        const location = this.locate(lines, line, match[2])
+        if (location) ({ line, column } = location)
+      }
+
+      errors.push({ message, line, column })
+    }
+
+    if (errors.length === 0 && output.trim()) {
+      errors.push(this.createError(output.trim().split('\n')[0]))
+    }
+    return errors
+  }
+
+  /**
+   * Locate the attribute or element a schema error names. xmllint reports the line a start
+   * tag ends on, so the element is looked up from there back to the line it starts on.
+   * @param {Array<string>} lines - Document lines
+   * @param {number} line - Reported line (1-based)
+   * @param {string} message - xmllint message, e.g. "Element '{ns}unit', attribute 'id': ..."
+   * @returns {Object|null} { line, column } (1-based), or null when not found
+   */
+  locate(lines, line, message) {
+    const element = message.match(/Element '(?:\{[^}]*\})?([^']+)'/)
+    if (!element) return null
+
+    const startTag = new RegExp(`<([\\w.-]+:)?${this.escapeRegExp(element[1])}(?=[\\s/>]|$)`)
+    for (let index = line - 1; index >= Math.max(0, line - MAX_TAG_LINES); index--) {
+      const start = (lines[index] || '').search(startTag)
+      if (start < 0) continue
+
+      const attribute = message.match(/attribute '(?:\{[^}]*\})?([^']+)'/)
+      if (attribute) {
+        const name = new RegExp(`(^|\\s)([\\w.-]+:)?${this.escapeRegExp(attribute[1])}\\s*=`)
+        for (let attributeIndex = index; attributeIndex < line; attributeIndex++) {
+          const text = attributeIndex === index ? lines[attributeIndex].slice(start) : lines[attributeIndex]
+          const match = text.match(name)
+          if (match) {
+            const offset = (attributeIndex === index ? start : 0) + match.index + match[1].length
+            return { line: attributeIndex + 1, column: offset + 1 }
+          }
+        }
+      }
+      return { line: index + 1, column: start + 1 }
+    }
+    return null
+  }
+
+  /**
+   * Find IDs that must be unique but are not: file IDs, trans-unit IDs (1.2), and
+   * unit and group IDs (2.x) within their file
+   * @param {Document} document - Parsed XLIFF
+   * @param {Object} definition - Version definition
+   * @returns {Array} Errors ({ message, line, column })
+   */
+  findDuplicateIds(document, definition) {
+    const namespace = document.documentElement.namespaceURI
+    const errors = []
+    const check = (elements, describe) => {
+      const seen = new Map()
+      elements.forEach(element => {
+        const id = element.getAttribute('id')
+        if (!id) return
+        if (seen.has(id)) {
+          const first = seen.get(id)
+          errors.push(this.createError(
+            `Duplicate ${describe(element)} id "${id}" (first used at line ${first.lineNumber}, column ${first.columnNumber})`,
+            element
+          ))
+        } else {
+          seen.set(id, element)
+        }
+      })
+    }
+
+    const files = Array.from(document.getElementsByTagNameNS(namespace, 'file'))
+    check(files, () => 'file')
+    files.forEach(file => {
+      const names = definition.version === '1.2' ? ['trans-unit'] : ['unit', 'group']
+      const elements = Array.from(file.getElementsByTagNameNS(namespace, '*')).filter(element => names.includes(element.localName))
+      check(elements, element => element.localName)
+    })
+    return errors
+  }
+
+  /**
+   * Check that the source and target languages are well-formed BCP 47 tags
+   * @param {Document} document - Parsed XLIFF
+   * @param {Object} definition - Version definition
+   * @returns {Array} Errors ({ message, line, column, attribute })
+   */
+  checkLanguages(document, definition) {
+    const namespace = document.documentElement.namespaceURI
+    const errors = []
+
+    Object.entries(definition.languageAttributes).forEach(([elementName, attributes]) => {
+      Array.from(document.getElementsByTagNameNS(namespace, elementName)).forEach(element => {
+        attributes.forEach(attribute => {
+          if (!element.hasAttribute(attribute)) return
+          const code = element.getAttribute(attribute)
+          if (!this.isLanguageTag(code)) {
+            errors.push({ ...this.createError(`Invalid ${attribute} "${code}": not a BCP 47 language tag`, element), attribute })
+          }
+        })
+      })
+    })
+    return errors
+  }
+
+  /**
+   * Check a language code against BCP 47
+   * @param {string} code - Language code (e.g. "de-CH")
+   * @returns {boolean} Whether the code is a well-formed language tag
+   */
+  isLanguageTag(code) {
+    try {
+      return Intl.getCanonicalLocales(code).length === 1
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Create an error, located at a node when given
+   * @param {string} message - Error message
+   * @param {Node} [node] - Node parsed with a locator
+   * @returns {Object} Error ({ message, line, column })
+   */
+  createError(message, node) {
+    return {
+      message,
+      line: node && node.lineNumber ? node.lineNumber : null,
+      column: node && node.columnNumber ? node.columnNumber : null
+    }
+  }
+
+  /**
+   * Create the schema xmllint validates with: it only imports the schemas of a version, as xmllint
+   * takes a single schema and the core schemas do not import the extensions
+   * @param {Object} definition - Version definition
+   * @returns {Object} { fileName, contents }
+   */
+  createDriverSchema(definition) {
+    const imports = Object.entries(definition.schemas)
+      .map(([namespace, name]) => `  <xs:import namespace="${namespace}" schemaLocation="${name}"/>`)
+    return {
+      fileName: `xliff-${definition.version}.xsd`,
+      contents: [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">',
+        ...imports,
+        '</xs:schema>'
+      ].join('\n')
+    }
+  }
+
+  /**
+   * Load a bundled schema, caching its contents. The lax variant validates wildcard content
+   * only where a declaration is found, like the transitional XLIFF 1.2 schema.
+   * @param {string} name - Schema file name
+   * @param {boolean} [lax] - Turn strict wildcards into lax ones
+   * @returns {Object} { fileName, contents }
+   */
+  loadSchema(name, lax = false) {
+    const key = lax ? `${name} (lax)` : name
+    if (!this.schemas.has(key)) {
+      const contents = fs.readFileSync(path.join(SCHEMA_DIRECTORY, name), 'utf8')
+      this.schemas.set(key, {
+        fileName: name,
+        contents: lax ? contents.replace(/processContents="strict"/g, 'processContents="lax"') : contents
+      })
+    }
+    return this.schemas.get(key)
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+}
+
+module.exports = XLIFFValidator
@@ -0,0 +1,424 @@
+const XLIFFGenerator = require('./xliff-generator')
+const XLIFFValidator = require('./xliff-validator')
+
+/**
+ * XLIFF 2.1 Generator
+ * Creates XLIFF 2.1 files grouped by slide and visual context, with the visual metadata
+ * carried in the vs: module instead of JSON notes
+ */
+
+// XLIFF 2.x subtypes of the single-property formatting ctypes of XLIFFGenerator
+const FORMATTING_SUBTYPES = {
+  bold: 'xlf:b',
+  italic: 'xlf:i',
+  underlined: 'xlf:u'
+}
+
+// XLIFF 1.2 target states mapped to the XLIFF 2.x segment states
+const SEGMENT_STATES = {
+  new: 'initial',
+  'needs-translation': 'initial',
+  'needs-adaptation': 'translated',
+  'needs-l10n': 'translated',
+  'needs-review-translation': 'translated',
+  'needs-review-adaptation': 'translated',
+  'needs-review-l10n': 'translated',
+  translated: 'translated',
+  final: 'final',
+  'signed-off': 'final'
+}
+
+class XLIFF2Generator {
+  constructor() {
+    this.namespace = 'urn:oasis:names:tc:xliff:document:2.0'
+    // Visual metadata module (bounding boxes, visual contexts, run refs)
+    this.visualNamespace = 'urn:visual-segmenter:xliff'
+    // Size and Length Restriction module, for the length constraints of units
+    this.sizeRestrictionNamespace = 'urn:oasis:names:tc:xliff:sizerestriction:2.0'
+    // Formatting analysis, descriptions and escaping are shared with the 1.2 writer
+    this.xliff12 = new XLIFFGenerator()
+    this.validator = new XLIFFValidator()
+  }
+
+  /**
+   * Generate XLIFF 2.1 content from visual segments
+   * @param {Array} segments - Array of visual segments
+   * @param {string} fileName - Original file name
+   * @param {string} sourceLanguage - Source language code (default: en)
+   * @param {string} targetLanguage - Target language code (default: es)
+   * @returns {string} XLIFF XML content
+   */
+  generateXLIFF(segments, fileName, sourceLanguage = 'en', targetLanguage = 'es') {
+    const fileId = this.xliff12.generateFileId(fileName) || 'f1'
+    const body = this.generateGroups(segments)
+    // Size restrictions count Unicode code points
+    const profiles = segments.some(segment => segment.lengthConstraint)
+      ? '\n    <slr:profiles generalProfile="xliff:codepoints"/>'
+      : ''
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="2.1" xmlns="${this.namespace}" xmlns:vs="${this.visualNamespace}" xmlns:slr="${this.sizeRestrictionNamespace}" srcLang="${this.escapeXml(sourceLanguage)}" trgLang="${this.escapeXml(targetLanguage)}">
+  <file id="${this.escapeXml(fileId)}" original="${this.escapeXml(fileName)}">${profiles}
+    <notes>
+      <note category="tool">Generated by Visual Segmenter 1.0.0 - AI-powered PowerPoint segmentation using visual context analysis</note>
+    </notes>
+${body}
+  </file>
+</xliff>`
+  }
+
+  /**
+   * Generate the slide groups, each holding its visual context and speaker notes groups
+   * @param {Array} segments - Array of visual segments
+   * @returns {string} Group XML
+   */
+  generateGroups(segments) {
+    return this.xliff12.groupSegments(segments).map(slide => this.generateSlideGroup(slide)).join('\n')
+  }
+
+  /**
+   * Generate the group of one slide
+   * @param {Object} slide - Slide ({ slideId, blocks })
+   * @returns {string} Group XML
+   */
+  generateSlideGroup(slide) {
+    const content = slide.blocks.map(block => block.units
+      ? this.generateContextGroup(slide.slideId, block)
+      : this.generateUnit(block.segment, block.index, '      ')
+    ).join('\n')
+
+    return `    <group id="slide_${slide.slideId}" name="slide_${slide.slideId}" type="vs:slide">
+${content}
+    </group>`
+  }
+
+  /**
+   * Generate a visual context or speaker notes group of a slide
+   * @param {number} slideId - Slide ID
+   * @param {Object} group - Group ({ key, notes, segment, units })
+   * @returns {string} Group XML
+   */
+  generateContextGroup(slideId, group) {
+    const units = group.units.map(unit => this.generateUnit(unit.segment, unit.index, '        ')).join('\n')
+    const id = `slide_${slideId}_${this.xliff12.generateFileId(group.key)}`
+
+    if (group.notes) {
+      return `      <group id="${this.escapeXml(id)}" name="slide_${slideId}_notes" type="vs:speaker-notes">
+${units}
+      </group>`
+    }
+
+    return `      <group id="${this.escapeXml(id)}" name="${this.escapeXml(group.key)}" type="vs:visual-context">
+        <vs:context id="${this.escapeXml(group.key)}" type="${this.escapeXml(group.segment.visualContext)}"/>
+${units}
+      </group>`
+  }
+
+  /**
+   * Generate a unit for a segment
+   * @param {Object} segment - Visual segment
+   * @param {number} index - Segment index
+   * @param {string} padding - Indentation of the unit element
+   * @returns {string} Unit XML
+   */
+  generateUnit(segment, index, padding) {
+    const data = []
+    const source = this.generateInlineContent(segment, data)
+    const target = this.generateTargetContent(segment, source)
+    const translate = segment.translate === false ? ' translate="no"' : ''
+    const sizeRestriction = segment.lengthConstraint ? ` slr:sizeRestriction="${segment.lengthConstraint.maxChars}"` : ''
+
+    const lines = [
+      `<unit id="u${index}" name="visual_segment_${index}"${translate}${sizeRestriction}>`,
+      ...this.generateVisualModule(segment).map(line => `  ${line}`),
+      ...this.generateNotes(segment).map(line => `  ${line}`)
+    ]
+    if (data.length > 0) {
+      lines.push('  <originalData>')
+      data.forEach(item => lines.push(`    <data id="${item.id}">${this.escapeXml(item.value)}</data>`))
+      lines.push('  </originalData>')
+    }
+    lines.push(
+      `  <segment id="u${index}_s1" ${this.generateStateAttributes(segment.state)}>`,
+      `    <source>${source}</source>`,
+      `    <target>${target}</target>`,
+      '  </segment>',
+      '</unit>'
+    )
+
+    // Source and target may span lines; only the structural lines are indented
+    return lines.map(line => padding + line).join('\n')
+  }
+
+  /**
+   * Generate the state and subState attributes of a segment
+   * @param {string|undefined} state - XLIFF 1.2 target state of the visual segment
+   * @returns {string} Attribute XML
+   */
+  generateStateAttributes(state = 'new') {
+    const mapped = SEGMENT_STATES[state] || 'initial'
+    // Keep the finer-grained 1.2 state where 2.x has no equivalent
+    const subState = SEGMENT_STATES[state] && !['new', 'translated', 'final'].includes(state)
+      ? ` subState="vs:${this.escapeXml(state)}"`
+      : ''
+    return `state="${mapped}"${subState}`
+  }
+
+  /**
+   * Generate the vs:visual module element of a unit: bounding box, visual context, confidence,
+   * placement and the table, chart and SmartArt structure of the segment
+   * @param {Object} segment - Visual segment
+   * @returns {Array<string>} Module XML lines
+   */
+  generateVisualModule(segment) {
+    const box = segment.coordinates || { x: 0, y: 0, width: 0, height: 0 }
+    const elementIds = segment.elementIds || [segment.textElementId]
+    const refs = segment.runRefs ||
+      (Array.isArray(segment.runs) ? segment.runs.filter(run => run.ref).map(run => run.ref) : [])
+
+    const attributes = this.generateAttributes({
+      slide: segment.slideId,
+      context: segment.visualContext,
+      contextId: segment.visualContextId,
+      confidence: segment.confidence,
+      textElement: segment.textElementId,
+      elements: elementIds.join(' '),
+      runs: refs.join(' '),
+      flow: segment.flow || 'slide',
+      combined: segment.isCombined ? 'yes' : null,
+      merged: segment.isMerged ? 'yes' : null,
+      hidden: segment.hidden ? 'yes' : null,
+      paragraphs: segment.paragraphIndices ? segment.paragraphIndices.join(' ') : null
+    })
+
+    const children = [`<vs:box${this.generateAttributes(box)}/>`]
+    if (segment.tableCell) children.push(`<vs:tableCell${this.generateAttributes(segment.tableCell)}/>`)
+    if (segment.chartLabel) children.push(`<vs:chartLabel${this.generateAttributes(segment.chartLabel)}/>`)
+    if (segment.smartArtNode) children.push(`<vs:smartArtNode${this.generateAttributes(segment.smartArtNode)}/>`)
+    if (segment.topic) children.push(`<vs:topic>${this.escapeXml(segment.topic)}</vs:topic>`)
+    if (segment.semanticContext) children.push(`<vs:semanticContext>${this.escapeXml(segment.semanticContext)}</vs:semanticContext>`)
+    ;(segment.contentElements || []).forEach(({ boundingBox, ...element }) => {
+      children.push(`<vs:contentElement${this.generateAttributes({ ...element, ...boundingBox })}/>`)
+    })
+
+    return [`<vs:visual${attributes}>`, ...children.map(child => `  ${child}`), '</vs:visual>']
+  }
+
+  /**
+   * Serialize an attribute map, skipping empty values
+   * @param {Object} attributes - Attribute values
+   * @returns {string} Attribute XML with a leading space per attribute
+   */
+  generateAttributes(attributes) {
+    return Object.entries(attributes)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => ` ${key}="${this.escapeXml(value)}"`)
+      .join('')
+  }
+
+  /**
+   * Generate the translator notes of a unit: analysis notes, structure descriptions, visibility,
+   * machine translation confidence and rationale, and comments
+   * @param {Object} segment - Visual segment
+   * @returns {Array<string>} Notes XML lines (none when the unit has no notes)
+   */
+  generateNotes(segment) {
+    const notes = []
+    if (segment.notes) notes.push(['analysis_notes', segment.notes])
+    if (segment.tableCell) notes.push(['table_context', this.xliff12.describeTableCell(segment.tableCell)])
+    if (segment.chartLabel) notes.push(['chart_context', this.xliff12.describeChartLabel(segment.chartLabel)])
+    if (segment.smartArtNode) notes.push(['smartart_context', this.xliff12.describeSmartArtNode(segment.smartArtNode)])
+    if (segment.lengthConstraint) notes.push(['length_constraint', this.xliff12.describeLengthConstraint(segment.lengthConstraint)])
+    if (segment.hidden) notes.push(['visibility', 'Hidden in the slide show'])
+    const mt = segment.machineTranslation
+    if (mt && mt.confidence) notes.push(['mt_confidence', mt.confidence, mt.provider])
+    if (mt && mt.rationale) notes.push(['mt_rationale', mt.rationale, mt.provider])
+    ;(segment.comments || []).forEach(comment => {
+      notes.push(['comment', comment.text, comment.author])
+    })
+
+    if (notes.length === 0) return []
+    return [
+      '<notes>',
+      ...notes.map(([category, text, author]) =>
+        `  <note${this.generateAttributes({ category, 'vs:author': author })}>${this.escapeXml(text)}</note>`
+      ),
+      '</notes>'
+    ]
+  }
+
+  /**
+   * Generate target content: the translation as text, or with the inline codes of the source
+   * when it was generated run by run
+   * @param {Object} segment - Visual segment
+   * @param {string} source - Source content
+   * @returns {string} Escaped target content
+   */
+  generateTargetContent(segment, source) {
+    if (!segment.translation) return source
+    if (!this.xliff12.hasTargetRuns(segment)) return this.generatePlainContent(segment.translation)
+
+    // Same runs, so the codes reuse the originalData entries of the source
+    return this.generateInlineContent({ ...segment, runs: segment.targetRuns, text: segment.translation }, [], segment.runs)
+  }
+
+  /**
+   * Generate plain text content. Paragraph breaks are ph codes rather than newlines, which
+   * CAT tools may normalize away as whitespace.
+   * @param {string} text - Text, with paragraph breaks as newlines
+   * @returns {string} Escaped content
+   */
+  generatePlainContent(text) {
+    let nextId = 1
+    return String(text).split('\n')
+      .map(line => this.escapeXml(line))
+      .reduce((content, line) => `${content}${this.generateParagraphCode(nextId++)}${line}`)
+  }
+
+  /**
+   * Generate the code of a paragraph break
+   * @param {number} id - Code ID
+   * @returns {string} ph element
+   */
+  generateParagraphCode(id) {
+    return `<ph id="${id}" type="other" subType="vs:paragraph" equiv="&#10;"/>`
+  }
+
+  /**
+   * Generate source content with XLIFF 2.1 inline codes (pc, sc/ec, ph) for formatting, line and
+   * paragraph breaks, fields, hyperlinks and the separators of joined segments. The native run each code stands for
+   * is recorded as originalData. Falls back to plain text when the segment has no runs or its
+   * text was edited after segmentation.
+   * @param {Object} segment - Visual segment with optional runs
+   * @param {Array} data - Receives the unit's originalData entries ({ id, value })
+   * @param {Array} [baseRuns] - Runs that decide the base formatting left out of the codes
+   * @returns {string} Escaped content with inline codes
+   */
+  generateInlineContent(segment, data, baseRuns = segment.runs) {
+    const runs = segment.runs
+    if (!Array.isArray(runs) || runs.length === 0 || runs.map(run => run.text).join('') !== segment.text) {
+      return this.generatePlainContent(segment.text)
+    }
+
+    const xliff12 = this.xliff12
+    const baseRun = xliff12.findBaseRun(baseRuns)
+    const baseKey = xliff12.getFormattingKey(baseRun)
+    const formatSpans = xliff12.findSpans(runs, run => xliff12.getFormattingKey(run), baseKey)
+    const linkSpans = xliff12.findSpans(runs, run => run.hyperlink || '', '')
+
+    const linkOpen = runs.map(() => [])
+    const formatOpen = runs.map(() => [])
+    const formatClose = runs.map(() => [])
+    const linkClose = runs.map(() => [])
+
+    linkSpans.forEach((link, linkIndex) => {
+      const refs = xliff12.getSpanRefs(runs, link)
+      const nests = formatSpans.every(span =>
+        span.end < link.start || span.start > link.end || (span.start >= link.start && span.end <= link.end)
+      )
+
+      if (nests) {
+        linkOpen[link.start].push({ tag: 'pc', type: 'link', href: link.key, refs })
+        linkClose[link.end].push({ tag: '/pc' })
+      } else {
+        linkOpen[link.start].push({ tag: 'sc', type: 'link', href: link.key, refs, pair: linkIndex })
+        linkClose[link.end].push({ tag: 'ec', pair: linkIndex })
+      }
+    })
+
+    formatSpans.forEach(span => {
+      formatOpen[span.start].push({ tag: 'pc', type: 'fmt', subType: this.getFormattingSubType(runs[span.start], baseRun), refs: xliff12.getSpanRefs(runs, span) })
+      formatClose[span.end].push({ tag: '/pc' })
+    })
+
+    let nextId = 1
+    const addData = value => {
+      const id = `d${data.length + 1}`
+      data.push({ id, value })
+      return id
+    }
+    const pairIds = new Map()
+    const serializeCode = code => {
+      const subType = code.subType ? ` subType="${code.subType}"` : ''
+      const nativeStart = code.type === 'link'
+        ? `<a:hlinkClick href="${code.href}" runs="${code.refs}">`
+        : `<a:r runs="${code.refs}">`
+      const nativeEnd = code.type === 'link' ? '</a:hlinkClick>' : '</a:r>'
+
+      switch (code.tag) {
+        case 'pc': {
+          return `<pc id="${nextId++}" type="${code.type}"${subType} dataRefStart="${addData(nativeStart)}" dataRefEnd="${addData(nativeEnd)}">`
+        }
+        case '/pc':
+          return '</pc>'
+        case 'sc':
+          pairIds.set(code.pair, { id: nextId, nativeEnd })
+          return `<sc id="${nextId++}" type="${code.type}" dataRef="${addData(nativeStart)}"/>`
+        case 'ec':
+          return `<ec startRef="${pairIds.get(code.pair).id}" dataRef="${addData(pairIds.get(code.pair).nativeEnd)}"/>`
+        default:
+          return ''
+      }
+    }
+
+    return runs.map((run, index) => {
+      const opening = [...linkOpen[index], ...formatOpen[index]].map(serializeCode).join('')
+      let content
+      if (run.type === 'break') {
+        content = `<ph id="${nextId++}" type="fmt" subType="xlf:lb" equiv="&#10;" dataRef="${addData(`<a:br runs="${run.ref || ''}"/>`)}"/>`
+      } else if (run.type === 'paragraph') {
+        content = this.generateParagraphCode(nextId++)
+      } else if (run.type === 'field') {
+        content = `<ph id="${nextId++}" type="ui" subType="xlf:var" disp="${this.escapeXml(run.text)}" equiv="${this.escapeXml(run.text)}" dataRef="${addData(`<a:fld runs="${run.ref || ''}">${run.text}</a:fld>`)}"/>`
+      } else if (run.type === 'separator') {
+        // Boundary between the text elements of a combined or merged segment
+        content = `<ph id="${nextId++}" type="other" subType="vs:separator" equiv="${this.escapeXml(run.text)}"/>`
+      } else {
+        content = this.escapeXml(run.text)
+      }
+      const closing = [...formatClose[index], ...linkClose[index]].map(serializeCode).join('')
+
+      return opening + content + closing
+    }).join('')
+  }
+
+  /**
+   * Choose the subType of a formatting span
+   * @param {Object} run - First run of the span
+   * @param {Object} baseRun - Run with the base formatting
+   * @returns {string|null} XLIFF subType, or null for mixed formatting
+   */
+  getFormattingSubType(run, baseRun) {
+    return FORMATTING_SUBTYPES[this.xliff12.getFormattingCtype(run, baseRun)] || null
+  }
+
+  /**
+   * Escape XML special characters
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeXml(text) {
+    return this.xliff12.escapeXml(text)
+  }
+
+  /**
+   * Generate XLIFF filename
+   * @param {string} originalFileName - Original file name
+   * @param {string} targetLanguage - Target language
+   * @returns {string} XLIFF filename
+   */
+  generateXLIFFFileName(originalFileName, targetLanguage = 'es') {
+    return this.xliff12.generateXLIFFFileName(originalFileName, targetLanguage).replace(/\.xlf$/, '.xliff2.xlf')
+  }
+
+  /**
+   * Validate XLIFF 2.x content: well-formedness, the bundled XSDs, unique IDs and language codes
+   * @param {string} xliffContent - XLIFF content
+   * @returns {Promise<Object>} Validation result ({ isValid, errors: [{ message, line, column }], warnings, transUnitCount, fileSize })
+   */
+  validateXLIFF(xliffContent) {
+    return this.validator.validate(xliffContent, { version: '2.x' })
+  }
+}
+
+module.exports = XLIFF2Generator
@@ -0,0 +1,127 @@
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom')
+
+/**
+ * XML Utilities
+ * Small DOM helpers for walking Office Open XML parts
+ */
+
+/**
+ * Parse an XML string into a DOM document
+ * @param {string} xml - XML content
+ * @returns {Document} Parsed document
+ */
+function parseXml(xml) {
+  return new DOMParser().parseFromString(xml, 'text/xml')
+}
+
+/**
+ * Serialize a DOM document back to an XML string
+ * @param {Document} document - Document to serialize
+ * @returns {string} XML content
+ */
+function serializeXml(document) {
+  return new XMLSerializer().serializeToString(document)
+}
+
+/**
+ * Get the direct element children of a node, optionally filtered by tag name
+ * @param {Node} node - Parent node
+ * @param {string} [tagName] - Qualified tag name (e.g. "p:sp")
+ * @returns {Array<Element>} Matching child elements in document order
+ */
+function getChildren(node, tagName) {
+  const children = []
+  if (!node) return children
+
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && (!tagName || child.nodeName === tagName)) {
+      children.push(child)
+    }
+  }
+  return children
+}
+
+/**
+ * Get the first direct element child with the given tag name
+ * @param {Node} node - Parent node
+ * @param {string} tagName - Qualified tag name
+ * @returns {Element|null} First matching child
+ */
+function getChild(node, tagName) {
+  return getChildren(node, tagName)[0] || null
+}
+
+/**
+ * Follow a path of tag names through direct children
+ * @param {Node} node - Starting node
+ * @param {...string} tagNames - Tag names to descend through
+ * @returns {Element|null} Element at the end of the path
+ */
+function getPath(node, ...tagNames) {
+  let current = node
+  for (const tagName of tagNames) {
+    current = getChild(current, tagName)
+    if (!current) return null
+  }
+  return current
+}
+
+/**
+ * Get all descendant elements with the given tag name
+ * @param {Node} node - Root node
+ * @param {string} tagName - Qualified tag name
+ * @returns {Array<Element>} Matching descendants in document order
+ */
+function getDescendants(node, tagName) {
+  if (!node) return []
+  return Array.from(node.getElementsByTagName(tagName))
+}
+
+/**
+ * Read an attribute, returning null when it is absent
+ * @param {Element} element - Element to read from
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+function getAttr(element, name) {
+  if (!element || !element.hasAttribute(name)) return null
+  return element.getAttribute(name)
+}
+
+/**
+ * Read a numeric attribute
+ * @param {Element} element - Element to read from
+ * @param {string} name - Attribute name
+ * @param {number|null} [defaultValue] - Value when absent or not numeric
+ * @returns {number|null} Attribute value
+ */
+function getNumberAttr(element, name, defaultValue = null) {
+  const value = getAttr(element, name)
+  if (value === null) return defaultValue
+  const number = Number(value)
+  return Number.isFinite(number) ? number : defaultValue
+}
+
+/**
+ * Read an OOXML boolean attribute ("1", "true", "0", "false")
+ * @param {Element} element - Element to read from
+ * @param {string} name - Attribute name
+ * @returns {boolean|null} Attribute value, or null when absent
+ */
+function getBoolAttr(element, name) {
+  const value = getAttr(element, name)
+  if (value === null) return null
+  return value === '1' || value === 'true'
+}
+
+module.exports = {
+  parseXml,
+  serializeXml,
+  getChildren,
+  getChild,
+  getPath,
+  getDescendants,
+  getAttr,
+  getNumberAttr,
+  getBoolAttr
+}
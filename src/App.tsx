@@ -1,9 +1,67 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import './App.css'
 import FileUpload from './components/FileUpload'
 import ResultsDisplay from './components/ResultsDisplay'
 import SegmentationEditor from './components/SegmentationEditor'
-import { PowerPointAnalysis, VisualSegment } from './types'
+import PseudoPreview from './components/PseudoPreview'
+import { FitCheckItem, FitCheckResult, PowerPointAnalysis, PseudoOptions, PseudoPreview as PseudoPreviewData, ScreenshotMode, SegmentFit, TextElement, TranslationProviderName, TranslationSummary, UploadOptions, VisualSegment, XliffFormat, XliffImport, XliffValidationError } from './types'
+
+// Error message of a failed request, listing the first validation errors with their location
+const readRequestError = async (response: Response, fallback: string): Promise<string> => {
+  const body = await response.json().catch(() => null)
+  if (!body) return fallback
+  if (!Array.isArray(body.details)) return body.details || body.error || fallback
+
+  const located = (body.details as XliffValidationError[]).slice(0, 3).map(detail =>
+    detail.line ? `line ${detail.line}${detail.column ? `, column ${detail.column}` : ''}: ${detail.message}` : detail.message
+  )
+  const more = body.details.length > located.length ? ` (+${body.details.length - located.length} more)` : ''
+  return `${body.error || fallback} - ${located.join('; ')}${more}`
+}
+
+// Largest font size of a text element, which decides how many lines fit
+const getLargestFontSize = (element: TextElement): number => {
+  const sizes = (element.paragraphs || [])
+    .flatMap(paragraph => paragraph.runs)
+    .filter(run => run.type !== 'break' && run.fontSize)
+    .map(run => run.fontSize)
+  return sizes.length > 0 ? Math.max(...sizes) : element.fontSize || 18
+}
+
+// One fit check item per text frame: the translated segments of a text element are laid out
+// together, untranslated ones keeping their source text. Segments spanning several elements
+// (combined or merged across shapes) are not checked
+const buildFitCheckItems = (segments: VisualSegment[], analysis: PowerPointAnalysis) => {
+  const elements = new Map(analysis.slides.flatMap(slide => slide.textElements).map(element => [element.id, element]))
+  const segmentsByElement = new Map<string, VisualSegment[]>()
+
+  segments.forEach(segment => {
+    const elementIds = [...new Set(segment.elementIds || [segment.textElementId])]
+    const element = elementIds.length === 1 ? elements.get(elementIds[0]) : undefined
+    if (!element || !element.textFrame || segment.flow === 'notes') return
+    segmentsByElement.set(element.id, [...(segmentsByElement.get(element.id) || []), segment])
+  })
+
+  const items: FitCheckItem[] = []
+  segmentsByElement.forEach((elementSegments, elementId) => {
+    if (!elementSegments.some(segment => segment.translation)) return
+
+    const element = elements.get(elementId)!
+    const ordered = [...elementSegments].sort((a, b) =>
+      Math.min(...(a.paragraphIndices || [0])) - Math.min(...(b.paragraphIndices || [0])))
+    items.push({
+      id: elementId,
+      text: ordered.map(segment => segment.translation || segment.text).join('\n'),
+      fontFamily: element.fontFamily,
+      fontSize: getLargestFontSize(element),
+      bold: element.isBold,
+      italic: element.isItalic,
+      frame: element.textFrame!
+    })
+  })
+
+  return { items, segmentsByElement }
+}
 
 function App() {
   const [isProcessing, setIsProcessing] = useState(false)
@@ -11,20 +69,42 @@ function App() {
   const [segments, setSegments] = useState<VisualSegment[] | null>(null)
   const [optimizedSegments, setOptimizedSegments] = useState<VisualSegment[] | null>(null)
   const [fileName, setFileName] = useState<string>('')
+  const [languages, setLanguages] = useState({ source: 'en', target: 'es' })
   const [error, setError] = useState<string | null>(null)
+  // The uploaded deck and its options, for the pseudo-localization preview
+  const [pptxUpload, setPptxUpload] = useState<{ file: File; options: UploadOptions } | null>(null)
+  const [pseudoPreview, setPseudoPreview] = useState<PseudoPreviewData | null>(null)
   const [currentStep, setCurrentStep] = useState<'upload' | 'analysis' | 'preview' | 'segmentation' | 'export'>('upload')
+  // Machine translation providers the server offers; the mock provider only when it is enabled there
+  const [translationProviders, setTranslationProviders] = useState<TranslationProviderName[]>(['openai', 'http'])
 
-  const handleFileUpload = async (file: File) => {
+  useEffect(() => {
+    fetch('/api/health')
+      .then(response => response.ok ? response.json() : null)
+      .then(health => {
+        if (health && Array.isArray(health.translationProviders)) {
+          setTranslationProviders(health.translationProviders)
+        }
+      })
+      // Without an answer, the providers available in any setup are offered
+      .catch(() => null)
+  }, [])
+
+  const handleFileUpload = async (file: File, options: UploadOptions) => {
     setIsProcessing(true)
     setError(null)
     setAnalysis(null)
     setSegments(null)
     setOptimizedSegments(null)
+    setPseudoPreview(null)
+    setPptxUpload({ file, options })
     setFileName(file.name)
     setCurrentStep('analysis')
 
     const formData = new FormData()
     formData.append('file', file)
+    formData.append('includeNotes', String(options.includeNotes))
+    formData.append('hiddenContent', options.hiddenContent)
 
     try {
       const response = await fetch('/api/analyze-powerpoint', {
@@ -49,11 +129,46 @@ function App() {
     }
   }
 
+  const handleXliffImport = async (file: File) => {
+    setIsProcessing(true)
+    setError(null)
+
+    const formData = new FormData()
+    formData.append('file', file)
+
+    try {
+      const response = await fetch('/api/import-xliff', {
+        method: 'POST',
+        body: formData,
+      })
+
+      if (!response.ok) {
+        throw new Error(await readRequestError(response, `Import failed: ${response.statusText}`))
+      }
+
+      // Imported segments go straight to review; there is no slide analysis to preview
+      const data: XliffImport = await response.json()
+      setAnalysis(null)
+      setPptxUpload(null)
+      setPseudoPreview(null)
+      setSegments(data.segments)
+      setOptimizedSegments(data.segments)
+      setFileName(data.fileName)
+      setLanguages({ source: data.sourceLanguage, target: data.targetLanguage })
+      setCurrentStep('segmentation')
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Import failed')
+    } finally {
+      setIsProcessing(false)
+    }
+  }
+
   const handleSegmentsChange = (updatedSegments: VisualSegment[]) => {
     setOptimizedSegments(updatedSegments)
   }
 
-  const handleExportXLIFF = async () => {
+  // With pseudo-localization options, the server pseudo-translates the segments and targets the pseudo-locale
+  const handleExportXLIFF = async (format: XliffFormat, screenshots: ScreenshotMode, pseudo?: PseudoOptions) => {
     if (!optimizedSegments || optimizedSegments.length === 0) {
       setError('No segments available for export')
       return
@@ -70,20 +185,27 @@ function App() {
         body: JSON.stringify({
           segments: optimizedSegments,
           fileName: fileName,
-          sourceLanguage: 'en',
-          targetLanguage: 'es'
+          sourceLanguage: languages.source,
+          targetLanguage: languages.target,
+          format,
+          screenshots,
+          pseudo,
+          // The server highlights each segment on its slide image
+          slides: screenshots !== 'none' && analysis
+            ? analysis.slides.map(({ slideId, slideImage, slideSize }) => ({ slideId, slideImage, slideSize }))
+            : []
         }),
       })
 
       if (!response.ok) {
-        throw new Error(`Export failed: ${response.statusText}`)
+        throw new Error(await readRequestError(response, `Export failed: ${response.statusText}`))
       }
 
       // Get the filename from the response headers
       const contentDisposition = response.headers.get('Content-Disposition')
       const filename = contentDisposition 
         ? contentDisposition.split('filename=')[1]?.replace(/"/g, '')
-        : `${fileName.replace(/\.[^/.]+$/, '')}_visual_segmented.xlf`
+        : `${fileName.replace(/\.[^/.]+$/, '')}_visual_segmented.${screenshots === 'package' ? 'zip' : 'xlf'}`
 
       // Create blob and download
       const blob = await response.blob()
@@ -104,6 +226,112 @@ function App() {
     }
   }
 
+  const handleCheckFit = async (): Promise<Record<string, SegmentFit> | null> => {
+    if (!analysis || !optimizedSegments) return null
+
+    const { items, segmentsByElement } = buildFitCheckItems(optimizedSegments, analysis)
+    if (items.length === 0) {
+      setError('No translated segments with a text box to check')
+      return null
+    }
+
+    try {
+      setError(null)
+      const response = await fetch('/api/check-fit', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ items }),
+      })
+
+      if (!response.ok) {
+        throw new Error(await readRequestError(response, `Fit check failed: ${response.statusText}`))
+      }
+
+      // Every segment of a text element shares the element's result
+      const { results }: { results: FitCheckResult[] } = await response.json()
+      const fits: Record<string, SegmentFit> = {}
+      results.forEach(result => {
+        (segmentsByElement.get(result.id) || []).forEach(segment => {
+          fits[segment.id] = { ...result, translation: segment.translation || '' }
+        })
+      })
+      return fits
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Fit check failed')
+      return null
+    }
+  }
+
+  const handlePseudoLocalize = async (options: PseudoOptions) => {
+    if (!pptxUpload || !optimizedSegments) return
+
+    const formData = new FormData()
+    formData.append('file', pptxUpload.file)
+    formData.append('segments', JSON.stringify(optimizedSegments))
+    formData.append('hiddenContent', pptxUpload.options.hiddenContent)
+    formData.append('sourceLanguage', languages.source)
+    formData.append('expansion', String(options.expansion))
+    formData.append('accents', String(options.accents))
+    formData.append('brackets', String(options.brackets))
+    formData.append('rtl', String(options.rtl))
+
+    try {
+      setError(null)
+      const response = await fetch('/api/pseudo-localize', {
+        method: 'POST',
+        body: formData,
+      })
+
+      if (!response.ok) {
+        throw new Error(await readRequestError(response, `Pseudo-localization failed: ${response.statusText}`))
+      }
+
+      // The pseudo-translations only feed the preview; the translations and target language are kept
+      const data: PseudoPreviewData = await response.json()
+      setPseudoPreview(data)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Pseudo-localization failed')
+    }
+  }
+
+  const handleMachineTranslate = async (provider: TranslationProviderName, useSlideImages: boolean) => {
+    if (!optimizedSegments) return
+
+    try {
+      setError(null)
+      const response = await fetch('/api/translate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          segments: optimizedSegments,
+          sourceLanguage: languages.source,
+          targetLanguage: languages.target,
+          provider,
+          useSlideImages,
+          slides: useSlideImages && analysis
+            ? analysis.slides.map(({ slideId, slideImage, slideSize }) => ({ slideId, slideImage, slideSize }))
+            : []
+        }),
+      })
+
+      if (!response.ok) {
+        throw new Error(await readRequestError(response, `Translation failed: ${response.statusText}`))
+      }
+
+      const data: { segments: VisualSegment[]; summary: TranslationSummary } = await response.json()
+      setOptimizedSegments(data.segments)
+      if (data.summary.failed.length > 0) {
+        setError(`Slides not translated: ${data.summary.failed.map(failure => `${failure.slideId} (${failure.message})`).join(', ')}`)
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Translation failed')
+    }
+  }
+
   const handleProceedToSegmentation = () => {
     setCurrentStep('segmentation')
   }
@@ -117,7 +345,10 @@ function App() {
     setAnalysis(null)
     setSegments(null)
     setOptimizedSegments(null)
+    setPptxUpload(null)
+    setPseudoPreview(null)
     setFileName('')
+    setLanguages({ source: 'en', target: 'es' })
     setError(null)
   }
 
@@ -133,6 +364,7 @@ function App() {
         {currentStep === 'upload' && (
           <FileUpload 
             onFileUpload={handleFileUpload} 
+            onXliffImport={handleXliffImport}
             isProcessing={isProcessing}
             error={error}
             acceptedTypes=".pptx"
@@ -157,12 +389,26 @@ function App() {
           />
         )}
 
+        {currentStep === 'segmentation' && pseudoPreview && (
+          <PseudoPreview
+            preview={pseudoPreview}
+            onExport={() => handleExportXLIFF('1.2', 'none', pseudoPreview.options)}
+            onClose={() => setPseudoPreview(null)}
+          />
+        )}
+
         {currentStep === 'segmentation' && optimizedSegments && (
           <SegmentationEditor
             segments={optimizedSegments}
             onSegmentsChange={handleSegmentsChange}
             onExport={handleExportXLIFF}
-            onBack={handleBackToPreview}
+            screenshotsAvailable={!!analysis}
+            onCheckFit={analysis ? handleCheckFit : undefined}
+            onMachineTranslate={handleMachineTranslate}
+            translationProviders={translationProviders}
+            onPseudoLocalize={analysis && pptxUpload ? handlePseudoLocalize : undefined}
+            onBack={analysis ? handleBackToPreview : handleBackToUpload}
+            backLabel={analysis ? '← Back to Preview' : '← Back to Upload'}
           />
         )}
 
@@ -1,16 +1,23 @@
 import { useState, useRef, DragEvent } from 'react'
+import { HiddenContentMode, UploadOptions } from '../types'
 import './FileUpload.css'
 
 interface FileUploadProps {
-  onFileUpload: (file: File) => void
+  onFileUpload: (file: File, options: UploadOptions) => void
+  onXliffImport?: (file: File) => void // resume review of an exported or translated XLIFF
   isProcessing: boolean
   error: string | null
   acceptedTypes?: string
 }
 
-const FileUpload: React.FC<FileUploadProps> = ({ onFileUpload, isProcessing, error, acceptedTypes = ".pptx" }) => {
+const XLIFF_EXTENSIONS = ['.xlf', '.xliff']
+
+const FileUpload: React.FC<FileUploadProps> = ({ onFileUpload, onXliffImport, isProcessing, error, acceptedTypes = ".pptx" }) => {
   const [isDragOver, setIsDragOver] = useState(false)
+  const [includeNotes, setIncludeNotes] = useState(true)
+  const [hiddenContent, setHiddenContent] = useState<HiddenContentMode>('analyze')
   const fileInputRef = useRef<HTMLInputElement>(null)
+  const xliffInputRef = useRef<HTMLInputElement>(null)
 
   const handleDragOver = (e: DragEvent<HTMLDivElement>) => {
     e.preventDefault()
@@ -39,6 +46,23 @@ const FileUpload: React.FC<FileUploadProps> = ({ onFileUpload, isProcessing, err
     }
   }
 
+  const handleXliffInput = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = e.target.files
+    if (files && files.length > 0) {
+      handleXliffFile(files[0])
+    }
+    e.target.value = ''
+  }
+
+  const handleXliffFile = (file: File) => {
+    if (file.size > 10 * 1024 * 1024) {
+      alert('File size must be less than 10MB')
+      return
+    }
+
+    onXliffImport?.(file)
+  }
+
   const handleFile = (file: File) => {
     // Validate file type based on accepted types
     const validTypes = [
@@ -46,6 +70,12 @@ const FileUpload: React.FC<FileUploadProps> = ({ onFileUpload, isProcessing, err
     ]
     const validExtensions = ['.pptx']
     const fileExtension = file.name.substring(file.name.lastIndexOf('.')).toLowerCase()
+
+    // A dropped XLIFF resumes work instead of starting a new analysis
+    if (onXliffImport && XLIFF_EXTENSIONS.includes(fileExtension)) {
+      handleXliffFile(file)
+      return
+    }
     
     if (!validTypes.includes(file.type) && !validExtensions.includes(fileExtension)) {
       alert('Please upload a PowerPoint (.pptx) file')
@@ -58,7 +88,7 @@ const FileUpload: React.FC<FileUploadProps> = ({ onFileUpload, isProcessing, err
       return
     }
 
-    onFileUpload(file)
+    onFileUpload(file, { includeNotes, hiddenContent })
   }
 
   return (
@@ -96,6 +126,51 @@ const FileUpload: React.FC<FileUploadProps> = ({ onFileUpload, isProcessing, err
         )}
       </div>
 
+      <label className="upload-option">
+        <input
+          type="checkbox"
+          checked={includeNotes}
+          onChange={(e) => setIncludeNotes(e.target.checked)}
+          disabled={isProcessing}
+        />
+        Include speaker notes
+      </label>
+
+      <label className="upload-option">
+        Hidden slides and shapes:
+        <select
+          value={hiddenContent}
+          onChange={(e) => setHiddenContent(e.target.value as HiddenContentMode)}
+          disabled={isProcessing}
+        >
+          <option value="analyze">Translate like visible content</option>
+          <option value="no-translate">Export as not translatable</option>
+          <option value="skip">Skip</option>
+        </select>
+      </label>
+
+      {onXliffImport && (
+        <div className="xliff-import">
+          <input
+            ref={xliffInputRef}
+            type="file"
+            accept={XLIFF_EXTENSIONS.join(',')}
+            onChange={handleXliffInput}
+            style={{ display: 'none' }}
+            disabled={isProcessing}
+          />
+          <button
+            type="button"
+            className="xliff-import-button"
+            onClick={() => xliffInputRef.current?.click()}
+            disabled={isProcessing}
+          >
+            Open XLIFF
+          </button>
+          <span>Continue reviewing an exported or translated .xlf file</span>
+        </div>
+      )}
+
       {error && (
         <div className="error-message">
           <p>❌ {error}</p>
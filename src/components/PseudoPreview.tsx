@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { PseudoHotspot, PseudoPreview as PseudoPreviewData } from '../types'
+import './PseudoPreview.css'
+
+interface PseudoPreviewProps {
+  preview: PseudoPreviewData
+  // Downloads the pseudo-translated XLIFF, leaving the editor's translations alone
+  onExport: () => void
+  onClose: () => void
+}
+
+const describeHotspot = (hotspot: PseudoHotspot): string => {
+  const parts = [`${hotspot.lines} / ${hotspot.maxLines} lines`]
+  if (hotspot.overflowHeight > 0) parts.push(`${hotspot.overflowHeight} pt too tall`)
+  if (hotspot.overflowWidth > 0) parts.push(`${hotspot.overflowWidth} pt too wide`)
+  if (hotspot.autofit === 'shrink') parts.push('text will shrink')
+  return parts.join(', ')
+}
+
+// Rendered pseudo-localized slides with the overflowing text boxes outlined, worst slides first
+const PseudoPreview: React.FC<PseudoPreviewProps> = ({ preview, onExport, onClose }) => {
+  const slides = [...preview.slides].sort((a, b) => b.hotspots.length - a.hotspots.length || a.slideId - b.slideId)
+  const [selectedSlideId, setSelectedSlideId] = useState(slides[0]?.slideId)
+  const currentSlide = slides.find(slide => slide.slideId === selectedSlideId) || slides[0]
+  const { summary, options } = preview
+
+  return (
+    <div className="pseudo-preview">
+      <div className="pseudo-preview-header">
+        <h3>Pseudo-localization preview ({preview.language}, +{options.expansion}%{options.rtl ? ', mirrored' : ''})</h3>
+        <span>
+          {summary.overflowing} of {summary.checked} text boxes overflow on {summary.slidesWithOverflow} slide(s)
+          {summary.unplaced > 0 && `; ${summary.unplaced} segment(s) could not be placed`}
+        </span>
+        <div className="pseudo-preview-actions">
+          <button onClick={onExport} className="pseudo-preview-button" title={`XLIFF 1.2 targeting ${preview.language}`}>
+            Export pseudo XLIFF
+          </button>
+          <button onClick={onClose} className="pseudo-preview-button">Close</button>
+        </div>
+      </div>
+
+      <div className="pseudo-preview-slides">
+        {slides.map(slide => (
+          <button
+            key={slide.slideId}
+            className={`pseudo-slide-btn ${slide.slideId === currentSlide?.slideId ? 'active' : ''} ${slide.hotspots.length > 0 ? 'has-hotspots' : ''}`}
+            onClick={() => setSelectedSlideId(slide.slideId)}
+          >
+            Slide {slide.slideId}{slide.hotspots.length > 0 && ` (${slide.hotspots.length})`}
+          </button>
+        ))}
+      </div>
+
+      {currentSlide && (
+        <div className="pseudo-preview-content">
+          <div className="pseudo-slide">
+            <img src={currentSlide.slideImage} alt={`Pseudo-localized slide ${currentSlide.slideId}`} />
+            {currentSlide.hotspots.map(hotspot => (
+              <div
+                key={hotspot.textElementId}
+                className="pseudo-hotspot"
+                style={{
+                  left: `${(hotspot.boundingBox.x / currentSlide.slideSize.width) * 100}%`,
+                  top: `${(hotspot.boundingBox.y / currentSlide.slideSize.height) * 100}%`,
+                  width: `${(hotspot.boundingBox.width / currentSlide.slideSize.width) * 100}%`,
+                  height: `${(hotspot.boundingBox.height / currentSlide.slideSize.height) * 100}%`
+                }}
+                title={describeHotspot(hotspot)}
+              />
+            ))}
+          </div>
+
+          <ul className="pseudo-hotspot-list">
+            {currentSlide.hotspots.length === 0 && <li>All {currentSlide.checked} text boxes fit</li>}
+            {currentSlide.hotspots.map(hotspot => (
+              <li key={hotspot.textElementId}>
+                <strong>{hotspot.textElementId}</strong>: {describeHotspot(hotspot)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PseudoPreview
@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { PowerPointAnalysis, VisualSegment } from '../types'
+import { AnalysisStatus, PowerPointAnalysis, VisualSegment } from '../types'
 import './ResultsDisplay.css'
 
 interface ResultsDisplayProps {
@@ -10,6 +10,14 @@ interface ResultsDisplayProps {
   onProceedToSegmentation: () => void
 }
 
+const ANALYSIS_STATUS_LABELS: Record<AnalysisStatus, string> = {
+  model: 'Analyzed by the vision model',
+  repaired: 'Analyzed by the vision model after correcting an invalid answer',
+  cached: 'Analysis reused from the cache; the slide is unchanged since the vision model analyzed it',
+  fallback: 'The vision model gave no valid answer; heuristic analysis used',
+  failed: 'The vision model could not be reached; not analyzed'
+}
+
 const ResultsDisplay: React.FC<ResultsDisplayProps> = ({ 
   analysis, 
   segments, 
@@ -28,11 +36,21 @@ const ResultsDisplay: React.FC<ResultsDisplayProps> = ({
     header_footer: '#607D8B',
     callout: '#E91E63',
     navigation: '#795548',
+    table_cell: '#00BCD4',
+    table_header: '#3F51B5',
+    chart_label: '#CDDC39',
+    smartart_node: '#FF5722',
+    alt_text: '#009688',
+    notes: '#8D6E63',
     other: '#9E9E9E'
   }
 
   const currentSlide = analysis.slides[selectedSlide]
+  const slideSize = currentSlide?.slideSize || analysis.slideSize
   const slideSegments = segments.filter(segment => segment.slideId === currentSlide?.slideId)
+  const modelAnalyzedCount = analysis.slides.filter(slide =>
+    slide.analysisStatus === 'model' || slide.analysisStatus === 'repaired' || slide.analysisStatus === 'cached'
+  ).length
 
   return (
     <div className="results-container">
@@ -56,6 +74,10 @@ const ResultsDisplay: React.FC<ResultsDisplayProps> = ({
             <span className="stat-number">{new Set(segments.map(s => s.visualContext)).size}</span>
             <span className="stat-label">Context Types</span>
           </div>
+          <div className="stat">
+            <span className="stat-number">{modelAnalyzedCount}/{analysis.slides.length}</span>
+            <span className="stat-label">Model-Analyzed Slides</span>
+          </div>
         </div>
       </div>
 
@@ -66,8 +88,9 @@ const ResultsDisplay: React.FC<ResultsDisplayProps> = ({
           {analysis.slides.map((slide, index) => (
             <button
               key={slide.slideId}
-              className={`slide-btn ${selectedSlide === index ? 'active' : ''}`}
+              className={`slide-btn ${selectedSlide === index ? 'active' : ''} ${slide.analysisStatus ? `status-${slide.analysisStatus}` : ''}`}
               onClick={() => setSelectedSlide(index)}
+              title={slide.analysisStatus && ANALYSIS_STATUS_LABELS[slide.analysisStatus]}
             >
               Slide {slide.slideId}
             </button>
@@ -87,6 +110,17 @@ const ResultsDisplay: React.FC<ResultsDisplayProps> = ({
           </button>
         </div>
 
+        {currentSlide?.analysisStatus && currentSlide.analysisStatus !== 'model' && currentSlide.analysisStatus !== 'cached' && (
+          <div className={`analysis-status status-${currentSlide.analysisStatus}`}>
+            <strong>{ANALYSIS_STATUS_LABELS[currentSlide.analysisStatus]}</strong>
+            {currentSlide.analysisErrors && currentSlide.analysisErrors.length > 0 && (
+              <ul>
+                {currentSlide.analysisErrors.map((error, index) => <li key={index}>{error}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
         <div className="preview-content">
           {/* Slide Image with Visual Context Overlays */}
           <div className="slide-preview-container">
@@ -103,10 +137,10 @@ const ResultsDisplay: React.FC<ResultsDisplayProps> = ({
                   key={context.id}
                   className="visual-context-overlay"
                   style={{
-                    left: `${(context.boundingBox.x / 800) * 100}%`,
-                    top: `${(context.boundingBox.y / 600) * 100}%`,
-                    width: `${(context.boundingBox.width / 800) * 100}%`,
-                    height: `${(context.boundingBox.height / 600) * 100}%`,
+                    left: `${(context.boundingBox.x / slideSize.width) * 100}%`,
+                    top: `${(context.boundingBox.y / slideSize.height) * 100}%`,
+                    width: `${(context.boundingBox.width / slideSize.width) * 100}%`,
+                    height: `${(context.boundingBox.height / slideSize.height) * 100}%`,
                     backgroundColor: `${visualContextColors[context.type]}20`,
                     borderColor: visualContextColors[context.type],
                     borderWidth: '2px',
@@ -150,6 +184,11 @@ const ResultsDisplay: React.FC<ResultsDisplayProps> = ({
                       <small>AI Reasoning: {segment.notes}</small>
                     </div>
                   )}
+                  {segment.comments?.map(comment => (
+                    <div key={comment.id} className="segment-notes">
+                      <small>💬 {comment.author || 'Comment'}: {comment.text}</small>
+                    </div>
+                  ))}
                   <div className="segment-coordinates">
                     <small>
                       Position: ({segment.coordinates.x}, {segment.coordinates.y}) 
@@ -1,39 +1,220 @@
 import React, { useState, useEffect } from 'react'
-import { VisualSegment } from '../types'
+import { LengthConstraint, PseudoOptions, ScreenshotMode, SegmentFit, TranslationProviderName, TranslationState, VisualSegment, XliffFormat } from '../types'
 import './SegmentationEditor.css'
 
 interface SegmentationEditorProps {
   segments: VisualSegment[]
   onSegmentsChange: (segments: VisualSegment[]) => void
-  onExport: () => void
+  onExport: (format: XliffFormat, screenshots: ScreenshotMode) => void
   onBack: () => void
+  backLabel?: string
+  // Slide images are only available for analyzed presentations, not imported XLIFF files
+  screenshotsAvailable?: boolean
+  // Measures translations in their source text boxes; only available for analyzed presentations
+  onCheckFit?: () => Promise<Record<string, SegmentFit> | null>
+  // Previews the deck rendered with pseudo-translations, leaving the translations alone
+  onPseudoLocalize?: (options: PseudoOptions) => Promise<void>
+  // Fills the translations from a machine translation provider, optionally showing it the slide images
+  onMachineTranslate?: (provider: TranslationProviderName, useSlideImages: boolean) => Promise<void>
+  // Providers the server offers; the mock provider is left out unless the server enables it
+  translationProviders?: TranslationProviderName[]
+}
+
+const TRANSLATION_STATES: TranslationState[] = [
+  'new',
+  'needs-translation',
+  'needs-review-translation',
+  'translated',
+  'final',
+  'signed-off'
+]
+
+const TRANSLATION_PROVIDERS: { value: TranslationProviderName; label: string; images: boolean }[] = [
+  { value: 'openai', label: 'OpenAI-compatible', images: true },
+  { value: 'http', label: 'HTTP MT engine', images: false },
+  { value: 'mock', label: 'Mock (test)', images: false }
+]
+
+// Share of the character limit above which a translation is flagged as tight
+const TIGHT_FIT_RATIO = 0.9
+
+type FitStatus = 'fits' | 'tight' | 'overflows'
+
+// Compare a translation with the room its text box leaves
+const getFitStatus = (text: string, constraint: LengthConstraint): FitStatus => {
+  const length = Array.from(text).length
+  const lines = text.split('\n').length
+  if (length > constraint.maxChars || (constraint.maxLines && lines > constraint.maxLines)) return 'overflows'
+  return length > constraint.maxChars * TIGHT_FIT_RATIO ? 'tight' : 'fits'
+}
+
+const FIT_LABELS: Record<FitStatus, string> = {
+  fits: 'Fits',
+  tight: 'Tight fit',
+  overflows: 'Overflows'
+}
+
+// Measured fit of a segment, unless its translation changed since the check
+const getMeasuredFit = (segment: VisualSegment, fits: Record<string, SegmentFit>): SegmentFit | undefined => {
+  const fit = fits[segment.id]
+  return fit && fit.translation === (segment.translation || '') ? fit : undefined
+}
+
+const describeOverflow = (fit: SegmentFit): string => {
+  const parts = []
+  if (fit.overflowLines > 0) parts.push(`${fit.overflowLines} line(s) too many, ${fit.overflowHeight} pt too tall`)
+  if (fit.overflowWidth > 0) parts.push(`${fit.overflowWidth} pt too wide`)
+  return parts.join(', ')
+}
+
+const describeAutofit = (fit: { autofit?: LengthConstraint['autofit'] }): string => {
+  if (fit.autofit === 'shrink') return ' (text will shrink to fit)'
+  if (fit.autofit === 'resize') return ' (box would grow past the slide)'
+  return ''
+}
+
+// Quote CSV fields that contain separators, quotes or line breaks
+const toCsv = (rows: (string | number)[][]): string =>
+  rows.map(row => row.map(value => {
+    const text = String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }).join(',')).join('\r\n')
+
+// Check of a translation against its text box: measured with font metrics after a fit check,
+// otherwise live against the estimated length constraint
+const FitIndicator: React.FC<{ text: string; constraint?: LengthConstraint; measured?: SegmentFit }> = ({ text, constraint, measured }) => {
+  if (measured) {
+    const status: FitStatus = measured.fits ? 'fits' : 'overflows'
+    return (
+      <div
+        className={`fit-indicator fit-${status}`}
+        title={measured.font ? `Measured with ${measured.font}` : 'No local font matched; estimated from average character widths'}
+      >
+        {FIT_LABELS[status]} (measured{measured.metrics === 'estimated' ? ', estimated' : ''}): {measured.lines} / {measured.maxLines} lines
+        {!measured.fits && ` - ${describeOverflow(measured)}${describeAutofit(measured)}`}
+      </div>
+    )
+  }
+  if (!constraint) return null
+
+  const status = getFitStatus(text, constraint)
+
+  return (
+    <div
+      className={`fit-indicator fit-${status}`}
+      title={constraint.maxLines ? `About ${constraint.maxLines} line(s) fit in the text box` : undefined}
+    >
+      {FIT_LABELS[status]}: {Array.from(text).length} / {constraint.maxChars} characters
+      {status === 'overflows' && describeAutofit(constraint)}
+    </div>
+  )
 }
 
 const SegmentationEditor: React.FC<SegmentationEditorProps> = ({
   segments,
   onSegmentsChange,
   onExport,
-  onBack
+  onBack,
+  backLabel = '← Back to Preview',
+  screenshotsAvailable = false,
+  onCheckFit,
+  onPseudoLocalize,
+  onMachineTranslate,
+  translationProviders = ['openai', 'http']
 }) => {
   const [editableSegments, setEditableSegments] = useState<VisualSegment[]>(segments)
   const [selectedSegment, setSelectedSegment] = useState<string | null>(null)
   const [filterType, setFilterType] = useState<string>('all')
   const [searchText, setSearchText] = useState('')
+  const [exportFormat, setExportFormat] = useState<XliffFormat>('1.2')
+  const [screenshotMode, setScreenshotMode] = useState<ScreenshotMode>('none')
+  const screenshotsEnabled = screenshotsAvailable && exportFormat === '1.2'
+  const [fits, setFits] = useState<Record<string, SegmentFit> | null>(null)
+  const [isCheckingFit, setIsCheckingFit] = useState(false)
+  const [pseudoExpansion, setPseudoExpansion] = useState(30)
+  const [pseudoRtl, setPseudoRtl] = useState(false)
+  const [isPseudoLocalizing, setIsPseudoLocalizing] = useState(false)
+  const [translationProvider, setTranslationProvider] = useState<TranslationProviderName>('openai')
+  const [isTranslating, setIsTranslating] = useState(false)
+  const [useSlideImages, setUseSlideImages] = useState(false)
+  // Slide images exist for analyzed presentations, and only vision-capable providers take them
+  const slideImagesEnabled = screenshotsAvailable &&
+    !!TRANSLATION_PROVIDERS.find(provider => provider.value === translationProvider)?.images
 
   useEffect(() => {
     setEditableSegments(segments)
   }, [segments])
 
   const handleSegmentEdit = (segmentId: string, field: keyof VisualSegment, value: any) => {
+    // An edited translation no longer follows the runs or machine translation it was generated from
     const updatedSegments = editableSegments.map(segment => 
       segment.id === segmentId 
-        ? { ...segment, [field]: value }
+        ? { ...segment, [field]: value, ...(field === 'translation' && { targetRuns: undefined, machineTranslation: undefined }) }
         : segment
     )
     setEditableSegments(updatedSegments)
     onSegmentsChange(updatedSegments)
   }
 
+  const handleCheckFit = async () => {
+    if (!onCheckFit) return
+    setIsCheckingFit(true)
+    try {
+      const results = await onCheckFit()
+      if (results) setFits(results)
+    } finally {
+      setIsCheckingFit(false)
+    }
+  }
+
+  const handleMachineTranslate = async () => {
+    if (!onMachineTranslate) return
+    setIsTranslating(true)
+    try {
+      await onMachineTranslate(translationProvider, slideImagesEnabled && useSlideImages)
+    } finally {
+      setIsTranslating(false)
+    }
+  }
+
+  const handlePseudoLocalize = async () => {
+    if (!onPseudoLocalize) return
+    setIsPseudoLocalizing(true)
+    try {
+      await onPseudoLocalize({ expansion: pseudoExpansion, accents: true, brackets: true, rtl: pseudoRtl })
+    } finally {
+      setIsPseudoLocalizing(false)
+    }
+  }
+
+  // Segments whose current translation was measured, and those of them that overflow
+  const measuredSegments = fits
+    ? editableSegments.filter(segment => getMeasuredFit(segment, fits))
+    : []
+  const overflowingSegments = measuredSegments.filter(segment => !fits![segment.id].fits)
+
+  const handleDownloadFitReport = () => {
+    if (!fits) return
+
+    const rows = [
+      ['Segment', 'Slide', 'Source', 'Translation', 'Lines', 'Max lines', 'Overflow lines', 'Overflow height (pt)', 'Overflow width (pt)', 'Autofit', 'Font'],
+      ...overflowingSegments.map(segment => {
+        const fit = fits[segment.id]
+        return [segment.id, segment.slideId, segment.text, fit.translation, fit.lines, fit.maxLines, fit.overflowLines,
+          fit.overflowHeight, fit.overflowWidth, fit.autofit, fit.font || 'estimated']
+      })
+    ]
+
+    const url = window.URL.createObjectURL(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }))
+    const a = document.createElement('a')
+    a.href = url
+    a.download = 'fit_report.csv'
+    document.body.appendChild(a)
+    a.click()
+    window.URL.revokeObjectURL(url)
+    document.body.removeChild(a)
+  }
+
   const handleSegmentDelete = (segmentId: string) => {
     const updatedSegments = editableSegments.filter(segment => segment.id !== segmentId)
     setEditableSegments(updatedSegments)
@@ -102,6 +283,12 @@ const SegmentationEditor: React.FC<SegmentationEditorProps> = ({
       'header_footer': '#feca57',
       'callout': '#ff9ff3',
       'navigation': '#54a0ff',
+      'table_cell': '#48dbfb',
+      'table_header': '#341f97',
+      'chart_label': '#10ac84',
+      'smartart_node': '#ee5253',
+      'alt_text': '#01a3a4',
+      'notes': '#8395a7',
       'other': '#5f27cd'
     }
     return colors[context] || '#95a5a6'
@@ -138,6 +325,12 @@ const SegmentationEditor: React.FC<SegmentationEditorProps> = ({
             <option value="header_footer">Headers/Footers</option>
             <option value="callout">Callouts</option>
             <option value="navigation">Navigation</option>
+            <option value="table_header">Table Headers</option>
+            <option value="table_cell">Table Cells</option>
+            <option value="chart_label">Chart Labels</option>
+            <option value="smartart_node">SmartArt</option>
+            <option value="alt_text">Alt Text</option>
+            <option value="notes">Speaker Notes</option>
             <option value="other">Other</option>
           </select>
 
@@ -155,10 +348,86 @@ const SegmentationEditor: React.FC<SegmentationEditorProps> = ({
             onClick={onBack}
             className="back-button"
           >
-            ← Back to Preview
+            {backLabel}
           </button>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value as XliffFormat)}
+            className="filter-select"
+            title="XLIFF version of the export"
+          >
+            <option value="1.2">XLIFF 1.2</option>
+            <option value="2.1">XLIFF 2.1</option>
+          </select>
+          <select
+            value={screenshotsEnabled ? screenshotMode : 'none'}
+            onChange={(e) => setScreenshotMode(e.target.value as ScreenshotMode)}
+            className="filter-select"
+            disabled={!screenshotsEnabled}
+            title="Slide screenshots with each segment highlighted, for the CAT tool's preview (XLIFF 1.2)"
+          >
+            <option value="none">No screenshots</option>
+            <option value="embed">Screenshots in XLIFF</option>
+            <option value="package">Zip with screenshots</option>
+          </select>
+          {onMachineTranslate && (
+            <>
+              <select
+                value={translationProvider}
+                onChange={(e) => setTranslationProvider(e.target.value as TranslationProviderName)}
+                className="filter-select"
+                title="Machine translation provider; each slide is sent with its visual context and neighbouring segments"
+              >
+                {TRANSLATION_PROVIDERS.filter(provider => translationProviders.includes(provider.value)).map(provider => (
+                  <option key={provider.value} value={provider.value}>{provider.label}</option>
+                ))}
+              </select>
+              {slideImagesEnabled && (
+                <label
+                  className="pseudo-controls"
+                  title="Send each slide's rendered image and the segments' positions, so the model can tell short labels like Open or Close apart by their surroundings"
+                >
+                  <input type="checkbox" checked={useSlideImages} onChange={(e) => setUseSlideImages(e.target.checked)} /> Slide images
+                </label>
+              )}
+              <button onClick={handleMachineTranslate} className="back-button" disabled={isTranslating}>
+                {isTranslating ? 'Translating...' : 'Machine translate'}
+              </button>
+            </>
+          )}
+          {onPseudoLocalize && (
+            <div className="pseudo-controls" title="Preview the deck rendered with pseudo-translations; your translations are kept">
+              <label>
+                +<input
+                  type="number"
+                  min={0}
+                  max={300}
+                  step={10}
+                  value={pseudoExpansion}
+                  onChange={(e) => setPseudoExpansion(Math.max(0, Number(e.target.value)))}
+                  className="pseudo-expansion"
+                />%
+              </label>
+              <label>
+                <input type="checkbox" checked={pseudoRtl} onChange={(e) => setPseudoRtl(e.target.checked)} /> RTL
+              </label>
+              <button onClick={handlePseudoLocalize} className="back-button" disabled={isPseudoLocalizing}>
+                {isPseudoLocalizing ? 'Pseudo-localizing...' : 'Pseudo-localize'}
+              </button>
+            </div>
+          )}
+          {onCheckFit && (
+            <button
+              onClick={handleCheckFit}
+              className="back-button"
+              disabled={isCheckingFit}
+              title="Measure translations in their text boxes with the deck's fonts"
+            >
+              {isCheckingFit ? 'Checking...' : 'Check fit'}
+            </button>
+          )}
           <button 
-            onClick={onExport}
+            onClick={() => onExport(exportFormat, screenshotsEnabled ? screenshotMode : 'none')}
             className="export-button"
           >
             Export XLIFF
@@ -166,6 +435,33 @@ const SegmentationEditor: React.FC<SegmentationEditorProps> = ({
         </div>
       </div>
 
+      {fits && (
+        <div className="fit-report">
+          <div className="fit-report-header">
+            <strong>Fit report</strong>
+            <span>
+              {measuredSegments.length} checked, {overflowingSegments.length} overflowing
+              {measuredSegments.some(segment => fits[segment.id].metrics === 'estimated') && ' (some estimated without a local font)'}
+            </span>
+            <button onClick={handleDownloadFitReport} className="back-button" disabled={overflowingSegments.length === 0}>
+              Download CSV
+            </button>
+            <button onClick={() => setFits(null)} className="back-button">Close</button>
+          </div>
+          {overflowingSegments.length > 0 && (
+            <ul className="fit-report-list">
+              {overflowingSegments.map(segment => (
+                <li key={segment.id} onClick={() => setSelectedSegment(segment.id)}>
+                  <span className="slide-info">Slide {segment.slideId}</span>
+                  <span className="fit-report-text">{fits[segment.id].translation}</span>
+                  <span className="fit-overflows">{describeOverflow(fits[segment.id])}{describeAutofit(fits[segment.id])}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <div className="segments-list">
         {filteredSegments.length === 0 ? (
           <div className="no-segments">
@@ -226,6 +522,11 @@ const SegmentationEditor: React.FC<SegmentationEditorProps> = ({
                     rows={2}
                     placeholder="Enter translation..."
                   />
+                  <FitIndicator
+                    text={segment.translation || ''}
+                    constraint={segment.lengthConstraint}
+                    measured={fits ? getMeasuredFit(segment, fits) : undefined}
+                  />
                 </div>
 
                 <div className="metadata-section">
@@ -249,12 +550,49 @@ const SegmentationEditor: React.FC<SegmentationEditorProps> = ({
                     </select>
                   </div>
 
+                  <div className="confidence-select">
+                    <label>State:</label>
+                    <select
+                      value={segment.state || 'new'}
+                      onChange={(e) => handleSegmentEdit(segment.id, 'state', e.target.value)}
+                    >
+                      {/* Keep custom states from CAT tools selectable */}
+                      {[...new Set([...TRANSLATION_STATES, segment.state || 'new'])].map(state => (
+                        <option key={state} value={state}>{state}</option>
+                      ))}
+                    </select>
+                  </div>
+
                   {segment.notes && (
                     <div className="notes">
                       <label>Notes:</label>
                       <span>{segment.notes}</span>
                     </div>
                   )}
+
+                  {segment.machineTranslation && (
+                    <div className="notes">
+                      <label>Machine translation ({segment.machineTranslation.provider}{segment.machineTranslation.usedSlideImage ? ', with slide image' : ''}):</label>
+                      <span>
+                        {segment.machineTranslation.confidence ? `${segment.machineTranslation.confidence} confidence` : 'no confidence given'}
+                        {segment.machineTranslation.rationale && ` — ${segment.machineTranslation.rationale}`}
+                      </span>
+                    </div>
+                  )}
+
+                  {segment.hidden && (
+                    <div className="notes">
+                      <label>Visibility:</label>
+                      <span>Hidden in the slide show{segment.translate === false ? ' (not translated)' : ''}</span>
+                    </div>
+                  )}
+
+                  {segment.comments?.map(comment => (
+                    <div key={comment.id} className="notes">
+                      <label>Comment{comment.author ? ` (${comment.author})` : ''}:</label>
+                      <span>{comment.text}</span>
+                    </div>
+                  ))}
                 </div>
               </div>
             </div>
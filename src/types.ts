@@ -2,19 +2,223 @@ export interface VisualSegment {
   id: string
   slideId: number
   textElementId: string
+  elementIds?: string[] // text element of each joined part of a combined or merged segment
   visualContextId: string
   coordinates: BoundingBox
   text: string
   visualContext: VisualContextType
   confidence: 'high' | 'medium' | 'low'
   translation?: string
+  targetRuns?: SegmentRun[] // runs of a generated translation (pseudo-localization or machine translation), exported with the source's inline codes
+  state?: TranslationState // XLIFF target state; 'new' until translated
   notes?: string
+  paragraphIndices?: number[] // set when the segment covers only some paragraphs of its text element
+  runs?: SegmentRun[] // source runs, concatenating to `text`; exported as XLIFF inline codes
+  runRefs?: string[] // every source run ref of a segment imported from XLIFF (its rebuilt runs hold one per inline code)
+  tableCell?: SegmentTableCell // set when the segment is the text of a table cell
+  chartLabel?: SegmentChartLabel // set when the segment is a chart label
+  smartArtNode?: SegmentSmartArtNode // set when the segment is a SmartArt node
+  flow?: 'slide' | 'notes' // text flow the segment belongs to (slide when unset)
+  comments?: SegmentComment[] // reviewer comments anchored to the segment's text; read-only
+  hidden?: boolean // text of a hidden slide or hidden shape
+  translate?: boolean // false when the segment is exported with translate="no"
+  lengthConstraint?: LengthConstraint // room the text box geometry leaves for a translation
+  machineTranslation?: MachineTranslationInfo // set while the translation is an unedited machine translation
   // Enhanced semantic context
   topic?: string
   semanticContext?: string
   contentElements?: ContentElement[]
 }
 
+export interface SegmentRun {
+  type: 'text' | 'break' | 'field' | 'paragraph' | 'separator'
+  text: string
+  bold?: boolean
+  italic?: boolean
+  underline?: boolean
+  fontFamily?: string
+  fontSize?: number
+  color?: string
+  hyperlink?: string | null
+  format?: string // x-formatting span of a run rebuilt from an imported XLIFF
+  ref?: string // "<textElementId>:<paragraphIndex>.<runIndex>" of the source run
+}
+
+// XLIFF 1.2 target states (plus x- extensions written by CAT tools)
+export type TranslationState =
+  | 'new'
+  | 'needs-translation'
+  | 'needs-adaptation'
+  | 'needs-l10n'
+  | 'needs-review-translation'
+  | 'needs-review-adaptation'
+  | 'needs-review-l10n'
+  | 'translated'
+  | 'final'
+  | 'signed-off'
+  | `x-${string}`
+
+export interface SegmentTableCell {
+  tableId: string
+  row: number
+  column: number
+  rowHeader: string | null
+  columnHeader: string | null
+}
+
+export interface SegmentChartLabel {
+  chartId: string
+  role: ChartLabelRole
+  axis: 'category' | 'value' | 'series' | null
+  index: number
+}
+
+export interface SegmentSmartArtNode {
+  diagramId: string
+  nodeId: string
+  parentId: string | null
+  depth: number
+  siblingIndex: number
+  siblingCount: number
+}
+
+// How a text box reacts to overflowing text: shrink the text, grow the shape, or neither
+export type AutofitMode = 'shrink' | 'resize' | 'none'
+
+export interface LengthConstraint {
+  maxChars: number // estimated from the box size, insets, font size and autofit scale; exported as maxwidth / slr:sizeRestriction
+  maxLines?: number
+  autofit?: AutofitMode
+}
+
+// Text laid out in a source text frame by /api/check-fit
+export interface FitCheckItem {
+  id: string
+  text: string
+  fontFamily?: string
+  fontSize: number // points, before autofit scaling
+  bold?: boolean
+  italic?: boolean
+  frame: TextFrame
+}
+
+export interface FitCheckResult {
+  id: string
+  fits: boolean
+  lines: number
+  maxLines: number
+  overflowLines: number
+  overflowWidth: number // points past the right inset of the widest line (unwrapped text)
+  overflowHeight: number // points past the bottom inset
+  autofit: AutofitMode
+  font: string | null // local font the text was measured with
+  metrics: 'font' | 'estimated' // 'estimated' when no local font matched and average widths were used
+}
+
+export interface FitCheckSummary {
+  checked: number
+  overflowing: number
+  estimated: number
+}
+
+// Measured fit of a segment, with the translation it was measured for
+export interface SegmentFit extends FitCheckResult {
+  translation: string
+}
+
+export interface PseudoOptions {
+  expansion: number // percentage of filler text added to every run
+  accents: boolean
+  brackets: boolean
+  rtl: boolean // mirror the text with right-to-left overrides
+}
+
+// Overflowing text box of the rendered pseudo-localized deck
+export interface PseudoHotspot extends FitCheckResult {
+  textElementId: string
+  boundingBox: BoundingBox
+}
+
+export interface PseudoSlide {
+  slideId: number
+  slideImage: string
+  slideSize: SlideSize
+  checked: number
+  hotspots: PseudoHotspot[]
+}
+
+// Response of /api/pseudo-localize
+export interface PseudoPreview {
+  language: string // pseudo-locale: qps-ploc, or qps-plocm when mirrored
+  options: PseudoOptions
+  segments: VisualSegment[]
+  slides: PseudoSlide[]
+  summary: {
+    checked: number
+    overflowing: number
+    slidesWithOverflow: number
+    unplaced: number // units that could not be written into the deck
+  }
+}
+
+// Machine translation providers of /api/translate
+export type TranslationProviderName = 'openai' | 'http' | 'mock'
+
+export interface MachineTranslationInfo {
+  provider: TranslationProviderName
+  confidence: 'high' | 'medium' | 'low' | null // engine's own rating; sets the target state
+  rationale: string | null // why the engine chose this translation
+  usedSlideImage: boolean // the engine saw the rendered slide
+}
+
+export interface TranslationSummary {
+  provider: TranslationProviderName
+  translated: number
+  skipped: number // segments excluded from translation
+  usedSlideImages: boolean
+  failed: { slideId: number; flow: 'slide' | 'notes'; message: string }[] // slide batches the engine could not translate
+}
+
+export interface SegmentComment {
+  id: string
+  author: string | null
+  date: string | null
+  text: string
+}
+
+export interface SlideComment extends SegmentComment {
+  textElementId: string | null // text element the comment is anchored to
+}
+
+// Located error in the `details` of a failed XLIFF import or export
+export interface XliffValidationError {
+  message: string
+  line: number | null
+  column: number | null
+}
+
+// XLIFF version written by /api/export-xliff
+export type XliffFormat = '1.2' | '2.1'
+
+// How context screenshots are bundled with an XLIFF 1.2 export: none, embedded as
+// internal files, or as image files next to the XLIFF in a zip package
+export type ScreenshotMode = 'none' | 'embed' | 'package'
+
+export interface XliffImport {
+  fileName: string // original presentation the XLIFF was exported from
+  sourceLanguage: string
+  targetLanguage: string
+  segments: VisualSegment[]
+}
+
+export interface UploadOptions {
+  includeNotes: boolean
+  hiddenContent: HiddenContentMode
+}
+
+// How text on hidden slides and in hidden shapes is handled
+export type HiddenContentMode = 'analyze' | 'no-translate' | 'skip'
+
 export interface BoundingBox {
   x: number
   y: number
@@ -30,16 +234,38 @@ export type VisualContextType =
   | 'header_footer'
   | 'callout'
   | 'navigation'
+  | 'table_cell'
+  | 'table_header'
+  | 'chart_label'
+  | 'smartart_node'
+  | 'alt_text'
+  | 'notes'
   | 'other'
 
+export interface SlideSize {
+  width: number
+  height: number
+}
+
 export interface SlideAnalysis {
   slideId: number
   slideImage: string // base64 encoded image
+  slideSize: SlideSize // normalized slide coordinate space
+  hidden?: boolean // slide is hidden in the slide show (show="0")
   visualContexts: VisualContext[]
   textElements: TextElement[]
+  notesElements?: TextElement[] // speaker notes, positioned on the notes page
+  comments?: SlideComment[]
   overallContext: string
+  analysisStatus?: AnalysisStatus
+  analysisErrors?: string[] // why the model's answer was repaired or rejected, or why the request failed
 }
 
+// How a slide's visual contexts were obtained: the model's first answer, its answer after
+// validation errors were sent back, its earlier answer for an identical slide from the cache,
+// heuristics after repeated invalid answers, or none because the model could not be reached
+export type AnalysisStatus = 'model' | 'repaired' | 'cached' | 'fallback' | 'failed'
+
 export interface VisualContext {
   id: string
   type: VisualContextType
@@ -54,6 +280,7 @@ export interface VisualContext {
 
 export interface TextElement {
   id: string
+  shapeId?: string | null // cNvPr ID of the source shape ("<frameId>:<part>" inside graphic frames)
   text: string
   boundingBox: BoundingBox
   fontSize?: number
@@ -61,8 +288,109 @@ export interface TextElement {
   color?: string
   isBold?: boolean
   isItalic?: boolean
+  placeholderType?: PlaceholderType | null // role inherited from the slide layout/master
+  groupPath?: string[] // IDs of enclosing group shapes, outermost first
+  paragraphs?: TextParagraph[]
+  table?: TableCellInfo | null // set for cells of a:tbl graphic frames
+  chart?: ChartLabelInfo | null // set for labels of chart graphic frames
+  smartArt?: SmartArtNodeInfo | null // set for nodes of SmartArt graphic frames
+  isAltText?: boolean // picture description (p:cNvPr/@descr) positioned at the image
+  isHidden?: boolean // shape, enclosing group or slide is hidden
+  textFrame?: TextFrame | null // box the text is laid out in; null for chart labels, alt text and notes
+}
+
+// Text frame of a shape or table cell, in points
+export interface TextFrame {
+  width: number
+  height: number
+  maxHeight: number // room down to the bottom of the slide for shapes that grow to fit their text
+  insets: { l: number; t: number; r: number; b: number }
+  wrap: boolean
+  autofit: AutofitMode
+  fontScale: number // autofit font scale PowerPoint last applied
+  lineReduction: number // autofit line spacing reduction PowerPoint last applied
+}
+
+export type ChartLabelRole = 'title' | 'axis_title' | 'category' | 'series'
+
+export interface ChartLabelInfo {
+  chartId: string // ID of the enclosing graphic frame
+  partPath: string // chart part, e.g. "ppt/charts/chart1.xml"
+  role: ChartLabelRole
+  axis: 'category' | 'value' | 'series' | null // axis labelled by axis titles and category labels
+  index: number // position among labels of the same role
+}
+
+export interface SmartArtNodeInfo {
+  diagramId: string // ID of the enclosing graphic frame
+  nodeId: string // modelId of the node in the diagram data part
+  parentId: string | null // modelId of the parent node, null for top-level nodes
+  depth: number // zero-based level in the node hierarchy
+  siblingIndex: number
+  siblingCount: number
 }
 
+export interface TableCellInfo {
+  tableId: string // ID of the enclosing graphic frame
+  row: number // zero-based grid row of the cell's top-left corner
+  column: number // zero-based grid column of the cell's top-left corner
+  rowSpan: number
+  columnSpan: number
+  isHeader: boolean // first row/column of a table styled with header rows/columns
+  rowHeader: string | null // text of the first cell in the same row
+  columnHeader: string | null // text of the first cell in the same column
+  boundingBox: BoundingBox // bounds of the whole table
+  columnWidths: number[]
+  rowHeights: number[]
+}
+
+export interface TextParagraph {
+  index: number
+  level: number // zero-based indent level
+  text: string
+  bullet: Bullet | null
+  alignment: 'left' | 'center' | 'right' | 'justify' | 'distributed'
+  lineSpacing: { percent: number } | { points: number } | null
+  runs: TextRun[]
+  boundingBox?: BoundingBox // estimated from font size and line count
+}
+
+export type Bullet =
+  | { type: 'char'; char: string }
+  | { type: 'autoNumber'; scheme: string; startAt: number }
+  | { type: 'picture' }
+
+export interface TextRun {
+  type: 'text' | 'break' | 'field'
+  text: string
+  bold: boolean
+  italic: boolean
+  underline: boolean
+  fontFamily: string
+  fontSize: number
+  color: string
+  language: string | null
+  hyperlink: string | null // URL, or slide part path for internal jumps
+}
+
+export type PlaceholderType =
+  | 'title'
+  | 'ctrTitle'
+  | 'subTitle'
+  | 'body'
+  | 'obj'
+  | 'ftr'
+  | 'sldNum'
+  | 'dt'
+  | 'hdr'
+  | 'pic'
+  | 'chart'
+  | 'tbl'
+  | 'dgm'
+  | 'media'
+  | 'clipArt'
+  | 'sldImg'
+
 export interface ContentElement {
   type: 'text' | 'image' | 'chart' | 'shape' | 'other'
   content?: string // For text elements
@@ -73,6 +401,7 @@ export interface ContentElement {
 export interface PowerPointAnalysis {
   fileName: string
   slides: SlideAnalysis[]
+  slideSize: SlideSize
   totalSlides: number
   analysisTimestamp: string
 }